@@ -0,0 +1,268 @@
+/**
+ * Censoring
+ * Lab results reported against a detection or reporting limit: "<0.5",
+ * "0.5 U", "ND", ">2000", and estimated values qualified "J" or "E".
+ * Parses them into a value plus a flag, substitutes a number for plotting,
+ * and estimates summary statistics from left-censored data with
+ * Kaplan-Meier or robust regression on order statistics (ROS), following
+ * Helsel, Statistics for Censored Environmental Data (2012).
+ */
+
+class Censoring {
+    /**
+     * Parse a qualified result
+     * @param {string} raw - Raw value, e.g. "<0.5", "0.5 U", "ND", ">2000", "1.2 J"
+     * @param {Function} parseNumber - Text → number or null, honouring the file's decimal separator
+     * @returns {Object|null} { value, flag } where flag is '<' (below the limit; value is the
+     *     limit, NaN when it isn't given), '>' (above the range) or 'J'/'E' (estimated);
+     *     null when the value carries no qualifier
+     */
+    static parse(raw, parseNumber) {
+        const text = String(raw === null || raw === undefined ? '' : raw).trim();
+        if (text === '') return null;
+
+        if (Censoring.NON_DETECT_TOKENS.includes(text.toLowerCase())) {
+            return { value: NaN, flag: '<' };
+        }
+
+        let match = text.match(/^([<>≤≥])\s*(.+)$/);
+        if (match) {
+            const value = parseNumber(match[2]);
+            return value === null ? null : { value, flag: Censoring.SYMBOL_FLAGS[match[1]] };
+        }
+
+        // Qualifier codes follow the value ("0.5 U", "1.2J"), or lead it with a space ("E 1.2")
+        match = text.match(/^(.+?)\s*([A-Z]{1,2})$/) || text.match(/^([A-Z]{1,2})\s+(.+)$/);
+        if (match) {
+            const [code, number] = /^[A-Z]/.test(match[1]) ? [match[1], match[2]] : [match[2], match[1]];
+            const flag = Censoring.QUALIFIER_CODES[code];
+            const value = flag ? parseNumber(number) : null;
+            return value === null ? null : { value, flag };
+        }
+        return null;
+    }
+
+    /**
+     * Whether a flag marks a value censored (below or above a limit) rather than estimated
+     * @param {string} flag - Qualifier flag
+     * @returns {boolean} True for '<' and '>'
+     */
+    static isCensored(flag) {
+        return flag === '<' || flag === '>';
+    }
+
+    /**
+     * The number to plot and summarize for a qualified value
+     * @param {number} value - Reported value (the limit for censored values)
+     * @param {string} flag - Qualifier flag
+     * @param {string} method - Key of Censoring.SUBSTITUTIONS
+     * @returns {number} Substituted value, NaN when excluded or unknown
+     */
+    static substitute(value, flag, method) {
+        if (!Censoring.isCensored(flag)) return value;
+        if (method === 'exclude') return NaN;
+        // Values above the range have no better estimate than the limit itself
+        if (flag === '>') return value;
+
+        switch (method) {
+            case 'zero':
+                return 0;
+            case 'limit':
+                return value;
+            default:
+                return value / 2;
+        }
+    }
+
+    /**
+     * Write a qualified value the way labs report it
+     * @param {number|null} value - Reported value, null or NaN when not given
+     * @param {string} flag - Qualifier flag
+     * @returns {string} e.g. "<0.5", ">2000", "1.2 J" or "ND"
+     */
+    static format(value, flag) {
+        if (value === null || Number.isNaN(value)) return flag === '<' ? 'ND' : '';
+        return Censoring.isCensored(flag) ? `${flag}${value}` : `${value} ${flag}`;
+    }
+
+    /**
+     * Summary statistics of left-censored data
+     * @param {string} method - 'km' or 'ros'
+     * @param {Array} values - Detected values and detection limits
+     * @param {Array} censored - true where the value is a detection limit
+     * @returns {Object|null} { mean, stdev, median, q1, q3, p5, p95, p99 } (a quantile is null
+     *     when it falls below the detection limits), or null when there are too few detections
+     */
+    static estimate(method, values, censored) {
+        return method === 'ros' ? Censoring.ros(values, censored) : Censoring.kaplanMeier(values, censored);
+    }
+
+    /**
+     * Kaplan-Meier estimate of the distribution of left-censored data, by
+     * flipping it into the right-censored form survival analysis expects.
+     * Probability left below the lowest detection is placed at the lowest
+     * value, so the mean is the restricted mean (biased high when that is a limit).
+     * @param {Array} values - Detected values and detection limits
+     * @param {Array} censored - true where the value is a detection limit
+     * @returns {Object|null} Summary statistics, or null without any detections
+     */
+    static kaplanMeier(values, censored) {
+        const detects = values.filter((value, i) => !censored[i]);
+        if (detects.length === 0) return null;
+
+        const sorted = Statistics.sorted(values);
+        const counts = new Map();
+        detects.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+        // F(y) = P(X ≤ y) steps down from 1 at the largest detection. Every value
+        // or limit at or below a detection could have been that detection.
+        const levels = [...counts.keys()].sort((a, b) => b - a);
+        const points = [];
+        let cdf = 1;
+        levels.forEach(level => {
+            const atRisk = Censoring.countAtMost(sorted, level);
+            const below = cdf * (1 - counts.get(level) / atRisk);
+            points.push({ value: level, mass: cdf - below, cdf });
+            cdf = below;
+        });
+
+        const lowest = sorted[0];
+        if (cdf > 0) {
+            if (lowest < levels[levels.length - 1]) {
+                points.push({ value: lowest, mass: cdf, cdf, undetermined: true });
+            } else {
+                points[points.length - 1].mass += cdf;
+            }
+        }
+        points.reverse();
+
+        const mean = points.reduce((sum, point) => sum + point.value * point.mass, 0);
+        const n = values.length;
+        const variance = points.reduce((sum, point) => sum + point.mass * (point.value - mean) ** 2, 0) * n / Math.max(1, n - 1);
+        const quantile = p => {
+            const point = points.find(candidate => candidate.cdf >= p - 1e-12);
+            return !point || point.undetermined ? null : point.value;
+        };
+        return Censoring.summary(mean, n > 1 ? Math.sqrt(variance) : null, quantile);
+    }
+
+    /**
+     * Robust regression on order statistics: fit a lognormal to the detections
+     * against their Hirsch-Stedinger plotting positions, impute the censored
+     * values from the fit and summarize detections and imputed values together
+     * @param {Array} values - Detected values and detection limits
+     * @param {Array} censored - true where the value is a detection limit
+     * @returns {Object|null} Summary statistics, or null with fewer than
+     *     Censoring.MIN_ROS_DETECTS positive detections
+     */
+    static ros(values, censored) {
+        const detects = values.filter((value, i) => !censored[i]).sort((a, b) => a - b);
+        const limits = values.filter((value, i) => censored[i]).sort((a, b) => a - b);
+        if (detects.length < Censoring.MIN_ROS_DETECTS || detects[0] <= 0) return null;
+
+        // Detection limits in ascending order, from 0 when detections lie below the lowest
+        const levels = [...new Set(limits)];
+        if (levels.length === 0 || detects[0] < levels[0]) levels.unshift(0);
+
+        // Probability of exceeding each limit, worked down from the highest
+        const exceedance = new Array(levels.length + 1).fill(0);
+        for (let j = levels.length - 1; j >= 0; j--) {
+            const upper = j + 1 < levels.length ? levels[j + 1] : Infinity;
+            const above = detects.filter(value => value >= levels[j] && value < upper).length;
+            const below = limits.filter(value => value <= levels[j]).length + detects.filter(value => value < levels[j]).length;
+            exceedance[j] = above + below === 0
+                ? exceedance[j + 1]
+                : exceedance[j + 1] + (above / (above + below)) * (1 - exceedance[j + 1]);
+        }
+
+        const detectPositions = [];
+        const limitPositions = [];
+        levels.forEach((level, j) => {
+            const upper = j + 1 < levels.length ? levels[j + 1] : Infinity;
+            const inRange = detects.filter(value => value >= level && value < upper);
+            inRange.forEach((value, rank) => detectPositions.push({
+                value,
+                position: (1 - exceedance[j]) + (exceedance[j] - exceedance[j + 1]) * (rank + 1) / (inRange.length + 1)
+            }));
+            const atLimit = limits.filter(value => value === level).length;
+            for (let rank = 1; rank <= atLimit; rank++) {
+                limitPositions.push((1 - exceedance[j]) * rank / (atLimit + 1));
+            }
+        });
+
+        const fit = Regression.linear(
+            detectPositions.map(point => Statistics.normalQuantile(point.position)),
+            detectPositions.map(point => Math.log(point.value))
+        );
+        if (!fit) return null;
+
+        const imputed = limitPositions.map(position => Math.exp(fit.predict(Statistics.normalQuantile(position))));
+        const all = detects.concat(imputed);
+        const sorted = Statistics.sorted(all);
+        const mean = Statistics.mean(all);
+        return Censoring.summary(mean, Statistics.stdev(all, mean), p => Statistics.quantile(sorted, p));
+    }
+
+    /**
+     * Number of values at or below a value
+     * @param {Float64Array} sorted - Values in ascending order
+     * @param {number} value - Upper bound
+     * @returns {number} Count
+     */
+    static countAtMost(sorted, value) {
+        let lo = 0;
+        let hi = sorted.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (sorted[mid] <= value) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    /**
+     * Statistics in the shape of Statistics.describe()
+     * @param {number} mean - Mean
+     * @param {number|null} stdev - Standard deviation
+     * @param {Function} quantile - p → value, or null when unknown
+     * @returns {Object} { mean, stdev, median, q1, q3, p5, p95, p99 }
+     */
+    static summary(mean, stdev, quantile) {
+        return {
+            mean,
+            stdev,
+            median: quantile(0.5),
+            q1: quantile(0.25),
+            q3: quantile(0.75),
+            p5: quantile(0.05),
+            p95: quantile(0.95),
+            p99: quantile(0.99)
+        };
+    }
+}
+
+// Values reported as not detected without the limit (case-insensitive)
+Censoring.NON_DETECT_TOKENS = ['nd', 'n.d.', '<lod', '<dl', '<mdl', '<rl', '<loq', 'bdl', 'not detected'];
+Censoring.SYMBOL_FLAGS = { '<': '<', '≤': '<', '>': '>', '≥': '>' };
+// Laboratory qualifier codes: U not detected at the value, J and E estimated
+Censoring.QUALIFIER_CODES = { U: '<', ND: '<', J: 'J', E: 'E' };
+Censoring.FLAGS = {
+    '<': 'Below detection limit',
+    '>': 'Above reporting range',
+    J: 'Estimated (J)',
+    E: 'Estimated (E)'
+};
+// How values below the detection limit are plotted and summarized
+Censoring.SUBSTITUTIONS = {
+    half: '½ detection limit',
+    limit: 'Detection limit',
+    zero: 'Zero',
+    exclude: 'Excluded'
+};
+Censoring.DEFAULT_SUBSTITUTION = 'half';
+Censoring.ESTIMATORS = {
+    substitution: 'Substituted values',
+    km: 'Kaplan-Meier',
+    ros: 'Regression on order statistics'
+};
+Censoring.MIN_ROS_DETECTS = 3;
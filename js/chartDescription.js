@@ -0,0 +1,298 @@
+/**
+ * Chart Description
+ * Text alternatives for a chart, worked out from the traces and layout that
+ * are drawn: a short summary of what it shows and a table of the plotted
+ * data, for screen readers and anyone who can't tell the colors apart.
+ */
+
+class ChartDescription {
+    /**
+     * Describe a chart
+     * @param {Array} traces - Plotly traces
+     * @param {Object} layout - Plotly layout
+     * @returns {Object} { summary, table: { headers, rows, total } } where rows holds at
+     *     most ChartDescription.MAX_ROWS of the table's total rows
+     */
+    static describe(traces, layout) {
+        // Helper traces (bands, connecting lines, markers repeated elsewhere) skip hover too
+        const shown = traces.filter(trace => trace.hoverinfo !== 'skip' && trace.visible !== false);
+        const form = shown.length > 0 ? ChartDescription.FORMS[shown[0].type] || 'points' : null;
+        const data = shown.filter(trace => (ChartDescription.FORMS[trace.type] || 'points') === form);
+        const title = ChartDescription.text(layout.title);
+
+        let description = { sentences: [], table: { headers: [], rows: [], total: 0 } };
+        switch (form) {
+            case 'distribution':
+                description = ChartDescription.distributions(data);
+                break;
+            case 'matrix':
+                description = ChartDescription.matrix(data[0]);
+                break;
+            case 'map':
+                description = ChartDescription.stations(data);
+                break;
+            case 'points':
+                description = ChartDescription.points(data, layout);
+                break;
+            default:
+                break;
+        }
+
+        const notes = (layout.annotations || []).map(annotation => ChartDescription.text(annotation.text)).filter(Boolean);
+        const opening = form ? `${ChartDescription.kind(data[0])}${title ? `: ${title}` : ''}.` : 'Empty chart.';
+        const summary = [opening, ...description.sentences];
+        if (notes.length > 0) summary.push(`Notes: ${notes.join('; ')}.`);
+
+        const { headers, rows, total } = description.table;
+        return {
+            summary: summary.join(' '),
+            table: { headers, rows: rows.slice(0, ChartDescription.MAX_ROWS), total }
+        };
+    }
+
+    /**
+     * Scatter, line and bar charts: the range of each series and every point
+     * @param {Array} traces - Traces with x and y
+     * @param {Object} layout - Plotly layout
+     * @returns {Object} { sentences, table }
+     */
+    static points(traces, layout) {
+        const xTitle = ChartDescription.text((layout.xaxis || {}).title) || 'X';
+        // Charts with several y-axes have no single y title
+        const sharedAxis = traces.every(trace => !trace.yaxis || trace.yaxis === 'y');
+        const yTitle = (sharedAxis && ChartDescription.text((layout.yaxis || {}).title)) || 'Value';
+        const dates = (layout.xaxis || {}).type === 'date';
+
+        const series = traces.map(trace => {
+            const points = Array.from(trace.y || [], (y, i) => [trace.x ? trace.x[i] : i, y])
+                .filter(([, y]) => typeof y === 'number' && Number.isFinite(y));
+            return { name: trace.name || yTitle, points };
+        }).filter(entry => entry.points.length > 0);
+
+        const sentences = [`${yTitle} against ${xTitle}, ${ChartDescription.count(series.length, 'series', 'series')}.`];
+        series.slice(0, ChartDescription.MAX_SERIES).forEach(({ name, points }) => {
+            const values = Statistics.sorted(points.map(point => point[1]));
+            let sentence = `${name}: ${ChartDescription.count(points.length, 'point')}, from ${ChartDescription.format(values[0])}` +
+                ` to ${ChartDescription.format(values[values.length - 1])} (mean ${ChartDescription.format(Statistics.mean(values))})`;
+            if (dates || points[0][0] instanceof Date) {
+                const times = Statistics.sorted(points.map(point => new Date(point[0]).getTime()));
+                if (times.length > 0) {
+                    sentence += `, ${new Date(times[0]).toLocaleDateString()} to ${new Date(times[times.length - 1]).toLocaleDateString()}`;
+                }
+            }
+            sentences.push(`${sentence}.`);
+        });
+        if (series.length > ChartDescription.MAX_SERIES) {
+            sentences.push(`${ChartDescription.count(series.length - ChartDescription.MAX_SERIES, 'more series', 'more series')} in the table.`);
+        }
+
+        // Formatting dates is slow, so only the rows that are shown are written
+        const several = series.length > 1;
+        const rows = [];
+        series.forEach(({ name, points }) => {
+            points.slice(0, ChartDescription.MAX_ROWS - rows.length).forEach(([x, y]) => rows.push(
+                (several ? [name] : []).concat(ChartDescription.format(x, dates, true), ChartDescription.format(y, false, true))));
+        });
+        return {
+            sentences,
+            table: {
+                headers: (several ? ['Series'] : []).concat(xTitle, yTitle),
+                rows,
+                total: series.reduce((sum, entry) => sum + entry.points.length, 0)
+            }
+        };
+    }
+
+    /**
+     * Box plots, violins, histograms and scatter-plot matrices: quartiles of each set of values
+     * @param {Array} traces - Distribution traces
+     * @returns {Object} { sentences, table }
+     */
+    static distributions(traces) {
+        const sets = traces.flatMap(trace => {
+            if (trace.type === 'splom') {
+                return trace.dimensions.map(dimension => ({ name: dimension.label, values: dimension.values }));
+            }
+            const values = trace.type === 'histogram' ? trace.x || trace.y : trace.y || trace.x;
+            return [{ name: trace.name || 'Values', values }];
+        }).map(({ name, values }) => {
+            const numbers = Statistics.clean(Array.from(values || []));
+            const sorted = Statistics.sorted(numbers);
+            return {
+                name,
+                count: numbers.length,
+                stats: numbers.length === 0 ? null : {
+                    min: sorted[0],
+                    q1: Statistics.quantile(sorted, 0.25),
+                    median: Statistics.median(sorted),
+                    q3: Statistics.quantile(sorted, 0.75),
+                    max: sorted[sorted.length - 1],
+                    mean: Statistics.mean(numbers)
+                }
+            };
+        });
+
+        const sentences = sets.slice(0, ChartDescription.MAX_SERIES).filter(set => set.stats).map(({ name, count, stats }) =>
+            `${name}: median ${ChartDescription.format(stats.median)}, middle half ${ChartDescription.format(stats.q1)}` +
+            ` to ${ChartDescription.format(stats.q3)}, range ${ChartDescription.format(stats.min)} to ${ChartDescription.format(stats.max)}` +
+            ` (${ChartDescription.count(count, 'value')}).`);
+        if (sets.length > ChartDescription.MAX_SERIES) {
+            sentences.push(`${ChartDescription.count(sets.length - ChartDescription.MAX_SERIES, 'more set', 'more sets')} in the table.`);
+        }
+
+        const keys = ['min', 'q1', 'median', 'q3', 'max', 'mean'];
+        return {
+            sentences,
+            table: {
+                headers: ['Series', 'Count', 'Minimum', 'Lower quartile', 'Median', 'Upper quartile', 'Maximum', 'Mean'],
+                rows: sets.map(({ name, count, stats }) =>
+                    [name, String(count)].concat(keys.map(key => (stats ? ChartDescription.format(stats[key], false, true) : '')))),
+                total: sets.length
+            }
+        };
+    }
+
+    /**
+     * Heatmaps: the range of the cells and where the extremes are
+     * @param {Object} trace - Heatmap trace ({ x, y, z })
+     * @returns {Object} { sentences, table }
+     */
+    static matrix(trace) {
+        const x = Array.from(trace.x || trace.z[0].map((_, i) => i));
+        const y = Array.from(trace.y || trace.z.map((_, i) => i));
+        const dates = x[0] instanceof Date;
+        const label = (values, i) => ChartDescription.format(values[i], values[i] instanceof Date);
+
+        // The diagonal of a matrix of pairs (a correlation with itself) says nothing
+        const cells = [];
+        trace.z.forEach((row, i) => row.forEach((value, j) => {
+            if (typeof value === 'number' && Number.isFinite(value) && label(y, i) !== label(x, j)) {
+                cells.push({ value, where: `${label(y, i)} × ${label(x, j)}` });
+            }
+        }));
+
+        const sentences = [`${y.length} rows by ${x.length} columns.`];
+        if (cells.length > 0) {
+            const lowest = cells.reduce((min, cell) => (cell.value < min.value ? cell : min));
+            const highest = cells.reduce((max, cell) => (cell.value > max.value ? cell : max));
+            sentences.push(`Highest ${ChartDescription.format(highest.value)} at ${highest.where}; lowest ` +
+                `${ChartDescription.format(lowest.value)} at ${lowest.where}.`);
+        }
+
+        return {
+            sentences,
+            table: {
+                headers: [''].concat(x.map(value => ChartDescription.format(value, dates))),
+                rows: trace.z.map((row, i) => [label(y, i)].concat(row.map(value => ChartDescription.format(value, false, true)))),
+                total: trace.z.length
+            }
+        };
+    }
+
+    /**
+     * Maps: stations per legend entry and the details shown on hover
+     * @param {Array} traces - Map traces
+     * @returns {Object} { sentences, table }
+     */
+    static stations(traces) {
+        const groups = traces.filter(trace => (trace.lat || []).length > 0);
+        const total = groups.reduce((sum, trace) => sum + trace.lat.length, 0);
+        const sentences = [`${ChartDescription.count(total, 'station')}.`];
+        if (groups.length > 1) {
+            sentences.push(`${groups.map(trace => `${trace.name}: ${trace.lat.length}`).join(', ')}.`);
+        }
+
+        return {
+            sentences,
+            table: {
+                headers: ['Station', 'Latitude', 'Longitude', 'Details'],
+                rows: groups.flatMap(trace => trace.lat.map((lat, i) => [
+                    String(trace.customdata ? trace.customdata[i] : i + 1),
+                    ChartDescription.format(lat, false, true),
+                    ChartDescription.format(trace.lon[i], false, true),
+                    // Details start with the station id, which has a column of its own
+                    ChartDescription.text(trace.text ? trace.text[i] : '').split('; ').slice(trace.customdata ? 1 : 0).join('; ')
+                ])),
+                total
+            }
+        };
+    }
+
+    /**
+     * What kind of chart a trace belongs to
+     * @param {Object} trace - First data trace
+     * @returns {string} e.g. "Line chart"
+     */
+    static kind(trace) {
+        if (trace.type === 'scatter' || !trace.type) {
+            return /lines/.test(trace.mode || 'lines') ? 'Line chart' : 'Scatter plot';
+        }
+        return ChartDescription.KINDS[trace.type] || 'Chart';
+    }
+
+    /**
+     * Plain text of a title or annotation
+     * @param {string|Object} value - Text, Plotly { text } or HTML with <br> line breaks
+     * @returns {string} Text with line breaks as "; " and tags removed
+     */
+    static text(value) {
+        const text = value && typeof value === 'object' ? value.text : value;
+        return String(text || '')
+            .replace(/<br\s*\/?>/gi, '; ')
+            .replace(/<[^>]*>/g, '')
+            .trim();
+    }
+
+    /**
+     * Write a value for reading aloud
+     * @param {*} value - Number, Date, epoch ms (when dates) or text
+     * @param {boolean} [dates] - Numbers are epoch milliseconds
+     * @param {boolean} [precise] - Keep 6 significant digits instead of 4, for the table
+     * @returns {string} Formatted value ('' when missing)
+     */
+    static format(value, dates = false, precise = false) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date || (dates && typeof value === 'number')) {
+            const date = new Date(value);
+            return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+        }
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? String(Number(value.toPrecision(precise ? 6 : 4))) : '';
+        }
+        return String(value);
+    }
+
+    /**
+     * Count with a noun
+     * @param {number} count - How many
+     * @param {string} singular - Noun for one
+     * @param {string} [plural] - Noun for several (singular + 's' by default)
+     * @returns {string} e.g. "3 points"
+     */
+    static count(count, singular, plural = `${singular}s`) {
+        return `${count} ${count === 1 ? singular : plural}`;
+    }
+}
+
+// Rows put in the data table; the rest are left to the data export
+ChartDescription.MAX_ROWS = 500;
+// Series described in the summary; the table lists them all
+ChartDescription.MAX_SERIES = 5;
+// How a trace type's data is summarized (anything else is 'points')
+ChartDescription.FORMS = {
+    box: 'distribution',
+    violin: 'distribution',
+    histogram: 'distribution',
+    splom: 'distribution',
+    heatmap: 'matrix',
+    scattermapbox: 'map'
+};
+ChartDescription.KINDS = {
+    bar: 'Bar chart',
+    box: 'Box plot',
+    violin: 'Violin plot',
+    histogram: 'Histogram',
+    splom: 'Scatter-plot matrix',
+    heatmap: 'Heatmap',
+    scattermapbox: 'Map'
+};
@@ -0,0 +1,240 @@
+/**
+ * Chart Theme
+ * Colors and fonts shared by every chart: a light, dark or high-contrast
+ * theme, optionally with a colorblind-safe palette. Charts take their base
+ * layout from layout() instead of repeating the styling, and the choice is
+ * remembered between visits.
+ */
+
+class ChartTheme {
+    /**
+     * @param {Object} [options] - Theme options
+     * @param {string} [options.theme] - Key of ChartTheme.THEMES (defaults to the remembered one, else light)
+     * @param {string} [options.palette] - Key of ChartTheme.PALETTES (defaults to the remembered one, else standard)
+     * @param {Storage} [options.storage] - Where the choice is persisted (defaults to localStorage)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined ? options.storage : ThresholdEngine.defaultStorage();
+        this.themeId = 'light';
+        this.paletteId = 'standard';
+        this.restore();
+
+        if (ChartTheme.THEMES[options.theme]) this.themeId = options.theme;
+        if (ChartTheme.PALETTES[options.palette]) this.paletteId = options.palette;
+    }
+
+    /**
+     * Switch theme and palette, remembering the choice
+     * @param {string} themeId - Key of ChartTheme.THEMES
+     * @param {string} [paletteId] - Key of ChartTheme.PALETTES (unchanged when omitted)
+     * @throws {Error} When either is unknown
+     */
+    set(themeId, paletteId = this.paletteId) {
+        if (!ChartTheme.THEMES[themeId]) {
+            throw new Error(`Unknown theme "${themeId}"`);
+        }
+        if (!ChartTheme.PALETTES[paletteId]) {
+            throw new Error(`Unknown palette "${paletteId}"`);
+        }
+        this.themeId = themeId;
+        this.paletteId = paletteId;
+        this.persist();
+    }
+
+    /**
+     * Colors of the current theme, with the palette's series and status colors
+     * @returns {Object} Theme entry plus primary (the color of single-series charts)
+     */
+    get colors() {
+        const colors = { ...ChartTheme.THEMES[this.themeId], ...ChartTheme.PALETTES[this.paletteId].colors };
+        colors.primary = colors.series[0];
+        return colors;
+    }
+
+    /**
+     * Color of the nth series
+     * @param {number} index - Series index
+     * @returns {string} Palette color, repeating after the last one
+     */
+    seriesColor(index) {
+        const { series } = this.colors;
+        return series[index % series.length];
+    }
+
+    /**
+     * Base layout for a chart: the theme's background, font and axis colors
+     * applied to the chart's own layout
+     * @param {string} title - Chart title
+     * @param {Object} [layout] - Chart-specific layout (axes, hovermode, shapes, ...)
+     * @returns {Object} Plotly layout
+     */
+    layout(title, layout = {}) {
+        const colors = this.colors;
+        const styled = {
+            title,
+            plot_bgcolor: colors.plot,
+            paper_bgcolor: colors.paper,
+            ...layout,
+            font: { family: ChartTheme.FONT_FAMILY, color: colors.text, size: colors.fontSize, ...layout.font }
+        };
+
+        Object.keys(styled).filter(key => /^[xy]axis\d*$/.test(key)).forEach(key => {
+            styled[key] = this.axis(styled[key]);
+        });
+        return styled;
+    }
+
+    /**
+     * Axis in the theme's grid and line colors, for axes added after layout()
+     * @param {Object} [axis] - Plotly axis settings
+     * @returns {Object} Plotly axis
+     */
+    axis(axis = {}) {
+        const colors = this.colors;
+        return { gridcolor: colors.grid, zerolinecolor: colors.axis, linecolor: colors.axis, ...axis };
+    }
+
+    /**
+     * Boxed text note in the corner of a chart (fit statistics, test results)
+     * @param {Array} lines - Lines of text
+     * @returns {Object} Plotly annotation
+     */
+    note(lines) {
+        const colors = this.colors;
+        return {
+            xref: 'paper',
+            yref: 'paper',
+            x: 0.01,
+            y: 0.99,
+            xanchor: 'left',
+            yanchor: 'top',
+            align: 'left',
+            text: lines.join('<br>'),
+            showarrow: false,
+            bgcolor: colors.noteBackground,
+            bordercolor: colors.noteBorder,
+            borderwidth: 1,
+            font: { size: 12 }
+        };
+    }
+
+    /**
+     * Persist the choice
+     */
+    persist() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(ChartTheme.STORAGE_KEY, JSON.stringify({ theme: this.themeId, palette: this.paletteId }));
+        } catch (error) {
+            // Storage full or blocked: the theme still applies for this session
+        }
+    }
+
+    /**
+     * Take the persisted choice
+     */
+    restore() {
+        if (!this.storage) return;
+
+        let saved = null;
+        try {
+            saved = JSON.parse(this.storage.getItem(ChartTheme.STORAGE_KEY));
+        } catch (error) {
+            saved = null;
+        }
+        if (saved && ChartTheme.THEMES[saved.theme]) this.themeId = saved.theme;
+        if (saved && ChartTheme.PALETTES[saved.palette]) this.paletteId = saved.palette;
+    }
+}
+
+ChartTheme.STORAGE_KEY = 'wqv.chartTheme';
+ChartTheme.FONT_FAMILY = 'Segoe UI, sans-serif';
+// paper/plot: backgrounds; axis: axis and zero lines; legend: legends drawn over a map;
+// strong/muted: reference lines (trend lines, confidence limits, residuals);
+// outline: edge of single-series markers
+ChartTheme.THEMES = {
+    light: {
+        label: 'Light',
+        paper: 'white',
+        plot: 'rgba(240, 240, 240, 0.5)',
+        text: '#444',
+        fontSize: 12,
+        grid: '#eee',
+        axis: '#444',
+        legend: 'rgba(255, 255, 255, 0.8)',
+        noteBackground: 'rgba(255, 255, 255, 0.85)',
+        noteBorder: '#ccc',
+        strong: '#333',
+        muted: '#999',
+        outline: '#0052a3',
+        areaFill: 'rgba(0, 102, 204, 0.2)',
+        withinLimits: 'rgba(40, 167, 69, 0.08)',
+        mapOutline: '#7a8a99',
+        series: ['#0066cc', '#ff7700', '#00aa00', '#cc0000', '#9900cc', '#8c564b', '#e377c2', '#17becf'],
+        overlays: ['#ff7700', '#00aa00', '#9900cc'],
+        exceedance: '#dc3545',
+        flag: '#fd7e14',
+        censored: '#6f42c1'
+    },
+    dark: {
+        label: 'Dark',
+        paper: '#1e2329',
+        plot: '#262c33',
+        text: '#e3e6e8',
+        fontSize: 12,
+        grid: '#3a424b',
+        axis: '#9aa4ad',
+        legend: 'rgba(30, 35, 41, 0.8)',
+        noteBackground: 'rgba(30, 35, 41, 0.9)',
+        noteBorder: '#56606a',
+        strong: '#e3e6e8',
+        muted: '#8d969f',
+        outline: '#a8d1ff',
+        areaFill: 'rgba(77, 166, 255, 0.2)',
+        withinLimits: 'rgba(92, 214, 92, 0.1)',
+        mapOutline: '#8fa3b5',
+        series: ['#4da6ff', '#ffa64d', '#5cd65c', '#ff6b6b', '#c58cff', '#c49c94', '#f7b6d2', '#5fd3e0'],
+        overlays: ['#ffa64d', '#5cd65c', '#c58cff'],
+        exceedance: '#ff6b6b',
+        flag: '#ffa94d',
+        censored: '#b197fc'
+    },
+    highContrast: {
+        label: 'High contrast',
+        paper: 'white',
+        plot: 'white',
+        text: 'black',
+        fontSize: 14,
+        grid: '#b3b3b3',
+        axis: 'black',
+        legend: 'white',
+        noteBackground: 'white',
+        noteBorder: 'black',
+        strong: 'black',
+        muted: '#4d4d4d',
+        outline: 'black',
+        areaFill: 'rgba(0, 0, 204, 0.15)',
+        withinLimits: 'rgba(0, 122, 0, 0.12)',
+        mapOutline: 'black',
+        series: ['#0000cc', '#b34700', '#007a00', '#cc0000', '#6600cc', '#000000', '#b30086', '#006b80'],
+        overlays: ['#b34700', '#007a00', '#6600cc'],
+        exceedance: '#cc0000',
+        flag: '#b34700',
+        censored: '#6600cc'
+    }
+};
+// Palettes replace a theme's series and status colors
+ChartTheme.PALETTES = {
+    standard: { label: 'Standard colors', colors: {} },
+    colorblind: {
+        label: 'Colorblind-safe colors',
+        // Okabe & Ito (2008), distinguishable with every common color vision deficiency
+        colors: {
+            series: ['#0072b2', '#e69f00', '#009e73', '#d55e00', '#cc79a7', '#56b4e9', '#f0e442'],
+            overlays: ['#e69f00', '#009e73', '#cc79a7'],
+            exceedance: '#d55e00',
+            flag: '#e69f00',
+            censored: '#cc79a7'
+        }
+    }
+};
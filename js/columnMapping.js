@@ -0,0 +1,200 @@
+/**
+ * Column Mapping
+ * Assigns each numeric column the parameter it measures and the unit it is
+ * reported in, converts it to the unit it should be shown in, and remembers
+ * the choices for files with the same column layout
+ */
+
+class ColumnMapping {
+    /**
+     * @param {Object} options - Mapping options
+     * @param {Storage} [options.storage] - Where saved mappings are persisted (defaults to localStorage)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined ? options.storage : ThresholdEngine.defaultStorage();
+        this.layouts = {};
+        this.restore();
+    }
+
+    /**
+     * Mapping for an imported file: the saved one for its layout, with
+     * suggestions for any column the saved mapping doesn't cover
+     * @param {Object} result - Parser export ({ headers, schema, ... })
+     * @returns {Object} { mapping, saved } where mapping is column → { parameter, unit, target }
+     */
+    get(result) {
+        const mapping = ColumnMapping.suggest(result.schema);
+        const saved = this.layouts[ColumnMapping.layoutKey(result.headers)];
+        if (saved) {
+            Object.keys(mapping).forEach(column => {
+                if (saved[column]) mapping[column] = { ...saved[column] };
+            });
+        }
+        return { mapping, saved: Boolean(saved) };
+    }
+
+    /**
+     * Remember a mapping for files with these headers
+     * @param {Array} headers - Column headers
+     * @param {Object} mapping - Column → { parameter, unit, target }
+     */
+    save(headers, mapping) {
+        this.layouts[ColumnMapping.layoutKey(headers)] = mapping;
+        this.persist();
+    }
+
+    /**
+     * Forget the mapping saved for files with these headers
+     * @param {Array} headers - Column headers
+     */
+    forget(headers) {
+        delete this.layouts[ColumnMapping.layoutKey(headers)];
+        this.persist();
+    }
+
+    /**
+     * Suggest a mapping from the column headers
+     * @param {Object} schema - Import schema
+     * @returns {Object} Column → { parameter, unit, target }, for numeric columns
+     */
+    static suggest(schema) {
+        const mapping = {};
+        schema.columns
+            .filter(column => ColumnMapping.NUMERIC_TYPES.includes(column.type))
+            .forEach(column => {
+                const parameter = ParameterCatalog.identify(column.name);
+                const unit = parameter ? ParameterCatalog.suggestUnit(column.name, parameter) : '';
+                mapping[column.name] = { parameter, unit, target: ColumnMapping.defaultTarget(parameter, unit) };
+            });
+        return mapping;
+    }
+
+    /**
+     * Unit to show a column in unless the user picks another: the parameter's
+     * standard unit, except where converting would only rename the unit
+     * @param {string|null} parameterId - Parameter id
+     * @param {string} unit - Unit in the file
+     * @returns {string} Target unit
+     */
+    static defaultTarget(parameterId, unit) {
+        if (!parameterId) return unit;
+        const standard = ParameterCatalog.get(parameterId).unit;
+        return UnitConverter.isRelabel(parameterId, unit, standard) ? unit : standard;
+    }
+
+    /**
+     * Apply a mapping to an imported file: convert the columns that need it and
+     * record each column's parameter and unit in the schema
+     * @param {Object} result - Parser export ({ headers, columns, schema, diagnostics, dialect })
+     * @param {Object} mapping - Column → { parameter, unit, target }
+     * @returns {Object} New export; the original is left untouched
+     */
+    static apply(result, mapping) {
+        const context = ColumnMapping.conversionContext(result, mapping);
+        const columns = { ...result.columns };
+
+        const schemaColumns = result.schema.columns.map(column => {
+            const entry = mapping[column.name];
+            if (!entry || !ColumnMapping.NUMERIC_TYPES.includes(column.type)) return column;
+
+            const { parameter, unit } = entry;
+            const target = parameter ? entry.target : unit;
+            const converted = Boolean(parameter) && target !== unit;
+            if (converted) {
+                columns[column.name] = UnitConverter.convertColumn(columns[column.name], parameter, unit, target, context);
+            }
+            return {
+                ...column,
+                // Converted whole numbers are no longer whole
+                type: converted ? 'number' : column.type,
+                parameter: parameter || null,
+                unit: target || '',
+                sourceUnit: unit || ''
+            };
+        });
+
+        return {
+            ...result,
+            columns,
+            schema: { ...result.schema, columns: schemaColumns }
+        };
+    }
+
+    /**
+     * Problems that would stop a mapping from being applied
+     * @param {Object} mapping - Column → { parameter, unit, target }
+     * @returns {Array} Messages (empty when the mapping is usable)
+     */
+    static validate(mapping) {
+        const problems = [];
+        const entries = Object.entries(mapping);
+        const hasTemperature = entries.some(([, entry]) => entry.parameter === 'temperature');
+
+        entries.forEach(([column, { parameter, unit, target }]) => {
+            if (!parameter || unit === target) return;
+            if (!UnitConverter.canConvert(parameter, unit, target)) {
+                problems.push(`${column}: can't convert ${unit || 'no unit'} to ${target || 'no unit'}`);
+            } else if (UnitConverter.needsContext(parameter, unit, target) && !hasTemperature) {
+                problems.push(`${column}: converting ${unit} to ${target} needs a temperature column`);
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Water temperature (°C) and salinity (ppt) of each row, from the source
+     * columns, for conversions that depend on them
+     * @param {Object} result - Parser export
+     * @param {Object} mapping - Column → { parameter, unit, target }
+     * @returns {Object} { temperature, salinity } arrays (undefined when not mapped)
+     */
+    static conversionContext(result, mapping) {
+        const context = {};
+        Object.entries(mapping).forEach(([column, { parameter, unit }]) => {
+            if (context[parameter] || !['temperature', 'salinity'].includes(parameter)) return;
+
+            const standard = ParameterCatalog.get(parameter).unit;
+            const values = result.columns[column];
+            context[parameter] = UnitConverter.canConvert(parameter, unit, standard)
+                ? UnitConverter.convertColumn(values, parameter, unit, standard)
+                : values;
+        });
+        return context;
+    }
+
+    /**
+     * Key identifying a file layout by its headers
+     * @param {Array} headers - Column headers
+     * @returns {string} Layout key
+     */
+    static layoutKey(headers) {
+        return headers.map(header => String(header).trim().toLowerCase()).join('|');
+    }
+
+    /**
+     * Persist saved mappings
+     */
+    persist() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(ColumnMapping.STORAGE_KEY, JSON.stringify(this.layouts));
+        } catch (error) {
+            // Storage full or blocked: mappings still apply for this session
+        }
+    }
+
+    /**
+     * Load saved mappings
+     */
+    restore() {
+        if (!this.storage) return;
+        try {
+            this.layouts = JSON.parse(this.storage.getItem(ColumnMapping.STORAGE_KEY)) || {};
+        } catch (error) {
+            this.layouts = {};
+        }
+    }
+}
+
+ColumnMapping.STORAGE_KEY = 'wqv.columnMappings';
+ColumnMapping.NUMERIC_TYPES = ['number', 'integer'];
@@ -0,0 +1,451 @@
+/**
+ * Completeness
+ * Checks sampling against a plan: the expected sampling of each site, either
+ * given or inferred from the data (fixed times of day, or a number of samples
+ * per hour, day, week or month), and the samples missing from it, duplicate
+ * timestamps, completeness per parameter and month, and the longest gaps.
+ * Times are epoch milliseconds; days and months use local time.
+ */
+
+class Completeness {
+    /**
+     * Compare the sampling of each site with its plan
+     * @param {CSVParser} parser - Parser with loaded data
+     * @param {Object} [options] - Analysis options
+     * @param {Object} [options.plan] - Plan for every site ({ type: 'bucket', bucket, count }
+     *     or { type: 'schedule', slots, tolerance }); inferred per site when omitted
+     * @param {Object} [options.plans] - Site name → plan, taking precedence over options.plan
+     * @returns {Object|null} { siteColumn, sites, expected, present, missing, duplicates,
+     *     parameters, months, coverage, missingSamples, duplicateSamples, gaps, percent },
+     *     or null without a time column; only rows passing the active filters count
+     */
+    static analyze(parser, options = {}) {
+        const timeColumn = parser.getTimeColumn();
+        if (!parser.table || !timeColumn) return null;
+
+        const table = parser.table;
+        const siteColumn = StationMap.findStationColumn(parser);
+        const coordinates = StationMap.findCoordinates(parser);
+        const located = coordinates ? [coordinates.latitude, coordinates.longitude] : [];
+        // Coordinates describe the site, not the sample
+        const columns = parser.getNumericColumns().filter(column => column !== timeColumn && !located.includes(column));
+        const times = table.getRawColumn(timeColumn);
+        const names = siteColumn ? table.getRawColumn(siteColumn) : null;
+
+        const rowsBySite = new Map();
+        for (let i = 0; i < table.rowCount; i++) {
+            if (!table.isRowVisible(i) || !Number.isFinite(times[i])) continue;
+            const site = names ? CSVParser.groupLabel(names[i]) : Completeness.ALL_SITES;
+            if (!rowsBySite.has(site)) rowsBySite.set(site, []);
+            rowsBySite.get(site).push(i);
+        }
+
+        // A result counts when it has a value, or is reported below or above a limit
+        const reported = columns.map(column => {
+            const values = table.getRawColumn(column);
+            const excluded = table.getExcluded(column);
+            return row => !excluded.has(row) &&
+                (Number.isFinite(values[row]) || Censoring.isCensored(table.getQualifier(column, row)));
+        });
+
+        // Each site's samples, plan and expected samples, with the samples assigned to them
+        const sites = [...rowsBySite].map(([site, rows]) => {
+            rows.sort((a, b) => times[a] - times[b]);
+            const samples = Completeness.samples(rows, times, reported);
+            const sampleTimes = samples.map(sample => sample.time);
+            const plan = (options.plans && options.plans[site]) || options.plan || Completeness.inferPlan(sampleTimes);
+            const units = Completeness.expectedSamples(plan, sampleTimes[0], sampleTimes[sampleTimes.length - 1]);
+            const unitIndex = new Map(units.map((unit, index) => [unit.start, index]));
+
+            let unplanned = 0;
+            samples.forEach(sample => {
+                const key = Completeness.plannedTime(plan, sample.time);
+                if (!unitIndex.has(key)) {
+                    unplanned++;
+                    return;
+                }
+                const unit = units[unitIndex.get(key)];
+                unit.samples++;
+                sample.valid.forEach((isValid, c) => {
+                    if (isValid) unit.valid[c] = (unit.valid[c] || 0) + 1;
+                });
+            });
+            Completeness.prorateEnds(plan, units, sampleTimes);
+            return { site, samples, sampleTimes, plan, units, unplanned };
+        });
+
+        const result = {
+            siteColumn,
+            sites: [],
+            expected: 0,
+            present: 0,
+            missing: 0,
+            duplicates: 0,
+            parameters: [],
+            months: [],
+            coverage: null,
+            missingSamples: [],
+            duplicateSamples: [],
+            gaps: [],
+            percent: null
+        };
+        // Daily cells when any site is sampled at least daily (those sites fill them), else months
+        const interval = sites.some(entry => Completeness.isDaily(entry.plan)) ? 'day' : 'month';
+        const months = new Map();
+        const periods = new Map();
+        const valid = new Float64Array(columns.length);
+
+        sites.forEach(({ site, samples, sampleTimes, plan, units, unplanned }) => {
+            const summary = {
+                site,
+                plan,
+                first: sampleTimes[0],
+                last: sampleTimes[sampleTimes.length - 1],
+                expected: 0,
+                present: 0,
+                missing: 0,
+                // Samples off schedule or beyond a period's count
+                extra: unplanned,
+                // Timestamps with more than one row
+                duplicates: samples.filter(sample => sample.rows.length > 1).length,
+                percent: null
+            };
+            const inCoverage = interval === 'month' || Completeness.isDaily(plan);
+
+            units.forEach(unit => {
+                const present = Math.min(unit.capacity, unit.samples);
+                summary.expected += unit.capacity;
+                summary.present += present;
+                summary.extra += unit.samples - present;
+                if (present < unit.capacity && result.missingSamples.length < Completeness.MAX_LISTED) {
+                    result.missingSamples.push({
+                        site,
+                        time: unit.start,
+                        count: unit.capacity - present,
+                        period: plan.type === 'bucket' ? plan.bucket : null
+                    });
+                }
+
+                const month = TimeSeries.bucketStart(unit.start, 'month');
+                if (!months.has(month)) {
+                    months.set(month, { start: month, expected: 0, present: 0, valid: new Float64Array(columns.length) });
+                }
+                const entry = months.get(month);
+                entry.expected += unit.capacity;
+                entry.present += present;
+                unit.valid.forEach((count, c) => {
+                    entry.valid[c] += Math.min(unit.capacity, count);
+                    valid[c] += Math.min(unit.capacity, count);
+                });
+
+                if (!inCoverage) return;
+                const period = TimeSeries.bucketStart(unit.start, interval);
+                if (!periods.has(period)) periods.set(period, { start: period, expected: 0, present: 0 });
+                periods.get(period).expected += unit.capacity;
+                periods.get(period).present += present;
+            });
+
+            summary.missing = summary.expected - summary.present;
+            summary.percent = Completeness.percent(summary.present, summary.expected);
+            result.sites.push(summary);
+            result.expected += summary.expected;
+            result.present += summary.present;
+            result.missing += summary.missing;
+            result.duplicates += summary.duplicates;
+
+            samples.filter(sample => sample.rows.length > 1).forEach(sample => {
+                if (result.duplicateSamples.length < Completeness.MAX_LISTED) {
+                    result.duplicateSamples.push({ site, time: sample.time, rows: sample.rows });
+                }
+            });
+            Completeness.gaps(plan, sampleTimes, units).forEach(gap => result.gaps.push({ site, ...gap }));
+        });
+
+        result.gaps = result.gaps.sort((a, b) => b.duration - a.duration).slice(0, Completeness.MAX_GAPS);
+        result.percent = Completeness.percent(result.present, result.expected);
+        result.parameters = columns.map((column, c) => ({
+            column,
+            expected: result.expected,
+            present: valid[c],
+            percent: Completeness.percent(valid[c], result.expected)
+        }));
+        result.months = [...months.values()].sort((a, b) => a.start - b.start).map(month => ({
+            start: month.start,
+            expected: month.expected,
+            present: month.present,
+            percent: Completeness.percent(month.present, month.expected),
+            parameters: columns.map((_, c) => Completeness.percent(month.valid[c], month.expected))
+        }));
+        result.coverage = { interval, periods: [...periods.values()].sort((a, b) => a.start - b.start) };
+        return result;
+    }
+
+    /**
+     * Group a site's rows (sorted by time) into samples, one per distinct timestamp
+     * @param {Array} rows - Row indices sorted by time
+     * @param {Float64Array} times - Time of each row
+     * @param {Array} reported - Per parameter, a function telling whether a row has a result
+     * @returns {Array} { time, rows, valid } where valid flags each parameter with a result in any row
+     */
+    static samples(rows, times, reported) {
+        const samples = [];
+        rows.forEach(row => {
+            let sample = samples[samples.length - 1];
+            if (!sample || sample.time !== times[row]) {
+                sample = { time: times[row], rows: [], valid: reported.map(() => false) };
+                samples.push(sample);
+            }
+            sample.rows.push(row);
+            reported.forEach((hasResult, c) => {
+                if (hasResult(row)) sample.valid[c] = true;
+            });
+        });
+        return samples;
+    }
+
+    /**
+     * Work out the sampling plan from the sample times: fixed times of day when
+     * most days are sampled at the same clock times, else a count per calendar period
+     * @param {Array} times - Distinct sample times, sorted
+     * @returns {Object} { type: 'schedule', slots, tolerance } with slots in minutes after
+     *     midnight and tolerance in minutes, or { type: 'bucket', bucket, count }
+     */
+    static inferPlan(times) {
+        const spacing = TimeSeries.medianInterval(times);
+        if (!spacing) return { type: 'bucket', bucket: 'day', count: 1 };
+
+        if (spacing >= Completeness.MIN_SCHEDULE_SPACING && spacing < Completeness.BUCKET_MS.day) {
+            const schedule = Completeness.inferSchedule(times, spacing);
+            if (schedule) return schedule;
+        }
+
+        const bucket = Completeness.BUCKETS.find(name => Completeness.BUCKET_MS[name] >= spacing * 0.75) || 'month';
+        return { type: 'bucket', bucket, count: Math.max(1, Math.round(Completeness.BUCKET_MS[bucket] / spacing)) };
+    }
+
+    /**
+     * Find the clock times most days are sampled at
+     * @param {Array} times - Distinct sample times, sorted
+     * @param {number} spacing - Typical spacing between samples (ms)
+     * @returns {Object|null} { type: 'schedule', slots, tolerance }, or null when the times
+     *     don't repeat from day to day
+     */
+    static inferSchedule(times, spacing) {
+        const tolerance = Math.min(Completeness.SLOT_TOLERANCE, spacing / 60000 / 2);
+        const days = new Set(times.map(time => TimeSeries.bucketStart(time, 'day')));
+        if (days.size < 2) return null;
+
+        // Cluster the times of day, chaining times within the tolerance of each other
+        const points = times.map(time => ({ minute: Completeness.minuteOfDay(time), day: TimeSeries.bucketStart(time, 'day') }))
+            .sort((a, b) => a.minute - b.minute);
+        const clusters = [];
+        points.forEach(point => {
+            const last = clusters[clusters.length - 1];
+            if (last && point.minute - last[last.length - 1].minute <= tolerance) {
+                last.push(point);
+            } else {
+                clusters.push([point]);
+            }
+        });
+
+        const slots = clusters
+            .filter(cluster => new Set(cluster.map(point => point.day)).size >= days.size * Completeness.SLOT_SHARE)
+            .map(cluster => Math.round(Statistics.median(cluster.map(point => point.minute))));
+        const onSchedule = points.filter(point => slots.some(slot => Math.abs(point.minute - slot) <= tolerance)).length;
+        if (slots.length === 0 || onSchedule < points.length * Completeness.SCHEDULED_SHARE) return null;
+
+        return { type: 'schedule', slots, tolerance };
+    }
+
+    /**
+     * Samples the plan expects between two times
+     * @param {Object} plan - Sampling plan
+     * @param {number} first - First sample time
+     * @param {number} last - Last sample time
+     * @returns {Array} { start, capacity, samples: 0, valid: [] } in time order, where start is
+     *     the planned time (schedules) or the period start (counts per period)
+     */
+    static expectedSamples(plan, first, last) {
+        const units = [];
+        if (plan.type === 'schedule') {
+            const tolerance = plan.tolerance * 60000;
+            for (let day = TimeSeries.bucketStart(first, 'day'); day <= last; day = TimeSeries.nextBucket(day, 'day')) {
+                plan.slots.forEach(slot => {
+                    const time = Completeness.slotTime(day, slot);
+                    if (time >= first - tolerance && time <= last + tolerance) {
+                        units.push({ start: time, capacity: 1, samples: 0, valid: [] });
+                    }
+                });
+            }
+            return units;
+        }
+
+        for (let start = TimeSeries.bucketStart(first, plan.bucket); start <= last; start = TimeSeries.nextBucket(start, plan.bucket)) {
+            units.push({ start, capacity: plan.count, samples: 0, valid: [] });
+        }
+        return units;
+    }
+
+    /**
+     * Expect fewer samples in the partly covered first and last periods of a
+     * count-per-period plan, so sampling that starts mid-day isn't short
+     * @param {Object} plan - Sampling plan
+     * @param {Array} units - Expected samples from expectedSamples() with their samples counted (modified)
+     * @param {Array} times - Distinct sample times, sorted
+     */
+    static prorateEnds(plan, units, times) {
+        if (plan.type !== 'bucket' || units.length === 0) return;
+
+        const first = times[0];
+        const last = times[times.length - 1];
+        [units[0], units[units.length - 1]].forEach(unit => {
+            const end = TimeSeries.nextBucket(unit.start, plan.bucket);
+            const covered = (Math.min(end, last + 1) - Math.max(unit.start, first)) / (end - unit.start);
+            const expected = Math.ceil(plan.count * Math.min(1, covered));
+            unit.capacity = Math.min(plan.count, Math.max(expected, unit.samples, 1));
+        });
+    }
+
+    /**
+     * The planned time (or period) a sample belongs to
+     * @param {Object} plan - Sampling plan
+     * @param {number} time - Sample time
+     * @returns {number|null} Start of the expected sample it fills, or null when off schedule
+     */
+    static plannedTime(plan, time) {
+        if (plan.type === 'bucket') return TimeSeries.bucketStart(time, plan.bucket);
+
+        const minute = Completeness.minuteOfDay(time);
+        const slot = plan.slots.find(candidate => Math.abs(minute - candidate) <= plan.tolerance);
+        return slot === undefined ? null : Completeness.slotTime(TimeSeries.bucketStart(time, 'day'), slot);
+    }
+
+    /**
+     * Longest stretches without samples, beyond the plan's own longest spacing
+     * @param {Object} plan - Sampling plan
+     * @param {Array} times - Distinct sample times, sorted
+     * @param {Array} units - Expected samples with their samples counted
+     * @returns {Array} { from, to, duration, missing } longest first, at most MAX_GAPS
+     */
+    static gaps(plan, times, units) {
+        const allowed = Completeness.longestSpacing(plan);
+        const gaps = [];
+        for (let i = 1; i < times.length; i++) {
+            const duration = times[i] - times[i - 1];
+            if (duration > allowed) gaps.push({ from: times[i - 1], to: times[i], duration, missing: 0 });
+        }
+
+        const longest = gaps.sort((a, b) => b.duration - a.duration).slice(0, Completeness.MAX_GAPS);
+        longest.forEach(gap => {
+            gap.missing = units
+                .filter(unit => unit.samples === 0 && unit.start > gap.from && unit.start < gap.to)
+                .reduce((sum, unit) => sum + unit.capacity, 0);
+        });
+        return longest;
+    }
+
+    /**
+     * Longest spacing between samples that still keeps to a plan
+     * @param {Object} plan - Sampling plan
+     * @returns {number} Milliseconds
+     */
+    static longestSpacing(plan) {
+        if (plan.type === 'bucket') {
+            return Completeness.BUCKET_MS[plan.bucket] / plan.count * Completeness.GAP_FACTOR;
+        }
+        // Includes the wrap from the last slot of a day to the first of the next
+        const spacings = plan.slots.map((slot, index) =>
+            (index === 0 ? slot + 1440 - plan.slots[plan.slots.length - 1] : slot - plan.slots[index - 1]));
+        return (Math.max(...spacings) + plan.tolerance) * 60000;
+    }
+
+    /**
+     * Whether a plan expects at least one sample a day
+     * @param {Object} plan - Sampling plan
+     * @returns {boolean}
+     */
+    static isDaily(plan) {
+        return plan.type === 'schedule' || plan.bucket === 'hour' || plan.bucket === 'day';
+    }
+
+    /**
+     * Describe a plan
+     * @param {Object} plan - Sampling plan
+     * @returns {string} e.g. "3 per day at 08:00, 14:00, 20:00" or "Weekly"
+     */
+    static describePlan(plan) {
+        if (plan.type === 'schedule') {
+            const times = plan.slots.length <= Completeness.MAX_DESCRIBED_SLOTS
+                ? ` at ${plan.slots.map(Completeness.formatMinute).join(', ')}`
+                : '';
+            return `${plan.slots.length} per day${times}`;
+        }
+        return plan.count === 1 ? TimeSeries.INTERVALS[plan.bucket] : `${plan.count} per ${plan.bucket}`;
+    }
+
+    /**
+     * Time of a slot on a day, following daylight saving changes
+     * @param {number} day - Start of the day
+     * @param {number} slot - Minutes after midnight
+     * @returns {number} Epoch milliseconds
+     */
+    static slotTime(day, slot) {
+        const date = new Date(day);
+        date.setHours(0, slot, 0, 0);
+        return date.getTime();
+    }
+
+    /**
+     * Minutes after local midnight
+     * @param {number} time - Epoch milliseconds
+     * @returns {number} Minutes, with seconds as a fraction
+     */
+    static minuteOfDay(time) {
+        const date = new Date(time);
+        return date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60;
+    }
+
+    /**
+     * Write minutes after midnight as a clock time
+     * @param {number} minute - Minutes after midnight
+     * @returns {string} e.g. "08:00"
+     */
+    static formatMinute(minute) {
+        return `${String(Math.floor(minute / 60)).padStart(2, '0')}:${String(minute % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Share of the expected samples found
+     * @param {number} present - Samples found
+     * @param {number} expected - Samples expected
+     * @returns {number|null} Percentage, null when nothing was expected
+     */
+    static percent(present, expected) {
+        return expected > 0 ? (present / expected) * 100 : null;
+    }
+}
+
+// Site name used when the data has no station column
+Completeness.ALL_SITES = 'All samples';
+// Calendar periods a plan can count samples per, shortest first
+Completeness.BUCKETS = ['hour', 'day', 'week', 'month'];
+Completeness.BUCKET_MS = {
+    hour: 3600 * 1000,
+    day: 24 * 3600 * 1000,
+    week: 7 * 24 * 3600 * 1000,
+    month: 30.44 * 24 * 3600 * 1000
+};
+// Sampling closer than this is logged continuously, not scheduled at clock times
+Completeness.MIN_SCHEDULE_SPACING = 3600 * 1000;
+// Largest difference (minutes) between a scheduled time and a sample that keeps to it
+Completeness.SLOT_TOLERANCE = 30;
+// A time of day is scheduled when at least this share of days are sampled at it...
+Completeness.SLOT_SHARE = 0.5;
+// ...and the data follows a schedule when this share of samples fall on scheduled times
+Completeness.SCHEDULED_SHARE = 0.8;
+// Spacing beyond this multiple of a count-per-period plan's spacing is a gap
+Completeness.GAP_FACTOR = 1.5;
+Completeness.MAX_GAPS = 5;
+// Missing and duplicate samples listed (all are counted)
+Completeness.MAX_LISTED = 200;
+Completeness.MAX_DESCRIBED_SLOTS = 6;
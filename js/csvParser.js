@@ -5,91 +5,692 @@
 
 class CSVParser {
     constructor() {
-        this.data = [];
+        this.table = null;
         this.headers = [];
+        this.delimiter = null;
+        this.decimalSeparator = '.';
+        this.dialect = null;
+        this.diagnostics = null;
+        this.schema = null;
+        this.qualifiers = {};
+        this.substitution = Censoring.DEFAULT_SUBSTITUTION;
+        this.censoredEstimator = 'substitution';
+        this.session = null;
+        this.rowCache = null;
+    }
+
+    /**
+     * Parsed rows as objects. Materialized on first access from the column
+     * store; prefer getColumnValues() for large datasets.
+     * @returns {Array} Row objects
+     */
+    get data() {
+        if (!this.table) return [];
+        if (!this.rowCache) {
+            this.rowCache = this.table.toRows();
+        }
+        return this.rowCache;
     }
 
     /**
      * Parse CSV string into data array
      * @param {string} csvString - Raw CSV string
-     * @returns {Object} Parsed data with headers and rows
+     * @param {Object} options - Optional delimiter/commentPrefix overrides
+     * @returns {Object} Parsed data with headers and column table
      */
-    parse(csvString) {
-        const lines = csvString.trim().split('\n');
-        
-        if (lines.length === 0) {
+    parse(csvString, options = {}) {
+        if (csvString.replace(/^\uFEFF/, '').trim() === '') {
             throw new Error('CSV file is empty');
         }
 
-        // Parse headers
-        this.headers = this.parseCSVLine(lines[0]);
-        
-        if (this.headers.length === 0) {
-            throw new Error('No headers found in CSV');
-        }
+        this.begin(options);
+        this.write(csvString);
+        return this.finish();
+    }
 
-        // Parse data rows
-        this.data = [];
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (line === '') continue;
-            
-            const values = this.parseCSVLine(line);
-            if (values.length !== this.headers.length) {
-                console.warn(`Row ${i} has ${values.length} values but expected ${this.headers.length}`);
-                continue;
-            }
+    /**
+     * Start an incremental parse. Feed text with write() and call finish() at the end.
+     * @param {Object} options - Optional delimiter/commentPrefix overrides
+     */
+    begin(options = {}) {
+        this.clear();
+        this.diagnostics = this.createDiagnostics();
+        this.session = {
+            tokenizer: new CSVTokenizer(options),
+            pending: [],
+            skippedLines: 0,
+            dataRecords: 0,
+            inference: null,
+            sourceHeaders: null,
+            columns: null,
+            merge: null,
+            builders: null,
+            qualifiers: {},
+            rowCount: 0
+        };
+    }
 
-            const row = {};
-            this.headers.forEach((header, index) => {
-                const value = values[index];
-                // Try to convert to number
-                row[header] = isNaN(value) ? value : parseFloat(value);
-            });
-            this.data.push(row);
+    /**
+     * Feed the next chunk of text to an incremental parse
+     * @param {string} chunk - Piece of the file
+     */
+    write(chunk) {
+        this.session.tokenizer.push(chunk).forEach(record => this.handleRecord(record));
+    }
+
+    /**
+     * Complete an incremental parse
+     * @returns {Object} Parsed data with headers and column table
+     */
+    finish() {
+        const session = this.session;
+        session.tokenizer.end().forEach(record => this.handleRecord(record));
+
+        if (!session.builders) {
+            this.initializeTable();
         }
 
-        if (this.data.length === 0) {
+        if (session.rowCount === 0) {
+            this.session = null;
             throw new Error('No valid data rows found in CSV');
         }
 
+        const columns = {};
+        const outputHeaders = session.merge ? session.merge.headers : session.sourceHeaders;
+        outputHeaders.forEach(header => {
+            columns[header] = session.builders[header].finish();
+        });
+
+        this.headers = outputHeaders;
+        this.qualifiers = session.qualifiers;
+        this.table = new DataTable(this.headers, columns, this.schema, this.qualifiers);
+        this.table.setSubstitution(this.substitution);
+        this.dialect.lineEnding = session.tokenizer.lineEnding || '\n';
+        this.diagnostics.totalRows = session.dataRecords;
+        this.diagnostics.importedRows = session.rowCount;
+        this.session = null;
+
+        return this.getResult();
+    }
+
+    /**
+     * Parse rows another reader has already split into fields (spreadsheets,
+     * JSON, reshaped exports), with the same type inference and diagnostics as CSV
+     * @param {Array} headers - Column headers
+     * @param {Array} rows - Arrays of text fields
+     * @param {Object} [options] - Optional delimiter the fields came from, which decides
+     *     whether commas in numbers can be decimal commas (tab when omitted)
+     * @returns {Object} Parsed data with headers and column table
+     */
+    parseRecords(headers, rows, options = {}) {
+        this.begin({ delimiter: options.delimiter || '\t', commentPrefix: '' });
+        const delimiter = this.session.tokenizer.delimiter;
+        [headers, ...rows].forEach((fields, index) => this.handleRecord({
+            fields,
+            raw: fields.join(delimiter),
+            line: index + 1,
+            comment: false,
+            unterminated: false,
+            blank: fields.every(field => field === '')
+        }));
+        return this.finish();
+    }
+
+    /**
+     * Load a result produced elsewhere (e.g. by the import worker)
+     * @param {Object} result - { headers, columns, schema, diagnostics, dialect, qualifiers }
+     * @returns {Object} Parsed data with headers and column table
+     */
+    load(result) {
+        this.clear();
+        this.headers = result.headers;
+        this.schema = result.schema;
+        this.diagnostics = result.diagnostics;
+        this.dialect = result.dialect;
+        this.delimiter = result.dialect ? result.dialect.delimiter : null;
+        this.decimalSeparator = result.dialect ? result.dialect.decimalSeparator : '.';
+        this.qualifiers = result.qualifiers || {};
+        this.table = new DataTable(result.headers, result.columns, result.schema, this.qualifiers);
+        this.table.setSubstitution(this.substitution);
+        return this.getResult();
+    }
+
+    /**
+     * Serializable form of the parsed data, with column buffers that can be transferred
+     * @returns {Object} { headers, columns, schema, diagnostics, dialect, qualifiers } where
+     *     qualifiers maps a column to the rows of its qualified values ({ rows, flags })
+     */
+    export() {
         return {
             headers: this.headers,
-            data: this.data
+            columns: this.table.columns,
+            schema: this.schema,
+            diagnostics: this.diagnostics,
+            dialect: this.dialect,
+            qualifiers: this.qualifiers
         };
     }
 
     /**
-     * Parse a single CSV line, handling quoted values
-     * @param {string} line - CSV line
-     * @returns {Array} Array of values
+     * Remove all parsed data
      */
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let insideQuotes = false;
-
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            const nextChar = line[i + 1];
-
-            if (char === '"') {
-                if (insideQuotes && nextChar === '"') {
-                    current += '"';
-                    i++;
+    clear() {
+        this.table = null;
+        this.headers = [];
+        this.schema = null;
+        this.diagnostics = null;
+        this.dialect = null;
+        this.qualifiers = {};
+        this.rowCache = null;
+    }
+
+    /**
+     * Summary of the current parse result
+     * @returns {Object} Parsed data with headers and column table
+     */
+    getResult() {
+        return {
+            headers: this.headers,
+            table: this.table,
+            rowCount: this.table.rowCount,
+            diagnostics: this.diagnostics,
+            schema: this.schema,
+            dialect: this.dialect
+        };
+    }
+
+    /**
+     * Route a tokenized record: collect a sample until the header and column
+     * types are known, then convert rows straight into the column store
+     * @param {Object} record - Tokenized record
+     */
+    handleRecord(record) {
+        const session = this.session;
+
+        if (record.comment || record.blank) {
+            if (!session.builders) session.skippedLines++;
+            return;
+        }
+
+        if (session.builders) {
+            this.addRecord(record);
+            return;
+        }
+
+        session.pending.push(record);
+        if (session.pending.length >= CSVParser.SAMPLE_ROWS) {
+            this.initializeTable();
+        }
+    }
+
+    /**
+     * Use the sampled records to find the header, infer the schema and set up
+     * column storage, then convert the sampled rows
+     */
+    initializeTable() {
+        const session = this.session;
+        const tokenizer = session.tokenizer;
+        const sample = session.pending;
+        session.pending = [];
+
+        this.delimiter = tokenizer.delimiter;
+        this.decimalSeparator = this.detectDecimalSeparator(sample);
+
+        const headerIndex = this.findHeaderIndex(sample);
+        if (headerIndex === -1) {
+            this.session = null;
+            throw new Error('No headers found in CSV');
+        }
+
+        // Parse headers
+        session.sourceHeaders = this.normalizeHeaders(sample[headerIndex]);
+        this.dialect = {
+            delimiter: this.delimiter,
+            decimalSeparator: this.decimalSeparator,
+            hasBOM: tokenizer.hasBOM,
+            lineEnding: tokenizer.lineEnding || '\n',
+            skippedLines: session.skippedLines + headerIndex
+        };
+
+        // Infer column types from the sampled rows
+        const width = session.sourceHeaders.length;
+        const sampleRows = sample.slice(headerIndex + 1)
+            .filter(record => record.fields.length === width)
+            .map(record => {
+                const row = {};
+                session.sourceHeaders.forEach((header, index) => {
+                    row[header] = record.fields[index];
+                });
+                return row;
+            });
+
+        session.inference = new SchemaInference({ decimalSeparator: this.decimalSeparator });
+        const schema = session.inference.infer(session.sourceHeaders, sampleRows);
+        session.columns = schema.columns;
+        session.merge = session.inference.planDateTimeMerge(schema, session.sourceHeaders);
+        this.schema = session.merge ? session.merge.schema : schema;
+
+        // Counted while converting every row, not just the sample
+        session.columns.concat(this.schema.columns).forEach(column => {
+            column.missing = 0;
+            column.invalid = 0;
+            column.censored = 0;
+        });
+
+        session.builders = {};
+        this.schema.columns.forEach(column => {
+            session.builders[column.name] = DataTable.createColumnBuilder(column.type);
+        });
+
+        sample.slice(headerIndex + 1).forEach(record => this.addRecord(record));
+    }
+
+    /**
+     * Convert one data record into the column store. Values that don't fit
+     * their column's type become missing and are reported. Numbers qualified
+     * against a detection limit keep the limit as their value and are flagged.
+     * @param {Object} record - Tokenized record
+     */
+    addRecord(record) {
+        const session = this.session;
+        const values = record.fields;
+        session.dataRecords++;
+
+        if (record.unterminated) {
+            this.addIssue(CSVParser.ISSUES.UNTERMINATED_QUOTE, 'warning', record,
+                'Quoted field is never closed; the rest of the file was read as one value');
+        }
+
+        if (values.length !== session.sourceHeaders.length) {
+            this.addIssue(CSVParser.ISSUES.COLUMN_COUNT, 'error', record,
+                `Row has ${values.length} values but expected ${session.sourceHeaders.length}; row dropped`);
+            return;
+        }
+
+        const inference = session.inference;
+        const merge = session.merge;
+        let date = null;
+        let time = null;
+
+        session.columns.forEach((column, index) => {
+            const raw = values[index];
+            let value = inference.convert(raw, column);
+
+            const numeric = column.type === 'number' || column.type === 'integer';
+            const censored = numeric && value === null ? inference.parseCensored(raw) : null;
+            if (censored) {
+                // "ND" gives no limit, so it stays missing but flagged
+                value = Number.isNaN(censored.value) ? null : censored.value;
+                this.addQualifier(column, censored.flag);
+            }
+
+            if (value === null) {
+                if (censored || inference.isMissing(raw)) {
+                    column.missing++;
                 } else {
-                    insideQuotes = !insideQuotes;
+                    const reason = column.type === 'number' || column.type === 'integer'
+                        ? CSVParser.ISSUES.INVALID_NUMBER
+                        : CSVParser.ISSUES.INVALID_DATE;
+                    this.addIssue(reason, 'warning', record,
+                        `"${raw}" in ${column.name} is not a valid ${column.type}; treated as missing`, column.name);
+                    column.invalid++;
                 }
-            } else if (char === ',' && !insideQuotes) {
-                result.push(current.trim());
-                current = '';
+            }
+
+            if (merge && column.name === merge.dateColumn) {
+                date = value;
+            } else if (merge && column.name === merge.timeColumn) {
+                time = value;
             } else {
-                current += char;
+                session.builders[column.name].push(DataTable.toStorage(value, DataTable.isTypedStorage(column.type)));
             }
+        });
+
+        if (merge) {
+            const timestamp = inference.combineDateAndTime(date, time);
+            if (timestamp === null) {
+                this.getColumnSchema(merge.name).missing++;
+            }
+            session.builders[merge.name].push(DataTable.toStorage(timestamp, true));
+        }
+
+        session.rowCount++;
+    }
+
+    /**
+     * Flag the value being added to a column as qualified
+     * @param {Object} column - Column schema
+     * @param {string} flag - Qualifier flag (see Censoring.FLAGS)
+     */
+    addQualifier(column, flag) {
+        const session = this.session;
+        if (!session.qualifiers[column.name]) {
+            session.qualifiers[column.name] = { rows: [], flags: [] };
+        }
+        session.qualifiers[column.name].rows.push(session.rowCount);
+        session.qualifiers[column.name].flags.push(flag);
+        if (Censoring.isCensored(flag)) column.censored++;
+    }
+
+    /**
+     * Create an empty diagnostics report
+     * @returns {Object} Diagnostics with issues list and per-reason counts
+     */
+    createDiagnostics() {
+        return {
+            issues: [],
+            counts: {},
+            errors: 0,
+            warnings: 0,
+            totalRows: 0,
+            importedRows: 0
+        };
+    }
+
+    /**
+     * Record an import problem
+     * @param {string} reason - One of CSVParser.ISSUES
+     * @param {string} severity - 'error' (data lost) or 'warning' (data kept)
+     * @param {Object} record - Tokenized record the issue refers to
+     * @param {string} message - Human readable explanation
+     * @param {string} [column] - Column involved, if any
+     */
+    addIssue(reason, severity, record, message, column) {
+        const diagnostics = this.diagnostics;
+
+        // Keep counting past the cap so a badly broken file can't exhaust memory
+        if (diagnostics.issues.length < CSVParser.MAX_ISSUES) {
+            diagnostics.issues.push({
+                row: record.line,
+                raw: record.raw,
+                reason,
+                severity,
+                message,
+                column: column || null
+            });
         }
+        diagnostics.counts[reason] = (diagnostics.counts[reason] || 0) + 1;
+        if (severity === 'error') {
+            diagnostics.errors++;
+        } else {
+            diagnostics.warnings++;
+        }
+    }
 
-        result.push(current.trim());
-        return result;
+    /**
+     * Give empty headers a placeholder name and make duplicates unique
+     * @param {Object} record - Header record
+     * @returns {Array} Usable column names
+     */
+    normalizeHeaders(record) {
+        const seen = {};
+
+        return record.fields.map((field, index) => {
+            let header = field;
+
+            if (header === '') {
+                header = `Column ${index + 1}`;
+                this.addIssue(CSVParser.ISSUES.EMPTY_HEADER, 'warning', record,
+                    `Column ${index + 1} has no header; named "${header}"`, header);
+            }
+
+            if (seen[header]) {
+                let suffix = seen[header] + 1;
+                while (seen[`${header}_${suffix}`]) suffix++;
+                const renamed = `${header}_${suffix}`;
+                seen[header] = suffix;
+                this.addIssue(CSVParser.ISSUES.DUPLICATE_HEADER, 'warning', record,
+                    `Header "${header}" appears more than once; renamed to "${renamed}"`, renamed);
+                header = renamed;
+            }
+
+            seen[header] = seen[header] || 1;
+            return header;
+        });
+    }
+
+    /**
+     * Get the inferred column schema
+     * @returns {Object|null} Schema with columns ({ name, type, missing }) and timeColumn
+     */
+    getSchema() {
+        return this.schema;
+    }
+
+    /**
+     * Get the schema entry for a column
+     * @param {string} columnName - Column name
+     * @returns {Object|null} Column schema
+     */
+    getColumnSchema(columnName) {
+        if (!this.schema) return null;
+        return this.schema.columns.find(column => column.name === columnName) || null;
+    }
+
+    /**
+     * Get the parameter a column measures: as mapped on import, or suggested
+     * from the header when the column was never mapped
+     * @param {string} columnName - Column name
+     * @returns {string|null} Parameter id
+     */
+    getParameter(columnName) {
+        const column = this.getColumnSchema(columnName);
+        if (!column) return null;
+        return column.parameter !== undefined ? column.parameter : ParameterCatalog.identify(columnName);
+    }
+
+    /**
+     * Get the unit a column's values are in
+     * @param {string} columnName - Column name
+     * @returns {string} Unit ('' when unitless or unknown)
+     */
+    getUnit(columnName) {
+        const column = this.getColumnSchema(columnName);
+        if (!column) return '';
+        if (column.unit !== undefined) return column.unit;
+
+        const parameter = this.getParameter(columnName);
+        return parameter ? ParameterCatalog.suggestUnit(columnName, parameter) : '';
+    }
+
+    /**
+     * Get a column's name with its unit, for axis titles and tables
+     * @param {string} columnName - Column name
+     * @returns {string} e.g. "Temp_F (°C)"; the name alone when it already states the unit
+     */
+    getColumnLabel(columnName) {
+        const unit = this.getUnit(columnName);
+        if (!unit || String(columnName).toLowerCase().includes(unit.toLowerCase())) return columnName;
+        return `${columnName} (${unit})`;
+    }
+
+    /**
+     * Find the numeric column that measures a parameter, preferring one in the
+     * parameter's standard unit
+     * @param {string} parameterId - Parameter id
+     * @returns {string|undefined} Column name
+     */
+    findParameterColumn(parameterId) {
+        const columns = this.getNumericColumns().filter(column => this.getParameter(column) === parameterId);
+        const { unit } = ParameterCatalog.get(parameterId) || {};
+        return columns.find(column => this.getUnit(column) === unit) || columns[0];
+    }
+
+    /**
+     * Get the column holding sample timestamps, if any
+     * @returns {string|null} Column name
+     */
+    getTimeColumn() {
+        return this.schema ? this.schema.timeColumn : null;
+    }
+
+    /**
+     * Get the first and last timestamp in the data
+     * @returns {Object} { first, last } as Dates, or nulls without a time column
+     */
+    getTimeRange() {
+        const timeColumn = this.getTimeColumn();
+        if (!this.table || !timeColumn) return { first: null, last: null };
+
+        const times = this.table.getColumn(timeColumn);
+        return Statistics.timeRange(times, times);
+    }
+
+    /**
+     * Get a column as a time series, optionally resampled to calendar intervals
+     * @param {string} columnName - Numeric column
+     * @param {Object} [options] - { interval: 'hour'|'day'|'week'|'month', aggregation,
+     *     indices } where indices limits the series to those rows
+     * @returns {Object} { times (epoch ms), values } sorted by time
+     */
+    getTimeSeries(columnName, options = {}) {
+        const timeColumn = this.getTimeColumn();
+        if (!this.table || !timeColumn) {
+            throw new Error('No date/time column found');
+        }
+
+        let times = this.table.getColumn(timeColumn);
+        let values = this.table.getColumn(columnName);
+
+        if (options.indices) {
+            times = options.indices.map(index => times[index]);
+            values = options.indices.map(index => values[index]);
+        }
+
+        if (options.interval) {
+            return TimeSeries.resample(times, values, options.interval, options.aggregation || 'mean');
+        }
+
+        const points = TimeSeries.sortedPoints(times, values);
+        return {
+            times: points.map(point => point[0]),
+            values: points.map(point => point[1])
+        };
+    }
+
+    /**
+     * Columns suitable for grouping: text or boolean columns with only a
+     * few distinct values (sites, stations, campaigns)
+     * @returns {Array} Column names
+     */
+    getGroupableColumns() {
+        if (!this.table) return [];
+
+        return this.headers.filter(header => {
+            const column = this.getColumnSchema(header);
+            if (!column || !['string', 'boolean'].includes(column.type)) return false;
+
+            const distinct = new Set();
+            const storage = this.table.getRawColumn(header);
+            for (let i = 0; i < storage.length && distinct.size <= CSVParser.MAX_GROUPS; i++) {
+                distinct.add(storage[i]);
+            }
+            return distinct.size > 1 && distinct.size <= CSVParser.MAX_GROUPS;
+        });
+    }
+
+    /**
+     * Group label for every row
+     * @param {string} groupBy - Column name, or CSVParser.GROUP_BY_MONTH to group by calendar month
+     * @returns {Array} One label per row ('(blank)' for missing values, null for
+     *     rows hidden by the active filters)
+     */
+    getGroupLabels(groupBy) {
+        if (!this.table) return [];
+
+        let labels;
+        if (groupBy === CSVParser.GROUP_BY_MONTH) {
+            const timeColumn = this.getTimeColumn();
+            if (!timeColumn) throw new Error('Grouping by month needs a date/time column');
+
+            labels = Array.from(this.table.getRawColumn(timeColumn), time => {
+                if (Number.isNaN(time)) return '(blank)';
+                const date = new Date(time);
+                return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+            });
+        } else {
+            labels = Array.from(this.table.getRawColumn(groupBy), CSVParser.groupLabel);
+        }
+
+        return labels.map((label, index) => (this.table.isRowVisible(index) ? label : null));
+    }
+
+    /**
+     * Row indices for each group, in order of first appearance (months sorted).
+     * Rows hidden by the active filters are left out.
+     * @param {string} groupBy - Column name or CSVParser.GROUP_BY_MONTH
+     * @returns {Map} Group label → array of row indices
+     */
+    getGroupIndices(groupBy) {
+        const groups = new Map();
+        this.getGroupLabels(groupBy).forEach((label, index) => {
+            if (label === null) return;
+            if (!groups.has(label)) groups.set(label, []);
+            groups.get(label).push(index);
+        });
+
+        if (groupBy === CSVParser.GROUP_BY_MONTH) {
+            return new Map([...groups.entries()].sort((a, b) => a[0].localeCompare(b[0])));
+        }
+        return groups;
+    }
+
+    /**
+     * Locate the header row, skipping any preamble written by loggers
+     * (station name, serial number, export date) before the table starts
+     * @param {Array} records - Non-comment, non-blank records
+     * @returns {number} Index of the header record, or -1
+     */
+    findHeaderIndex(records) {
+        if (records.length === 0) return -1;
+
+        // The table width is the most common field count among the first records
+        const frequency = {};
+        records.slice(0, 50).forEach(record => {
+            const width = record.fields.length;
+            frequency[width] = (frequency[width] || 0) + 1;
+        });
+        const width = Number(Object.entries(frequency)
+            .sort((a, b) => b[1] - a[1] || Number(b[0]) - Number(a[0]))[0][0]);
+
+        return records.findIndex(record =>
+            record.fields.length === width && record.fields.some(field => field !== '')
+        );
+    }
+
+    /**
+     * Decide whether numbers use a decimal comma (e.g. `7,2`). Only possible
+     * when the comma is not the field delimiter.
+     * @param {Array} records - Tokenized records
+     * @returns {string} '.' or ','
+     */
+    detectDecimalSeparator(records) {
+        if (this.delimiter === ',') return '.';
+
+        let commaNumbers = 0;
+        let dotNumbers = 0;
+        records.slice(0, 200).forEach(record => {
+            if (record.comment) return;
+            record.fields.forEach(field => {
+                if (/^[-+]?\d*,\d+$/.test(field)) commaNumbers++;
+                else if (/^[-+]?\d*\.\d+$/.test(field)) dotNumbers++;
+            });
+        });
+
+        return commaNumbers > dotNumbers ? ',' : '.';
+    }
+
+    /**
+     * Parse a single CSV line, handling quoted values
+     * @param {string} line - CSV line
+     * @returns {Array} Array of values
+     */
+    parseCSVLine(line) {
+        const records = CSVTokenizer.tokenizeAll(line, {
+            delimiter: this.delimiter || ',',
+            commentPrefix: ''
+        });
+        return records.length > 0 ? records[0].fields : [];
     }
 
     /**
@@ -97,13 +698,31 @@ class CSVParser {
      * @returns {Array} Array of numeric column names
      */
     getNumericColumns() {
-        if (this.data.length === 0) return [];
+        if (!this.table) return [];
 
         return this.headers.filter(header => {
-            return this.data.some(row => typeof row[header] === 'number');
+            const column = this.getColumnSchema(header);
+            return column && (column.type === 'number' || column.type === 'integer');
         });
     }
 
+    /**
+     * Get the number of imported rows
+     * @returns {number} Row count
+     */
+    getRowCount() {
+        return this.table ? this.table.rowCount : 0;
+    }
+
+    /**
+     * Get a column's values without materializing rows
+     * @param {string} columnName - Column name
+     * @returns {Array} Numbers, Dates, strings or null for missing values
+     */
+    getColumnValues(columnName) {
+        return this.table ? this.table.getColumnValues(columnName) : [];
+    }
+
     /**
      * Get all columns
      * @returns {Array} Array of all column names
@@ -115,54 +734,227 @@ class CSVParser {
     /**
      * Calculate statistics for a column
      * @param {string} columnName - Column name
-     * @returns {Object} Statistics object
+     * @returns {Object} Statistics object (see Statistics.describe) with missing
+     *     (blank cells), nonNumeric (unparseable cells), rejected (excluded) and censored
+     *     (below or above a limit) counts, over the rows that pass the active filters.
+     *     With a censored-data estimator set, the mean, standard deviation and quantiles
+     *     are Kaplan-Meier or ROS estimates (estimator says which). With a time column it also has the
+     *     Mann-Kendall kendallTau and trendPValue and the Sen's slope per year (senSlope),
+     *     null when there are too few readings
      */
     getColumnStats(columnName) {
-        const values = this.data
-            .map(row => row[columnName])
-            .filter(val => typeof val === 'number');
+        if (!this.table) return null;
+
+        const timeColumn = this.getTimeColumn();
+        const stats = Statistics.describe(
+            this.table.getColumn(columnName),
+            timeColumn ? this.table.getColumn(timeColumn) : null
+        );
+        if (!stats) return null;
 
-        if (values.length === 0) {
-            return null;
+        // Import counts cover the whole file, so they can't be split by filter
+        const hidden = this.table.rowCount - this.table.countVisibleRows();
+        const column = this.getColumnSchema(columnName);
+        stats.nonNumeric = hidden > 0 ? null : (column ? column.invalid || 0 : 0);
+        stats.rejected = this.countExcluded(columnName);
+        stats.missing -= hidden + (stats.nonNumeric || 0) + stats.rejected;
+
+        const censored = this.table.getCensoredValues(columnName);
+        stats.censored = censored.count;
+        // Censored results left out by the substitution aren't blank cells
+        if (this.substitution === 'exclude') stats.missing -= censored.reported;
+        stats.estimator = null;
+        if (this.censoredEstimator !== 'substitution' && censored.censored.includes(true)) {
+            const estimate = Censoring.estimate(this.censoredEstimator, censored.values, censored.censored);
+            if (estimate) {
+                Object.assign(stats, estimate);
+                stats.iqr = estimate.q1 !== null && estimate.q3 !== null ? estimate.q3 - estimate.q1 : null;
+                stats.cv = estimate.stdev !== null && estimate.mean !== 0 ? estimate.stdev / Math.abs(estimate.mean) : null;
+                stats.skewness = null;
+                stats.estimator = this.censoredEstimator;
+            }
         }
 
-        const sorted = [...values].sort((a, b) => a - b);
-        const sum = values.reduce((a, b) => a + b, 0);
-        const mean = sum / values.length;
+        stats.kendallTau = null;
+        stats.trendPValue = null;
+        stats.senSlope = null;
+        if (timeColumn) {
+            const { test, sen } = TrendAnalysis.summarize(
+                this.table.getColumn(timeColumn),
+                this.table.getColumn(columnName)
+            );
+            if (test) {
+                stats.kendallTau = test.tau;
+                stats.trendPValue = test.pValue;
+            }
+            if (sen) stats.senSlope = sen.slope * TrendAnalysis.YEAR_MS;
+        }
+        return stats;
+    }
 
-        return {
-            count: values.length,
-            min: sorted[0],
-            max: sorted[sorted.length - 1],
-            mean: mean.toFixed(2),
-            median: sorted[Math.floor(sorted.length / 2)].toFixed(2),
-            stdev: this.calculateStdev(values, mean).toFixed(2)
-        };
+    /**
+     * Exclude values of a column from statistics and charts
+     * @param {string} columnName - Column name
+     * @param {Iterable} rows - Row indices to exclude (replaces any earlier exclusion)
+     */
+    setExcluded(columnName, rows) {
+        if (!this.table) return;
+        this.table.setExcluded(columnName, rows);
+        this.rowCache = null;
+    }
+
+    /**
+     * Choose how values below the detection limit are plotted and summarized
+     * @param {string} method - Key of Censoring.SUBSTITUTIONS
+     */
+    setSubstitution(method) {
+        this.substitution = method;
+        this.rowCache = null;
+        if (this.table) this.table.setSubstitution(method);
+    }
+
+    /**
+     * Choose how getColumnStats() summarizes columns with values below the detection limit
+     * @param {string} method - Key of Censoring.ESTIMATORS
+     */
+    setCensoredEstimator(method) {
+        this.censoredEstimator = method;
+    }
+
+    /**
+     * Rows of a column's qualified values
+     * @param {string} columnName - Column name
+     * @returns {Object|null} { rows, flags } (see Censoring.FLAGS), or null when there are none
+     */
+    getQualifiers(columnName) {
+        return this.qualifiers[columnName] || null;
+    }
+
+    /**
+     * Whether any column has values below or above a limit
+     * @returns {boolean} True when substitution makes a difference
+     */
+    hasCensoredValues() {
+        return Object.values(this.qualifiers).some(({ flags }) => flags.some(Censoring.isCensored));
+    }
+
+    /**
+     * Number of excluded values that were present before exclusion, in rows
+     * that pass the active filters
+     * @param {string} columnName - Column name
+     * @returns {number} Count
+     */
+    countExcluded(columnName) {
+        const raw = this.table.getRawColumn(columnName);
+        let count = 0;
+        this.table.getExcluded(columnName).forEach(row => {
+            if (!this.table.isRowVisible(row)) return;
+            const value = raw[row];
+            if (value !== null && !(typeof value === 'number' && Number.isNaN(value))) count++;
+        });
+        return count;
     }
 
     /**
-     * Calculate standard deviation
+     * Calculate sample standard deviation
      * @param {Array} values - Array of numbers
      * @param {number} mean - Mean value
      * @returns {number} Standard deviation
      */
     calculateStdev(values, mean) {
-        const squaredDiffs = values.map(val => Math.pow(val - mean, 2));
-        const variance = squaredDiffs.reduce((a, b) => a + b, 0) / values.length;
-        return Math.sqrt(variance);
+        return Statistics.stdev(values, mean);
     }
 
     /**
      * Filter data by column value range
      * @param {string} columnName - Column name
-     * @param {number} min - Minimum value
-     * @param {number} max - Maximum value
+     * @param {number|null} min - Minimum value (null for no lower bound)
+     * @param {number|null} max - Maximum value (null for no upper bound)
      * @returns {Array} Filtered data
      */
     filterByRange(columnName, min, max) {
-        return this.data.filter(row => {
-            const value = row[columnName];
-            return typeof value === 'number' && value >= min && value <= max;
+        return this.getRowsInRange(columnName, min, max).map(index => this.table.getRow(index));
+    }
+
+    /**
+     * Rows whose value in a column lies within a range (inclusive). Dates
+     * compare as epoch milliseconds. Looks at every row, ignoring active filters.
+     * @param {string} columnName - Numeric or date column
+     * @param {number|null} min - Minimum value (null for no lower bound)
+     * @param {number|null} max - Maximum value (null for no upper bound)
+     * @returns {Array} Row indices
+     */
+    getRowsInRange(columnName, min, max) {
+        if (!this.table) return [];
+
+        const column = this.table.getRawColumn(columnName);
+        const rows = [];
+        for (let i = 0; i < this.table.rowCount; i++) {
+            const value = column[i];
+            if (typeof value === 'number' && !Number.isNaN(value) &&
+                (min === null || value >= min) && (max === null || value <= max)) {
+                rows.push(i);
+            }
+        }
+        return rows;
+    }
+
+    /**
+     * Distinct values of a text column, as labels ('(blank)' for missing)
+     * @param {string} columnName - Column name
+     * @returns {Array} Sorted labels
+     */
+    getDistinctValues(columnName) {
+        if (!this.table) return [];
+
+        const distinct = new Set();
+        this.table.getRawColumn(columnName).forEach(value => {
+            distinct.add(CSVParser.groupLabel(value));
         });
+        return [...distinct].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    }
+
+    /**
+     * Hide the rows that don't match the active filters from statistics and charts
+     * @param {Uint8Array|null} visible - 1 for each row to keep, or null to show every row
+     */
+    setRowFilter(visible) {
+        if (!this.table) return;
+        this.table.setRowFilter(visible);
+        this.rowCache = null;
+    }
+
+    /**
+     * Number of rows that pass the active filters
+     * @returns {number} Row count
+     */
+    getVisibleRowCount() {
+        return this.table ? this.table.countVisibleRows() : 0;
     }
-}
\ No newline at end of file
+
+    /**
+     * Label used for a text value when grouping or filtering
+     * @param {*} value - Raw value
+     * @returns {string} Label ('(blank)' for missing values)
+     */
+    static groupLabel(value) {
+        return value === null || value === undefined || value === '' ? '(blank)' : String(value);
+    }
+}
+
+CSVParser.ISSUES = {
+    COLUMN_COUNT: 'column-count',
+    INVALID_NUMBER: 'invalid-number',
+    INVALID_DATE: 'invalid-date',
+    DUPLICATE_HEADER: 'duplicate-header',
+    EMPTY_HEADER: 'empty-header',
+    UNTERMINATED_QUOTE: 'unterminated-quote'
+};
+
+// Records collected before the header and column types are decided
+CSVParser.SAMPLE_ROWS = 1000;
+CSVParser.MAX_ISSUES = 10000;
+
+// Group-by options
+CSVParser.GROUP_BY_MONTH = '__month';
+CSVParser.MAX_GROUPS = 30;
@@ -0,0 +1,256 @@
+/**
+ * Streaming CSV Tokenizer
+ * Splits delimited text into records following RFC 4180 quoting rules
+ */
+
+class CSVTokenizer {
+    /**
+     * @param {Object} options - Tokenizer options
+     * @param {string} [options.delimiter] - Field delimiter (sniffed from the first chunk if omitted)
+     * @param {string} [options.commentPrefix='#'] - Lines starting with this prefix are comments
+     */
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || null;
+        this.commentPrefix = options.commentPrefix === undefined ? '#' : options.commentPrefix;
+        this.buffer = '';
+        this.lineNumber = 1;
+        this.started = false;
+        this.hasBOM = false;
+        this.lineEnding = null;
+    }
+
+    /**
+     * Guess the field delimiter from a sample of the file
+     * @param {string} sample - First few kilobytes of the file
+     * @returns {string} One of `,` `;` `\t` `|`
+     */
+    static sniffDelimiter(sample) {
+        const lines = sample
+            .split(/\r\n|\n|\r/)
+            .slice(0, -1)
+            .filter(line => line.trim() !== '' && !line.trim().startsWith('#'))
+            .slice(0, CSVTokenizer.SNIFF_LINES);
+
+        if (lines.length === 0) {
+            const firstLine = sample.split(/\r\n|\n|\r/)[0];
+            lines.push(firstLine);
+        }
+
+        let best = { delimiter: ',', consistency: 0, fields: 0 };
+
+        CSVTokenizer.DELIMITERS.forEach(delimiter => {
+            const counts = lines.map(line => CSVTokenizer.countDelimiters(line, delimiter));
+            const frequency = {};
+            counts.forEach(count => {
+                frequency[count] = (frequency[count] || 0) + 1;
+            });
+
+            // The most common non-zero count is the likely number of separators per row
+            const [mode, occurrences] = Object.entries(frequency)
+                .filter(([count]) => Number(count) > 0)
+                .sort((a, b) => b[1] - a[1] || Number(b[0]) - Number(a[0]))[0] || [0, 0];
+
+            const consistency = occurrences / lines.length;
+            const fields = Number(mode);
+
+            if (fields > 0 && (consistency > best.consistency ||
+                (consistency === best.consistency && fields > best.fields))) {
+                best = { delimiter, consistency, fields };
+            }
+        });
+
+        return best.delimiter;
+    }
+
+    /**
+     * Count delimiters outside quoted sections of a line
+     * @param {string} line - Single line of text
+     * @param {string} delimiter - Delimiter character
+     * @returns {number} Number of delimiters found
+     */
+    static countDelimiters(line, delimiter) {
+        let count = 0;
+        let insideQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (char === '"') {
+                insideQuotes = !insideQuotes;
+            } else if (char === delimiter && !insideQuotes) {
+                count++;
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Feed a chunk of text to the tokenizer
+     * @param {string} chunk - Next piece of the file
+     * @returns {Array} Records completed by this chunk
+     */
+    push(chunk) {
+        if (!this.started) {
+            if (chunk.charCodeAt(0) === 0xFEFF) {
+                chunk = chunk.slice(1);
+                this.hasBOM = true;
+            }
+            this.started = true;
+        }
+
+        this.buffer += chunk;
+
+        if (!this.delimiter) {
+            // Wait for a reasonable sample so comments and preamble lines don't skew sniffing
+            const lineBreaks = (this.buffer.slice(0, CSVTokenizer.SNIFF_LENGTH).match(/\n|\r(?!\n)/g) || []).length;
+            if (lineBreaks < CSVTokenizer.SNIFF_LINES && this.buffer.length < CSVTokenizer.SNIFF_LENGTH) {
+                return [];
+            }
+            this.delimiter = CSVTokenizer.sniffDelimiter(this.buffer.slice(0, CSVTokenizer.SNIFF_LENGTH));
+        }
+
+        return this.tokenize(false);
+    }
+
+    /**
+     * Signal the end of input and flush the final record
+     * @returns {Array} Remaining records
+     */
+    end() {
+        if (!this.delimiter) {
+            this.delimiter = CSVTokenizer.sniffDelimiter(this.buffer + '\n');
+        }
+        return this.tokenize(true);
+    }
+
+    /**
+     * Tokenize a complete string in one call
+     * @param {string} text - Full CSV text
+     * @param {Object} options - Tokenizer options
+     * @returns {Array} All records
+     */
+    static tokenizeAll(text, options = {}) {
+        const tokenizer = new CSVTokenizer(options);
+        return tokenizer.push(text).concat(tokenizer.end());
+    }
+
+    /**
+     * Split the buffered text into records, keeping any incomplete trailing record
+     * @param {boolean} final - Whether no more input will arrive
+     * @returns {Array} Completed records
+     */
+    tokenize(final) {
+        const buffer = this.buffer;
+        const delimiter = this.delimiter;
+        const length = buffer.length;
+        const records = [];
+
+        let recordStart = 0;
+        let fields = [];
+        let fieldStart = 0;
+        let quoted = null;
+        let insideQuotes = false;
+        let extraLines = 0;
+        let i = 0;
+
+        const finishField = end => {
+            if (quoted !== null) {
+                fields.push(quoted);
+            } else {
+                fields.push(buffer.slice(fieldStart, end).trim());
+            }
+            quoted = null;
+        };
+
+        const finishRecord = (end, next) => {
+            finishField(end);
+            const raw = buffer.slice(recordStart, end);
+            const isComment = this.commentPrefix !== '' &&
+                fields.length >= 1 && raw.trimStart().startsWith(this.commentPrefix);
+
+            records.push({
+                fields,
+                raw,
+                line: this.lineNumber,
+                comment: isComment,
+                unterminated: insideQuotes,
+                blank: fields.length === 1 && fields[0] === '' && raw.trim() === ''
+            });
+
+            this.lineNumber += 1 + extraLines;
+            extraLines = 0;
+            fields = [];
+            recordStart = next;
+            fieldStart = next;
+        };
+
+        while (i < length) {
+            const char = buffer[i];
+
+            if (insideQuotes) {
+                if (char === '"') {
+                    if (i + 1 >= length && !final) break;
+                    if (buffer[i + 1] === '"') {
+                        quoted += '"';
+                        i += 2;
+                    } else {
+                        insideQuotes = false;
+                        i++;
+                    }
+                } else if (char === '\r') {
+                    if (i + 1 >= length && !final) break;
+                    quoted += '\n';
+                    extraLines++;
+                    i += buffer[i + 1] === '\n' ? 2 : 1;
+                } else {
+                    if (char === '\n') extraLines++;
+                    quoted += char;
+                    i++;
+                }
+                continue;
+            }
+
+            if (char === '"' && quoted === null && buffer.slice(fieldStart, i).trim() === '') {
+                insideQuotes = true;
+                quoted = '';
+                i++;
+            } else if (char === delimiter) {
+                finishField(i);
+                i++;
+                fieldStart = i;
+            } else if (char === '\n') {
+                if (!this.lineEnding) this.lineEnding = '\n';
+                finishRecord(i, i + 1);
+                i++;
+            } else if (char === '\r') {
+                if (i + 1 >= length && !final) break;
+                const next = buffer[i + 1] === '\n' ? i + 2 : i + 1;
+                if (!this.lineEnding) this.lineEnding = next === i + 2 ? '\r\n' : '\r';
+                finishRecord(i, next);
+                i = next;
+            } else {
+                if (quoted !== null && char.trim() !== '') {
+                    // Stray text after a closing quote: keep it rather than lose data
+                    quoted += char;
+                }
+                i++;
+            }
+        }
+
+        if (final) {
+            if (recordStart < length) {
+                finishRecord(length, length);
+            }
+            this.buffer = '';
+        } else {
+            // Reparse the incomplete record once more input arrives
+            this.buffer = buffer.slice(recordStart);
+        }
+
+        return records;
+    }
+}
+
+CSVTokenizer.DELIMITERS = [',', ';', '\t', '|'];
+CSVTokenizer.SNIFF_LINES = 20;
+CSVTokenizer.SNIFF_LENGTH = 65536;
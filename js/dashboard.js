@@ -0,0 +1,257 @@
+/**
+ * Dashboard
+ * Manages a grid of chart panels, each with its own Visualizer and chart
+ * settings: adding, removing, reordering and resizing them, linking their
+ * x-axes and remembering the layout
+ */
+
+class Dashboard {
+    /**
+     * @param {string} containerId - Element the panels are placed in
+     * @param {Object} [options] - Dashboard options
+     * @param {Storage} [options.storage] - Where the layout is persisted (defaults to localStorage)
+     * @param {ChartTheme} [options.theme] - Colors and fonts the panels draw with
+     */
+    constructor(containerId, options = {}) {
+        this.container = document.getElementById(containerId);
+        this.storage = options.storage !== undefined ? options.storage : ThresholdEngine.defaultStorage();
+        this.theme = options.theme || new ChartTheme({ storage: this.storage });
+        this.panels = [];
+        this.linkX = false;
+        this.nextId = 1;
+        this.syncing = false;
+        // Called with (panel, { range, rows }) when points are selected on a panel
+        this.onSelect = null;
+        this.restore();
+    }
+
+    /**
+     * Add a panel
+     * @param {Object} settings - Chart settings ({ chartType, xAxis, yAxis, groupBy, ... })
+     * @param {Object} [size] - { width, height } as keys of Dashboard.WIDTHS and Dashboard.HEIGHTS
+     * @returns {Object} Panel ({ id, settings, width, height, element, chart, axes })
+     */
+    add(settings, size = {}) {
+        const element = document.createElement('div');
+        element.className = 'dashboard-panel';
+        element.dataset.id = this.nextId;
+        element.innerHTML = '<div class="panel-header"></div><div class="panel-chart"></div>';
+        this.container.appendChild(element);
+
+        const panel = {
+            id: this.nextId++,
+            settings: { ...settings },
+            width: Dashboard.WIDTHS[size.width] ? size.width : 'half',
+            height: Dashboard.HEIGHTS[size.height] ? size.height : 'medium',
+            element,
+            chart: new Visualizer(element.querySelector('.panel-chart'), { theme: this.theme }),
+            // Columns on the drawn chart's axes ({ x, y, rows }), set by whoever draws it
+            axes: null
+        };
+        panel.chart.onSelect = selection => {
+            if (this.onSelect) this.onSelect(panel, selection);
+        };
+        panel.chart.onZoom = range => this.syncZoom(panel, range);
+
+        this.panels.push(panel);
+        this.applySize(panel);
+        this.persist();
+        return panel;
+    }
+
+    /**
+     * Get a panel
+     * @param {number} id - Panel id
+     * @returns {Object|undefined} Panel
+     */
+    get(id) {
+        return this.panels.find(panel => panel.id === Number(id));
+    }
+
+    /**
+     * Change a panel's chart settings
+     * @param {number} id - Panel id
+     * @param {Object} settings - Settings to change
+     */
+    update(id, settings) {
+        const panel = this.get(id);
+        if (!panel) return;
+        panel.settings = { ...panel.settings, ...settings };
+        this.persist();
+    }
+
+    /**
+     * Remove a panel
+     * @param {number} id - Panel id
+     */
+    remove(id) {
+        const panel = this.get(id);
+        if (!panel) return;
+        panel.chart.clear();
+        panel.element.remove();
+        this.panels = this.panels.filter(other => other !== panel);
+        this.persist();
+    }
+
+    /**
+     * Move a panel earlier or later in the grid
+     * @param {number} id - Panel id
+     * @param {number} offset - Positions to move (negative moves it earlier)
+     */
+    move(id, offset) {
+        const panel = this.get(id);
+        const index = this.panels.indexOf(panel);
+        const target = Math.min(Math.max(index + offset, 0), this.panels.length - 1);
+        if (!panel || target === index) return;
+
+        this.panels.splice(index, 1);
+        this.panels.splice(target, 0, panel);
+        this.reorderElements();
+        this.persist();
+    }
+
+    /**
+     * Move a panel to where another one is (used for drag and drop)
+     * @param {number} id - Panel being moved
+     * @param {number} targetId - Panel whose place it takes
+     */
+    moveTo(id, targetId) {
+        const target = this.get(targetId);
+        if (target) this.move(id, this.panels.indexOf(target) - this.panels.indexOf(this.get(id)));
+    }
+
+    /**
+     * Resize a panel
+     * @param {number} id - Panel id
+     * @param {Object} size - { width, height } as keys of Dashboard.WIDTHS and Dashboard.HEIGHTS
+     */
+    resize(id, size) {
+        const panel = this.get(id);
+        if (!panel) return;
+        if (Dashboard.WIDTHS[size.width]) panel.width = size.width;
+        if (Dashboard.HEIGHTS[size.height]) panel.height = size.height;
+        this.applySize(panel);
+        panel.chart.resize();
+        this.persist();
+    }
+
+    /**
+     * Zoom linked panels together
+     * @param {boolean} linked - Whether zooming one panel's x-axis zooms the others
+     */
+    setLinkX(linked) {
+        this.linkX = linked;
+        this.persist();
+    }
+
+    /**
+     * Apply one panel's x zoom to the other panels plotting the same x column
+     * @param {Object} source - Panel that was zoomed
+     * @param {Array|null} range - [from, to], or null when reset
+     */
+    syncZoom(source, range) {
+        // Relayouts of the other panels report zooms too; don't echo them back
+        if (!this.linkX || this.syncing || !source.axes || !source.axes.x) return;
+
+        const targets = this.panels.filter(panel =>
+            panel !== source && panel.axes && panel.axes.x === source.axes.x);
+        if (targets.length === 0) return;
+
+        this.syncing = true;
+        Promise.all(targets.map(panel => panel.chart.setXRange(range)))
+            .catch(() => {})
+            .then(() => {
+                this.syncing = false;
+            });
+    }
+
+    /**
+     * Remove every panel
+     */
+    clear() {
+        this.panels.forEach(panel => {
+            panel.chart.clear();
+            panel.element.remove();
+        });
+        this.panels = [];
+        this.persist();
+    }
+
+    /**
+     * The layout, for saving
+     * @returns {Object} { linkX, panels: [{ settings, width, height }] }
+     */
+    toJSON() {
+        return {
+            linkX: this.linkX,
+            panels: this.panels.map(({ settings, width, height }) => ({ settings, width, height }))
+        };
+    }
+
+    /**
+     * Replace the panels with a saved layout
+     * @param {Object} layout - From toJSON()
+     */
+    load(layout) {
+        this.clear();
+        this.linkX = Boolean(layout && layout.linkX);
+        ((layout && layout.panels) || []).forEach(({ settings, width, height }) => {
+            this.add(settings, { width, height });
+        });
+        this.persist();
+    }
+
+    /**
+     * Put the panel elements in the order of this.panels
+     */
+    reorderElements() {
+        this.panels.forEach(panel => this.container.appendChild(panel.element));
+    }
+
+    /**
+     * Reflect a panel's size in its element
+     * @param {Object} panel - Panel
+     */
+    applySize(panel) {
+        panel.element.classList.toggle('full-width', panel.width === 'full');
+        panel.element.querySelector('.panel-chart').style.height = `${Dashboard.HEIGHTS[panel.height].pixels}px`;
+    }
+
+    /**
+     * Persist the layout
+     */
+    persist() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(Dashboard.STORAGE_KEY, JSON.stringify(this.toJSON()));
+        } catch (error) {
+            // Storage full or blocked: the layout still applies for this session
+        }
+    }
+
+    /**
+     * Recreate the persisted layout
+     */
+    restore() {
+        if (!this.storage) return;
+
+        let saved = null;
+        try {
+            saved = JSON.parse(this.storage.getItem(Dashboard.STORAGE_KEY));
+        } catch (error) {
+            saved = null;
+        }
+        if (saved) this.load(saved);
+    }
+}
+
+Dashboard.STORAGE_KEY = 'wqv.dashboard';
+Dashboard.WIDTHS = {
+    half: 'Half width',
+    full: 'Full width'
+};
+Dashboard.HEIGHTS = {
+    small: { label: 'Short', pixels: 280 },
+    medium: { label: 'Medium', pixels: 400 },
+    large: { label: 'Tall', pixels: 560 }
+};
@@ -0,0 +1,157 @@
+/**
+ * Data Filter
+ * Stacks row conditions (value ranges, categories, complete values and chart
+ * selections) and hides the rows that fail any of them
+ */
+
+class DataFilter {
+    constructor() {
+        this.conditions = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Add a condition. A range, category or completeness condition replaces an
+     * earlier one of the same type on the same column; chart selections stack.
+     * @param {Object} condition - { type, column, min, max, values, rows } (see DataFilter.TYPES)
+     * @returns {Object} The stored condition, with its id
+     */
+    add(condition) {
+        if (!DataFilter.TYPES[condition.type]) {
+            throw new Error(`Unknown filter type: ${condition.type}`);
+        }
+
+        const stored = { ...condition, id: this.nextId++ };
+        const index = condition.type === 'selection'
+            ? -1
+            : this.conditions.findIndex(existing =>
+                existing.type === condition.type && existing.column === condition.column);
+        if (index >= 0) {
+            this.conditions[index] = stored;
+        } else {
+            this.conditions.push(stored);
+        }
+        return stored;
+    }
+
+    /**
+     * Remove a condition
+     * @param {number} id - Condition id
+     */
+    remove(id) {
+        this.conditions = this.conditions.filter(condition => condition.id !== id);
+    }
+
+    /**
+     * Remove every condition
+     */
+    clear() {
+        this.conditions = [];
+    }
+
+    /**
+     * Get the active conditions
+     * @returns {Array} Conditions in the order they were added
+     */
+    getConditions() {
+        return this.conditions;
+    }
+
+    /**
+     * Drop conditions that no longer fit the loaded data: those on columns that
+     * are gone, and chart selections, whose row numbers have changed
+     * @param {CSVParser} parser - Parser with the newly loaded data
+     */
+    prune(parser) {
+        const columns = parser.getAllColumns();
+        this.conditions = this.conditions.filter(condition =>
+            condition.type !== 'selection' && (!condition.column || columns.includes(condition.column)));
+    }
+
+    /**
+     * Hide the rows that fail any condition
+     * @param {CSVParser} parser - Parser with loaded data
+     * @returns {number} Number of rows shown
+     */
+    apply(parser) {
+        if (!parser.table) return 0;
+        if (this.conditions.length === 0) {
+            parser.setRowFilter(null);
+            return parser.getRowCount();
+        }
+
+        parser.setRowFilter(DataFilter.visibility(parser, this.conditions));
+        return parser.getVisibleRowCount();
+    }
+
+    /**
+     * Which rows pass every one of a set of conditions
+     * @param {CSVParser} parser - Parser with loaded data
+     * @param {Array} conditions - Conditions
+     * @returns {Uint8Array} 1 for each row that passes
+     */
+    static visibility(parser, conditions) {
+        const rowCount = parser.getRowCount();
+        const visible = new Uint8Array(rowCount).fill(1);
+        conditions.forEach(condition => {
+            const matched = new Uint8Array(rowCount);
+            DataFilter.matchingRows(parser, condition).forEach(row => {
+                matched[row] = 1;
+            });
+            for (let i = 0; i < rowCount; i++) {
+                visible[i] &= matched[i];
+            }
+        });
+        return visible;
+    }
+
+    /**
+     * Rows that satisfy one condition, judged on the values as imported
+     * (other filters don't affect it)
+     * @param {CSVParser} parser - Parser with loaded data
+     * @param {Object} condition - Condition
+     * @returns {Array} Row indices
+     */
+    static matchingRows(parser, condition) {
+        const table = parser.table;
+        const rows = [];
+
+        switch (condition.type) {
+            case 'range':
+                return parser.getRowsInRange(condition.column, condition.min, condition.max);
+            case 'category': {
+                const values = new Set(condition.values);
+                const column = table.getRawColumn(condition.column);
+                for (let i = 0; i < table.rowCount; i++) {
+                    if (values.has(CSVParser.groupLabel(column[i]))) rows.push(i);
+                }
+                return rows;
+            }
+            case 'complete': {
+                // Blank, unparseable and rejected readings all count as missing
+                const columns = (condition.column ? [condition.column] : parser.getNumericColumns())
+                    .map(name => ({ values: table.getRawColumn(name), excluded: table.getExcluded(name) }));
+                for (let i = 0; i < table.rowCount; i++) {
+                    if (columns.every(({ values, excluded }) => Number.isFinite(values[i]) && !excluded.has(i))) {
+                        rows.push(i);
+                    }
+                }
+                return rows;
+            }
+            case 'selection':
+                return condition.rows;
+            default:
+                return rows;
+        }
+    }
+}
+
+// range: { column, min, max } with null for an open bound (dates as epoch ms);
+// category: { column, values } as group labels; complete: { column } or every
+// numeric column when column is null; selection: { rows } picked on a chart
+DataFilter.TYPES = {
+    range: 'Range',
+    category: 'Category',
+    complete: 'Has a value',
+    selection: 'Chart selection'
+};
@@ -0,0 +1,353 @@
+/**
+ * Column-oriented Data Table
+ * Stores imported data column by column so large files don't need an object per row
+ */
+
+class DataTable {
+    /**
+     * @param {Array} headers - Column names in display order
+     * @param {Object} columns - Column name → storage (Float64Array or Array)
+     * @param {Object} schema - Column schema from SchemaInference
+     * @param {Object} [qualifiers] - Column name → { rows, flags } of values qualified against a
+     *     detection limit; censored values are stored as the limit (see Censoring)
+     */
+    constructor(headers, columns, schema, qualifiers = {}) {
+        this.headers = headers;
+        this.columns = columns;
+        this.schema = schema;
+        this.qualifiers = qualifiers;
+        this.rowCount = headers.length > 0 ? columns[headers[0]].length : 0;
+        this.excluded = {};
+        this.rowFilter = null;
+        this.substitution = Censoring.DEFAULT_SUBSTITUTION;
+        this.maskedColumns = {};
+        this.qualifierIndex = {};
+    }
+
+    /**
+     * Whether a column type is stored as a Float64Array (NaN = missing).
+     * Dates and datetimes are stored as epoch milliseconds.
+     * @param {string} type - Schema column type
+     * @returns {boolean} True for typed-array storage
+     */
+    static isTypedStorage(type) {
+        return DataTable.TYPED_TYPES.includes(type);
+    }
+
+    /**
+     * Create an empty growable column for a schema type
+     * @param {string} type - Schema column type
+     * @returns {Object} Column builder with push() and finish()
+     */
+    static createColumnBuilder(type) {
+        if (!DataTable.isTypedStorage(type)) {
+            const values = [];
+            return {
+                push: value => values.push(value),
+                finish: () => values
+            };
+        }
+
+        let values = new Float64Array(1024);
+        let length = 0;
+        return {
+            push: value => {
+                if (length === values.length) {
+                    const grown = new Float64Array(values.length * 2);
+                    grown.set(values);
+                    values = grown;
+                }
+                values[length++] = value;
+            },
+            finish: () => values.slice(0, length)
+        };
+    }
+
+    /**
+     * Build a table from row objects (e.g. small or programmatically created data)
+     * @param {Array} headers - Column names
+     * @param {Array} rows - Row objects keyed by header
+     * @param {Object} schema - Column schema
+     * @returns {DataTable} New table
+     */
+    static fromRows(headers, rows, schema) {
+        const columns = {};
+        headers.forEach(header => {
+            const column = schema.columns.find(entry => entry.name === header);
+            const builder = DataTable.createColumnBuilder(column ? column.type : 'string');
+            const typed = column && DataTable.isTypedStorage(column.type);
+            rows.forEach(row => builder.push(DataTable.toStorage(row[header], typed)));
+            columns[header] = builder.finish();
+        });
+        return new DataTable(headers, columns, schema);
+    }
+
+    /**
+     * Convert a JS value to its storage representation
+     * @param {*} value - Number, Date, string or null
+     * @param {boolean} typed - Whether the column uses typed storage
+     * @returns {*} Stored value
+     */
+    static toStorage(value, typed) {
+        if (!typed) return value === undefined ? null : value;
+        if (value instanceof Date) return value.getTime();
+        return typeof value === 'number' ? value : NaN;
+    }
+
+    /**
+     * Get the schema entry for a column
+     * @param {string} name - Column name
+     * @returns {Object|null} Column schema
+     */
+    getColumnSchema(name) {
+        return this.schema.columns.find(column => column.name === name) || null;
+    }
+
+    /**
+     * Get the storage for a column, with censored values substituted and
+     * excluded values and filtered-out rows blanked out
+     * @param {string} name - Column name
+     * @returns {Float64Array|Array} Column storage (do not modify)
+     */
+    getColumn(name) {
+        const excluded = this.excluded[name];
+        const hasExcluded = excluded && excluded.size > 0;
+        const qualifiers = this.qualifiers[name];
+        if (!hasExcluded && !this.rowFilter && !qualifiers) return this.columns[name];
+        if (!this.columns[name]) return undefined;
+
+        if (!this.maskedColumns[name]) {
+            const masked = this.columns[name].slice();
+            const blank = masked instanceof Float64Array ? NaN : null;
+            if (qualifiers) {
+                qualifiers.rows.forEach((row, i) => {
+                    masked[row] = Censoring.substitute(masked[row], qualifiers.flags[i], this.substitution);
+                });
+            }
+            if (hasExcluded) {
+                excluded.forEach(row => {
+                    masked[row] = blank;
+                });
+            }
+            if (this.rowFilter) {
+                for (let i = 0; i < masked.length; i++) {
+                    if (!this.rowFilter[i]) masked[i] = blank;
+                }
+            }
+            this.maskedColumns[name] = masked;
+        }
+        return this.maskedColumns[name];
+    }
+
+    /**
+     * Get the storage for a column including excluded values and filtered-out
+     * rows, with censored values as their limits
+     * @param {string} name - Column name
+     * @returns {Float64Array|Array} Column storage
+     */
+    getRawColumn(name) {
+        return this.columns[name];
+    }
+
+    /**
+     * Choose the number that stands in for values below the detection limit
+     * @param {string} method - Key of Censoring.SUBSTITUTIONS
+     */
+    setSubstitution(method) {
+        this.substitution = method;
+        this.maskedColumns = {};
+    }
+
+    /**
+     * Qualifier flag of a value
+     * @param {string} name - Column name
+     * @param {number} row - Row index
+     * @returns {string|null} '<', '>', 'J' or 'E', or null when unqualified
+     */
+    getQualifier(name, row) {
+        const qualifiers = this.qualifiers[name];
+        if (!qualifiers) return null;
+
+        if (!this.qualifierIndex[name]) {
+            this.qualifierIndex[name] = new Map(qualifiers.rows.map((index, i) => [index, qualifiers.flags[i]]));
+        }
+        return this.qualifierIndex[name].get(row) || null;
+    }
+
+    /**
+     * A column's values as reported, with which are detection limits, for
+     * estimating statistics of censored data. Covers the rows that pass the
+     * active filters, without excluded values. Values above a range count as
+     * detected at the limit.
+     * @param {string} name - Column name
+     * @returns {Object} { values, censored, count, reported } where censored is true where the
+     *     value is a detection limit, count is the number of values below or above a limit
+     *     (including non-detects without one) and reported the number of those with a limit
+     */
+    getCensoredValues(name) {
+        const storage = this.columns[name];
+        const excluded = this.getExcluded(name);
+        const result = { values: [], censored: [], count: 0, reported: 0 };
+        if (!(storage instanceof Float64Array)) return result;
+
+        for (let i = 0; i < storage.length; i++) {
+            if (!this.isRowVisible(i) || excluded.has(i)) continue;
+            const flag = this.getQualifier(name, i);
+            const present = Number.isFinite(storage[i]);
+            if (Censoring.isCensored(flag)) {
+                result.count++;
+                if (present) result.reported++;
+            }
+            if (!present) continue;
+            result.values.push(storage[i]);
+            result.censored.push(flag === '<');
+        }
+        return result;
+    }
+
+    /**
+     * Exclude values from a column, e.g. readings rejected during QA review.
+     * Excluded values read as missing everywhere except getRawColumn().
+     * @param {string} name - Column name
+     * @param {Iterable} rows - Row indices to exclude (replaces any earlier exclusion)
+     */
+    setExcluded(name, rows) {
+        this.excluded[name] = new Set(rows);
+        delete this.maskedColumns[name];
+    }
+
+    /**
+     * Get the excluded rows of a column
+     * @param {string} name - Column name
+     * @returns {Set} Row indices
+     */
+    getExcluded(name) {
+        return this.excluded[name] || new Set();
+    }
+
+    /**
+     * Hide the rows that don't match the active filters. Hidden rows read as
+     * missing in every column except getRawColumn().
+     * @param {Uint8Array|null} visible - 1 for each row to keep, or null to show every row
+     */
+    setRowFilter(visible) {
+        this.rowFilter = visible;
+        this.maskedColumns = {};
+    }
+
+    /**
+     * Whether a row passes the active filters
+     * @param {number} index - Row index
+     * @returns {boolean} True when shown
+     */
+    isRowVisible(index) {
+        return !this.rowFilter || this.rowFilter[index] === 1;
+    }
+
+    /**
+     * Indices of the rows that pass the active filters
+     * @returns {Array} Row indices in order
+     */
+    getVisibleRows() {
+        const rows = [];
+        for (let i = 0; i < this.rowCount; i++) {
+            if (this.isRowVisible(i)) rows.push(i);
+        }
+        return rows;
+    }
+
+    /**
+     * Number of rows that pass the active filters
+     * @returns {number} Row count
+     */
+    countVisibleRows() {
+        if (!this.rowFilter) return this.rowCount;
+        let count = 0;
+        for (let i = 0; i < this.rowCount; i++) {
+            count += this.rowFilter[i];
+        }
+        return count;
+    }
+
+    /**
+     * Get column values as plain JS values: numbers, Dates, strings, or null when missing
+     * @param {string} name - Column name
+     * @returns {Array} Values in row order
+     */
+    getColumnValues(name) {
+        const storage = this.getColumn(name);
+        if (!storage) return [];
+
+        const column = this.getColumnSchema(name);
+        const isDate = column && (column.type === 'date' || column.type === 'datetime');
+
+        if (!(storage instanceof Float64Array)) {
+            return storage.slice();
+        }
+
+        const values = new Array(storage.length);
+        for (let i = 0; i < storage.length; i++) {
+            const value = storage[i];
+            if (Number.isNaN(value)) {
+                values[i] = null;
+            } else {
+                values[i] = isDate ? new Date(value) : value;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Get the non-missing numeric values of a column
+     * @param {string} name - Column name
+     * @returns {Array} Finite numbers in row order
+     */
+    getNumericValues(name) {
+        const storage = this.getColumn(name);
+        const values = [];
+        if (!storage) return values;
+
+        for (let i = 0; i < storage.length; i++) {
+            const value = storage[i];
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                values.push(value);
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Materialize one row as an object
+     * @param {number} index - Row index
+     * @returns {Object} Row keyed by header
+     */
+    getRow(index) {
+        const row = {};
+        this.headers.forEach(header => {
+            const storage = this.getColumn(header);
+            const value = storage[index];
+            if (storage instanceof Float64Array) {
+                const column = this.getColumnSchema(header);
+                const isDate = column && (column.type === 'date' || column.type === 'datetime');
+                row[header] = Number.isNaN(value) ? null : (isDate ? new Date(value) : value);
+            } else {
+                row[header] = value;
+            }
+        });
+        return row;
+    }
+
+    /**
+     * Materialize every row as an object. Avoid on large tables.
+     * @returns {Array} Row objects
+     */
+    toRows() {
+        const rows = new Array(this.rowCount);
+        for (let i = 0; i < this.rowCount; i++) {
+            rows[i] = this.getRow(i);
+        }
+        return rows;
+    }
+}
+
+DataTable.TYPED_TYPES = ['number', 'integer', 'date', 'datetime'];
@@ -0,0 +1,344 @@
+/**
+ * Dataset Manager
+ * Keeps several imported files as named datasets and combines the active
+ * ones into a single table with a Dataset column for side-by-side comparison
+ */
+
+class DatasetManager {
+    constructor() {
+        this.datasets = [];
+    }
+
+    /**
+     * Add an imported dataset
+     * @param {string} name - Display name (made unique if already taken)
+     * @param {Object} result - Parser export ({ headers, columns, schema, diagnostics, dialect })
+     * @param {string} [fileName] - Source file name
+     * @param {Object} [mapping] - Column mapping to apply (see ColumnMapping)
+     * @returns {Object} The stored dataset
+     */
+    add(name, result, fileName = null, mapping = null) {
+        const dataset = {
+            name: this.uniqueName(name),
+            fileName,
+            active: true,
+            source: result,
+            mapping: null,
+            result
+        };
+        this.datasets.push(dataset);
+        if (mapping) this.setMapping(dataset.name, mapping);
+        return dataset;
+    }
+
+    /**
+     * Assign parameters and units to a dataset's columns, converting from the
+     * file as imported so mappings can be changed without compounding conversions
+     * @param {string} name - Dataset name
+     * @param {Object} mapping - Column → { parameter, unit, target }
+     */
+    setMapping(name, mapping) {
+        const dataset = this.get(name);
+        if (!dataset) return;
+        dataset.mapping = mapping;
+        dataset.result = ColumnMapping.apply(dataset.source, mapping);
+    }
+
+    /**
+     * Remove a dataset
+     * @param {string} name - Dataset name
+     */
+    remove(name) {
+        this.datasets = this.datasets.filter(dataset => dataset.name !== name);
+    }
+
+    /**
+     * Rename a dataset
+     * @param {string} name - Current name
+     * @param {string} newName - New name (made unique if already taken)
+     * @returns {string} The name actually used
+     */
+    rename(name, newName) {
+        const dataset = this.get(name);
+        if (!dataset || !newName.trim() || newName === name) return name;
+        dataset.name = this.uniqueName(newName.trim());
+        return dataset.name;
+    }
+
+    /**
+     * Include or exclude a dataset from the combined view
+     * @param {string} name - Dataset name
+     * @param {boolean} active - Whether to include it
+     */
+    setActive(name, active) {
+        const dataset = this.get(name);
+        if (dataset) dataset.active = active;
+    }
+
+    /**
+     * Get a dataset by name
+     * @param {string} name - Dataset name
+     * @returns {Object|undefined} Dataset
+     */
+    get(name) {
+        return this.datasets.find(dataset => dataset.name === name);
+    }
+
+    /**
+     * Get the datasets included in the combined view
+     * @returns {Array} Active datasets
+     */
+    getActive() {
+        return this.datasets.filter(dataset => dataset.active);
+    }
+
+    /**
+     * Remove every dataset
+     */
+    clear() {
+        this.datasets = [];
+    }
+
+    /**
+     * Copy of the datasets as imported, for saving a session
+     * @returns {Array} { name, fileName, active, source, mapping }
+     */
+    snapshot() {
+        return this.datasets.map(({ name, fileName, active, source, mapping }) =>
+            ({ name, fileName, active, source, mapping }));
+    }
+
+    /**
+     * Replace the datasets with ones saved by snapshot(), reapplying their mappings
+     * @param {Array} saved - { name, fileName, active, source, mapping }
+     */
+    restore(saved) {
+        this.datasets = saved.map(dataset => ({
+            ...dataset,
+            result: dataset.mapping ? ColumnMapping.apply(dataset.source, dataset.mapping) : dataset.source
+        }));
+    }
+
+    /**
+     * Make a name unique among the loaded datasets
+     * @param {string} name - Requested name
+     * @returns {string} Unique name
+     */
+    uniqueName(name) {
+        let unique = name;
+        for (let suffix = 2; this.get(unique); suffix++) {
+            unique = `${name} (${suffix})`;
+        }
+        return unique;
+    }
+
+    /**
+     * Combine the active datasets into one parser-loadable result. A single
+     * dataset is returned unchanged; several get a leading Dataset column, and
+     * their time columns are aligned under the first dataset's time column name.
+     * A column takes the parameter and unit of the first dataset that has it;
+     * others are converted to that unit where no per-reading context is needed.
+     * @returns {Object|null} { headers, columns, schema, diagnostics, dialect, qualifiers }
+     */
+    combine() {
+        const active = this.getActive();
+        if (active.length === 0) return null;
+        if (active.length === 1) return active[0].result;
+
+        const timeName = active.map(dataset => dataset.result.schema.timeColumn).find(Boolean) || null;
+        const renamed = dataset => header =>
+            (timeName && header === dataset.result.schema.timeColumn ? timeName : header);
+
+        // Union of columns in first-seen order, with a type that fits every dataset
+        const headers = [];
+        const types = {};
+        const units = {};
+        active.forEach(dataset => {
+            dataset.result.schema.columns.forEach(column => {
+                const header = renamed(dataset)(column.name);
+                if (!headers.includes(header)) {
+                    headers.push(header);
+                    types[header] = column.type;
+                    if (column.parameter !== undefined) {
+                        units[header] = { parameter: column.parameter, unit: column.unit, sourceUnit: column.sourceUnit };
+                    }
+                } else {
+                    types[header] = DatasetManager.commonType(types[header], column.type);
+                }
+            });
+        });
+
+        const datasetColumn = DatasetManager.uniqueColumnName(headers, DatasetManager.DATASET_COLUMN);
+        const allHeaders = [datasetColumn].concat(headers);
+        const builders = {};
+        allHeaders.forEach(header => {
+            builders[header] = DataTable.createColumnBuilder(header === datasetColumn ? 'string' : types[header]);
+        });
+
+        const columnsMeta = {};
+        headers.forEach(header => {
+            columnsMeta[header] = { name: header, type: types[header], missing: 0, invalid: 0, censored: 0, ...units[header] };
+        });
+
+        const qualifiers = {};
+        let offset = 0;
+        active.forEach(dataset => {
+            const { result } = dataset;
+            const table = new DataTable(result.headers, result.columns, result.schema);
+            const toCombined = renamed(dataset);
+            const sourceFor = {};
+            result.headers.forEach(header => {
+                sourceFor[toCombined(header)] = header;
+            });
+
+            result.schema.columns.forEach(column => {
+                const meta = columnsMeta[toCombined(column.name)];
+                meta.missing += column.missing || 0;
+                meta.invalid += column.invalid || 0;
+                meta.censored += column.censored || 0;
+            });
+
+            // Qualifiers mean nothing once a column has become text
+            Object.entries(result.qualifiers || {}).forEach(([column, { rows, flags }]) => {
+                const header = toCombined(column);
+                if (!DataTable.isTypedStorage(types[header])) return;
+                if (!qualifiers[header]) qualifiers[header] = { rows: [], flags: [] };
+                rows.forEach((row, i) => {
+                    qualifiers[header].rows.push(offset + row);
+                    qualifiers[header].flags.push(flags[i]);
+                });
+            });
+            offset += table.rowCount;
+
+            for (let i = 0; i < table.rowCount; i++) {
+                builders[datasetColumn].push(dataset.name);
+            }
+
+            headers.forEach(header => {
+                const builder = builders[header];
+                const typed = DataTable.isTypedStorage(types[header]);
+                const source = sourceFor[header];
+
+                if (source === undefined) {
+                    columnsMeta[header].missing += table.rowCount;
+                    for (let i = 0; i < table.rowCount; i++) {
+                        builder.push(typed ? NaN : null);
+                    }
+                    return;
+                }
+
+                const storage = DatasetManager.toUnit(table.getColumn(source), table.getColumnSchema(source), units[header]);
+                const sourceTyped = storage instanceof Float64Array;
+                for (let i = 0; i < table.rowCount; i++) {
+                    const value = storage[i];
+                    if (typed || !sourceTyped) {
+                        builder.push(value);
+                    } else {
+                        // Column became text because another dataset holds text in it
+                        builder.push(Number.isNaN(value) ? null : String(value));
+                    }
+                }
+            });
+        });
+
+        const columns = {};
+        allHeaders.forEach(header => {
+            columns[header] = builders[header].finish();
+        });
+
+        return {
+            headers: allHeaders,
+            columns,
+            schema: {
+                columns: [{ name: datasetColumn, type: 'string', missing: 0, invalid: 0 }]
+                    .concat(headers.map(header => columnsMeta[header])),
+                timeColumn: timeName
+            },
+            diagnostics: DatasetManager.combineDiagnostics(active),
+            dialect: active[0].result.dialect,
+            qualifiers
+        };
+    }
+
+    /**
+     * Convert a dataset's column to the unit the combined column uses
+     * @param {Float64Array|Array} storage - Column values
+     * @param {Object|null} column - Schema column of the dataset
+     * @param {Object} [combined] - { parameter, unit } of the combined column
+     * @returns {Float64Array|Array} Values in the combined unit (unchanged when not convertible)
+     */
+    static toUnit(storage, column, combined) {
+        if (!combined || !combined.parameter || !column || column.parameter !== combined.parameter ||
+            column.unit === combined.unit || !(storage instanceof Float64Array)) {
+            return storage;
+        }
+
+        const { parameter } = combined;
+        if (!UnitConverter.canConvert(parameter, column.unit, combined.unit) ||
+            UnitConverter.needsContext(parameter, column.unit, combined.unit)) {
+            return storage;
+        }
+        return UnitConverter.convertColumn(storage, parameter, column.unit, combined.unit);
+    }
+
+    /**
+     * Merge the import reports of several datasets
+     * @param {Array} datasets - Datasets
+     * @returns {Object} Diagnostics with each issue tagged by dataset name
+     */
+    static combineDiagnostics(datasets) {
+        const combined = { issues: [], counts: {}, errors: 0, warnings: 0, totalRows: 0, importedRows: 0 };
+
+        datasets.forEach(dataset => {
+            const diagnostics = dataset.result.diagnostics;
+            if (!diagnostics) return;
+
+            diagnostics.issues.forEach(issue => {
+                combined.issues.push({ ...issue, dataset: dataset.name, message: `[${dataset.name}] ${issue.message}` });
+            });
+            Object.entries(diagnostics.counts).forEach(([reason, count]) => {
+                combined.counts[reason] = (combined.counts[reason] || 0) + count;
+            });
+            combined.errors += diagnostics.errors;
+            combined.warnings += diagnostics.warnings;
+            combined.totalRows += diagnostics.totalRows;
+            combined.importedRows += diagnostics.importedRows;
+        });
+
+        return combined;
+    }
+
+    /**
+     * Type that can hold values of both column types
+     * @param {string} a - Schema type
+     * @param {string} b - Schema type
+     * @returns {string} Common type
+     */
+    static commonType(a, b) {
+        if (a === b) return a;
+
+        const numeric = ['integer', 'number'];
+        if (numeric.includes(a) && numeric.includes(b)) return 'number';
+
+        const dates = ['date', 'datetime'];
+        if (dates.includes(a) && dates.includes(b)) return 'datetime';
+
+        return 'string';
+    }
+
+    /**
+     * Pick a column name that doesn't clash with existing headers
+     * @param {Array} headers - Existing headers
+     * @param {string} name - Preferred name
+     * @returns {string} Unique name
+     */
+    static uniqueColumnName(headers, name) {
+        let unique = name;
+        for (let suffix = 2; headers.includes(unique); suffix++) {
+            unique = `${name}_${suffix}`;
+        }
+        return unique;
+    }
+}
+
+DatasetManager.DATASET_COLUMN = 'Dataset';
@@ -0,0 +1,296 @@
+/**
+ * Derived Columns
+ * Calculated columns defined by formulas over the imported ones, including a
+ * library of water chemistry calculations. They are recomputed whenever the
+ * datasets are combined, so they follow mappings, renames and new files.
+ */
+
+class DerivedColumns {
+    constructor() {
+        this.definitions = [];
+        // Definition name → why it couldn't be calculated from the current data
+        this.problems = {};
+    }
+
+    /**
+     * Add a calculated column, checking it can be calculated from the data
+     * @param {Object} definition - { name, expression, unit, parameter }
+     * @param {Object} result - Combined datasets (before calculated columns are added)
+     * @throws {Error} When the name is taken or the formula can't be evaluated
+     */
+    add(definition, result) {
+        const name = String(definition.name || '').trim();
+        if (!name) {
+            throw new Error('Give the column a name');
+        }
+
+        const applied = this.apply(result);
+        if (applied.headers.includes(name) || this.get(name)) {
+            throw new Error(`There is already a column named "${name}"`);
+        }
+
+        const entry = {
+            name,
+            expression: String(definition.expression || '').trim(),
+            unit: String(definition.unit || '').trim(),
+            parameter: definition.parameter || null
+        };
+        // Throws with the reason when the formula is invalid
+        DerivedColumns.calculate(entry, applied);
+        this.definitions.push(entry);
+    }
+
+    /**
+     * Remove a calculated column
+     * @param {string} name - Column name
+     */
+    remove(name) {
+        this.definitions = this.definitions.filter(definition => definition.name !== name);
+        delete this.problems[name];
+    }
+
+    /**
+     * Get a calculated column's definition
+     * @param {string} name - Column name
+     * @returns {Object|undefined} Definition
+     */
+    get(name) {
+        return this.definitions.find(definition => definition.name === name);
+    }
+
+    /**
+     * Replace every definition, e.g. from a saved session
+     * @param {Array} definitions - { name, expression, unit, parameter }
+     */
+    load(definitions) {
+        this.definitions = definitions.map(definition => ({ ...definition }));
+        this.problems = {};
+    }
+
+    /**
+     * Remove every definition
+     */
+    clear() {
+        this.load([]);
+    }
+
+    /**
+     * Copy of the definitions, for saving a session
+     * @returns {Array} { name, expression, unit, parameter }
+     */
+    toJSON() {
+        return this.definitions.map(definition => ({ ...definition }));
+    }
+
+    /**
+     * Append the calculated columns to combined data. Each formula can use the
+     * columns before it; one that can't be calculated (e.g. its input column
+     * came from a dataset that was removed) is left out and noted in problems.
+     * @param {Object|null} result - Parser export ({ headers, columns, schema, ... })
+     * @returns {Object|null} New export; the original is left untouched
+     */
+    apply(result) {
+        this.problems = {};
+        if (!result || this.definitions.length === 0) return result;
+
+        let applied = result;
+        this.definitions.forEach(definition => {
+            if (applied.headers.includes(definition.name)) {
+                this.problems[definition.name] = 'an imported column has the same name';
+                return;
+            }
+            try {
+                const values = DerivedColumns.calculate(definition, applied);
+                applied = DerivedColumns.append(applied, definition, values);
+            } catch (error) {
+                this.problems[definition.name] = error.message;
+            }
+        });
+        return applied;
+    }
+
+    /**
+     * Evaluate a definition's formula for every row
+     * @param {Object} definition - { name, expression }
+     * @param {Object} result - Parser export
+     * @returns {Float64Array} Calculated values (NaN where they can't be calculated)
+     * @throws {Error} When the formula is invalid or reads a missing or non-numeric column
+     */
+    static calculate(definition, result) {
+        const formula = new Formula(definition.expression, DerivedColumns.FUNCTIONS);
+        const rowCount = result.headers.length > 0 ? result.columns[result.headers[0]].length : 0;
+
+        return formula.evaluate(name => {
+            const column = result.schema.columns.find(entry => entry.name === name);
+            if (!column) {
+                throw new Error(`No column named "${name}"`);
+            }
+            if (!ColumnMapping.NUMERIC_TYPES.includes(column.type)) {
+                throw new Error(`"${name}" is not a numeric column`);
+            }
+            return result.columns[name];
+        }, rowCount);
+    }
+
+    /**
+     * Add a calculated column to a parser export
+     * @param {Object} result - Parser export
+     * @param {Object} definition - { name, expression, unit, parameter }
+     * @param {Float64Array} values - Calculated values
+     * @returns {Object} New export
+     */
+    static append(result, definition, values) {
+        let missing = 0;
+        for (let i = 0; i < values.length; i++) {
+            if (Number.isNaN(values[i])) missing++;
+        }
+
+        return {
+            ...result,
+            headers: result.headers.concat(definition.name),
+            columns: { ...result.columns, [definition.name]: values },
+            schema: {
+                ...result.schema,
+                columns: result.schema.columns.concat({
+                    name: definition.name,
+                    type: 'number',
+                    missing,
+                    invalid: 0,
+                    parameter: definition.parameter || null,
+                    unit: definition.unit || '',
+                    sourceUnit: definition.unit || '',
+                    expression: definition.expression
+                })
+            }
+        };
+    }
+
+    /**
+     * Fill in a library formula with the columns that measure its inputs
+     * @param {string} id - Key of DerivedColumns.LIBRARY
+     * @param {Function} findColumn - Parameter id → column name, or undefined when there is none
+     * @returns {Object} { name, expression, unit, parameter }
+     * @throws {Error} When a required input has no column
+     */
+    static fromLibrary(id, findColumn) {
+        const entry = DerivedColumns.LIBRARY[id];
+        const expression = entry.expression.replace(/\{(\w+)(\?)?\}/g, (match, parameter, optional) => {
+            const column = findColumn(parameter);
+            if (column) return Formula.quote(column);
+            if (optional) return '0';
+            throw new Error(`${entry.label} needs a ${ParameterCatalog.get(parameter).label.toLowerCase()} column`);
+        });
+        return { name: entry.name, expression, unit: entry.unit, parameter: entry.parameter };
+    }
+
+    /**
+     * Practical Salinity (PSS-78) from conductivity at a temperature, at surface pressure
+     * @param {number} conductivity - Conductivity in µS/cm
+     * @param {number} [temperature=25] - Temperature the conductivity was measured at in °C
+     *     (25 for specific conductance)
+     * @returns {number} Salinity in ppt (PSU)
+     */
+    static salinity(conductivity, temperature = 25) {
+        const ratio = (conductivity / 1000) / DerivedColumns.STANDARD_SEAWATER_CONDUCTIVITY;
+        const t = temperature;
+        const rt = 0.6766097 + t * (2.00564e-2 + t * (1.104259e-4 + t * (-6.9698e-7 + t * 1.0031e-9)));
+        const root = Math.sqrt(ratio / rt);
+
+        const a = [0.0080, -0.1692, 25.3851, 14.0941, -7.0261, 2.7081];
+        const b = [0.0005, -0.0056, -0.0066, -0.0375, 0.0636, -0.0144];
+        const series = coefficients => coefficients.reduce((total, coefficient, i) => total + coefficient * Math.pow(root, i), 0);
+        return series(a) + ((t - 15) / (1 + 0.0162 * (t - 15))) * series(b);
+    }
+
+    /**
+     * Share of total ammonia present as un-ionized NH₃ (Emerson et al., 1975)
+     * @param {number} ph - pH
+     * @param {number} temperature - Water temperature in °C
+     * @returns {number} Fraction between 0 and 1
+     */
+    static unionizedAmmoniaFraction(ph, temperature) {
+        const pKa = 0.09018 + 2729.92 / (temperature + 273.15);
+        return 1 / (1 + Math.pow(10, pKa - ph));
+    }
+
+    /**
+     * Conductivity compensated to 25 °C with a linear temperature coefficient
+     * @param {number} conductivity - Conductivity at the measured temperature
+     * @param {number} temperature - Water temperature in °C
+     * @param {number} [coefficient=0.0191] - Fractional change per °C
+     * @returns {number} Specific conductance in the same unit
+     */
+    static specificConductance(conductivity, temperature, coefficient = 0.0191) {
+        return conductivity / (1 + coefficient * (temperature - 25));
+    }
+}
+
+// Conductivity of standard seawater (salinity 35) at 15 °C, in mS/cm
+DerivedColumns.STANDARD_SEAWATER_CONDUCTIVITY = 42.914;
+// The general functions plus water chemistry, which expects the standard units
+// (°C, µS/cm, mg/L, ppt) columns are converted to on import
+DerivedColumns.FUNCTIONS = {
+    ...Formula.FUNCTIONS,
+    o2_solubility: {
+        min: 1,
+        max: 2,
+        fn: (temperature, salinity = 0) => UnitConverter.oxygenSolubility(temperature, salinity)
+    },
+    do_saturation: {
+        min: 2,
+        max: 3,
+        fn: (oxygen, temperature, salinity = 0) => (oxygen / UnitConverter.oxygenSolubility(temperature, salinity)) * 100
+    },
+    do_concentration: {
+        min: 2,
+        max: 3,
+        fn: (saturation, temperature, salinity = 0) => (saturation / 100) * UnitConverter.oxygenSolubility(temperature, salinity)
+    },
+    salinity: { min: 1, max: 2, fn: DerivedColumns.salinity },
+    specific_conductance: { min: 2, max: 3, fn: DerivedColumns.specificConductance },
+    tds: { min: 1, max: 2, fn: (conductivity, factor = 0.65) => conductivity * factor },
+    nh3_fraction: { min: 2, fn: DerivedColumns.unionizedAmmoniaFraction },
+    unionized_ammonia: {
+        min: 3,
+        fn: (ammonia, ph, temperature) => ammonia * DerivedColumns.unionizedAmmoniaFraction(ph, temperature)
+    }
+};
+// Built-in formulas. {parameter} is replaced by the column measuring it;
+// {parameter?} by 0 when there is none.
+DerivedColumns.LIBRARY = {
+    doSaturation: {
+        label: 'DO % saturation',
+        name: 'DO saturation',
+        unit: '%sat',
+        parameter: 'dissolvedOxygen',
+        expression: 'do_saturation({dissolvedOxygen}, {temperature}, {salinity?})'
+    },
+    salinity: {
+        label: 'Salinity from specific conductance (PSS-78)',
+        name: 'Salinity (calculated)',
+        unit: 'ppt',
+        parameter: 'salinity',
+        expression: 'salinity({conductivity}, 25)'
+    },
+    tds: {
+        label: 'TDS estimate (0.65 × conductivity)',
+        name: 'TDS (estimated)',
+        unit: 'mg/L',
+        parameter: 'tds',
+        expression: 'tds({conductivity}, 0.65)'
+    },
+    unionizedAmmonia: {
+        label: 'Un-ionized ammonia (Emerson)',
+        name: 'Un-ionized ammonia',
+        unit: 'mg/L',
+        parameter: null,
+        expression: 'unionized_ammonia({ammonia}, {ph}, {temperature})'
+    },
+    oxygenSolubility: {
+        label: 'DO at 100% saturation',
+        name: 'DO solubility',
+        unit: 'mg/L',
+        parameter: null,
+        expression: 'o2_solubility({temperature}, {salinity?})'
+    }
+};
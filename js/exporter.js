@@ -0,0 +1,220 @@
+/**
+ * Data Exporter
+ * Writes the rows shown after filtering, column statistics and printable
+ * reports, and hands them to the browser as downloads
+ */
+
+class DataExporter {
+    /**
+     * Rows that pass the active filters as CSV. Values are as processed:
+     * converted to the mapped units, with rejected readings left blank. Qualified
+     * lab results are written as reported ("<0.5", "1.2 J") rather than substituted.
+     * @param {CSVParser} parser - Parser with loaded data
+     * @returns {string} CSV text
+     */
+    static toCSV(parser) {
+        const headers = parser.getAllColumns();
+        const lines = [headers.map(DataExporter.csvField).join(',')];
+        parser.table.getVisibleRows().forEach(index => {
+            const row = parser.table.getRow(index);
+            lines.push(headers.map(header => DataExporter.csvField(DataExporter.cellValue(parser, header, index, row[header]))).join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Rows that pass the active filters as JSON, with each column's type, parameter and unit
+     * @param {CSVParser} parser - Parser with loaded data
+     * @returns {string} JSON text ({ columns, rows })
+     */
+    static toJSON(parser) {
+        const headers = parser.getAllColumns();
+        const columns = headers.map(name => {
+            const schema = parser.getColumnSchema(name) || {};
+            return {
+                name,
+                type: schema.type || null,
+                parameter: parser.getParameter(name),
+                unit: parser.getUnit(name) || null
+            };
+        });
+        const rows = parser.table.getVisibleRows().map(index => {
+            const row = parser.table.getRow(index);
+            const values = {};
+            headers.forEach(header => {
+                values[header] = DataExporter.cellValue(parser, header, index, row[header]);
+            });
+            return values;
+        });
+        return JSON.stringify({ columns, rows }, null, 2);
+    }
+
+    /**
+     * An exported cell, keeping the qualifier of a lab result
+     * @param {CSVParser} parser - Parser with loaded data
+     * @param {string} header - Column name
+     * @param {number} index - Row index
+     * @param {*} value - Value as processed
+     * @returns {*} Plain value, or the result as reported (e.g. "<0.5") when qualified
+     */
+    static cellValue(parser, header, index, value) {
+        const flag = parser.table.getQualifier(header, index);
+        if (!flag || parser.table.getExcluded(header).has(index)) return DataExporter.plainValue(value);
+        return Censoring.format(DataExporter.plainValue(parser.table.getRawColumn(header)[index]), flag);
+    }
+
+    /**
+     * Column statistics as CSV, one row per numeric column
+     * @param {CSVParser} parser - Parser with loaded data
+     * @param {Array} fields - [key, label] pairs of getColumnStats() fields to include
+     * @returns {string} CSV text
+     */
+    static statsToCSV(parser, fields) {
+        const lines = [['Column', 'Unit', ...fields.map(([, label]) => label)].map(DataExporter.csvField).join(',')];
+        parser.getNumericColumns().forEach(column => {
+            const stats = parser.getColumnStats(column) || {};
+            const values = fields.map(([key]) => {
+                const value = stats[key];
+                return (key === 'first' || key === 'last') && value !== null && value !== undefined
+                    ? new Date(value).toISOString()
+                    : DataExporter.plainValue(value);
+            });
+            lines.push([column, parser.getUnit(column), ...values].map(DataExporter.csvField).join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * CSV of a results table
+     * @param {Array} headers - Column headings
+     * @param {Array} rows - Arrays of cell values, in heading order
+     * @returns {string} CSV text
+     */
+    static tableToCSV(headers, rows) {
+        const lines = [headers, ...rows.map(row => row.map(DataExporter.plainValue))]
+            .map(row => row.map(DataExporter.csvField).join(','));
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Standalone HTML page for printing or saving as PDF
+     * @param {Object} report - Report contents
+     * @param {string} report.title - Heading
+     * @param {Array} report.metadata - [label, value] pairs (plain text)
+     * @param {Array} report.charts - { title, image } with image as a data URL
+     * @param {string} report.tables - Statistics tables (HTML)
+     * @param {boolean} [report.print=true] - Open the print dialog once the page loads
+     * @returns {string} HTML document
+     */
+    static buildReport({ title, metadata, charts, tables, print = true }) {
+        const escape = DataExporter.escapeHtml;
+        const metadataRows = metadata.map(([label, value]) =>
+            `<tr><th scope="row">${escape(label)}</th><td>${escape(value)}</td></tr>`
+        ).join('');
+        const figures = charts.map(chart => `
+            <figure>
+                <img src="${escape(chart.image)}" alt="${escape(chart.title)}">
+                <figcaption>${escape(chart.title)}</figcaption>
+            </figure>
+        `).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escape(title)}</title>
+    <style>${DataExporter.REPORT_STYLES}</style>
+</head>
+<body>
+    <h1>${escape(title)}</h1>
+    <table class="metadata">${metadataRows}</table>
+    ${figures}
+    ${tables}
+    ${print ? '<script>window.addEventListener(\'load\', () => window.print());</script>' : ''}
+</body>
+</html>`;
+    }
+
+    /**
+     * Offer text to the user as a file download
+     * @param {string} content - File contents
+     * @param {string} fileName - Suggested file name
+     * @param {string} type - MIME type
+     */
+    static download(content, fileName, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoking straight away can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * File name built from a base name, with characters browsers reject replaced
+     * @param {string} base - Base name (e.g. the dataset's file name)
+     * @param {string} suffix - Appended before the extension (e.g. 'stats')
+     * @param {string} extension - Extension without the dot
+     * @returns {string} File name
+     */
+    static fileName(base, suffix, extension) {
+        const stem = String(base || 'water-quality')
+            .replace(/\.[^.]+$/, '')
+            .replace(/[\\/:*?"<>|]+/g, '_')
+            .trim() || 'water-quality';
+        return `${stem}${suffix ? `-${suffix}` : ''}.${extension}`;
+    }
+
+    /**
+     * Value as written to an export: dates as ISO 8601, missing as null and
+     * numbers without floating-point noise (0.2 rather than 0.20000000000000018)
+     * @param {*} value - Cell value
+     * @returns {*} Exported value
+     */
+    static plainValue(value) {
+        if (value instanceof Date) return value.toISOString();
+        if (value === undefined || (typeof value === 'number' && !Number.isFinite(value))) return null;
+        if (typeof value === 'number') return Number(value.toPrecision(15));
+        return value;
+    }
+
+    /**
+     * Quote a CSV field when it contains a delimiter, quote or line break
+     * @param {*} value - Field value (null for an empty field)
+     * @returns {string} CSV field
+     */
+    static csvField(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Escape text for HTML
+     * @param {string} text - Plain text
+     * @returns {string} HTML-safe text
+     */
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+DataExporter.REPORT_STYLES = `
+    body { font-family: 'Segoe UI', sans-serif; color: #222; margin: 2rem; }
+    h1 { font-size: 1.6rem; margin-bottom: 1rem; }
+    h4 { margin: 1.5rem 0 0.5rem; }
+    table { border-collapse: collapse; font-size: 0.8rem; margin-bottom: 1rem; }
+    th, td { border: 1px solid #ccc; padding: 0.25rem 0.5rem; text-align: right; }
+    th:first-child, .metadata td { text-align: left; }
+    figure { margin: 0 0 1.5rem; page-break-inside: avoid; }
+    figure img { max-width: 100%; }
+    figcaption { font-size: 0.85rem; color: #555; }
+    @media print { body { margin: 0; } }
+`;
@@ -0,0 +1,276 @@
+/**
+ * File Importer
+ * Streams large files through CSVParser in a Web Worker, falling back to
+ * chunked parsing on the main thread where workers are unavailable
+ * (e.g. when index.html is opened straight from disk). Other formats, and
+ * delimited files that need pivoting, are read by their ImporterRegistry entry.
+ */
+
+class FileImporter {
+    /**
+     * @param {Object} options - Importer options
+     * @param {number} [options.chunkSize] - Bytes read per chunk
+     * @param {string} [options.workerUrl] - Location of importWorker.js
+     * @param {ImporterRegistry} [options.registry] - Formats that can be imported
+     */
+    constructor(options = {}) {
+        this.chunkSize = options.chunkSize || FileImporter.CHUNK_SIZE;
+        this.workerUrl = options.workerUrl || 'js/importWorker.js';
+        this.registry = options.registry || ImporterRegistry.createDefault();
+        this.worker = null;
+        // { cancelled, reject } of the running import; each import checks its own token,
+        // so one that has been superseded can't load its data over the newer one's
+        this.current = null;
+    }
+
+    /**
+     * Import a file
+     * @param {File} file - File chosen by the user
+     * @param {CSVParser} parser - Parser that receives the result
+     * @param {Function} onProgress - Called with a fraction between 0 and 1
+     * @param {Object} [options] - Passed to the format's read function (e.g. chooseSheet)
+     * @returns {Promise<Object>} Parsed data from parser.load()
+     */
+    async import(file, parser, onProgress = () => {}, options = {}) {
+        this.cancel();
+        const token = { cancelled: false, reject: null };
+        this.current = token;
+
+        if (file.size === 0) {
+            throw new Error('File is empty');
+        }
+        const head = new TextDecoder('utf-8').decode(await file.slice(0, FileImporter.SNIFF_SIZE).arrayBuffer());
+        // A newer import may have started while the head was read
+        if (token.cancelled) {
+            throw FileImporter.cancelledError();
+        }
+        const format = this.registry.find(file.name, head);
+        if (!format) {
+            throw new Error(`${file.name} is not a supported file type (${this.registry.describe()})`);
+        }
+        // Long-format exports (one row per parameter) are read whole and pivoted, which streaming can't do
+        const longFormat = format.streams &&
+            LongFormat.detect(FormatReaders.readDelimitedHeaders(head, file.size <= FileImporter.SNIFF_SIZE));
+        if (!format.streams || longFormat) {
+            return this.importTable(file, parser, format, onProgress, options, token);
+        }
+        return this.importStream(file, parser, onProgress, token);
+    }
+
+    /**
+     * Read a whole file with its format's reader, pivot it if it is in long
+     * format and parse the fields
+     * @param {File} file - File to import
+     * @param {CSVParser} parser - Parser that receives the result
+     * @param {Object} format - Registry entry
+     * @param {Function} onProgress - Progress callback
+     * @param {Object} options - Read options
+     * @param {Object} token - Cancellation token of this import
+     * @returns {Promise<Object>} Parsed data
+     */
+    async importTable(file, parser, format, onProgress, options, token) {
+        onProgress(0);
+        // cancel() rejects straight away rather than after the whole file has been read
+        const read = await new Promise((resolve, reject) => {
+            token.reject = reject;
+            this.readTable(file, format, options).then(resolve, reject);
+        }).finally(() => {
+            token.reject = null;
+        });
+        const table = LongFormat.widen(read);
+        if (token.cancelled) {
+            throw FileImporter.cancelledError();
+        }
+
+        // Parse into a separate instance so a failed import leaves the current data intact
+        const staging = new CSVParser();
+        staging.parseRecords(table.headers, table.rows, { delimiter: read.delimiter });
+        onProgress(1);
+        return parser.load(staging.export());
+    }
+
+    /**
+     * Read a whole file with its format's reader
+     * @param {File} file - File to read
+     * @param {Object} format - Registry entry
+     * @param {Object} options - Read options
+     * @returns {Promise<Object>} { headers, rows } and whatever else the reader reports
+     */
+    async readTable(file, format, options) {
+        const buffer = await file.arrayBuffer();
+        const content = format.binary ? buffer : new TextDecoder('utf-8').decode(buffer);
+        return format.read(content, options);
+    }
+
+    /**
+     * Stream delimited text through CSVParser, in a worker when possible
+     * @param {File} file - File to import
+     * @param {CSVParser} parser - Parser that receives the result
+     * @param {Function} onProgress - Progress callback
+     * @param {Object} token - Cancellation token of this import
+     * @returns {Promise<Object>} Parsed data from parser.load()
+     */
+    importStream(file, parser, onProgress, token) {
+        return new Promise((resolveImport, rejectImport) => {
+            const resolve = value => {
+                token.reject = null;
+                resolveImport(value);
+            };
+            const reject = error => {
+                token.reject = null;
+                rejectImport(error);
+            };
+            token.reject = reject;
+
+            const fallback = () => {
+                this.worker = null;
+                this.importOnMainThread(file, parser, onProgress, token).then(resolve, reject);
+            };
+
+            let worker;
+            try {
+                worker = new Worker(this.workerUrl);
+            } catch (error) {
+                fallback();
+                return;
+            }
+
+            this.worker = worker;
+            let started = false;
+
+            worker.onmessage = event => {
+                if (token.cancelled) return;
+                const message = event.data;
+                started = true;
+
+                if (message.type === 'progress') {
+                    onProgress(message.progress);
+                } else if (message.type === 'done') {
+                    this.finishWorker(worker);
+                    resolve(parser.load(message.result));
+                } else if (message.type === 'error') {
+                    this.finishWorker(worker);
+                    reject(new Error(message.message));
+                }
+            };
+
+            worker.onerror = event => {
+                event.preventDefault();
+                this.finishWorker(worker);
+                // A worker that fails before reporting anything most likely could not load its scripts
+                if (!started && !token.cancelled) {
+                    fallback();
+                } else {
+                    reject(new Error(event.message || 'Import worker failed'));
+                }
+            };
+
+            worker.postMessage({ type: 'import', file, chunkSize: this.chunkSize });
+        });
+    }
+
+    /**
+     * Parse the file on the main thread, yielding between chunks so the page stays responsive
+     * @param {File|Blob} file - File to parse
+     * @param {CSVParser} parser - Parser that receives the result
+     * @param {Function} onProgress - Progress callback
+     * @param {Object} token - Cancellation token of this import
+     * @returns {Promise<Object>} Parsed data
+     */
+    async importOnMainThread(file, parser, onProgress, token) {
+        // Parse into a separate instance so a cancelled import leaves the current data intact
+        const staging = new CSVParser();
+        await FileImporter.streamFile(file, staging, {
+            chunkSize: this.chunkSize,
+            onProgress,
+            isCancelled: () => token.cancelled,
+            yieldControl: () => new Promise(resolve => setTimeout(resolve, 0))
+        });
+        if (token.cancelled) {
+            throw FileImporter.cancelledError();
+        }
+        return parser.load(staging.export());
+    }
+
+    /**
+     * Stop the current import. The pending promise rejects with an AbortError.
+     */
+    cancel() {
+        const token = this.current;
+        if (!token) return;
+        token.cancelled = true;
+        this.current = null;
+
+        if (this.worker) {
+            this.finishWorker(this.worker);
+        }
+
+        if (token.reject) {
+            token.reject(FileImporter.cancelledError());
+        }
+    }
+
+    /**
+     * Shut down a worker that is no longer needed
+     * @param {Worker} worker - Worker to stop
+     */
+    finishWorker(worker) {
+        worker.terminate();
+        if (this.worker === worker) {
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Error a cancelled import rejects with
+     * @returns {Error} AbortError
+     */
+    static cancelledError() {
+        const error = new Error('Import cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Read a file chunk by chunk and feed it to a parser. Shared by the worker
+     * and the main-thread fallback.
+     * @param {File|Blob} file - File to read
+     * @param {CSVParser} parser - Parser to feed
+     * @param {Object} options - { chunkSize, onProgress, isCancelled, yieldControl }
+     * @returns {Promise<Object>} Parsed data
+     */
+    static async streamFile(file, parser, options = {}) {
+        const chunkSize = options.chunkSize || FileImporter.CHUNK_SIZE;
+        const onProgress = options.onProgress || (() => {});
+        const isCancelled = options.isCancelled || (() => false);
+        const decoder = new TextDecoder('utf-8');
+
+        if (file.size === 0) {
+            throw new Error('CSV file is empty');
+        }
+
+        parser.begin();
+
+        for (let offset = 0; offset < file.size; offset += chunkSize) {
+            if (isCancelled()) {
+                throw FileImporter.cancelledError();
+            }
+
+            const buffer = await file.slice(offset, offset + chunkSize).arrayBuffer();
+            // stream: true keeps multi-byte characters split across chunks intact
+            parser.write(decoder.decode(buffer, { stream: true }));
+            onProgress(Math.min(1, (offset + chunkSize) / file.size));
+
+            if (options.yieldControl) {
+                await options.yieldControl();
+            }
+        }
+
+        parser.write(decoder.decode());
+        return parser.finish();
+    }
+}
+
+FileImporter.CHUNK_SIZE = 4 * 1024 * 1024;
+// Bytes read to recognize a format by its contents
+FileImporter.SNIFF_SIZE = 4096;
@@ -0,0 +1,336 @@
+/**
+ * Format Readers
+ * Turn the non-CSV formats water data arrives in (Excel workbooks, JSON,
+ * USGS RDB, WQX XML) into a table of text fields ({ headers, rows }) for
+ * CSVParser.parseRecords(), so every format gets the same type inference,
+ * diagnostics and column storage as CSV
+ */
+
+class FormatReaders {
+    /**
+     * Read delimited text in one go (used when a file has to be reshaped, which streaming can't do)
+     * @param {string} text - File contents
+     * @returns {Object} { headers, rows, delimiter }
+     */
+    static readDelimited(text) {
+        const tokenizer = new CSVTokenizer();
+        const records = tokenizer.push(text).concat(tokenizer.end())
+            .filter(record => !record.comment && !record.blank);
+
+        const headerIndex = new CSVParser().findHeaderIndex(records);
+        if (headerIndex === -1) {
+            throw new Error('No headers found in file');
+        }
+        return {
+            headers: records[headerIndex].fields,
+            rows: records.slice(headerIndex + 1).map(record => record.fields),
+            delimiter: tokenizer.delimiter
+        };
+    }
+
+    /**
+     * Header row of delimited text from the start of a file, to choose how to
+     * import it before reading the rest
+     * @param {string} head - First few kilobytes of the file
+     * @param {boolean} [complete] - Whether head is the whole file (else its last, partial line is ignored)
+     * @returns {Array} Header fields; empty when the header row isn't within head
+     */
+    static readDelimitedHeaders(head, complete = false) {
+        const tokenizer = new CSVTokenizer();
+        const records = tokenizer.push(head).concat(complete ? tokenizer.end() : [])
+            .filter(record => !record.comment && !record.blank);
+
+        const headerIndex = new CSVParser().findHeaderIndex(records);
+        return headerIndex === -1 ? [] : records[headerIndex].fields;
+    }
+
+    /**
+     * Read one sheet of an Excel workbook with SheetJS
+     * @param {ArrayBuffer} buffer - Workbook file contents
+     * @param {Object} [options] - Read options
+     * @param {Function} [options.chooseSheet] - Called with the sheet names when there are
+     *     several; resolves with the one to read, or null to cancel
+     * @returns {Promise<Object>} { headers, rows, sheet }
+     */
+    static async readWorkbook(buffer, options = {}) {
+        if (typeof XLSX === 'undefined') {
+            throw new Error('The Excel reader could not be loaded; check the internet connection or save the sheet as CSV');
+        }
+
+        const workbook = XLSX.read(buffer, { type: 'array', cellDates: true });
+        const sheets = workbook.SheetNames.filter(name => {
+            const sheet = workbook.Sheets[name];
+            return sheet && sheet['!ref'];
+        });
+        if (sheets.length === 0) {
+            throw new Error('The workbook has no sheets with data');
+        }
+
+        const sheet = sheets.length > 1 && options.chooseSheet
+            ? await options.chooseSheet(sheets)
+            : sheets[0];
+        if (!sheet) {
+            const error = new Error('Import cancelled');
+            error.name = 'AbortError';
+            throw error;
+        }
+
+        const cells = XLSX.utils.sheet_to_json(workbook.Sheets[sheet], { header: 1, raw: true, defval: '', blankrows: false });
+        const records = cells.map(row => ({ fields: row.map(FormatReaders.cellText) }));
+        const headerIndex = new CSVParser().findHeaderIndex(records);
+        if (headerIndex === -1) {
+            throw new Error(`No headers found on sheet "${sheet}"`);
+        }
+
+        // Sheets trim trailing empty cells, so short rows are padded back to the header width
+        const headers = records[headerIndex].fields;
+        const rows = records.slice(headerIndex + 1).map(({ fields }) =>
+            (fields.length < headers.length ? fields.concat(new Array(headers.length - fields.length).fill('')) : fields));
+        return { headers, rows, sheet };
+    }
+
+    /**
+     * Read JSON records: an array of objects or of arrays (the first holding the
+     * headers), an object of equal-length column arrays, or any of these under a
+     * property such as "rows" or "data" (which covers this app's own JSON export)
+     * @param {string} text - File contents
+     * @returns {Object} { headers, rows }
+     */
+    static readJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text.replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error(`Not valid JSON: ${error.message}`);
+        }
+
+        const records = FormatReaders.findRecords(data);
+        if (!records) {
+            throw new Error('No table of records found in the JSON');
+        }
+
+        if (records.every(Array.isArray)) {
+            const [headers, ...rows] = records.map(row => row.map(FormatReaders.cellText));
+            return { headers, rows };
+        }
+
+        const flat = records.map(record => FormatReaders.flatten(record));
+        const headers = [];
+        const seen = new Set();
+        flat.forEach(record => Object.keys(record).forEach(key => {
+            if (!seen.has(key)) {
+                seen.add(key);
+                headers.push(key);
+            }
+        }));
+        return {
+            headers,
+            rows: flat.map(record => headers.map(header => FormatReaders.cellText(record[header])))
+        };
+    }
+
+    /**
+     * Find the array of records in parsed JSON
+     * @param {*} data - Parsed JSON
+     * @returns {Array|null} Records (objects or arrays), or null when there are none
+     */
+    static findRecords(data) {
+        const isTable = value => Array.isArray(value) && value.length > 0 &&
+            value.every(item => item !== null && typeof item === 'object');
+        if (isTable(data)) return data;
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+
+        const keys = Object.keys(data);
+        const named = FormatReaders.JSON_RECORD_KEYS.find(key => isTable(data[key]));
+        if (named) return data[named];
+
+        const columns = keys.filter(key => Array.isArray(data[key]));
+        const length = columns.length > 0 ? data[columns[0]].length : 0;
+        if (columns.length === keys.length && length > 0 &&
+            columns.every(key => data[key].length === length && data[key].every(item => item === null || typeof item !== 'object'))) {
+            return data[columns[0]].map((_, index) => {
+                const record = {};
+                columns.forEach(key => {
+                    record[key] = data[key][index];
+                });
+                return record;
+            });
+        }
+
+        const nested = keys.find(key => isTable(data[key]));
+        return nested ? data[nested] : null;
+    }
+
+    /**
+     * Flatten nested objects into dotted keys ({ site: { id } } becomes "site.id")
+     * @param {Object} record - JSON record
+     * @param {string} [prefix] - Key prefix for nested records
+     * @returns {Object} Flat record
+     */
+    static flatten(record, prefix = '') {
+        const flat = {};
+        Object.entries(record).forEach(([key, value]) => {
+            const name = prefix ? `${prefix}.${key}` : key;
+            if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                Object.assign(flat, FormatReaders.flatten(value, name));
+            } else {
+                flat[name] = value;
+            }
+        });
+        return flat;
+    }
+
+    /**
+     * Read a USGS RDB file: tab-delimited with `#` comment lines and a row of
+     * column formats (e.g. "5s 15s 20d") under the headers. NWIS columns named by
+     * parameter code ("69928_00010") are renamed after the parameter, and
+     * water-quality sample files (one row per result) are pivoted.
+     * @param {string} text - File contents
+     * @returns {Object} { headers, rows }
+     */
+    static readRDB(text) {
+        const lines = text.replace(/^\uFEFF/, '').split(/\r\n|\n|\r/)
+            .filter(line => line.trim() !== '' && !line.startsWith('#'));
+        if (lines.length === 0) {
+            throw new Error('No headers found in the RDB file');
+        }
+
+        const headers = lines[0].split('\t').map(header => header.trim());
+        const body = FormatReaders.isRDBFormatLine(lines[1]) ? lines.slice(2) : lines.slice(1);
+        const table = LongFormat.widen({
+            headers,
+            rows: body.map(line => line.split('\t').map(field => field.trim()))
+        });
+        return { ...table, headers: FormatReaders.renameParameterCodes(table.headers) };
+    }
+
+    /**
+     * Whether a line is the column format row of an RDB file
+     * @param {string} [line] - Line of the file
+     * @returns {boolean} True for lines like "5s\t15s\t20d"
+     */
+    static isRDBFormatLine(line) {
+        return Boolean(line) && line.split('\t').every(field => /^\d+[sdn]$/i.test(field.trim()));
+    }
+
+    /**
+     * Name NWIS columns after the parameter their code stands for. A code measured
+     * by several sensors keeps the time-series id so the columns stay distinct;
+     * "_cd" columns hold the qualification codes of the column before them.
+     * @param {Array} headers - Column headers
+     * @returns {Array} Headers
+     */
+    static renameParameterCodes(headers) {
+        const pattern = /^(?:(\d+)_)?(\d{5})(_cd)?$/;
+        const codes = headers.map(header => header.match(pattern)).filter(match => match && !match[3]).map(match => match[2]);
+
+        return headers.map(header => {
+            const match = header.match(pattern);
+            if (!match) return header;
+
+            const [, series, code, qualifier] = match;
+            let name = FormatReaders.USGS_PARAMETERS[code] || `Parameter ${code}`;
+            if (series && codes.filter(other => other === code).length > 1) name += ` [${series}]`;
+            return qualifier ? `${name} qualifier` : name;
+        });
+    }
+
+    /**
+     * Read a WQX XML document (as downloaded from the Water Quality Portal): one
+     * result per row, pivoted to one column per characteristic
+     * @param {string} text - File contents
+     * @returns {Object} { headers, rows }
+     */
+    static readWQX(text) {
+        const xml = new DOMParser().parseFromString(text, 'application/xml');
+        if (xml.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Not valid XML');
+        }
+
+        const child = (element, path) => path.split('/').reduce((node, name) =>
+            (node ? Array.from(node.children).find(candidate => candidate.localName === name) : null), element);
+        const value = (element, path) => {
+            const node = child(element, path);
+            return node ? node.textContent.trim() : '';
+        };
+
+        const rows = [];
+        Array.from(xml.getElementsByTagNameNS('*', 'Activity')).forEach(activity => {
+            const description = child(activity, 'ActivityDescription');
+            const location = value(description, 'MonitoringLocationIdentifier');
+            const date = value(description, 'ActivityStartDate');
+            const time = value(description, 'ActivityStartTime/Time');
+            const depth = value(description, 'ActivityDepthHeightMeasure/MeasureValue');
+
+            Array.from(activity.children).filter(node => node.localName === 'Result').forEach(result => {
+                const resultDescription = child(result, 'ResultDescription');
+                rows.push([
+                    location,
+                    date,
+                    time,
+                    depth,
+                    value(resultDescription, 'CharacteristicName'),
+                    value(resultDescription, 'ResultMeasure/ResultMeasureValue'),
+                    value(resultDescription, 'ResultMeasure/MeasureUnitCode'),
+                    value(resultDescription, 'ResultDetectionConditionText')
+                ]);
+            });
+        });
+        if (rows.length === 0) {
+            throw new Error('No WQX results found in the XML');
+        }
+
+        return LongFormat.widen({ headers: FormatReaders.WQX_HEADERS, rows });
+    }
+
+    /**
+     * Text of a spreadsheet or JSON cell as CSVParser expects it
+     * @param {*} value - Cell value
+     * @returns {string} Text (dates as local "YYYY-MM-DD HH:MM:SS")
+     */
+    static cellText(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) {
+            if (Number.isNaN(value.getTime())) return '';
+            const pad = number => String(number).padStart(2, '0');
+            const date = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+            const time = `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+            return time === '00:00:00' ? date : `${date} ${time}`;
+        }
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value).trim();
+    }
+}
+
+// Properties that hold the records of a JSON document, checked before any other array
+FormatReaders.JSON_RECORD_KEYS = ['rows', 'data', 'records', 'results', 'items', 'values'];
+// Columns of the table built from WQX XML, named as in the portal's CSV downloads
+FormatReaders.WQX_HEADERS = [
+    'MonitoringLocationIdentifier',
+    'ActivityStartDate',
+    'ActivityStartTime/Time',
+    'ActivityDepthHeightMeasure/MeasureValue',
+    'CharacteristicName',
+    'ResultMeasureValue',
+    'ResultMeasure/MeasureUnitCode',
+    'ResultDetectionConditionText'
+];
+// Common NWIS parameter codes, named so ParameterCatalog recognizes them
+FormatReaders.USGS_PARAMETERS = {
+    '00010': 'Temperature, water (°C)',
+    '00020': 'Temperature, air (°C)',
+    '00060': 'Discharge (ft³/s)',
+    '00065': 'Gage height (ft)',
+    '00095': 'Specific conductance (µS/cm)',
+    '00300': 'Dissolved oxygen (mg/L)',
+    '00301': 'Dissolved oxygen (% saturation)',
+    '00400': 'pH',
+    '00480': 'Salinity (ppt)',
+    '00600': 'Total nitrogen (mg/L)',
+    '00608': 'Ammonia (mg/L as N)',
+    '00631': 'Nitrate plus nitrite (mg/L as N)',
+    '00665': 'Phosphorus (mg/L)',
+    '32316': 'Chlorophyll fluorescence (µg/L)',
+    '63680': 'Turbidity (FNU)',
+    '70300': 'Dissolved solids (mg/L)'
+};
@@ -0,0 +1,376 @@
+/**
+ * Formula
+ * A small expression language for calculated columns: numbers, column
+ * references, arithmetic, comparisons, and/or/not, conditionals and a fixed
+ * set of functions. Expressions are parsed into a tree and evaluated by
+ * closures, never by eval(), so a formula can only read the columns it names.
+ */
+
+class Formula {
+    /**
+     * @param {string} expression - Formula text, e.g. "[DO (mg/L)] / 2" or "if(pH > 9, 1, 0)"
+     * @param {Object} [functions] - Callable functions (defaults to Formula.FUNCTIONS)
+     */
+    constructor(expression, functions = Formula.FUNCTIONS) {
+        this.expression = String(expression);
+        this.functions = functions;
+        this.tree = Formula.parse(this.expression);
+        this.checkFunctions(this.tree);
+    }
+
+    /**
+     * Columns the formula reads
+     * @returns {Array} Column names in first-use order
+     */
+    columns() {
+        const names = [];
+        const visit = node => {
+            if (node.type === 'column' && !names.includes(node.name)) names.push(node.name);
+            (node.args || []).concat(node.operand || [], node.left || [], node.right || [],
+                node.test || [], node.then || [], node.otherwise || []).forEach(visit);
+        };
+        visit(this.tree);
+        return names;
+    }
+
+    /**
+     * Evaluate the formula for every row
+     * @param {Function} resolve - Column name → Float64Array of its values; throws for unusable columns
+     * @param {number} rowCount - Number of rows
+     * @returns {Float64Array} Results, NaN where an input is missing or the result isn't finite
+     */
+    evaluate(resolve, rowCount) {
+        const evaluateRow = this.compile(this.tree, resolve);
+        const values = new Float64Array(rowCount);
+        for (let i = 0; i < rowCount; i++) {
+            const value = evaluateRow(i);
+            values[i] = Number.isFinite(value) ? value : NaN;
+        }
+        return values;
+    }
+
+    /**
+     * Turn a parsed node into a function of the row index
+     * @param {Object} node - Parse tree node
+     * @param {Function} resolve - Column resolver
+     * @returns {Function} (row) → number
+     */
+    compile(node, resolve) {
+        switch (node.type) {
+            case 'number':
+                return () => node.value;
+            case 'column': {
+                const storage = resolve(node.name);
+                return row => storage[row];
+            }
+            case 'unary': {
+                const operand = this.compile(node.operand, resolve);
+                const apply = Formula.UNARY_OPERATORS[node.op];
+                return row => apply(operand(row));
+            }
+            case 'binary': {
+                const left = this.compile(node.left, resolve);
+                const right = this.compile(node.right, resolve);
+                const apply = Formula.BINARY_OPERATORS[node.op];
+                return row => apply(left(row), right(row));
+            }
+            case 'conditional': {
+                const test = this.compile(node.test, resolve);
+                const then = this.compile(node.then, resolve);
+                const otherwise = this.compile(node.otherwise, resolve);
+                return row => {
+                    const condition = test(row);
+                    if (Number.isNaN(condition)) return NaN;
+                    return condition !== 0 ? then(row) : otherwise(row);
+                };
+            }
+            default: {
+                const args = node.args.map(arg => this.compile(arg, resolve));
+                const { fn } = this.functions[node.name];
+                return row => fn(...args.map(arg => arg(row)));
+            }
+        }
+    }
+
+    /**
+     * Check every function call names a known function with a valid number of arguments
+     * @param {Object} node - Parse tree node
+     */
+    checkFunctions(node) {
+        if (node.type === 'call') {
+            // Own properties only, so "constructor" or "__proto__" aren't taken for functions
+            const definition = Object.hasOwn(this.functions, node.name) ? this.functions[node.name] : null;
+            if (!definition) {
+                throw new Error(`Unknown function "${node.name}"`);
+            }
+            const { min, max = min } = definition;
+            if (node.args.length < min || node.args.length > max) {
+                const expected = min === max ? min : (max === Infinity ? `at least ${min}` : `${min} to ${max}`);
+                throw new Error(`${node.name}() takes ${expected} argument${expected === 1 ? '' : 's'}`);
+            }
+        }
+        (node.args || []).concat(node.operand || [], node.left || [], node.right || [],
+            node.test || [], node.then || [], node.otherwise || []).forEach(child => this.checkFunctions(child));
+    }
+
+    /**
+     * Split formula text into tokens
+     * @param {string} text - Formula text
+     * @returns {Array} Tokens ({ type, value, position })
+     */
+    static tokenize(text) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+            const rest = text.slice(i);
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            const number = rest.match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/);
+            if (number) {
+                tokens.push({ type: 'number', value: parseFloat(number[0]), position: i });
+                i += number[0].length;
+                continue;
+            }
+
+            if (char === '[') {
+                // "]]" inside the brackets is a literal "]", as in [DO [mg/L]]]
+                let name = '';
+                let end = i + 1;
+                while (end < text.length && (text[end] !== ']' || text[end + 1] === ']')) {
+                    name += text[end];
+                    end += text[end] === ']' ? 2 : 1;
+                }
+                if (end >= text.length) {
+                    throw new Error(`Missing "]" after position ${i + 1}`);
+                }
+                tokens.push({ type: 'column', value: name.trim(), position: i });
+                i = end + 1;
+                continue;
+            }
+
+            const word = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+            if (word) {
+                const lower = word[0].toLowerCase();
+                const keyword = Object.hasOwn(Formula.WORD_OPERATORS, lower) ? Formula.WORD_OPERATORS[lower] : null;
+                tokens.push(keyword
+                    ? { type: 'operator', value: keyword, position: i }
+                    : { type: 'name', value: word[0], position: i });
+                i += word[0].length;
+                continue;
+            }
+
+            const operator = Formula.SYMBOLS.find(symbol => rest.startsWith(symbol));
+            if (operator) {
+                tokens.push({ type: 'operator', value: Formula.SYMBOL_ALIASES[operator] || operator, position: i });
+                i += operator.length;
+                continue;
+            }
+
+            throw new Error(`Unexpected "${char}" at position ${i + 1}`);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parse formula text into a tree
+     * @param {string} text - Formula text
+     * @returns {Object} Root node
+     */
+    static parse(text) {
+        const tokens = Formula.tokenize(text);
+        if (tokens.length === 0) {
+            throw new Error('The formula is empty');
+        }
+
+        let index = 0;
+        const peek = () => tokens[index];
+        const isOperator = (...values) => peek() && peek().type === 'operator' && values.includes(peek().value);
+        const describe = token => (token ? `"${token.type === 'column' ? Formula.quote(token.value) : token.value}" at position ${token.position + 1}` : 'end of formula');
+        const expect = value => {
+            if (!isOperator(value)) {
+                throw new Error(`Expected "${value}" but found ${describe(peek())}`);
+            }
+            index++;
+        };
+
+        // Each level binds tighter than the one before it
+        const binaryLevel = (operators, next) => () => {
+            let left = next();
+            while (isOperator(...operators)) {
+                const op = tokens[index++].value;
+                left = { type: 'binary', op, left, right: next() };
+            }
+            return left;
+        };
+
+        let expression;
+        const primary = () => {
+            const token = tokens[index++];
+            if (!token) {
+                throw new Error('The formula ends too early');
+            }
+            if (token.type === 'number') return { type: 'number', value: token.value };
+            if (token.type === 'column') return { type: 'column', name: token.value };
+            if (token.type === 'name') {
+                if (isOperator('(')) {
+                    index++;
+                    const args = [];
+                    if (!isOperator(')')) {
+                        args.push(expression());
+                        while (isOperator(',')) {
+                            index++;
+                            args.push(expression());
+                        }
+                    }
+                    expect(')');
+                    return { type: 'call', name: token.value.toLowerCase(), args };
+                }
+                const name = token.value.toLowerCase();
+                return Object.hasOwn(Formula.CONSTANTS, name)
+                    ? { type: 'number', value: Formula.CONSTANTS[name] }
+                    : { type: 'column', name: token.value };
+            }
+            if (token.value === '(') {
+                const inner = expression();
+                expect(')');
+                return inner;
+            }
+            throw new Error(`Unexpected ${describe(token)}`);
+        };
+
+        let unary;
+        const power = () => {
+            const base = primary();
+            if (isOperator('^')) {
+                index++;
+                // Right-associative, and -2^2 is -(2^2)
+                return { type: 'binary', op: '^', left: base, right: unary() };
+            }
+            return base;
+        };
+        unary = () => {
+            if (isOperator('-', '+', 'not')) {
+                const op = tokens[index++].value;
+                return { type: 'unary', op, operand: unary() };
+            }
+            return power();
+        };
+        const term = binaryLevel(['*', '/', '%'], unary);
+        const sum = binaryLevel(['+', '-'], term);
+        const comparison = binaryLevel(['<', '<=', '>', '>=', '==', '!='], sum);
+        const and = binaryLevel(['and'], comparison);
+        const or = binaryLevel(['or'], and);
+        expression = () => {
+            const test = or();
+            if (!isOperator('?')) return test;
+            index++;
+            const then = expression();
+            expect(':');
+            return { type: 'conditional', test, then, otherwise: expression() };
+        };
+
+        const tree = expression();
+        if (index < tokens.length) {
+            throw new Error(`Unexpected ${describe(peek())}`);
+        }
+        return tree;
+    }
+
+    /**
+     * Reference to a column as written in a formula
+     * @param {string} name - Column name
+     * @returns {string} Name in brackets, any "]" in it doubled
+     */
+    static quote(name) {
+        return `[${String(name).replace(/]/g, ']]')}]`;
+    }
+
+    /**
+     * Comparison that leaves missing values missing
+     * @param {Function} test - (a, b) → boolean
+     * @returns {Function} (a, b) → 1, 0 or NaN
+     */
+    static comparison(test) {
+        return (a, b) => (Number.isNaN(a) || Number.isNaN(b) ? NaN : (test(a, b) ? 1 : 0));
+    }
+}
+
+// Longest first, so "<=" isn't read as "<" and "="
+Formula.SYMBOLS = ['<=', '>=', '==', '!=', '<>', '&&', '||', '+', '-', '*', '/', '%', '^', '<', '>', '=', '!', '(', ')', ',', '?', ':'];
+Formula.SYMBOL_ALIASES = { '=': '==', '<>': '!=', '&&': 'and', '||': 'or', '!': 'not' };
+Formula.WORD_OPERATORS = { and: 'and', or: 'or', not: 'not' };
+Formula.CONSTANTS = { pi: Math.PI, e: Math.E };
+// True is 1 and false 0. A missing value makes the result missing unless the
+// other side already decides it (missing and 0 is 0, missing or 1 is 1).
+Formula.UNARY_OPERATORS = {
+    '-': value => -value,
+    '+': value => value,
+    not: value => (Number.isNaN(value) ? NaN : (value === 0 ? 1 : 0))
+};
+Formula.BINARY_OPERATORS = {
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    '%': (a, b) => a % b,
+    '^': (a, b) => Math.pow(a, b),
+    '<': Formula.comparison((a, b) => a < b),
+    '<=': Formula.comparison((a, b) => a <= b),
+    '>': Formula.comparison((a, b) => a > b),
+    '>=': Formula.comparison((a, b) => a >= b),
+    '==': Formula.comparison((a, b) => a === b),
+    '!=': Formula.comparison((a, b) => a !== b),
+    and: (a, b) => {
+        if (a === 0 || b === 0) return 0;
+        return Number.isNaN(a) || Number.isNaN(b) ? NaN : 1;
+    },
+    or: (a, b) => {
+        if ((a !== 0 && !Number.isNaN(a)) || (b !== 0 && !Number.isNaN(b))) return 1;
+        return Number.isNaN(a) || Number.isNaN(b) ? NaN : 0;
+    }
+};
+// name → { min, max, fn }: the number of arguments accepted (max defaults to min)
+Formula.FUNCTIONS = {
+    abs: { min: 1, fn: Math.abs },
+    sqrt: { min: 1, fn: Math.sqrt },
+    exp: { min: 1, fn: Math.exp },
+    ln: { min: 1, fn: Math.log },
+    log10: { min: 1, fn: Math.log10 },
+    log: { min: 1, max: 2, fn: (value, base = 10) => Math.log(value) / Math.log(base) },
+    pow: { min: 2, fn: Math.pow },
+    floor: { min: 1, fn: Math.floor },
+    ceil: { min: 1, fn: Math.ceil },
+    round: {
+        min: 1,
+        max: 2,
+        fn: (value, digits = 0) => {
+            const scale = Math.pow(10, digits);
+            return Math.round(value * scale) / scale;
+        }
+    },
+    sin: { min: 1, fn: Math.sin },
+    cos: { min: 1, fn: Math.cos },
+    tan: { min: 1, fn: Math.tan },
+    min: { min: 1, max: Infinity, fn: Math.min },
+    max: { min: 1, max: Infinity, fn: Math.max },
+    if: {
+        min: 3,
+        fn: (test, then, otherwise) => (Number.isNaN(test) ? NaN : (test !== 0 ? then : otherwise))
+    },
+    ismissing: { min: 1, fn: value => (Number.isNaN(value) ? 1 : 0) },
+    coalesce: {
+        min: 1,
+        max: Infinity,
+        fn: (...values) => {
+            const value = values.find(candidate => !Number.isNaN(candidate));
+            return value === undefined ? NaN : value;
+        }
+    }
+};
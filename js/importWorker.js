@@ -0,0 +1,30 @@
+/**
+ * Import Worker
+ * Parses a file off the main thread and sends back column buffers
+ */
+
+importScripts('csvTokenizer.js', 'censoring.js', 'schemaInference.js', 'dataTable.js', 'csvParser.js', 'fileImporter.js');
+
+self.onmessage = async event => {
+    const { type, file, chunkSize } = event.data;
+    if (type !== 'import') return;
+
+    const parser = new CSVParser();
+
+    try {
+        await FileImporter.streamFile(file, parser, {
+            chunkSize,
+            onProgress: progress => self.postMessage({ type: 'progress', progress })
+        });
+
+        const result = parser.export();
+        // Transfer the typed arrays instead of copying them
+        const transfer = Object.values(result.columns)
+            .filter(column => column instanceof Float64Array)
+            .map(column => column.buffer);
+
+        self.postMessage({ type: 'done', result }, transfer);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,137 @@
+/**
+ * Importer Registry
+ * The file formats the app can open and how each is read. Delimited text
+ * streams through CSVParser; every other format is read whole into a table
+ * of text fields (see FormatReaders) that CSVParser.parseRecords() finishes.
+ */
+
+class ImporterRegistry {
+    constructor() {
+        this.importers = [];
+    }
+
+    /**
+     * Add a format
+     * @param {Object} importer - Format description
+     * @param {string} importer.id - Unique id
+     * @param {string} importer.label - Name shown to users
+     * @param {Array} importer.extensions - File extensions, with the dot (e.g. '.xlsx')
+     * @param {Function} importer.read - (content, options) → { headers, rows } or a promise of one;
+     *     content is text, or an ArrayBuffer when importer.binary is set
+     * @param {boolean} [importer.binary] - Read the file as bytes rather than text
+     * @param {boolean} [importer.streams] - Stream the file through CSVParser when it needs no reshaping
+     * @param {Function} [importer.sniff] - (head) → whether the first few kilobytes of a file are in
+     *     this format, checked before extensions so e.g. an RDB file saved as .txt is recognized
+     */
+    register(importer) {
+        if (!importer || !importer.id || typeof importer.read !== 'function' || !Array.isArray(importer.extensions)) {
+            throw new Error('An importer needs an id, extensions and a read function');
+        }
+        this.importers = this.importers.filter(existing => existing.id !== importer.id).concat(importer);
+    }
+
+    /**
+     * Get a format by id
+     * @param {string} id - Importer id
+     * @returns {Object|undefined} Importer
+     */
+    get(id) {
+        return this.importers.find(importer => importer.id === id);
+    }
+
+    /**
+     * Choose the format of a file
+     * @param {string} fileName - File name
+     * @param {string} [head] - First few kilobytes of the file as text
+     * @returns {Object|null} Importer, or null for unsupported files
+     */
+    find(fileName, head = '') {
+        const sniffed = head && this.importers.find(importer => importer.sniff && importer.sniff(head));
+        if (sniffed) return sniffed;
+
+        const extension = ImporterRegistry.extension(fileName);
+        return this.importers.find(importer => importer.extensions.includes(extension)) || null;
+    }
+
+    /**
+     * Whether a file has the extension of a registered format
+     * @param {string} fileName - File name
+     * @returns {boolean} True when it can be imported
+     */
+    supports(fileName) {
+        const extension = ImporterRegistry.extension(fileName);
+        return this.importers.some(importer => importer.extensions.includes(extension));
+    }
+
+    /**
+     * Value for a file input's accept attribute
+     * @returns {string} Comma-separated extensions
+     */
+    accept() {
+        return [...new Set(this.importers.flatMap(importer => importer.extensions))].join(',');
+    }
+
+    /**
+     * Names of the registered formats, for messages
+     * @returns {string} e.g. "CSV, Excel, JSON"
+     */
+    describe() {
+        return this.importers.map(importer => importer.label).join(', ');
+    }
+
+    /**
+     * Lowercase extension of a file name
+     * @param {string} fileName - File name
+     * @returns {string} Extension with the dot, or '' when there is none
+     */
+    static extension(fileName) {
+        const match = String(fileName).match(/\.[^./\\]+$/);
+        return match ? match[0].toLowerCase() : '';
+    }
+
+    /**
+     * Registry with the built-in formats
+     * @returns {ImporterRegistry} Registry
+     */
+    static createDefault() {
+        const registry = new ImporterRegistry();
+        registry.register({
+            id: 'delimited',
+            label: 'CSV/TSV',
+            extensions: ['.csv', '.tsv', '.txt'],
+            streams: true,
+            read: text => FormatReaders.readDelimited(text)
+        });
+        registry.register({
+            id: 'excel',
+            label: 'Excel',
+            extensions: ['.xlsx', '.xls'],
+            binary: true,
+            read: (buffer, options) => FormatReaders.readWorkbook(buffer, options)
+        });
+        registry.register({
+            id: 'json',
+            label: 'JSON',
+            extensions: ['.json'],
+            read: text => FormatReaders.readJSON(text)
+        });
+        registry.register({
+            id: 'rdb',
+            label: 'USGS RDB',
+            extensions: ['.rdb'],
+            read: text => FormatReaders.readRDB(text),
+            sniff: head => {
+                const lines = head.split(/\r\n|\n|\r/).filter(line => line.trim() !== '' && !line.startsWith('#'));
+                return head.startsWith('#') && lines.length > 1 && lines[0].includes('\t') &&
+                    FormatReaders.isRDBFormatLine(lines[1]);
+            }
+        });
+        registry.register({
+            id: 'wqx',
+            label: 'WQX XML',
+            extensions: ['.xml'],
+            read: text => FormatReaders.readWQX(text)
+        });
+        return registry;
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * Long Format
+ * Recognizes exports with one row per site, date and parameter (WQX results,
+ * USGS water-quality samples, LIMS dumps) and pivots them to one column per
+ * parameter, the shape the rest of the app works with
+ */
+
+class LongFormat {
+    /**
+     * Find the parameter, value, unit and qualifier columns of a long-format table
+     * @param {Array} headers - Column headers
+     * @returns {Object|null} { parameter, value, unit, qualifier, keys } as column indices
+     *     (unit and qualifier -1 when absent, keys the columns identifying one sample);
+     *     null when the table isn't in long format
+     */
+    static detect(headers) {
+        const names = headers.map(header => ParameterCatalog.tokenize(header).join(' '));
+        const find = candidates => names.findIndex(name => candidates.includes(name));
+
+        const parameter = find(LongFormat.PARAMETER_HEADERS);
+        const value = find(LongFormat.VALUE_HEADERS);
+        if (parameter === -1 || value === -1) return null;
+
+        const unit = find(LongFormat.UNIT_HEADERS);
+        const qualifier = find(LongFormat.QUALIFIER_HEADERS);
+        const roles = [parameter, value, unit, qualifier];
+
+        // WQX and NWIS results carry dozens of per-result columns; only these say which sample a result belongs to
+        const known = headers.filter(header => LongFormat.SAMPLE_KEYS.includes(header));
+        const keys = known.length > 0
+            ? known.map(header => headers.indexOf(header))
+            : headers.map((_, index) => index).filter(index => !roles.includes(index));
+        return { parameter, value, unit, qualifier, keys };
+    }
+
+    /**
+     * Pivot a long-format table to one column per parameter (and unit). A sample
+     * with two results for the same parameter, such as a field duplicate, gets a
+     * second row rather than losing one of them. Remarks that a result is below
+     * a detection limit or estimated are written into the value ("<0.5", "1.2 J")
+     * so the parser flags it, and kept in a qualifier column as well.
+     * @param {Object} table - { headers, rows } with rows as arrays of text fields
+     * @param {Object} [roles] - Column roles from detect() (detected when omitted)
+     * @returns {Object} { headers, rows }; the table unchanged when it isn't in long format
+     */
+    static widen(table, roles = LongFormat.detect(table.headers)) {
+        if (!roles) return table;
+
+        const columns = new Map();
+        const qualified = new Set();
+        const samples = new Map();
+        const order = [];
+
+        table.rows.forEach(row => {
+            const name = String(row[roles.parameter] || '').trim();
+            const value = row[roles.value];
+            const qualifier = roles.qualifier >= 0 ? row[roles.qualifier] : '';
+            if (!name || ((value === '' || value === undefined) && !qualifier)) return;
+
+            const unit = roles.unit >= 0 ? String(row[roles.unit] || '').trim() : '';
+            const column = unit && !LongFormat.NO_UNITS.includes(unit.toLowerCase()) ? `${name} (${unit})` : name;
+            if (!columns.has(column)) columns.set(column, columns.size);
+            if (qualifier) qualified.add(column);
+
+            const key = roles.keys.map(index => row[index]).join('\u0000');
+            if (!samples.has(key)) samples.set(key, []);
+            const rowsForKey = samples.get(key);
+            let sample = rowsForKey.find(candidate => !candidate.values.has(column));
+            if (!sample) {
+                sample = { keys: roles.keys.map(index => row[index]), values: new Map(), qualifiers: new Map() };
+                rowsForKey.push(sample);
+                order.push(sample);
+            }
+            sample.values.set(column, LongFormat.qualify(value === undefined ? '' : value, qualifier));
+            if (qualifier) sample.qualifiers.set(column, qualifier);
+        });
+
+        const parameters = [...columns.keys()];
+        const headers = roles.keys.map(index => table.headers[index]);
+        parameters.forEach(column => {
+            headers.push(column);
+            if (qualified.has(column)) headers.push(`${column} qualifier`);
+        });
+
+        return {
+            headers,
+            rows: order.map(sample => {
+                const row = [...sample.keys];
+                parameters.forEach(column => {
+                    row.push(sample.values.has(column) ? sample.values.get(column) : '');
+                    if (qualified.has(column)) row.push(sample.qualifiers.get(column) || '');
+                });
+                return row;
+            })
+        };
+    }
+
+    /**
+     * Write a censoring or estimation remark into a result value
+     * @param {string} value - Result value
+     * @param {string} [qualifier] - Remark, e.g. "<", "U", "Not Detected" or "E"
+     * @returns {string} Value in a form Censoring.parse() reads; unchanged for other remarks
+     */
+    static qualify(value, qualifier) {
+        const flag = LongFormat.CENSORING_REMARKS[String(qualifier || '').trim().toLowerCase()];
+        const text = String(value).trim();
+        if (!flag || /^[<>≤≥]/.test(text)) return value;
+        if (text === '') return flag === '<' ? 'ND' : value;
+        return flag === '<' || flag === '>' ? `${flag}${text}` : `${text} ${flag}`;
+    }
+}
+
+// Headers are compared after ParameterCatalog.tokenize(), so "CharacteristicName",
+// "characteristic_name" and "Characteristic Name" all read "characteristic name"
+LongFormat.PARAMETER_HEADERS = [
+    'parameter', 'parameter name', 'characteristic', 'characteristic name', 'analyte',
+    'analyte name', 'variable', 'determinand', 'constituent', 'parm cd'
+];
+LongFormat.VALUE_HEADERS = [
+    'value', 'result', 'result value', 'result measure value', 'measurement',
+    'measured value', 'reading', 'result va'
+];
+LongFormat.UNIT_HEADERS = [
+    'unit', 'units', 'unit code', 'measure unit code', 'result measure measure unit code'
+];
+LongFormat.QUALIFIER_HEADERS = [
+    'qualifier', 'qualifier code', 'flag', 'remark', 'remark code', 'remark cd',
+    'result detection condition text', 'measure qualifier code', 'result measure qualifier code'
+];
+// Remarks (lowercase) that mark a result as censored or estimated, as Censoring flags
+LongFormat.CENSORING_REMARKS = {
+    '<': '<',
+    '>': '>',
+    u: '<',
+    nd: '<',
+    'not detected': '<',
+    'below detection limit': '<',
+    'present below quantification limit': '<',
+    'present above quantification limit': '>',
+    e: 'E',
+    j: 'J'
+};
+// Unit codes that mean the parameter has none (WQX reports pH in "None")
+LongFormat.NO_UNITS = ['none', 'n/a', 'na', 'unitless', '-'];
+// Columns of Water Quality Portal (WQX) and USGS NWIS sample exports that identify the sample
+LongFormat.SAMPLE_KEYS = [
+    'OrganizationIdentifier',
+    'MonitoringLocationIdentifier',
+    'ActivityStartDate',
+    'ActivityStartTime/Time',
+    'ActivityStartTime/TimeZoneCode',
+    'ActivityDepthHeightMeasure/MeasureValue',
+    'ActivityDepthHeightMeasure/MeasureUnitCode',
+    'agency_cd',
+    'site_no',
+    'sample_dt',
+    'sample_tm',
+    'sample_start_time_datum_cd',
+    'medium_cd'
+];
@@ -4,27 +4,154 @@
  */
 
 const parser = new CSVParser();
-const visualizer = new Visualizer();
+const chartTheme = new ChartTheme();
+const visualizer = new Visualizer('chart', { theme: chartTheme });
+const coverageVisualizer = new Visualizer('coverageChart', { theme: chartTheme });
+const importer = new FileImporter();
+const thresholds = new ThresholdEngine();
+const datasets = new DatasetManager();
+const qualityControl = new QualityControl();
+const waterQualityIndex = new WaterQualityIndex({ thresholds });
+const columnMappings = new ColumnMapping();
+const dataFilter = new DataFilter();
+const derivedColumns = new DerivedColumns();
+const sessions = new SessionStore();
+const dashboard = new Dashboard('dashboardPanels', { theme: chartTheme });
 
 // DOM Elements
+const notifications = document.getElementById('notifications');
+const themeSelect = document.getElementById('themeSelect');
+const paletteSelect = document.getElementById('paletteSelect');
 const csvFileInput = document.getElementById('csvFile');
 const csvFileLabel = document.querySelector('.upload-box label');
 const uploadBox = document.querySelector('.upload-box');
 const clearBtn = document.getElementById('clearBtn');
+const sharedViewNote = document.getElementById('sharedViewNote');
+const sessionsSection = document.getElementById('sessionsSection');
+const sessionNameInput = document.getElementById('sessionName');
+const sessionList = document.getElementById('sessionList');
 const controlsSection = document.getElementById('controlsSection');
 const infoSection = document.getElementById('infoSection');
 const quickViewsSection = document.getElementById('quickViewsSection');
+const quickViewButtons = document.getElementById('quickViewButtons');
 const xAxisSelect = document.getElementById('xAxisSelect');
 const yAxisSelect = document.getElementById('yAxisSelect');
 const chartTypeSelect = document.getElementById('chartTypeSelect');
+const groupBySelect = document.getElementById('groupBySelect');
+const datasetsSection = document.getElementById('datasetsSection');
+const datasetList = document.getElementById('datasetList');
 const updateChartBtn = document.getElementById('updateChartBtn');
+const resampleSelect = document.getElementById('resampleSelect');
+const aggregationSelect = document.getElementById('aggregationSelect');
+const rollingSelect = document.getElementById('rollingSelect');
+const timeSeriesControls = document.querySelectorAll('.time-series-control');
+const trendSelect = document.getElementById('trendSelect');
+const scatterControls = document.querySelectorAll('.scatter-control');
+const multiSeriesControls = document.querySelectorAll('.multi-series-control');
+const extraYSelect = document.getElementById('extraYSelect');
+const correlationMethodSelect = document.getElementById('correlationMethod');
+const filtersSection = document.getElementById('filtersSection');
+const filterStatus = document.getElementById('filterStatus');
+const filterKindSelect = document.getElementById('filterKind');
+const filterColumnSelect = document.getElementById('filterColumn');
+const filterEditor = document.getElementById('filterEditor');
+const addFilterBtn = document.getElementById('addFilterBtn');
+const filterChips = document.getElementById('filterChips');
+const derivedSection = document.getElementById('derivedSection');
+const derivedPresetSelect = document.getElementById('derivedPreset');
+const derivedNameInput = document.getElementById('derivedName');
+const derivedUnitInput = document.getElementById('derivedUnit');
+const derivedExpressionInput = document.getElementById('derivedExpression');
+const derivedInsertSelect = document.getElementById('derivedInsert');
+const derivedList = document.getElementById('derivedList');
 const dataStatsDiv = document.getElementById('dataStats');
+const censoringControls = document.getElementById('censoringControls');
+const substitutionSelect = document.getElementById('substitutionSelect');
+const censoredStatsSelect = document.getElementById('censoredStatsSelect');
+const censoringNote = document.getElementById('censoringNote');
+const columnSummaryDiv = document.getElementById('columnSummary');
+const exceedanceSummaryDiv = document.getElementById('exceedanceSummary');
+const completenessInfo = document.getElementById('completenessInfo');
+const samplingCountInput = document.getElementById('samplingCount');
+const samplingIntervalSelect = document.getElementById('samplingInterval');
+const completenessStatsDiv = document.getElementById('completenessStats');
+const completenessSummaryDiv = document.getElementById('completenessSummary');
+const thresholdsSection = document.getElementById('thresholdsSection');
+const thresholdPresetSelect = document.getElementById('thresholdPreset');
+const thresholdInputsDiv = document.getElementById('thresholdInputs');
+const qaqcSection = document.getElementById('qaqcSection');
+const qaqcCount = document.getElementById('qaqcCount');
+const qaqcSummary = document.getElementById('qaqcSummary');
+const qaqcSettings = document.getElementById('qaqcSettings');
+const qaqcColumnFilter = document.getElementById('qaqcColumnFilter');
+const qaqcTestFilter = document.getElementById('qaqcTestFilter');
+const qaqcStatusFilter = document.getElementById('qaqcStatusFilter');
+const qaqcTableBody = document.getElementById('qaqcTableBody');
+const wqiSection = document.getElementById('wqiSection');
+const wqiMethodSelect = document.getElementById('wqiMethod');
+const wqiPeriodSelect = document.getElementById('wqiPeriod');
+const wqiSummaryDiv = document.getElementById('wqiSummary');
+const mapSection = document.getElementById('mapSection');
+const mapViewBtn = document.getElementById('mapViewBtn');
+const mapParameterSelect = document.getElementById('mapParameter');
+const mapStatisticSelect = document.getElementById('mapStatistic');
+const mapBaseLayerInput = document.getElementById('mapBaseLayer');
+const mapNote = document.getElementById('mapNote');
+const trendSection = document.getElementById('trendSection');
+const trendViewBtn = document.getElementById('trendViewBtn');
+const trendParameterSelect = document.getElementById('trendParameter');
+const trendTestSelect = document.getElementById('trendTest');
+const trendIntervalSelect = document.getElementById('trendInterval');
+const trendConfidenceSelect = document.getElementById('trendConfidence');
+const trendChartSelect = document.getElementById('trendChart');
+const trendResultsDiv = document.getElementById('trendResults');
+const dashboardSection = document.getElementById('dashboardSection');
+const dashboardPanels = document.getElementById('dashboardPanels');
+const dashboardEmpty = document.getElementById('dashboardEmpty');
+const linkXAxesCheckbox = document.getElementById('linkXAxes');
+const exportSection = document.getElementById('exportSection');
+const exportRowCount = document.getElementById('exportRowCount');
+const reportChartsDiv = document.getElementById('reportCharts');
+const mappingDialog = document.getElementById('mappingDialog');
+const mappingFileName = document.getElementById('mappingFileName');
+const mappingTableBody = document.getElementById('mappingTableBody');
+const mappingProblems = document.getElementById('mappingProblems');
+const mappingRemember = document.getElementById('mappingRemember');
+const mappingApplyBtn = document.getElementById('mappingApplyBtn');
+const sheetDialog = document.getElementById('sheetDialog');
+const sheetFileName = document.getElementById('sheetFileName');
+const sheetSelect = document.getElementById('sheetSelect');
+const issuesSection = document.getElementById('issuesSection');
+const issuesCount = document.getElementById('issuesCount');
+const issuesSummary = document.getElementById('issuesSummary');
+const issuesTableBody = document.getElementById('issuesTableBody');
+const importProgress = document.getElementById('importProgress');
+const importProgressBar = document.getElementById('importProgressBar');
+const importProgressText = document.getElementById('importProgressText');
+const cancelImportBtn = document.getElementById('cancelImportBtn');
 
 let parsedData = null;
+let currentQuickView = null;
+let mappingSession = null;
+// Resolves the open sheet picker with the chosen sheet, or null when cancelled
+let sheetChoice = null;
+// Columns on the current chart's axes, for turning a box/lasso selection into a filter
+let chartAxes = null;
+// Stations on the map, for turning a click into a filter
+let mapStations = [];
+// GeoJSON outlines drawn under the stations
+let mapBaseLayer = null;
+// Charts captured for the printable report: { title, image, include }
+let reportCharts = [];
+// View from a shared link or saved session, shown once its files are loaded
+let pendingView = ViewState.decode(window.location.hash);
+// Hash last written for the current view, so our own updates aren't replayed as shared links
+let syncedHash = null;
 
 // ============ Event Listeners ============
 
 // File input change
+csvFileInput.accept = importer.registry.accept();
 csvFileInput.addEventListener('change', handleFileSelect);
 
 // Drag and drop
@@ -32,27 +159,183 @@ uploadBox.addEventListener('dragover', handleDragOver);
 uploadBox.addEventListener('dragleave', handleDragLeave);
 uploadBox.addEventListener('drop', handleFileDrop);
 
-// Click to upload
+// Click to upload, or Enter/Space on the focused label
 csvFileLabel.addEventListener('click', () => csvFileInput.click());
+csvFileLabel.addEventListener('keydown', handleUploadKeydown);
+
+// Chart theme and palette
+themeSelect.innerHTML = Object.entries(ChartTheme.THEMES).map(([value, { label }]) =>
+    `<option value="${value}">${label}</option>`
+).join('');
+paletteSelect.innerHTML = Object.entries(ChartTheme.PALETTES).map(([value, { label }]) =>
+    `<option value="${value}">${label}</option>`
+).join('');
+themeSelect.value = chartTheme.themeId;
+paletteSelect.value = chartTheme.paletteId;
+applyPageTheme();
+[themeSelect, paletteSelect].forEach(select => select.addEventListener('change', handleThemeChange));
 
 // Clear button
 clearBtn.addEventListener('click', clearAllData);
 
+// Cancel a running import
+cancelImportBtn.addEventListener('click', () => importer.cancel());
+
 // Update chart button
 updateChartBtn.addEventListener('click', updateChart);
 
-// Quick view buttons
+// Time-series and trend line options only apply to their chart types
+chartTypeSelect.addEventListener('change', updateChartTypeControls);
+resampleSelect.innerHTML += Object.entries(TimeSeries.INTERVALS).map(([value, label]) =>
+    `<option value="${value}">${label}</option>`
+).join('');
+rollingSelect.innerHTML += Object.entries(TimeSeries.ROLLING_WINDOWS).map(([value, { label }]) =>
+    `<option value="${value}">${label}</option>`
+).join('');
+trendSelect.innerHTML += Object.entries(Regression.METHODS).map(([value, label]) =>
+    `<option value="${value}">${label}</option>`
+).join('');
+
+// Filters: build conditions in the panel or by selecting points on the chart
+filterKindSelect.addEventListener('change', populateFilterColumns);
+filterColumnSelect.addEventListener('change', renderFilterEditor);
+addFilterBtn.addEventListener('click', handleAddFilter);
+filterChips.addEventListener('click', handleFilterChipClick);
+
+// Censored values: what non-detects stand in as, and how their statistics are estimated
+substitutionSelect.innerHTML = Object.entries(Censoring.SUBSTITUTIONS)
+    .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join('');
+censoredStatsSelect.innerHTML = Object.entries(Censoring.ESTIMATORS)
+    .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join('');
+substitutionSelect.value = Censoring.DEFAULT_SUBSTITUTION;
+substitutionSelect.addEventListener('change', handleSubstitutionChange);
+censoredStatsSelect.addEventListener('change', handleCensoredStatsChange);
+
+// Calculated columns
+derivedPresetSelect.innerHTML = [['', 'Custom formula']].concat(
+    Object.entries(DerivedColumns.LIBRARY).map(([id, { label }]) => [id, label])
+).map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join('');
+derivedPresetSelect.addEventListener('change', applyDerivedPreset);
+derivedInsertSelect.addEventListener('change', insertDerivedColumn);
+derivedExpressionInput.addEventListener('keydown', event => {
+    if (event.key === 'Enter') handleAddDerived();
+});
+document.getElementById('addDerivedBtn').addEventListener('click', handleAddDerived);
+derivedList.addEventListener('click', handleDerivedListClick);
+visualizer.onSelect = handleChartSelection;
+
+// Dashboard: extra chart panels, each with its own settings
+document.getElementById('addPanelBtn').addEventListener('click', addDashboardPanel);
+document.getElementById('clearDashboardBtn').addEventListener('click', clearDashboard);
+linkXAxesCheckbox.addEventListener('change', () => dashboard.setLinkX(linkXAxesCheckbox.checked));
+dashboardPanels.addEventListener('change', handlePanelChange);
+dashboardPanels.addEventListener('click', handlePanelClick);
+dashboardPanels.addEventListener('dragstart', handlePanelDragStart);
+dashboardPanels.addEventListener('dragover', event => event.preventDefault());
+dashboardPanels.addEventListener('drop', handlePanelDrop);
+dashboard.onSelect = (panel, selection) => handleChartSelection(selection, panel.axes);
+
+// Export: chart images, filtered data, statistics and the printable report
+document.getElementById('downloadChartBtn').addEventListener('click', handleChartDownload);
+document.getElementById('addToReportBtn').addEventListener('click', addChartToReport);
+document.getElementById('openReportBtn').addEventListener('click', openReport);
+exportSection.addEventListener('click', handleDataExport);
+reportChartsDiv.addEventListener('change', handleReportChartToggle);
+reportChartsDiv.addEventListener('click', handleReportChartRemove);
+
+// Shared links and saved sessions
+window.addEventListener('hashchange', handleHashChange);
+document.getElementById('saveSessionBtn').addEventListener('click', saveSession);
+document.getElementById('copyLinkBtn').addEventListener('click', copyViewLink);
+sessionList.addEventListener('click', handleSessionClick);
+
+// Switching the correlation method redraws the heatmap
+correlationMethodSelect.addEventListener('change', () => renderQuickView('correlation'));
+
+// Dataset list: include/exclude, rename, remap and remove loaded files
+datasetList.addEventListener('change', handleDatasetChange);
+datasetList.addEventListener('click', handleDatasetClick);
+
+// Column mapping dialog
+mappingTableBody.addEventListener('change', handleMappingChange);
+mappingApplyBtn.addEventListener('click', () => closeMappingDialog(true));
+document.getElementById('mappingCancelBtn').addEventListener('click', () => closeMappingDialog(false));
+mappingDialog.addEventListener('keydown', event => {
+    if (event.key === 'Escape') closeMappingDialog(false);
+});
+
+// Workbook sheet picker
+document.getElementById('sheetOpenBtn').addEventListener('click', () => closeSheetDialog(sheetSelect.value));
+document.getElementById('sheetCancelBtn').addEventListener('click', () => closeSheetDialog(null));
+sheetDialog.addEventListener('keydown', event => {
+    if (event.key === 'Escape') closeSheetDialog(null);
+});
+
+// Criteria editing
+thresholdPresetSelect.addEventListener('change', handleThresholdPreset);
+thresholdInputsDiv.addEventListener('change', handleThresholdInput);
+
+// Quality control review
+qaqcSettings.addEventListener('change', handleQualitySettings);
+[qaqcColumnFilter, qaqcTestFilter, qaqcStatusFilter].forEach(select => {
+    select.addEventListener('change', displayQualityFlags);
+});
+qaqcTableBody.addEventListener('click', handleQualityReview);
+document.getElementById('qaqcAcceptAllBtn').addEventListener('click', () => reviewShownFlags('accepted'));
+document.getElementById('qaqcRejectAllBtn').addEventListener('click', () => reviewShownFlags('rejected'));
+
+// Water quality index options redraw the index chart
+wqiMethodSelect.innerHTML = Object.entries(WaterQualityIndex.METHODS).map(([value, { label }]) =>
+    `<option value="${value}">${label}</option>`
+).join('');
+[wqiMethodSelect, wqiPeriodSelect].forEach(select => {
+    select.addEventListener('change', () => renderQuickView('wqi'));
+});
+
+// Station map: parameter and coloring redraw the map, clicking a station filters to it
+mapStatisticSelect.innerHTML = Object.entries(StationMap.STATISTICS).map(([value, label]) =>
+    `<option value="${value}">${label}</option>`
+).join('');
+[mapParameterSelect, mapStatisticSelect].forEach(select => {
+    select.addEventListener('change', () => renderQuickView('map'));
+});
+mapBaseLayerInput.addEventListener('change', handleBaseLayerSelect);
+document.getElementById('clearBaseLayerBtn').addEventListener('click', clearBaseLayer);
+visualizer.onPointClick = handleChartClick;
+
+// Trend analysis: every option redraws the trend view; clicking a results row charts that parameter
+trendConfidenceSelect.innerHTML = Object.entries(TrendAnalysis.CONFIDENCE_LEVELS).map(([value, label]) =>
+    `<option value="${value}">${label}</option>`
+).join('');
+trendConfidenceSelect.value = '0.95';
+trendChartSelect.innerHTML += Object.entries(TrendAnalysis.DECOMPOSITIONS).map(([value, { label }]) =>
+    `<option value="${value}">Decomposition: ${label}</option>`
+).join('');
+[trendParameterSelect, trendTestSelect, trendIntervalSelect, trendConfidenceSelect, trendChartSelect].forEach(select => {
+    select.addEventListener('change', () => renderQuickView('trend'));
+});
+trendResultsDiv.addEventListener('click', handleTrendRowClick);
+document.getElementById('exportTrendsBtn').addEventListener('click', exportTrendResults);
+
+// Expected sampling for the completeness report
+samplingIntervalSelect.innerHTML = '<option value="">Inferred per site</option>' +
+    Completeness.BUCKETS.map(bucket => `<option value="${bucket}">per ${bucket}</option>`).join('');
+[samplingCountInput, samplingIntervalSelect].forEach(control => control.addEventListener('change', displayCompleteness));
+
+// Quick view buttons, a toolbar moved through with the arrow keys
 document.querySelectorAll('.quick-view-btn').forEach(btn => {
     btn.addEventListener('click', handleQuickView);
 });
+quickViewButtons.addEventListener('keydown', handleQuickViewKeydown);
+markQuickView();
+
+displaySessions();
+showSharedViewNote();
 
 // ============ File Handling ============
 
 function handleFileSelect(event) {
-    const file = event.target.files[0];
-    if (file) {
-        processFile(file);
-    }
+    importFiles(Array.from(event.target.files));
 }
 
 function handleDragOver(event) {
@@ -67,78 +350,384 @@ function handleDragLeave() {
 function handleFileDrop(event) {
     event.preventDefault();
     uploadBox.classList.remove('drag-over');
-    const file = event.dataTransfer.files[0];
-    if (file && file.name.endsWith('.csv')) {
-        processFile(file);
+    const files = Array.from(event.dataTransfer.files).filter(file => importer.registry.supports(file.name));
+    if (files.length > 0) {
+        importFiles(files);
     } else {
-        showError('Please drop a CSV file');
+        showError(`Please drop a data file (${importer.registry.describe()})`);
+    }
+}
+
+async function importFiles(files) {
+    // One at a time: the importer runs a single import
+    for (const file of files) {
+        await processFile(file);
     }
 }
 
 function processFile(file) {
-    const reader = new FileReader();
-    
-    reader.onload = (e) => {
-        try {
-            const csvString = e.target.result;
-            parsedData = parser.parse(csvString);
-            
-            initializeUI();
-            displayDataInfo();
-            showSuccess(`Loaded ${parsedData.data.length} rows of data`);
-        } catch (error) {
-            showError(`Error parsing CSV: ${error.message}`);
+    // Parse into a separate parser so a failed or cancelled import leaves the loaded datasets alone
+    const staging = new CSVParser();
+    showImportProgress(file.name, 0);
+
+    const options = { chooseSheet: sheets => chooseSheet(file.name, sheets) };
+
+    return importer.import(file, staging, progress => showImportProgress(file.name, progress), options)
+        .then(result => {
+            const imported = staging.export();
+            return chooseColumnMapping(file.name, imported).then(mapping => ({ result, imported, mapping }));
+        })
+        .then(({ result, imported, mapping }) => {
+            const dataset = datasets.add(file.name.replace(/\.[^.]+$/, ''), imported, file.name, mapping);
+            loadDatasets();
+
+            const { errors, warnings } = result.diagnostics;
+            const source = datasets.datasets.length > 1 ? ` into dataset "${dataset.name}"` : '';
+            if (errors > 0 || warnings > 0) {
+                showSuccess(`Loaded ${result.rowCount} rows of data${source} with ${errors} dropped row(s) and ${warnings} warning(s) - see Import issues`);
+            } else {
+                showSuccess(`Loaded ${result.rowCount} rows of data${source}`);
+            }
+        })
+        .catch(error => {
+            if (error.name === 'AbortError') {
+                showSuccess('Import cancelled');
+            } else {
+                showError(`Error importing ${file.name}: ${error.message}`);
+            }
+        })
+        .finally(() => {
+            importProgress.style.display = 'none';
+            uploadBox.classList.remove('loading');
+            csvFileInput.value = '';
+        });
+}
+
+function showImportProgress(fileName, progress) {
+    const percent = Math.round(progress * 100);
+    importProgress.style.display = 'flex';
+    uploadBox.classList.add('loading');
+    importProgressBar.value = percent;
+    importProgressText.textContent = `Importing ${fileName}… ${percent}%`;
+}
+
+// ============ Datasets ============
+
+function loadDatasets() {
+    const combined = derivedColumns.apply(datasets.combine());
+    displayDatasets();
+
+    if (!combined) {
+        parser.clear();
+        parsedData = null;
+        hideDataSections();
+        return;
+    }
+
+    parsedData = parser.load(combined);
+    const view = takePendingView();
+    qualityControl.clear();
+    qualityControl.run(parser);
+    qualityControl.apply(parser);
+    if (view) restoreFilters(view.filters);
+    dataFilter.prune(parser);
+    dataFilter.apply(parser);
+
+    initializeThresholds();
+    initializeUI(view);
+    displayDataInfo();
+    displayImportIssues(parsedData.diagnostics);
+    displayQualityFlags();
+    refreshWaterQualityIndex();
+    refreshTrendResults();
+}
+
+function displayDatasets() {
+    datasetsSection.style.display = datasets.datasets.length > 0 ? 'block' : 'none';
+    datasetList.innerHTML = datasets.datasets.map(dataset => `
+        <div class="dataset-row" data-name="${escapeHtml(dataset.name)}">
+            <input type="checkbox" data-action="toggle" ${dataset.active ? 'checked' : ''} aria-label="Include ${escapeHtml(dataset.name)}">
+            <input type="text" data-action="rename" value="${escapeHtml(dataset.name)}" aria-label="Dataset name">
+            <span class="dataset-meta">${escapeHtml(dataset.fileName || '')} · ${dataset.result.diagnostics.importedRows} rows</span>
+            <button class="btn btn-secondary" data-action="columns">Columns…</button>
+            <button class="btn btn-secondary" data-action="remove">Remove</button>
+        </div>
+    `).join('');
+}
+
+function handleDatasetChange(event) {
+    const row = event.target.closest('.dataset-row');
+    if (!row) return;
+
+    if (event.target.dataset.action === 'toggle') {
+        datasets.setActive(row.dataset.name, event.target.checked);
+    } else if (event.target.dataset.action === 'rename') {
+        datasets.rename(row.dataset.name, event.target.value);
+    }
+    loadDatasets();
+}
+
+function handleDatasetClick(event) {
+    const row = event.target.closest('.dataset-row');
+    if (!row) return;
+
+    const dataset = datasets.get(row.dataset.name);
+    if (event.target.dataset.action === 'remove') {
+        datasets.remove(dataset.name);
+        loadDatasets();
+    } else if (event.target.dataset.action === 'columns') {
+        openMappingDialog(dataset.fileName || dataset.name, dataset.source, dataset.mapping ||
+            columnMappings.get(dataset.source).mapping).then(mapping => {
+            if (!mapping) return;
+            datasets.setMapping(dataset.name, mapping);
+            loadDatasets();
+        });
+    }
+}
+
+// ============ Sheet Picker ============
+
+// Resolves with the sheet to import from a workbook, or null when cancelled
+function chooseSheet(fileName, sheets) {
+    if (sheetChoice) closeSheetDialog(null);
+
+    importProgress.style.display = 'none';
+    sheetFileName.textContent = fileName;
+    sheetSelect.innerHTML = sheets.map(sheet =>
+        `<option value="${escapeHtml(sheet)}">${escapeHtml(sheet)}</option>`
+    ).join('');
+    sheetDialog.style.display = 'flex';
+    sheetSelect.focus();
+
+    return new Promise(resolve => {
+        sheetChoice = resolve;
+    });
+}
+
+function closeSheetDialog(sheet) {
+    if (!sheetChoice) return;
+    const resolve = sheetChoice;
+    sheetChoice = null;
+    sheetDialog.style.display = 'none';
+    sheetSelect.innerHTML = '';
+    resolve(sheet);
+}
+
+// ============ Column Mapping ============
+
+// Files with a saved layout are mapped without asking; the dataset's Columns… button reopens the dialog
+function chooseColumnMapping(fileName, source) {
+    const { mapping, saved } = columnMappings.get(source);
+    if (saved || Object.keys(mapping).length === 0) {
+        return Promise.resolve(mapping);
+    }
+
+    importProgress.style.display = 'none';
+    return openMappingDialog(fileName, source, mapping).then(chosen => chosen || mapping);
+}
+
+// Resolves with the edited mapping, or null when cancelled
+function openMappingDialog(fileName, source, mapping) {
+    if (mappingSession) closeMappingDialog(false);
+
+    const draft = {};
+    Object.entries(mapping).forEach(([column, entry]) => {
+        draft[column] = { ...entry };
+    });
+
+    mappingFileName.textContent = fileName;
+    mappingTableBody.innerHTML = Object.keys(draft).map(column => mappingRow(column, draft[column])).join('');
+    mappingRemember.checked = true;
+    mappingDialog.style.display = 'flex';
+
+    return new Promise(resolve => {
+        mappingSession = { source, draft, resolve };
+        displayMappingProblems();
+        const first = mappingTableBody.querySelector('select');
+        if (first) first.focus();
+    });
+}
+
+function closeMappingDialog(apply) {
+    if (!mappingSession) return;
+    const { source, draft, resolve } = mappingSession;
+    if (apply && ColumnMapping.validate(draft).length > 0) return;
+
+    mappingSession = null;
+    mappingDialog.style.display = 'none';
+    mappingTableBody.innerHTML = '';
+
+    if (!apply) {
+        resolve(null);
+        return;
+    }
+    if (mappingRemember.checked) {
+        columnMappings.save(source.headers, draft);
+    } else {
+        columnMappings.forget(source.headers);
+    }
+    resolve(draft);
+}
+
+function mappingRow(column, entry) {
+    const option = (value, label, selected) =>
+        `<option value="${escapeHtml(value)}" ${selected ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+    const parameterOptions = [option('', 'Not a parameter', !entry.parameter)].concat(
+        Object.entries(ParameterCatalog.DEFINITIONS).map(([id, { label }]) => option(id, label, id === entry.parameter))
+    ).join('');
+
+    let unitCell;
+    let targetCell;
+    if (entry.parameter) {
+        const { units } = ParameterCatalog.get(entry.parameter);
+        unitCell = `<select data-field="unit" aria-label="Unit of ${escapeHtml(column)} in the file">
+            ${units.map(unit => option(unit, unit || 'none', unit === entry.unit)).join('')}
+        </select>`;
+        targetCell = `<select data-field="target" aria-label="Show ${escapeHtml(column)} as">
+            ${units.filter(unit => UnitConverter.canConvert(entry.parameter, entry.unit, unit))
+                .map(unit => option(unit, unit || 'none', unit === entry.target)).join('')}
+        </select>`;
+    } else {
+        unitCell = `<input type="text" data-field="unit" value="${escapeHtml(entry.unit)}" aria-label="Unit of ${escapeHtml(column)}">`;
+        targetCell = '–';
+    }
+
+    return `
+        <tr data-column="${escapeHtml(column)}">
+            <th scope="row">${escapeHtml(column)}</th>
+            <td><select data-field="parameter" aria-label="Parameter measured by ${escapeHtml(column)}">${parameterOptions}</select></td>
+            <td>${unitCell}</td>
+            <td>${targetCell}</td>
+        </tr>
+    `;
+}
+
+function handleMappingChange(event) {
+    const row = event.target.closest('tr');
+    const field = event.target.dataset.field;
+    if (!row || !field || !mappingSession) return;
+
+    const column = row.dataset.column;
+    const entry = mappingSession.draft[column];
+    if (field === 'parameter') {
+        entry.parameter = event.target.value || null;
+        entry.unit = entry.parameter ? ParameterCatalog.suggestUnit(column, entry.parameter) : '';
+        entry.target = ColumnMapping.defaultTarget(entry.parameter, entry.unit);
+    } else if (field === 'unit') {
+        entry.unit = event.target.value.trim();
+        if (!entry.parameter || !UnitConverter.canConvert(entry.parameter, entry.unit, entry.target)) {
+            entry.target = ColumnMapping.defaultTarget(entry.parameter, entry.unit);
         }
-    };
+    } else {
+        entry.target = event.target.value;
+    }
 
-    reader.onerror = () => {
-        showError('Error reading file');
-    };
+    // Redraw the row so the unit choices follow the parameter, keeping focus on the edited field
+    row.outerHTML = mappingRow(column, entry);
+    const redrawn = [...mappingTableBody.querySelectorAll('tr')].find(tr => tr.dataset.column === column);
+    redrawn.querySelector(`[data-field="${field}"]`).focus();
+    displayMappingProblems();
+}
 
-    reader.readAsText(file);
+function displayMappingProblems() {
+    const problems = ColumnMapping.validate(mappingSession.draft);
+    mappingProblems.innerHTML = problems.map(problem => `<p>${escapeHtml(problem)}</p>`).join('');
+    mappingApplyBtn.disabled = problems.length > 0;
 }
 
 // ============ UI Initialization ============
 
-function initializeUI() {
+function initializeUI(view = null) {
     // Show controls
     controlsSection.style.display = 'block';
     infoSection.style.display = 'block';
+    thresholdsSection.style.display = 'block';
     quickViewsSection.style.display = 'block';
+    filtersSection.style.display = 'block';
+    derivedSection.style.display = 'block';
+    dashboardSection.style.display = 'block';
+    exportSection.style.display = 'block';
 
     // Populate dropdowns
     const allColumns = parser.getAllColumns();
     const numericColumns = parser.getNumericColumns();
 
     xAxisSelect.innerHTML = allColumns.map(col => 
-        `<option value="${col}">${col}</option>`
+        `<option value="${escapeHtml(col)}">${escapeHtml(parser.getColumnLabel(col))}</option>`
     ).join('');
 
     yAxisSelect.innerHTML = numericColumns.map(col => 
-        `<option value="${col}">${col}</option>`
+        `<option value="${escapeHtml(col)}">${escapeHtml(parser.getColumnLabel(col))}</option>`
+    ).join('');
+
+    const extraY = Array.from(extraYSelect.selectedOptions, option => option.value);
+    extraYSelect.innerHTML = numericColumns.map(col =>
+        `<option value="${escapeHtml(col)}" ${extraY.includes(col) ? 'selected' : ''}>${escapeHtml(parser.getColumnLabel(col))}</option>`
     ).join('');
 
     // Set defaults
     if (numericColumns.length > 0) {
         yAxisSelect.value = numericColumns[0];
     }
-    if (numericColumns.length > 1) {
+    const timeColumn = parser.getTimeColumn();
+    if (timeColumn) {
+        xAxisSelect.value = timeColumn;
+    } else if (numericColumns.length > 1) {
         xAxisSelect.value = numericColumns[1];
     }
 
+    populateGroupBy();
+    populateMapControls();
+    populateTrendControls();
+    populateFilterColumns();
+    displayFilters();
+    populateDerivedControls();
+    displayDerivedColumns();
+    displayReportCharts();
+
     // Create initial chart
-    updateChart();
+    if (view) {
+        showView(view);
+    } else {
+        updateChart();
+    }
+    renderDashboard();
+}
+
+function populateGroupBy() {
+    const previous = groupBySelect.value;
+    const options = [['', 'None']].concat(parser.getGroupableColumns().map(col => [col, col]));
+    if (parser.getTimeColumn()) {
+        options.push([CSVParser.GROUP_BY_MONTH, 'Month']);
+    }
+
+    groupBySelect.innerHTML = options.map(([value, label]) =>
+        `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`
+    ).join('');
+
+    // Keep the user's choice across reloads; otherwise compare sites, then datasets
+    const values = options.map(([value]) => value);
+    const preferred = values.find(value => /site|station/i.test(value)) ||
+        values.find(value => value === DatasetManager.DATASET_COLUMN);
+    groupBySelect.value = values.includes(previous) && previous ? previous : preferred || '';
+}
+
+function groupLabel(groupBy) {
+    return groupBy === CSVParser.GROUP_BY_MONTH ? 'Month' : groupBy;
 }
 
 function displayDataInfo() {
     const numericColumns = parser.getNumericColumns();
+    const timeColumn = parser.getTimeColumn();
+    const shownRows = parser.getVisibleRowCount();
     
     let statsHtml = '';
     
     statsHtml += `
         <div class="stat-item">
             <strong>Total Rows</strong>
-            <span>${parsedData.data.length}</span>
+            <span>${parsedData.rowCount}</span>
+            ${shownRows < parsedData.rowCount ? `<small>${shownRows} shown by filters</small>` : ''}
         </div>
         <div class="stat-item">
             <strong>Total Columns</strong>
@@ -146,64 +735,553 @@ function displayDataInfo() {
         </div>
     `;
 
-    numericColumns.slice(0, 3).forEach(col => {
+    if (timeColumn) {
+        const range = parser.getTimeRange();
+        statsHtml += `
+            <div class="stat-item">
+                <strong>Date Range</strong>
+                <span>${formatDate(range.first, false)}</span>
+                <small>to ${formatDate(range.last, false)}</small>
+            </div>
+        `;
+    }
+
+    dataStatsDiv.innerHTML = statsHtml;
+    displayCensoringControls();
+    exportRowCount.textContent = shownRows < parsedData.rowCount
+        ? `(${shownRows} of ${parsedData.rowCount} rows, as filtered)`
+        : `(${parsedData.rowCount} rows)`;
+
+    const rows = numericColumns.map(col => {
         const stats = parser.getColumnStats(col);
-        if (stats) {
-            statsHtml += `
-                <div class="stat-item">
-                    <strong>${col}</strong>
-                    <span>${stats.mean}</span>
-                    <small>Mean: ${stats.mean} | Range: ${stats.min}-${stats.max}</small>
-                </div>
-            `;
+        if (!stats) {
+            return `<tr><th scope="row">${escapeHtml(parser.getColumnLabel(col))}</th><td colspan="${SUMMARY_COLUMNS.length}">No numeric values</td></tr>`;
         }
-    });
+        return `
+            <tr>
+                <th scope="row">${escapeHtml(parser.getColumnLabel(col))}</th>
+                ${SUMMARY_COLUMNS.map(([key]) => `<td>${formatStat(key, stats[key])}</td>`).join('')}
+            </tr>
+        `;
+    }).join('');
 
-    dataStatsDiv.innerHTML = statsHtml;
+    columnSummaryDiv.innerHTML = numericColumns.length === 0 ? '' : `
+        <table class="summary-table">
+            <thead>
+                <tr>
+                    <th>Column</th>
+                    ${SUMMARY_COLUMNS.map(([, label]) => `<th>${label}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+
+    displayExceedances();
+    displayCompleteness();
+}
+
+const SUMMARY_COLUMNS = [
+    ['count', 'Count'],
+    ['missing', 'Missing'],
+    ['nonNumeric', 'Non-numeric'],
+    ['rejected', 'Rejected'],
+    ['censored', 'Censored'],
+    ['min', 'Min'],
+    ['p5', 'P5'],
+    ['q1', 'Q1'],
+    ['median', 'Median'],
+    ['mean', 'Mean'],
+    ['q3', 'Q3'],
+    ['p95', 'P95'],
+    ['p99', 'P99'],
+    ['max', 'Max'],
+    ['iqr', 'IQR'],
+    ['stdev', 'Std Dev'],
+    ['cv', 'CV'],
+    ['skewness', 'Skewness'],
+    ['kendallTau', 'Kendall τ'],
+    ['trendPValue', 'Trend p'],
+    ['senSlope', 'Sen slope/yr'],
+    ['first', 'First'],
+    ['last', 'Last']
+];
+
+function formatStat(key, value) {
+    if (value === null || value === undefined) return '–';
+    if (key === 'first' || key === 'last') return formatDate(value, true);
+    if (key === 'cv') return `${(value * 100).toFixed(1)}%`;
+    if (key === 'trendPValue') return value < 0.001 ? '< 0.001' : value.toFixed(3);
+    if (['count', 'missing', 'nonNumeric', 'rejected', 'censored'].includes(key)) return String(value);
+    return formatNumber(value);
+}
+
+function displayCensoringControls() {
+    const censored = parser.hasCensoredValues();
+    censoringControls.style.display = censored ? 'flex' : 'none';
+    if (!censored) return;
+
+    const estimator = censoredStatsSelect.value;
+    censoringNote.textContent = estimator === 'substitution'
+        ? `Censored results are summarized as plotted (${Censoring.SUBSTITUTIONS[substitutionSelect.value].toLowerCase()}).`
+        : `Mean, Std Dev and percentiles of columns with non-detects are ${Censoring.ESTIMATORS[estimator]} estimates; ` +
+            '– marks a percentile below the detection limits.';
+}
+
+function handleSubstitutionChange() {
+    parser.setSubstitution(substitutionSelect.value);
+    displayDataInfo();
+    refreshWaterQualityIndex();
+    refreshTrendResults();
+    refreshChart();
+}
+
+function handleCensoredStatsChange() {
+    parser.setCensoredEstimator(censoredStatsSelect.value);
+    displayDataInfo();
+    syncUrlHash();
+}
+
+const ISSUE_LABELS = {
+    [CSVParser.ISSUES.COLUMN_COUNT]: 'Wrong column count',
+    [CSVParser.ISSUES.INVALID_NUMBER]: 'Unparseable number',
+    [CSVParser.ISSUES.INVALID_DATE]: 'Unparseable date/time',
+    [CSVParser.ISSUES.DUPLICATE_HEADER]: 'Duplicate header',
+    [CSVParser.ISSUES.EMPTY_HEADER]: 'Empty header',
+    [CSVParser.ISSUES.UNTERMINATED_QUOTE]: 'Unterminated quote'
+};
+
+// Rendering thousands of rows would freeze the page; the counts still cover everything
+const MAX_ISSUE_ROWS = 500;
+
+function displayImportIssues(diagnostics) {
+    if (!diagnostics || diagnostics.issues.length === 0) {
+        issuesSection.style.display = 'none';
+        issuesTableBody.innerHTML = '';
+        return;
+    }
+
+    issuesSection.style.display = 'block';
+    issuesCount.textContent = `(${diagnostics.errors} dropped, ${diagnostics.warnings} warnings, ` +
+        `${diagnostics.importedRows} of ${diagnostics.totalRows} rows imported)`;
+
+    issuesSummary.innerHTML = Object.entries(diagnostics.counts).map(([reason, count]) =>
+        `<span class="issue-badge">${ISSUE_LABELS[reason] || reason}: ${count}</span>`
+    ).join('');
+
+    const rows = diagnostics.issues.slice(0, MAX_ISSUE_ROWS).map(issue => `
+        <tr>
+            <td>${issue.row}</td>
+            <td class="severity-${issue.severity}">${issue.severity}</td>
+            <td>${ISSUE_LABELS[issue.reason] || issue.reason}</td>
+            <td>${escapeHtml(issue.message)}</td>
+            <td><code>${escapeHtml(issue.raw)}</code></td>
+        </tr>
+    `);
+
+    const total = diagnostics.errors + diagnostics.warnings;
+    if (total > rows.length) {
+        rows.push(`<tr><td colspan="5">… ${total - rows.length} more issues not shown</td></tr>`);
+    }
+
+    issuesTableBody.innerHTML = rows.join('');
 }
 
 // ============ Chart Management ============
 
 function updateChart() {
-    const xAxis = xAxisSelect.value;
-    const yAxis = yAxisSelect.value;
-    const chartType = chartTypeSelect.value;
-
-    if (!xAxis || !yAxis) {
+    const settings = chartSettings();
+    if (!settings.xAxis || !settings.yAxis) {
         showError('Please select both axes');
         return;
     }
 
+    currentQuickView = null;
+    markQuickView();
+
     try {
-        const xData = parsedData.data.map(row => row[xAxis]);
-        const yData = parsedData.data.map(row => row[yAxis]);
+        chartAxes = drawChart(visualizer, settings);
+        syncUrlHash();
+    } catch (error) {
+        showError(`Error creating chart: ${error.message}`);
+    }
+}
 
-        const title = `${yAxis} vs ${xAxis}`;
+function chartSettings() {
+    return {
+        chartType: chartTypeSelect.value,
+        xAxis: xAxisSelect.value,
+        yAxis: yAxisSelect.value,
+        groupBy: groupBySelect.value,
+        extraY: Array.from(extraYSelect.selectedOptions, option => option.value),
+        trend: trendSelect.value,
+        resample: resampleSelect.value,
+        aggregation: aggregationSelect.value,
+        rolling: rollingSelect.value
+    };
+}
 
-        switch (chartType) {
-            case 'scatter':
-                visualizer.scatterPlot(xData, yData, xAxis, yAxis, title);
-                break;
-            case 'line':
-                visualizer.lineChart(xData, yData, xAxis, yAxis, title);
-                break;
-            case 'bar':
-                visualizer.barChart(xData, yData, xAxis, yAxis, title);
-                break;
-            case 'box':
-                // For box plot, group data if possible
-                visualizer.boxPlot([yData], [yAxis], yAxis, title);
-                break;
-            default:
-                visualizer.scatterPlot(xData, yData, xAxis, yAxis, title);
+// Draws into the main chart or a dashboard panel; returns the columns on the
+// chart's axes ({ x, y, rows }) so selections can be turned into filters
+function drawChart(target, settings) {
+    const { chartType, xAxis, yAxis, groupBy } = settings;
+    const xData = parser.getColumnValues(xAxis);
+    const yData = parser.getColumnValues(yAxis);
+
+    const title = `${yAxis} vs ${xAxis}${groupBy ? ` by ${groupLabel(groupBy)}` : ''}`;
+    const xLabel = parser.getColumnLabel(xAxis);
+    const yLabel = parser.getColumnLabel(yAxis);
+    const options = {
+        limits: thresholds.getLimitForColumn(yAxis, parser),
+        groups: groupBy ? parser.getGroupLabels(groupBy) : null,
+        flags: flagMarkers(yAxis, xData, yData),
+        censored: censoredMarkers(yAxis, xData, yData)
+    };
+
+    switch (chartType) {
+        case 'scatter':
+            target.scatterPlot(xData, yData, xLabel, yLabel, title, {
+                ...options,
+                trend: fitTrend(xAxis, yAxis, settings.trend)
+            });
+            break;
+        case 'line':
+            target.lineChart(xData, yData, xLabel, yLabel, title, options);
+            break;
+        case 'bar':
+            target.barChart(xData, yData, xLabel, yLabel, title, options);
+            break;
+        case 'box':
+        case 'violin':
+            return drawDistribution(target, settings, options);
+        case 'histogram':
+            target.histogram(yData, yLabel, `${yAxis} Distribution${groupBy ? ` by ${groupLabel(groupBy)}` : ''}`, {
+                limits: options.limits,
+                groups: options.groups
+            });
+            return { x: yAxis, y: null, rows: false };
+        case 'multiline':
+        case 'multiaxis':
+            return drawMultiSeries(target, settings);
+        case 'timeseries':
+            return drawTimeSeries(target, settings, { limits: options.limits });
+        case 'diel':
+        case 'seasonal':
+        case 'calendar':
+            return drawCycleChart(target, settings, options);
+        case 'depth':
+            return drawDepthProfile(target, settings, options);
+        case 'splom':
+            return drawScatterMatrix(target, settings);
+        default:
+            target.scatterPlot(xData, yData, xLabel, yLabel, title, options);
+    }
+    return { x: xAxis, y: yAxis, rows: true };
+}
+
+function drawTimeSeries(target, settings, options) {
+    const timeColumn = parser.getTimeColumn();
+    if (!timeColumn) {
+        showError('Time series needs a date/time column');
+        return null;
+    }
+
+    const { yAxis: column, groupBy, resample: interval, aggregation } = settings;
+    const rollingWindow = TimeSeries.ROLLING_WINDOWS[settings.rolling];
+
+    // Resample each group on its own, then draw them as one line per group
+    const groups = groupBy ? parser.getGroupIndices(groupBy) : new Map([[null, null]]);
+    const times = [];
+    const values = [];
+    const labels = [];
+    const overlays = [];
+
+    groups.forEach((indices, label) => {
+        const series = parser.getTimeSeries(column, { interval, aggregation, indices });
+        times.push(...series.times);
+        values.push(...series.values);
+        labels.push(...series.times.map(() => label));
+
+        if (rollingWindow) {
+            const rolling = TimeSeries.rolling(series.times, series.values, rollingWindow.ms);
+            overlays.push({
+                x: TimeSeries.toDates(rolling.times),
+                y: rolling.values,
+                name: label === null ? `${rollingWindow.label} average` : `${label} ${rollingWindow.label} average`
+            });
         }
-    } catch (error) {
-        showError(`Error creating chart: ${error.message}`);
+    });
+
+    let title = interval
+        ? `${TimeSeries.INTERVALS[interval]} ${aggregation} ${column}`
+        : `${column} over time`;
+    if (groupBy) {
+        title += ` by ${groupLabel(groupBy)}`;
+    }
+
+    // Resampled points no longer correspond to single readings, so only raw series show flags
+    const timeValues = interval ? null : parser.getColumnValues(timeColumn);
+    const columnValues = interval ? null : parser.getColumnValues(column);
+
+    target.lineChart(TimeSeries.toDates(times), values, timeColumn, parser.getColumnLabel(column), title, {
+        ...options,
+        groups: groupBy ? labels : null,
+        flags: interval ? null : flagMarkers(column, timeValues, columnValues),
+        censored: interval ? null : censoredMarkers(column, timeValues, columnValues),
+        timeSeries: true,
+        overlays
+    });
+    return { x: timeColumn, y: column, rows: false };
+}
+
+// Box and violin plots split the values by the x column when it holds categories
+// (sites, campaigns), otherwise by the grouping
+function drawDistribution(target, settings, options) {
+    const { chartType, xAxis, yAxis, groupBy } = settings;
+    const yData = parser.getColumnValues(yAxis);
+    const yLabel = parser.getColumnLabel(yAxis);
+    const violin = chartType === 'violin';
+
+    if (xAxis !== yAxis && parser.getGroupableColumns().includes(xAxis)) {
+        const grouped = groupBy && groupBy !== xAxis;
+        target.categoryPlot(parser.getGroupLabels(xAxis), yData, xAxis, yLabel,
+            `${yAxis} by ${xAxis}${grouped ? ` and ${groupLabel(groupBy)}` : ''}`, {
+                limits: options.limits,
+                groups: grouped ? options.groups : null,
+                violin
+            });
+    } else if (violin) {
+        target.categoryPlot(groupBy ? options.groups : yData.map(() => yAxis), yData, groupBy ? groupLabel(groupBy) : '', yLabel,
+            groupBy ? `${yAxis} by ${groupLabel(groupBy)}` : `${yAxis} Distribution`, {
+                limits: options.limits,
+                violin
+            });
+    } else if (groupBy) {
+        // One box per group
+        const groups = parser.getGroupIndices(groupBy);
+        const boxes = [...groups.values()].map(rows => rows.map(row => yData[row]));
+        target.boxPlot(boxes, [...groups.keys()], yLabel, `${yAxis} by ${groupLabel(groupBy)}`, {
+            ...options,
+            flags: null,
+            censored: null
+        });
+    } else {
+        target.boxPlot([yData], [yAxis], yLabel, `${yAxis} Distribution`, {
+            ...options,
+            flags: flagMarkers(yAxis, yData.map(() => yAxis), yData),
+            censored: censoredMarkers(yAxis, yData.map(() => yAxis), yData)
+        });
+    }
+    return { x: null, y: yAxis, rows: false };
+}
+
+// Hollow markers over results below a detection limit or above a range, at the
+// value they are plotted at, with the result as reported on hover
+function censoredMarkers(column, xData, yData) {
+    const qualifiers = parser.getQualifiers(column);
+    if (!qualifiers) return null;
+
+    const reported = parser.table.getRawColumn(column);
+    const markers = { x: [], y: [], flags: [], text: [] };
+    qualifiers.rows.forEach((row, i) => {
+        const flag = qualifiers.flags[i];
+        // Excluded and filtered-out values aren't plotted
+        if (!Censoring.isCensored(flag) || yData[row] === null) return;
+        markers.x.push(xData[row]);
+        markers.y.push(yData[row]);
+        markers.flags.push(flag);
+        markers.text.push(`Reported ${Censoring.format(reported[row], flag)}`);
+    });
+    return markers.x.length > 0 ? markers : null;
+}
+
+// The y column plus the "Also plot" columns, on a shared axis or one axis each
+function drawMultiSeries(target, settings) {
+    const { chartType, xAxis, yAxis, groupBy } = settings;
+    const columns = [yAxis, ...(settings.extraY || []).filter(col => col !== yAxis)];
+    const xSchema = parser.getColumnSchema(xAxis);
+    const timeSeries = Boolean(xSchema && FILTER_COLUMN_TYPES.date.includes(xSchema.type));
+    const xData = parser.getColumnValues(xAxis);
+    const xLabel = parser.getColumnLabel(xAxis);
+    const title = `${columns.join(', ')} vs ${xAxis}`;
+
+    if (chartType === 'multiaxis') {
+        if (columns.length > Visualizer.MAX_Y_AXES) {
+            showError(`Only the first ${Visualizer.MAX_Y_AXES} columns fit on their own axes`);
+        }
+        target.multiAxisChart(xData, columns.map(col => ({
+            label: parser.getColumnLabel(col),
+            values: parser.getColumnValues(col),
+            limits: thresholds.getLimitForColumn(col, parser)
+        })), xLabel, title, { timeSeries });
+    } else {
+        const values = {};
+        const limits = {};
+        columns.forEach(col => {
+            const label = parser.getColumnLabel(col);
+            values[label] = parser.getColumnValues(col);
+            limits[label] = thresholds.getLimitForColumn(col, parser);
+        });
+        target.multiLineChart(xData, values, xLabel, 'Value', title, {
+            limits,
+            groups: groupBy ? parser.getGroupLabels(groupBy) : null,
+            timeSeries
+        });
+    }
+    return { x: xAxis, y: null, rows: false };
+}
+
+// Diel profiles, month-of-year boxes and calendar heatmaps all read the sample times
+function drawCycleChart(target, settings, options) {
+    const timeColumn = parser.getTimeColumn();
+    if (!timeColumn) {
+        showError('This chart needs a date/time column');
+        return null;
+    }
+
+    const { chartType, yAxis, groupBy } = settings;
+    const times = parser.table.getColumn(timeColumn);
+    const values = parser.table.getColumn(yAxis);
+    const yLabel = parser.getColumnLabel(yAxis);
+    const by = groupBy ? ` by ${groupLabel(groupBy)}` : '';
+
+    if (chartType === 'diel') {
+        const groups = groupBy ? parser.getGroupIndices(groupBy) : new Map([[yAxis, null]]);
+        const profiles = [...groups].map(([name, rows]) => ({
+            name,
+            ...TimeSeries.cycleProfile(
+                rows ? rows.map(row => times[row]) : times,
+                rows ? rows.map(row => values[row]) : values,
+                'hour'
+            )
+        }));
+        const { label, positions } = TimeSeries.CYCLES.hour;
+        target.profileChart(profiles, positions, label, yLabel, `Diel ${yAxis} Profile${by}`, { limits: options.limits });
+        return { x: null, y: yAxis, rows: false };
+    }
+
+    if (chartType === 'seasonal') {
+        const { label, positions } = TimeSeries.CYCLES.month;
+        const months = Array.from(times, time => {
+            const month = TimeSeries.cyclePosition(time, 'month');
+            return Number.isNaN(month) ? null : positions[month];
+        });
+        target.categoryPlot(months, values, label, yLabel, `${yAxis} by Month of Year${by}`, {
+            limits: options.limits,
+            groups: options.groups,
+            order: positions
+        });
+        return { x: null, y: yAxis, rows: false };
+    }
+
+    const daily = TimeSeries.resample(times, values, 'day', 'mean');
+    target.calendarHeatmap(daily.times, daily.values, yLabel, `Daily Mean ${yAxis}`, { limits: options.limits });
+    return { x: null, y: null, rows: false };
+}
+
+// Depth comes from a column named "depth", or the x column when there is none
+function findDepthColumn(settings) {
+    const numeric = parser.getNumericColumns().filter(col => col !== settings.yAxis);
+    return numeric.find(col => ParameterCatalog.tokenize(col).includes('depth')) ||
+        (numeric.includes(settings.xAxis) ? settings.xAxis : null);
+}
+
+function drawDepthProfile(target, settings, options) {
+    const depthColumn = findDepthColumn(settings);
+    if (!depthColumn) {
+        showError('Depth profiles need a numeric depth column');
+        return null;
+    }
+
+    const { yAxis, groupBy } = settings;
+    const depths = parser.getColumnValues(depthColumn);
+    const values = parser.getColumnValues(yAxis);
+    // Grouping (e.g. by site or month) separates the casts, so each can be drawn as a line
+    const groups = groupBy ? parser.getGroupIndices(groupBy) : new Map([[yAxis, null]]);
+    const profiles = [...groups].map(([name, rows]) => ({
+        name,
+        values: rows ? rows.map(row => values[row]) : values,
+        depths: rows ? rows.map(row => depths[row]) : depths,
+        joined: Boolean(groupBy)
+    }));
+
+    target.depthProfile(profiles, parser.getColumnLabel(yAxis), parser.getColumnLabel(depthColumn),
+        `${yAxis} Depth Profile${groupBy ? ` by ${groupLabel(groupBy)}` : ''}`, { limits: options.limits });
+    return { x: yAxis, y: depthColumn, rows: false };
+}
+
+// Beyond this many columns the matrix cells get too small to read
+const MAX_MATRIX_COLUMNS = 8;
+
+function drawScatterMatrix(target, settings) {
+    const numericColumns = parser.getNumericColumns();
+    if (numericColumns.length < 2) {
+        showError('A scatter matrix needs at least two numeric columns');
+        return null;
+    }
+
+    const columns = {};
+    numericColumns.slice(0, MAX_MATRIX_COLUMNS).forEach(col => {
+        columns[parser.getColumnLabel(col)] = parser.getColumnValues(col);
+    });
+    const shown = numericColumns.length > MAX_MATRIX_COLUMNS ? ` (first ${MAX_MATRIX_COLUMNS} columns)` : '';
+    target.scatterMatrix(columns, `Scatter Matrix${shown}`, {
+        groups: settings.groupBy ? parser.getGroupLabels(settings.groupBy) : null
+    });
+    return { x: null, y: null, rows: true };
+}
+
+const DAY_MS = 24 * 3600 * 1000;
+
+function fitTrend(xAxis, yAxis, method) {
+    if (!method) return null;
+
+    const column = parser.getColumnSchema(xAxis);
+    const isTime = column && ['date', 'datetime'].includes(column.type);
+    if (!column || !(isTime || ['number', 'integer'].includes(column.type))) {
+        showError('Trend lines need a numeric or date X-axis');
+        return null;
+    }
+
+    const x = parser.table.getColumn(xAxis);
+    const y = parser.table.getColumn(yAxis);
+    if (!isTime) {
+        const trend = Regression.fit(x, y, method);
+        if (!trend) showError('Not enough data for a trend line');
+        return trend;
+    }
+
+    // Fit dates as days since the first reading so the coefficients stay readable
+    const origin = Statistics.clean(x).reduce((a, b) => (b < a ? b : a), Infinity);
+    const trend = Regression.fit(Array.from(x, time => (time - origin) / DAY_MS), y, method);
+    if (!trend) {
+        showError('Not enough data for a trend line');
+        return null;
+    }
+
+    const toDate = days => new Date(origin + days * DAY_MS);
+    trend.curve.x = trend.curve.x.map(toDate);
+    trend.residuals.x = trend.residuals.x.map(toDate);
+    if (trend.equation) {
+        trend.equation += ` (x = days since ${formatDate(new Date(origin))})`;
     }
+    return trend;
+}
+
+function updateChartTypeControls() {
+    const toggle = (controls, visible) => controls.forEach(control => {
+        control.style.display = visible ? 'flex' : 'none';
+    });
+    toggle(timeSeriesControls, chartTypeSelect.value === 'timeseries');
+    toggle(scatterControls, chartTypeSelect.value === 'scatter');
+    toggle(multiSeriesControls, ['multiline', 'multiaxis'].includes(chartTypeSelect.value));
 }
 
 function handleQuickView(event) {
-    const viewType = event.target.dataset.view;
+    renderQuickView(event.target.dataset.view);
+}
+
+function renderQuickView(viewType) {
     const numericColumns = parser.getNumericColumns();
 
     if (numericColumns.length < 1) {
@@ -211,102 +1289,1857 @@ function handleQuickView(event) {
         return;
     }
 
+    currentQuickView = viewType;
+    markQuickView();
+    chartAxes = null;
+    const groupBy = groupBySelect.value;
+    const groups = groupBy ? parser.getGroupLabels(groupBy) : null;
+
     try {
         switch (viewType) {
             case 'overview':
                 if (numericColumns.length >= 2) {
-                    const xData = parsedData.data.map((_, i) => i);
+                    const timeColumn = parser.getTimeColumn();
+                    const xData = timeColumn
+                        ? parser.getColumnValues(timeColumn)
+                        : Array.from({ length: parsedData.rowCount }, (_, i) => i);
                     const datasets = {};
+                    const limits = {};
                     numericColumns.slice(0, 3).forEach(col => {
-                        datasets[col] = parsedData.data.map(row => row[col]);
+                        const label = parser.getColumnLabel(col);
+                        datasets[label] = parser.getColumnValues(col);
+                        limits[label] = thresholds.getLimitForColumn(col, parser);
+                    });
+                    chartAxes = timeColumn ? { x: timeColumn, y: null, rows: false } : null;
+                    visualizer.multiLineChart(xData, datasets, timeColumn || 'Index', 'Value', 'Water Quality Overview', {
+                        limits,
+                        groups,
+                        timeSeries: Boolean(timeColumn)
                     });
-                    visualizer.multiLineChart(xData, datasets, 'Index', 'Value', 'Water Quality Overview');
                 }
                 break;
-            case 'ph':
-                const phCol = parsedData.headers.find(h => h.toLowerCase().includes('ph'));
-                if (phCol) {
-                    const phData = parsedData.data.map(row => row[phCol]);
-                    visualizer.histogram(phData, 'pH', 'pH Distribution');
-                } else {
-                    showError('pH column not found');
+            case 'correlation': {
+                if (numericColumns.length < 2) {
+                    showError('Correlations need at least two numeric columns');
+                    break;
                 }
+                const method = correlationMethodSelect.value;
+                const columns = {};
+                numericColumns.forEach(col => {
+                    columns[parser.getColumnLabel(col)] = parser.table.getColumn(col);
+                });
+                const label = method === 'spearman' ? 'Spearman' : 'Pearson';
+                visualizer.correlationHeatmap(Statistics.correlationMatrix(columns, method), `${label} Correlation Matrix`);
                 break;
-            case 'temperature':
-                const tempCol = parsedData.headers.find(h => 
-                    h.toLowerCase().includes('temp') || h.toLowerCase().includes('temperature')
+            }
+            case 'wqi': {
+                const result = displayWaterQualityIndex();
+                if (!result) break;
+
+                const { label, categories } = WaterQualityIndex.METHODS[result.method];
+                const timeColumn = parser.getTimeColumn();
+                visualizer.indexChart(
+                    result.results.map(entry => (timeColumn ? new Date(entry.time) : entry.time)),
+                    result.results.map(entry => entry.index),
+                    result.results.map(entry => entry.category.label),
+                    categories,
+                    timeColumn || 'Sample',
+                    label,
+                    `${label} ${result.period === 'day' ? 'by day' : 'by sample'}`
                 );
-                if (tempCol) {
-                    const tempData = parsedData.data.map(row => row[tempCol]);
-                    visualizer.histogram(tempData, 'Temperature', 'Temperature Distribution');
-                } else {
-                    showError('Temperature column not found');
-                }
                 break;
-            case 'dissolvedOxygen':
-                const doCol = parsedData.headers.find(h => 
-                    h.toLowerCase().includes('oxygen') || h.toLowerCase().includes('do')
-                );
-                if (doCol) {
-                    const doData = parsedData.data.map(row => row[doCol]);
-                    visualizer.histogram(doData, 'Dissolved Oxygen', 'Dissolved Oxygen Distribution');
-                } else {
-                    showError('Dissolved Oxygen column not found');
-                }
+            }
+            case 'map':
+                drawStationMap();
                 break;
-            case 'turbidity':
-                const turbCol = parsedData.headers.find(h => 
-                    h.toLowerCase().includes('turbidity') || h.toLowerCase().includes('turb')
-                );
-                if (turbCol) {
-                    const turbData = parsedData.data.map(row => row[turbCol]);
-                    visualizer.histogram(turbData, 'Turbidity', 'Turbidity Distribution');
+            case 'trend':
+                drawTrendAnalysis();
+                break;
+            case 'ph':
+            case 'temperature':
+            case 'dissolvedOxygen':
+            case 'turbidity': {
+                const { label } = ParameterCatalog.get(viewType);
+                const column = parser.findParameterColumn(viewType);
+                if (column) {
+                    const unit = parser.getUnit(column);
+                    chartAxes = { x: column, y: null, rows: false };
+                    visualizer.histogram(parser.getColumnValues(column), unit ? `${label} (${unit})` : label, `${label} Distribution`, {
+                        limits: thresholds.getLimitForColumn(column, parser),
+                        groups
+                    });
                 } else {
-                    showError('Turbidity column not found');
+                    showError(`${label} column not found`);
                 }
                 break;
+            }
         }
+        syncUrlHash();
     } catch (error) {
         showError(`Error: ${error.message}`);
     }
 }
 
-// ============ Utility Functions ============
+function refreshChart() {
+    if (currentQuickView) {
+        renderQuickView(currentQuickView);
+    } else {
+        updateChart();
+    }
+    dashboard.panels.forEach(drawPanel);
+}
+
+// ============ Filters ============
+
+const FILTER_COLUMN_TYPES = {
+    number: ['number', 'integer'],
+    date: ['date', 'datetime'],
+    category: ['string', 'boolean'],
+    complete: ['number', 'integer']
+};
+
+// A checkbox per value stops being usable long before this
+const MAX_FILTER_VALUES = 100;
+
+function filterColumns(kind) {
+    return parser.getAllColumns().filter(col => {
+        const column = parser.getColumnSchema(col);
+        return column && FILTER_COLUMN_TYPES[kind].includes(column.type);
+    });
+}
+
+function populateFilterColumns() {
+    const kind = filterKindSelect.value;
+    const options = kind === 'complete' ? [['', 'All numeric columns']] : [];
+    options.push(...filterColumns(kind).map(col => [col, parser.getColumnLabel(col)]));
+
+    filterColumnSelect.innerHTML = options.map(([value, label]) =>
+        `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`
+    ).join('');
+    renderFilterEditor();
+}
+
+function renderFilterEditor() {
+    const kind = filterKindSelect.value;
+    const column = filterColumnSelect.value;
+    addFilterBtn.disabled = false;
+
+    if (kind !== 'complete' && !column) {
+        filterEditor.innerHTML = '<span class="filter-note">No suitable columns</span>';
+        addFilterBtn.disabled = true;
+        return;
+    }
+
+    switch (kind) {
+        case 'number': {
+            const stats = parser.getColumnStats(column);
+            filterEditor.innerHTML = `
+                <div class="control-group">
+                    <label for="filterMin">Min:</label>
+                    <input type="number" step="any" id="filterMin" placeholder="${formatNumber(stats ? stats.min : null)}">
+                </div>
+                <div class="control-group">
+                    <label for="filterMax">Max:</label>
+                    <input type="number" step="any" id="filterMax" placeholder="${formatNumber(stats ? stats.max : null)}">
+                </div>
+            `;
+            break;
+        }
+        case 'date':
+            filterEditor.innerHTML = `
+                <div class="control-group">
+                    <label for="filterMin">From:</label>
+                    <input type="datetime-local" id="filterMin">
+                </div>
+                <div class="control-group">
+                    <label for="filterMax">To:</label>
+                    <input type="datetime-local" id="filterMax">
+                </div>
+            `;
+            break;
+        case 'category': {
+            const values = parser.getDistinctValues(column);
+            if (values.length > MAX_FILTER_VALUES) {
+                filterEditor.innerHTML = `<span class="filter-note">${values.length} distinct values - too many to pick from</span>`;
+                addFilterBtn.disabled = true;
+                break;
+            }
+            filterEditor.innerHTML = `
+                <fieldset class="filter-values">
+                    <legend>Keep:</legend>
+                    ${values.map(value => `
+                        <label><input type="checkbox" value="${escapeHtml(value)}" checked> ${escapeHtml(value)}</label>
+                    `).join('')}
+                </fieldset>
+            `;
+            break;
+        }
+        default:
+            filterEditor.innerHTML = '<span class="filter-note">Drops rows with blank, unparseable or rejected readings</span>';
+    }
+}
+
+function handleAddFilter() {
+    const kind = filterKindSelect.value;
+    const column = filterColumnSelect.value || null;
+    let condition;
+
+    if (kind === 'number' || kind === 'date') {
+        const read = id => {
+            const text = document.getElementById(id).value;
+            if (text === '') return null;
+            return kind === 'date' ? new Date(text).getTime() : parseFloat(text);
+        };
+        const min = read('filterMin');
+        const max = read('filterMax');
+        if (min === null && max === null) {
+            showError('Enter a lower bound, an upper bound or both');
+            return;
+        }
+        if (min !== null && max !== null && min > max) {
+            showError('The lower bound is above the upper bound');
+            return;
+        }
+        condition = { type: 'range', column, min, max };
+    } else if (kind === 'category') {
+        const values = [...filterEditor.querySelectorAll('input[type="checkbox"]:checked')].map(input => input.value);
+        if (values.length === 0) {
+            showError('Pick at least one value to keep');
+            return;
+        }
+        condition = { type: 'category', column, values };
+    } else {
+        condition = { type: 'complete', column };
+    }
+
+    dataFilter.add(condition);
+    applyFilters();
+}
+
+function handleChartSelection(selection, axes = chartAxes) {
+    if (!parsedData || !axes) return;
+
+    // Box selection: a range on each axis that shows a numeric or date column
+    const added = !selection.range ? [] : ['x', 'y'].filter(axis => {
+        const column = axes[axis];
+        const bounds = selection.range[axis];
+        const schema = column ? parser.getColumnSchema(column) : null;
+        if (!bounds || !schema || ![...FILTER_COLUMN_TYPES.number, ...FILTER_COLUMN_TYPES.date].includes(schema.type)) {
+            return false;
+        }
+
+        // Date axes report their range as local date strings
+        const [a, b] = bounds.map(value => (typeof value === 'number' ? value : new Date(String(value).replace(' ', 'T')).getTime()));
+        dataFilter.add({ type: 'range', column, min: Math.min(a, b), max: Math.max(a, b) });
+        return true;
+    });
+
+    // Otherwise keep the selected points, on charts whose points are rows (a scatter
+    // matrix reports its box selections on axes that aren't single columns)
+    if (added.length === 0) {
+        if (axes.rows && selection.rows.length > 0) {
+            dataFilter.add({ type: 'selection', rows: selection.rows });
+        } else {
+            showError(selection.range
+                ? 'This chart can\'t be filtered by a selected range'
+                : 'Lasso selection works on scatter, line and bar charts; use box select here');
+            return;
+        }
+    }
+    applyFilters();
+}
+
+function handleFilterChipClick(event) {
+    const button = event.target.closest('button');
+    if (!button) return;
+
+    if (button.dataset.action === 'clear') {
+        dataFilter.clear();
+    } else {
+        dataFilter.remove(Number(button.dataset.id));
+    }
+    applyFilters();
+}
+
+function applyFilters() {
+    dataFilter.apply(parser);
+    displayFilters();
+    displayDataInfo();
+    refreshWaterQualityIndex();
+    refreshTrendResults();
+    refreshChart();
+}
+
+function displayFilters() {
+    const conditions = dataFilter.getConditions();
+    filterStatus.textContent = conditions.length > 0
+        ? `Showing ${parser.getVisibleRowCount()} of ${parser.getRowCount()} rows`
+        : '';
+
+    filterChips.innerHTML = conditions.map(condition => {
+        const text = escapeHtml(describeFilter(condition));
+        return `
+            <span class="filter-chip">
+                ${text}
+                <button data-id="${condition.id}" aria-label="Remove filter ${text}">×</button>
+            </span>
+        `;
+    }).join('') + (conditions.length > 1
+        ? '<button class="btn btn-secondary" data-action="clear">Clear all</button>'
+        : '');
+}
+
+function describeFilter(condition) {
+    switch (condition.type) {
+        case 'range': {
+            const column = parser.getColumnSchema(condition.column);
+            const isDate = column && FILTER_COLUMN_TYPES.date.includes(column.type);
+            const format = value => (isDate ? formatDate(new Date(value), column.type === 'datetime') : formatNumber(value));
+            const label = parser.getColumnLabel(condition.column);
+            if (condition.min !== null && condition.max !== null) {
+                return `${label}: ${format(condition.min)} – ${format(condition.max)}`;
+            }
+            return condition.min !== null ? `${label} ≥ ${format(condition.min)}` : `${label} ≤ ${format(condition.max)}`;
+        }
+        case 'category': {
+            const shown = condition.values.slice(0, 3).join(', ');
+            const more = condition.values.length > 3 ? ` +${condition.values.length - 3} more` : '';
+            return `${condition.column}: ${shown}${more}`;
+        }
+        case 'complete':
+            return condition.column ? `${condition.column} has a value` : 'Every numeric column has a value';
+        default:
+            return `${condition.rows.length} selected point${condition.rows.length === 1 ? '' : 's'}`;
+    }
+}
+
+// ============ Calculated Columns ============
+
+function populateDerivedControls() {
+    derivedInsertSelect.innerHTML = '<option value="">Insert…</option>' + parser.getNumericColumns().map(col =>
+        `<option value="${escapeHtml(col)}">${escapeHtml(parser.getColumnLabel(col))}</option>`
+    ).join('');
+}
+
+function displayDerivedColumns() {
+    derivedList.innerHTML = derivedColumns.definitions.map(definition => {
+        const problem = derivedColumns.problems[definition.name];
+        const unit = definition.unit ? ` (${definition.unit})` : '';
+        return `
+            <div class="dataset-row" data-name="${escapeHtml(definition.name)}">
+                <strong>${escapeHtml(definition.name + unit)}</strong>
+                <span class="derived-formula">= ${escapeHtml(definition.expression)}</span>
+                ${problem ? `<span class="derived-problem">Not calculated: ${escapeHtml(problem)}</span>` : ''}
+                <button class="btn btn-secondary" data-action="edit">Edit</button>
+                <button class="btn btn-secondary" data-action="remove">Remove</button>
+            </div>
+        `;
+    }).join('');
+}
+
+// The chemistry formulas expect their inputs in the parameter's standard unit
+function standardParameterColumn(parameterId) {
+    const { unit } = ParameterCatalog.get(parameterId);
+    return parser.getNumericColumns().find(col => parser.getParameter(col) === parameterId && parser.getUnit(col) === unit);
+}
+
+function applyDerivedPreset() {
+    if (!derivedPresetSelect.value) return;
+
+    try {
+        const definition = DerivedColumns.fromLibrary(derivedPresetSelect.value, standardParameterColumn);
+        derivedNameInput.value = definition.name;
+        derivedUnitInput.value = definition.unit;
+        derivedExpressionInput.value = definition.expression;
+    } catch (error) {
+        showError(error.message);
+        derivedPresetSelect.value = '';
+    }
+}
+
+function insertDerivedColumn() {
+    const column = derivedInsertSelect.value;
+    derivedInsertSelect.value = '';
+    if (!column) return;
+
+    const input = derivedExpressionInput;
+    const start = input.selectionStart !== null ? input.selectionStart : input.value.length;
+    const end = input.selectionEnd !== null ? input.selectionEnd : start;
+    const reference = Formula.quote(column);
+    input.value = input.value.slice(0, start) + reference + input.value.slice(end);
+    input.focus();
+    input.setSelectionRange(start + reference.length, start + reference.length);
+}
+
+function handleAddDerived() {
+    const preset = DerivedColumns.LIBRARY[derivedPresetSelect.value];
+    const definition = {
+        name: derivedNameInput.value,
+        expression: derivedExpressionInput.value,
+        unit: derivedUnitInput.value,
+        parameter: preset ? preset.parameter : null
+    };
+
+    try {
+        derivedColumns.add(definition, datasets.combine());
+    } catch (error) {
+        showError(`Can't add the column: ${error.message}`);
+        return;
+    }
+
+    const { name } = derivedColumns.definitions[derivedColumns.definitions.length - 1];
+    derivedPresetSelect.value = '';
+    derivedNameInput.value = '';
+    derivedUnitInput.value = '';
+    derivedExpressionInput.value = '';
+    loadDatasets();
+
+    // Show the new column straight away
+    yAxisSelect.value = name;
+    updateChart();
+    showSuccess(`Added calculated column "${name}"`);
+}
+
+function handleDerivedListClick(event) {
+    const row = event.target.closest('.dataset-row');
+    if (!row || !event.target.dataset.action) return;
+
+    const definition = derivedColumns.get(row.dataset.name);
+    if (event.target.dataset.action === 'edit') {
+        // Editing takes the column out until it is added again
+        derivedPresetSelect.value = '';
+        derivedNameInput.value = definition.name;
+        derivedUnitInput.value = definition.unit;
+        derivedExpressionInput.value = definition.expression;
+        derivedExpressionInput.focus();
+    }
+    derivedColumns.remove(definition.name);
+    loadDatasets();
+}
+
+// ============ Dashboard ============
+
+const PANEL_CHART_TYPES = Array.from(chartTypeSelect.options, option => [option.value, option.textContent]);
+
+function renderDashboard() {
+    dashboardEmpty.style.display = dashboard.panels.length === 0 ? 'block' : 'none';
+    linkXAxesCheckbox.checked = dashboard.linkX;
+    dashboard.panels.forEach(showPanel);
+}
+
+function showPanel(panel) {
+    fitPanelSettings(panel);
+    panel.element.querySelector('.panel-header').innerHTML = panelControls(panel);
+    drawPanel(panel);
+}
+
+function fitPanelSettings(panel) {
+    // A layout saved with other data may name columns this data doesn't have
+    const { settings } = panel;
+    const allColumns = parser.getAllColumns();
+    const numericColumns = parser.getNumericColumns();
+    const groupOptions = Array.from(groupBySelect.options, option => option.value);
+    const fixes = {};
+
+    if (!PANEL_CHART_TYPES.some(([value]) => value === settings.chartType)) fixes.chartType = 'scatter';
+    if (!allColumns.includes(settings.xAxis)) fixes.xAxis = parser.getTimeColumn() || allColumns[0];
+    if (!numericColumns.includes(settings.yAxis)) fixes.yAxis = numericColumns[0];
+    if (settings.groupBy && !groupOptions.includes(settings.groupBy)) fixes.groupBy = '';
+    if ((settings.extraY || []).some(col => !numericColumns.includes(col))) {
+        fixes.extraY = settings.extraY.filter(col => numericColumns.includes(col));
+    }
+    if (Object.keys(fixes).length > 0) dashboard.update(panel.id, fixes);
+}
+
+function panelControls(panel) {
+    const { settings } = panel;
+    const options = (choices, selected) => choices.map(([value, label]) =>
+        `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`
+    ).join('');
+    const columns = list => list.map(col => [col, parser.getColumnLabel(col)]);
+
+    return `
+        <span class="panel-grip" draggable="true" title="Drag to move">⠿</span>
+        <select data-setting="chartType" aria-label="Chart type">${options(PANEL_CHART_TYPES, settings.chartType)}</select>
+        <select data-setting="xAxis" aria-label="X-axis">${options(columns(parser.getAllColumns()), settings.xAxis)}</select>
+        <select data-setting="yAxis" aria-label="Y-axis">${options(columns(parser.getNumericColumns()), settings.yAxis)}</select>
+        <select data-setting="groupBy" aria-label="Group by">${options(Array.from(groupBySelect.options, option => [option.value, option.textContent]), settings.groupBy)}</select>
+        <select data-size="width" aria-label="Panel width">${options(Object.entries(Dashboard.WIDTHS), panel.width)}</select>
+        <select data-size="height" aria-label="Panel height">${options(Object.entries(Dashboard.HEIGHTS).map(([value, { label }]) => [value, label]), panel.height)}</select>
+        <span class="panel-actions">
+            <button data-action="earlier" aria-label="Move panel earlier">◀</button>
+            <button data-action="later" aria-label="Move panel later">▶</button>
+            <button data-action="remove" aria-label="Remove panel">×</button>
+        </span>
+    `;
+}
+
+function drawPanel(panel) {
+    if (!parsedData) return;
+    try {
+        panel.axes = drawChart(panel.chart, panel.settings);
+    } catch (error) {
+        panel.axes = null;
+        showError(`Error drawing dashboard panel: ${error.message}`);
+    }
+}
+
+function addDashboardPanel() {
+    if (!parsedData) return;
+    showPanel(dashboard.add(chartSettings()));
+    dashboardEmpty.style.display = 'none';
+}
+
+function clearDashboard() {
+    dashboard.clear();
+    renderDashboard();
+}
+
+function panelOf(element) {
+    const panelElement = element.closest('.dashboard-panel');
+    return panelElement ? dashboard.get(panelElement.dataset.id) : null;
+}
+
+function handlePanelChange(event) {
+    const panel = panelOf(event.target);
+    if (!panel) return;
+
+    const { setting, size } = event.target.dataset;
+    if (setting) {
+        dashboard.update(panel.id, { [setting]: event.target.value });
+        drawPanel(panel);
+    } else if (size) {
+        dashboard.resize(panel.id, { [size]: event.target.value });
+    }
+}
+
+function handlePanelClick(event) {
+    const panel = panelOf(event.target);
+    const action = event.target.dataset.action;
+    if (!panel || !action) return;
+
+    if (action === 'remove') {
+        dashboard.remove(panel.id);
+        dashboardEmpty.style.display = dashboard.panels.length === 0 ? 'block' : 'none';
+    } else {
+        dashboard.move(panel.id, action === 'earlier' ? -1 : 1);
+    }
+}
+
+function handlePanelDragStart(event) {
+    const panel = event.target.classList.contains('panel-grip') ? panelOf(event.target) : null;
+    if (!panel) return;
+    event.dataTransfer.setData('text/plain', String(panel.id));
+    event.dataTransfer.effectAllowed = 'move';
+}
+
+function handlePanelDrop(event) {
+    const target = panelOf(event.target);
+    const id = event.dataTransfer.getData('text/plain');
+    if (!target || !dashboard.get(id)) return;
+    event.preventDefault();
+    dashboard.moveTo(id, target.id);
+}
+
+// ============ Export ============
+
+// Charts are captured at this size for the report, at 2× for print
+const REPORT_IMAGE = { format: 'png', width: 1000, height: 600, scale: 2 };
+
+function exportBaseName() {
+    const active = datasets.getActive();
+    return active.length === 1 ? active[0].fileName || active[0].name : 'water-quality';
+}
+
+function chartImageOptions() {
+    const size = (id, fallback) => {
+        const value = parseInt(document.getElementById(id).value, 10);
+        return Number.isFinite(value) ? Math.min(Math.max(value, 200), 4000) : fallback;
+    };
+    return {
+        format: document.getElementById('imageFormat').value,
+        width: size('imageWidth', 1200),
+        height: size('imageHeight', 700),
+        scale: Number(document.getElementById('imageScale').value) || 1
+    };
+}
+
+function handleChartDownload() {
+    if (!visualizer.hasChart()) {
+        showError('Draw a chart before exporting it');
+        return;
+    }
+
+    const options = chartImageOptions();
+    const fileName = DataExporter.fileName(exportBaseName(), visualizer.getTitle() || 'chart', options.format);
+    visualizer.downloadImage({ ...options, fileName: fileName.replace(/\.[^.]+$/, '') })
+        .catch(error => showError(`Error exporting chart: ${error.message}`));
+}
+
+function handleDataExport(event) {
+    const kind = event.target.dataset.export;
+    if (!kind || !parsedData) return;
+
+    const base = exportBaseName();
+    if (kind === 'csv') {
+        DataExporter.download(DataExporter.toCSV(parser), DataExporter.fileName(base, 'filtered', 'csv'), 'text/csv');
+    } else if (kind === 'json') {
+        DataExporter.download(DataExporter.toJSON(parser), DataExporter.fileName(base, 'filtered', 'json'), 'application/json');
+    } else if (kind === 'stats') {
+        DataExporter.download(DataExporter.statsToCSV(parser, SUMMARY_COLUMNS), DataExporter.fileName(base, 'stats', 'csv'), 'text/csv');
+    }
+}
+
+function captureChart() {
+    return visualizer.toImage(REPORT_IMAGE).then(image => ({
+        title: visualizer.getTitle() || 'Chart',
+        image,
+        include: true
+    }));
+}
+
+function addChartToReport() {
+    if (!visualizer.hasChart()) {
+        showError('Draw a chart before adding it to the report');
+        return;
+    }
+
+    captureChart().then(chart => {
+        reportCharts.push(chart);
+        displayReportCharts();
+        showSuccess(`Added "${chart.title}" to the report`);
+    }).catch(error => showError(`Error capturing chart: ${error.message}`));
+}
+
+function displayReportCharts() {
+    reportChartsDiv.innerHTML = reportCharts.length === 0
+        ? '<p class="filter-note">Add charts to include them; otherwise the report shows the current chart.</p>'
+        : reportCharts.map((chart, index) => `
+            <label class="report-chart">
+                <input type="checkbox" data-index="${index}" ${chart.include ? 'checked' : ''}>
+                <img src="${escapeHtml(chart.image)}" alt="">
+                ${escapeHtml(chart.title)}
+                <button data-index="${index}" aria-label="Remove ${escapeHtml(chart.title)} from the report">×</button>
+            </label>
+        `).join('');
+}
+
+function handleReportChartToggle(event) {
+    const chart = reportCharts[event.target.dataset.index];
+    if (chart) chart.include = event.target.checked;
+}
+
+function handleReportChartRemove(event) {
+    if (event.target.tagName !== 'BUTTON') return;
+    // The button sits inside the label, which would otherwise toggle the checkbox
+    event.preventDefault();
+    reportCharts.splice(Number(event.target.dataset.index), 1);
+    displayReportCharts();
+}
+
+function reportMetadata() {
+    const shownRows = parser.getVisibleRowCount();
+    const metadata = [['Generated', new Date().toLocaleString()]];
+
+    datasets.getActive().forEach(dataset => {
+        metadata.push(['Dataset', `${dataset.name} (${dataset.fileName || 'no file'}, ${dataset.result.diagnostics.importedRows} rows)`]);
+    });
+    metadata.push(['Rows', shownRows < parsedData.rowCount
+        ? `${shownRows} of ${parsedData.rowCount} (filtered)`
+        : String(parsedData.rowCount)]);
+
+    if (parser.getTimeColumn()) {
+        const range = parser.getTimeRange();
+        metadata.push(['Date Range', `${formatDate(range.first, true)} to ${formatDate(range.last, true)}`]);
+    }
+    const conditions = dataFilter.getConditions();
+    if (conditions.length > 0) {
+        metadata.push(['Filters', conditions.map(describeFilter).join('; ')]);
+    }
+    return metadata;
+}
+
+function openReport() {
+    if (!parsedData) return;
+
+    // Open the window straight away: browsers block pop-ups opened after an await
+    const reportWindow = window.open('', '_blank');
+    const selected = reportCharts.filter(chart => chart.include);
+    const charts = selected.length > 0 || !visualizer.hasChart()
+        ? Promise.resolve(selected)
+        : captureChart().then(chart => [chart]);
+
+    charts.then(included => {
+        const html = DataExporter.buildReport({
+            title: 'Water Quality Report',
+            metadata: reportMetadata(),
+            charts: included,
+            tables: columnSummaryDiv.innerHTML + exceedanceSummaryDiv.innerHTML,
+            print: Boolean(reportWindow)
+        });
+
+        if (reportWindow) {
+            reportWindow.document.open();
+            reportWindow.document.write(html);
+            reportWindow.document.close();
+        } else {
+            // Pop-up blocked: save the report to open and print from disk
+            DataExporter.download(html, DataExporter.fileName(exportBaseName(), 'report', 'html'), 'text/html');
+        }
+    }).catch(error => {
+        if (reportWindow) reportWindow.close();
+        showError(`Error building report: ${error.message}`);
+    });
+}
+
+// ============ View State and Sessions ============
+
+function captureView() {
+    return {
+        chartType: chartTypeSelect.value,
+        xAxis: xAxisSelect.value,
+        yAxis: yAxisSelect.value,
+        groupBy: groupBySelect.value,
+        series: Array.from(extraYSelect.selectedOptions, option => option.value),
+        quickView: currentQuickView,
+        trend: trendSelect.value,
+        resample: resampleSelect.value,
+        aggregation: aggregationSelect.value,
+        rolling: rollingSelect.value,
+        correlation: correlationMethodSelect.value,
+        wqiMethod: wqiMethodSelect.value,
+        wqiPeriod: wqiPeriodSelect.value,
+        mapParameter: mapParameterSelect.value,
+        mapStatistic: mapStatisticSelect.value,
+        trendParameter: trendParameterSelect.value,
+        trendTest: trendTestSelect.value,
+        trendInterval: trendIntervalSelect.value,
+        trendConfidence: trendConfidenceSelect.value,
+        trendChart: trendChartSelect.value,
+        substitution: substitutionSelect.value,
+        censoredStats: censoredStatsSelect.value,
+        filters: dataFilter.getConditions(),
+        files: datasets.getActive().map(dataset => dataset.fileName || dataset.name)
+    };
+}
+
+function syncUrlHash() {
+    const hash = ViewState.encode(captureView());
+    if (hash === syncedHash) return;
+    syncedHash = hash;
+
+    // Replace rather than add history entries: every chart change shouldn't need a Back click
+    try {
+        history.replaceState(null, '', `#${hash}`);
+    } catch (error) {
+        // Some browsers refuse replaceState on pages opened from disk
+        window.location.replace(`#${hash}`);
+    }
+}
+
+function clearUrlHash() {
+    syncedHash = null;
+    try {
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+    } catch (error) {
+        window.location.replace('#');
+    }
+}
+
+function handleHashChange() {
+    if (window.location.hash.replace(/^#/, '') === syncedHash) return;
+
+    const view = ViewState.decode(window.location.hash);
+    if (!view) return;
+
+    pendingView = view;
+    if (!parsedData) {
+        showSharedViewNote();
+        return;
+    }
+
+    const ready = takePendingView();
+    if (!ready) return;
+    restoreFilters(ready.filters);
+    dataFilter.prune(parser);
+    dataFilter.apply(parser);
+    displayFilters();
+    displayDataInfo();
+    refreshWaterQualityIndex();
+    refreshTrendResults();
+    showView(ready);
+}
+
+function takePendingView() {
+    if (!pendingView) return null;
+
+    // Wait until every file the view was made from is loaded
+    const loaded = datasets.datasets.map(dataset => dataset.fileName || dataset.name);
+    if (pendingView.files.some(file => !loaded.includes(file))) {
+        showSharedViewNote();
+        return null;
+    }
+
+    const view = pendingView;
+    pendingView = null;
+    showSharedViewNote();
+    return view;
+}
+
+function showSharedViewNote() {
+    if (!pendingView) {
+        sharedViewNote.style.display = 'none';
+        return;
+    }
+
+    const loaded = datasets.datasets.map(dataset => dataset.fileName || dataset.name);
+    const missing = pendingView.files.filter(file => !loaded.includes(file));
+    sharedViewNote.textContent = missing.length > 0
+        ? `Load ${missing.join(', ')} to open the shared view.`
+        : 'Load the data file to open the shared view.';
+    sharedViewNote.style.display = 'block';
+}
+
+function restoreFilters(filters) {
+    dataFilter.clear();
+    (filters || []).forEach(condition => dataFilter.add(condition));
+}
+
+function showView(view) {
+    // Skip selections the loaded data doesn't offer, e.g. a column it lacks
+    const choose = (select, value) => {
+        if (value && Array.from(select.options).some(option => option.value === value)) {
+            select.value = value;
+        }
+    };
+    choose(chartTypeSelect, view.chartType);
+    choose(xAxisSelect, view.xAxis);
+    choose(yAxisSelect, view.yAxis);
+    choose(groupBySelect, view.groupBy);
+    Array.from(extraYSelect.options).forEach(option => {
+        option.selected = (view.series || []).includes(option.value);
+    });
+    choose(trendSelect, view.trend);
+    choose(resampleSelect, view.resample);
+    choose(aggregationSelect, view.aggregation);
+    choose(rollingSelect, view.rolling);
+    choose(correlationMethodSelect, view.correlation);
+    choose(wqiMethodSelect, view.wqiMethod);
+    choose(wqiPeriodSelect, view.wqiPeriod);
+    choose(mapParameterSelect, view.mapParameter);
+    choose(mapStatisticSelect, view.mapStatistic);
+    choose(trendParameterSelect, view.trendParameter);
+    choose(trendTestSelect, view.trendTest);
+    choose(trendIntervalSelect, view.trendInterval);
+    choose(trendConfidenceSelect, view.trendConfidence);
+    choose(trendChartSelect, view.trendChart);
+    choose(substitutionSelect, view.substitution);
+    choose(censoredStatsSelect, view.censoredStats);
+    parser.setSubstitution(substitutionSelect.value);
+    parser.setCensoredEstimator(censoredStatsSelect.value);
+    updateChartTypeControls();
+
+    const quickViews = Array.from(document.querySelectorAll('.quick-view-btn'), button => button.dataset.view);
+    if (quickViews.includes(view.quickView)) {
+        renderQuickView(view.quickView);
+    } else {
+        updateChart();
+    }
+}
+
+function copyViewLink() {
+    if (!navigator.clipboard) {
+        showError('Copy the address from the address bar to share this view');
+        return;
+    }
+    navigator.clipboard.writeText(window.location.href)
+        .then(() => showSuccess('Link copied: it opens this view once the same file is loaded'))
+        .catch(() => showError('Copy the address from the address bar to share this view'));
+}
+
+function displaySessions() {
+    if (!sessions.isAvailable()) {
+        sessionsSection.style.display = 'none';
+        return;
+    }
+
+    sessionsSection.style.display = 'block';
+    sessions.list().then(list => {
+        sessionList.innerHTML = list.length === 0
+            ? '<p class="filter-note">No saved sessions yet.</p>'
+            : list.map(session => `
+                <div class="dataset-row" data-name="${escapeHtml(session.name)}">
+                    <strong>${escapeHtml(session.name)}</strong>
+                    <span class="dataset-meta">Saved ${formatDate(new Date(session.savedAt), true)} · ${session.datasets} dataset${session.datasets === 1 ? '' : 's'}, ${session.rows} rows</span>
+                    <button class="btn btn-secondary" data-action="open">Open</button>
+                    <button class="btn btn-secondary" data-action="delete">Delete</button>
+                </div>
+            `).join('');
+    }).catch(error => showError(`Error reading saved sessions: ${error.message}`));
+}
+
+function saveSession() {
+    if (!parsedData) {
+        showError('Load data before saving a session');
+        return;
+    }
+
+    const name = sessionNameInput.value.trim() || exportBaseName().replace(/\.[^.]+$/, '');
+    sessions.save(name, {
+        datasets: datasets.snapshot(),
+        derivedColumns: derivedColumns.toJSON(),
+        view: captureView(),
+        dashboard: dashboard.toJSON(),
+        thresholds: { preset: thresholds.preset, limits: thresholds.limits },
+        qualityControl: { settings: { ...qualityControl.settings }, reviews: qualityControl.getReviews() }
+    }).then(() => {
+        sessionNameInput.value = name;
+        showSuccess(`Saved session "${name}"`);
+        displaySessions();
+    }).catch(error => showError(`Error saving session: ${error.message}`));
+}
+
+function handleSessionClick(event) {
+    const row = event.target.closest('.dataset-row');
+    if (!row) return;
+
+    const name = row.dataset.name;
+    if (event.target.dataset.action === 'open') {
+        openSession(name);
+    } else if (event.target.dataset.action === 'delete') {
+        sessions.remove(name)
+            .then(displaySessions)
+            .catch(error => showError(`Error deleting session: ${error.message}`));
+    }
+}
+
+function openSession(name) {
+    sessions.load(name).then(session => {
+        importer.cancel();
+        datasets.restore(session.datasets);
+        derivedColumns.load(session.derivedColumns || []);
+        thresholds.setLimits(session.thresholds.limits, session.thresholds.preset);
+        qualityControl.settings = { ...QualityControl.DEFAULT_SETTINGS, ...session.qualityControl.settings };
+        pendingView = session.view;
+        if (session.dashboard) dashboard.load(session.dashboard);
+        loadDatasets();
+
+        // Flags are raised again by loadDatasets; restore the decisions made on them
+        if (session.qualityControl.reviews.length > 0) {
+            qualityControl.setReviews(session.qualityControl.reviews);
+            onQualityReviewChanged();
+        }
+        sessionNameInput.value = name;
+        showSuccess(`Opened session "${name}"`);
+    }).catch(error => showError(`Error opening session: ${error.message}`));
+}
+
+// ============ Quality Control ============
+
+function flagMarkers(column, xData, yData) {
+    const flags = qualityControl.getFlags({ column, status: 'pending' });
+    if (flags.length === 0) return null;
+
+    // One marker per reading, listing every test that flagged it
+    const byRow = new Map();
+    flags.forEach(flag => {
+        if (!byRow.has(flag.row)) byRow.set(flag.row, []);
+        byRow.get(flag.row).push(`${QualityControl.TESTS[flag.test].label}: ${flag.message}`);
+    });
+
+    const rows = [...byRow.keys()];
+    return {
+        x: rows.map(row => xData[row]),
+        y: rows.map(row => yData[row]),
+        text: rows.map(row => byRow.get(row).join('<br>'))
+    };
+}
+
+function handleQualitySettings(event) {
+    const setting = event.target.dataset.setting;
+    const value = parseFloat(event.target.value);
+    if (!setting || !Number.isFinite(value) || value <= 0) return;
+
+    qualityControl.settings[setting] = value;
+    qualityControl.run(parser);
+    onQualityReviewChanged();
+}
+
+function handleQualityReview(event) {
+    const action = event.target.dataset.action;
+    if (!action) return;
+
+    qualityControl.setStatus(Number(event.target.dataset.id), action);
+    onQualityReviewChanged();
+}
+
+function reviewShownFlags(status) {
+    shownFlags().forEach(flag => qualityControl.setStatus(flag.id, status));
+    onQualityReviewChanged();
+}
+
+function onQualityReviewChanged() {
+    qualityControl.apply(parser);
+    // "Has a value" filters treat rejected readings as missing
+    dataFilter.apply(parser);
+    displayFilters();
+    displayDataInfo();
+    displayQualityFlags();
+    refreshWaterQualityIndex();
+    refreshTrendResults();
+    refreshChart();
+}
+
+function shownFlags() {
+    return qualityControl.getFlags({
+        column: qaqcColumnFilter.value,
+        test: qaqcTestFilter.value,
+        status: qaqcStatusFilter.value
+    });
+}
+
+function displayQualityFlags() {
+    const flags = qualityControl.flags;
+    qaqcSection.style.display = 'block';
+
+    Object.entries(qualityControl.settings).forEach(([setting, value]) => {
+        qaqcSettings.querySelector(`[data-setting="${setting}"]`).value = value;
+    });
+
+    const fillFilter = (select, options) => {
+        const previous = select.value;
+        select.innerHTML = '<option value="">All</option>' + options.map(([value, label]) =>
+            `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`
+        ).join('');
+        select.value = options.some(([value]) => value === previous) ? previous : '';
+    };
+    fillFilter(qaqcColumnFilter, [...new Set(flags.map(flag => flag.column))].map(col => [col, col]));
+    fillFilter(qaqcTestFilter, Object.entries(QualityControl.TESTS).map(([test, { label }]) => [test, label]));
+
+    const pending = qualityControl.getFlags({ status: 'pending' }).length;
+    const rejected = qualityControl.getFlags({ status: 'rejected' }).length;
+    qaqcCount.textContent = `(${flags.length} flags, ${pending} pending, ${rejected} rejected)`;
+
+    qaqcSummary.innerHTML = Object.entries(qualityControl.countByTest()).map(([test, count]) =>
+        `<span class="issue-badge">${QualityControl.TESTS[test].label}: ${count}</span>`
+    ).join('');
+
+    const timeColumn = parser.getTimeColumn();
+    const times = timeColumn ? parser.table.getRawColumn(timeColumn) : null;
+    const shown = shownFlags();
+
+    const rows = shown.slice(0, MAX_ISSUE_ROWS).map(flag => {
+        const time = times && !Number.isNaN(times[flag.row]) ? new Date(times[flag.row]) : null;
+        const value = flag.test === 'gap' ? formatDate(time, true) : formatNumber(flag.value);
+        const rejectable = QualityControl.TESTS[flag.test].rejectable;
+        return `
+            <tr>
+                <td>${flag.row + 1}${time ? `<br><small>${formatDate(time, true)}</small>` : ''}</td>
+                <td>${escapeHtml(flag.column)}</td>
+                <td>${QualityControl.TESTS[flag.test].label}</td>
+                <td>${value}</td>
+                <td>${escapeHtml(flag.message)}</td>
+                <td>
+                    <span class="status-${flag.status}">${flag.status}</span>
+                    <div class="review-actions">
+                        <button class="btn btn-secondary" data-action="accepted" data-id="${flag.id}">Accept</button>
+                        ${rejectable ? `<button class="btn btn-secondary" data-action="rejected" data-id="${flag.id}">Reject</button>` : ''}
+                        ${flag.status !== 'pending' ? `<button class="btn btn-secondary" data-action="pending" data-id="${flag.id}">Undo</button>` : ''}
+                    </div>
+                </td>
+            </tr>
+        `;
+    });
+
+    if (shown.length > rows.length) {
+        rows.push(`<tr><td colspan="6">… ${shown.length - rows.length} more flags not shown</td></tr>`);
+    } else if (shown.length === 0) {
+        rows.push('<tr><td colspan="6">No flags match the filters</td></tr>');
+    }
+
+    qaqcTableBody.innerHTML = rows.join('');
+}
+
+// ============ Water Quality Index ============
+
+function displayWaterQualityIndex() {
+    wqiSection.style.display = 'block';
+
+    let result;
+    try {
+        result = waterQualityIndex.compute(parser, wqiMethodSelect.value, wqiPeriodSelect.value);
+    } catch (error) {
+        wqiSummaryDiv.innerHTML = `<p>${escapeHtml(error.message)}</p>`;
+        return null;
+    }
+
+    const { label, impactLabel } = WaterQualityIndex.METHODS[result.method];
+    const { index, category } = result.overall;
+    const used = Object.entries(result.columns).map(([parameter, column]) =>
+        `${ParameterCatalog.get(parameter).label} (${escapeHtml(parser.getColumnLabel(column))})`
+    ).join(', ');
+
+    const drivers = result.drivers.map(driver => `
+        <tr>
+            <th scope="row">${driver.label}</th>
+            <td>${formatNumber(driver.impact)}</td>
+        </tr>
+    `).join('');
+
+    wqiSummaryDiv.innerHTML = `
+        <div class="wqi-score" style="border-left-color: ${category ? category.color : ''}">
+            <span>Overall ${label}</span>
+            <strong>${formatNumber(index)}</strong>
+            <span>${category ? category.label : '–'}</span>
+            <small>${result.results.length} ${result.period === 'day' ? 'days' : 'samples'} · ${used}</small>
+        </div>
+        <table class="summary-table">
+            <thead>
+                <tr>
+                    <th>Parameter</th>
+                    <th>${impactLabel}</th>
+                </tr>
+            </thead>
+            <tbody>${drivers}</tbody>
+        </table>
+    `;
+    return result;
+}
+
+// Keep the index summary current when the chart shows something else
+function refreshWaterQualityIndex() {
+    if (wqiSection.style.display === 'block' && currentQuickView !== 'wqi') {
+        displayWaterQualityIndex();
+    }
+}
+
+// ============ Station Map ============
+
+const GEOJSON_TYPES = ['FeatureCollection', 'Feature', 'Polygon', 'MultiPolygon', 'LineString', 'MultiLineString'];
+
+function populateMapControls() {
+    const coordinates = StationMap.findCoordinates(parser);
+    mapViewBtn.style.display = coordinates ? '' : 'none';
+    markQuickView();
+    mapSection.style.display = coordinates ? 'block' : 'none';
+    if (!coordinates) return;
+
+    const previous = mapParameterSelect.value;
+    const columns = parser.getNumericColumns()
+        .filter(col => col !== coordinates.latitude && col !== coordinates.longitude);
+    mapParameterSelect.innerHTML = columns.map(col =>
+        `<option value="${escapeHtml(col)}">${escapeHtml(parser.getColumnLabel(col))}</option>`
+    ).join('');
+
+    // Keep the user's choice across reloads; otherwise start with a known parameter
+    mapParameterSelect.value = columns.includes(previous)
+        ? previous
+        : columns.find(col => parser.getParameter(col)) || columns[0] || '';
+}
+
+function drawStationMap() {
+    const column = mapParameterSelect.value;
+    if (!column) {
+        showError('The map needs a numeric column besides the coordinates');
+        return;
+    }
+
+    // Station filters come from clicking the map, so the map itself ignores them and keeps every station clickable
+    const conditions = dataFilter.getConditions();
+    const stationFilters = conditions.filter(condition => StationMap.isStationFilter(parser, condition));
+    const statistic = mapStatisticSelect.value;
+    const limits = thresholds.getLimitForColumn(column, parser);
+    const summary = StationMap.summarize(parser, {
+        column,
+        statistic,
+        limits,
+        visible: DataFilter.visibility(parser, conditions.filter(condition => !stationFilters.includes(condition))),
+        periods: true
+    });
+    mapStations = summary.stations;
+
+    const label = parser.getColumnLabel(column);
+    const highlighted = stationFilters.length > 0
+        ? summary.stations.filter(station => station.rows.some(row => parser.table.isRowVisible(row))).map(station => station.id)
+        : [];
+    visualizer.stationMap(
+        summary.stations,
+        statistic === 'exceedance' ? `${label} (% of readings exceeding)` : `${label} (${StationMap.STATISTICS[statistic].toLowerCase()})`,
+        `${label} by Station`,
+        { byStatus: statistic === 'exceedance', periods: summary.periods, baseLayer: mapBaseLayer, highlighted }
+    );
+
+    const notes = [`${summary.stations.length} station(s). Click a station to show only its samples in the other charts.`];
+    if (!limits && statistic === 'exceedance') {
+        notes.push(`Set criteria for ${label} to color stations by exceedance status.`);
+    }
+    if (summary.unmapped.length > 0) {
+        notes.push(`No coordinates for: ${summary.unmapped.join(', ')}.`);
+    }
+    mapNote.textContent = notes.join(' ');
+}
+
+function handleChartClick(stationId) {
+    if (currentQuickView !== 'map') return;
+
+    const station = mapStations.find(candidate => candidate.id === stationId);
+    if (!station) return;
+    StationMap.stationFilters(parser, station).forEach(condition => dataFilter.add(condition));
+    applyFilters();
+}
+
+function handleBaseLayerSelect(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    file.text()
+        .then(text => {
+            const geojson = JSON.parse(text);
+            if (!geojson || !GEOJSON_TYPES.includes(geojson.type)) {
+                throw new Error('not a GeoJSON file');
+            }
+            mapBaseLayer = geojson;
+            if (currentQuickView === 'map') renderQuickView('map');
+            showSuccess(`Base layer loaded from ${file.name}`);
+        })
+        .catch(error => {
+            mapBaseLayerInput.value = '';
+            showError(`Error reading base layer: ${error.message}`);
+        });
+}
+
+function clearBaseLayer() {
+    mapBaseLayer = null;
+    mapBaseLayerInput.value = '';
+    if (currentQuickView === 'map') renderQuickView('map');
+}
+
+// ============ Trend Analysis ============
+
+const TREND_TESTS = {
+    mannKendall: 'Mann-Kendall',
+    seasonal: 'Seasonal Kendall'
+};
+
+const TREND_READINGS = {
+    day: 'daily medians',
+    week: 'weekly medians',
+    month: 'monthly medians'
+};
+
+function populateTrendControls() {
+    const timeColumn = parser.getTimeColumn();
+    trendViewBtn.style.display = timeColumn ? '' : 'none';
+    markQuickView();
+    if (!timeColumn) {
+        trendSection.style.display = 'none';
+        return;
+    }
+
+    const previous = trendParameterSelect.value;
+    const columns = parser.getNumericColumns();
+    trendParameterSelect.innerHTML = columns.map(col =>
+        `<option value="${escapeHtml(col)}">${escapeHtml(parser.getColumnLabel(col))}</option>`
+    ).join('');
+    trendParameterSelect.value = columns.includes(previous)
+        ? previous
+        : columns.find(col => parser.getParameter(col)) || columns[0] || '';
+}
+
+function analyzeTrend(column) {
+    const times = parser.table.getColumn(parser.getTimeColumn());
+    const values = parser.table.getColumn(column);
+    const interval = trendIntervalSelect.value === 'auto'
+        ? TrendAnalysis.autoInterval(times)
+        : trendIntervalSelect.value;
+    const series = interval ? TimeSeries.resample(times, values, interval, 'median') : { times, values };
+    const seasonal = trendTestSelect.value === 'seasonal';
+
+    return {
+        column,
+        interval,
+        series,
+        test: seasonal
+            ? TrendAnalysis.seasonalKendall(series.times, series.values)
+            : TrendAnalysis.mannKendall(series.times, series.values),
+        sen: TrendAnalysis.senSlope(series.times, series.values, {
+            confidence: Number(trendConfidenceSelect.value),
+            seasonal
+        })
+    };
+}
+
+function trendResults() {
+    return parser.getNumericColumns().map(analyzeTrend);
+}
+
+// Table cells, shared by the page and the CSV export; slopes are per year
+function trendRow(result) {
+    const { test, sen } = result;
+    const perYear = value => (sen ? value * TrendAnalysis.YEAR_MS : null);
+    return [
+        result.column,
+        parser.getUnit(result.column),
+        result.interval ? TREND_READINGS[result.interval] : 'readings',
+        test ? test.n : null,
+        test ? test.s : null,
+        test ? test.z : null,
+        test ? test.tau : null,
+        test ? test.pValue : null,
+        TrendAnalysis.direction(test, 1 - Number(trendConfidenceSelect.value)),
+        sen ? perYear(sen.slope) : null,
+        sen ? perYear(sen.lower) : null,
+        sen ? perYear(sen.upper) : null
+    ];
+}
+
+function trendHeaders() {
+    const confidence = TrendAnalysis.CONFIDENCE_LEVELS[trendConfidenceSelect.value];
+    return ['Column', 'Unit', 'Tested', 'n', 'S', 'Z', 'Kendall τ', 'p', 'Trend',
+        "Sen's slope/yr", `${confidence} lower/yr`, `${confidence} upper/yr`];
+}
+
+function displayTrendResults() {
+    trendSection.style.display = 'block';
+    const results = trendResults();
+    const selected = trendParameterSelect.value;
+
+    const rows = results.map(result => {
+        const [column, unit, tested, n, score, z, tau, p, direction, ...slopes] = trendRow(result);
+        return `
+            <tr data-column="${escapeHtml(column)}"${column === selected ? ' class="selected-trend"' : ''}>
+                <th scope="row">${escapeHtml(column)}</th>
+                <td>${escapeHtml(unit || '')}</td>
+                <td>${tested}</td>
+                ${[n, score, z, tau].map(value => `<td>${formatNumber(value)}</td>`).join('')}
+                <td>${formatStat('trendPValue', p)}</td>
+                <td>${direction}</td>
+                ${slopes.map(value => `<td>${formatNumber(value)}</td>`).join('')}
+            </tr>
+        `;
+    }).join('');
+
+    trendResultsDiv.innerHTML = `
+        <table class="summary-table">
+            <thead>
+                <tr>${trendHeaders().map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+    return results;
+}
+
+// Keep the results current when the chart shows something else
+function refreshTrendResults() {
+    if (trendSection.style.display === 'block' && currentQuickView !== 'trend') {
+        displayTrendResults();
+    }
+}
+
+function drawTrendAnalysis() {
+    const timeColumn = parser.getTimeColumn();
+    if (!timeColumn) {
+        showError('Trend analysis needs a date/time column');
+        return;
+    }
+
+    const results = displayTrendResults();
+    const result = results.find(entry => entry.column === trendParameterSelect.value);
+    if (!result) return;
+
+    const { column, series, test, sen } = result;
+    const unit = parser.getUnit(column);
+    const label = parser.getColumnLabel(column);
+
+    if (trendChartSelect.value !== 'trend') {
+        const decomposition = TrendAnalysis.decompose(
+            parser.table.getColumn(timeColumn),
+            parser.table.getColumn(column),
+            trendChartSelect.value
+        );
+        chartAxes = { x: timeColumn, y: null, rows: false };
+        visualizer.decompositionChart(decomposition, label, `${label} Seasonal Decomposition`);
+        return;
+    }
+
+    const lines = [];
+    const testLabel = TREND_TESTS[trendTestSelect.value];
+    if (test) {
+        lines.push(`${testLabel}: τ = ${test.tau.toFixed(3)}, ${Visualizer.formatPValue(test.pValue)}`);
+        lines.push(`Trend: ${TrendAnalysis.direction(test, 1 - Number(trendConfidenceSelect.value))}`);
+    } else {
+        lines.push(`${testLabel}: not enough data`);
+    }
+    let trendLines = { line: null };
+    if (sen) {
+        const confidence = TrendAnalysis.CONFIDENCE_LEVELS[trendConfidenceSelect.value];
+        const perYear = value => formatNumber(value * TrendAnalysis.YEAR_MS);
+        lines.push(`Sen's slope: ${perYear(sen.slope)}${unit ? ` ${unit}` : ''}/yr ` +
+            `(${confidence}: ${perYear(sen.lower)} to ${perYear(sen.upper)})`);
+
+        const times = series.times.map(TimeSeries.toMillis).filter(Number.isFinite);
+        trendLines = TrendAnalysis.trendLines(
+            sen,
+            times.reduce((min, time) => Math.min(min, time), Infinity),
+            times.reduce((max, time) => Math.max(max, time), -Infinity)
+        );
+    }
+    lines.push(`n = ${test ? test.n : Statistics.clean(series.values).length} ${result.interval ? TREND_READINGS[result.interval] : 'readings'}`);
+
+    chartAxes = { x: timeColumn, y: null, rows: false };
+    visualizer.trendChart(series.times, series.values, label, `${label} Trend`, { ...trendLines, lines }, {
+        limits: thresholds.getLimitForColumn(column, parser)
+    });
+}
+
+function handleTrendRowClick(event) {
+    const row = event.target.closest('tr[data-column]');
+    if (!row) return;
+    trendParameterSelect.value = row.dataset.column;
+    renderQuickView('trend');
+}
+
+function exportTrendResults() {
+    if (!parsedData || !parser.getTimeColumn()) return;
+    try {
+        const csv = DataExporter.tableToCSV(trendHeaders(), trendResults().map(trendRow));
+        DataExporter.download(csv, DataExporter.fileName(exportBaseName(), 'trends', 'csv'), 'text/csv');
+    } catch (error) {
+        showError(`Error exporting trends: ${error.message}`);
+    }
+}
+
+// ============ Thresholds ============
+
+function initializeThresholds() {
+    thresholdPresetSelect.innerHTML = '<option value="">Custom</option>' +
+        Object.entries(ThresholdEngine.PRESETS).map(([id, preset]) =>
+            `<option value="${id}">${preset.label}</option>`
+        ).join('');
+    thresholdPresetSelect.value = thresholds.preset || '';
+
+    // One row per detected parameter, so limits can be edited for what is in the file
+    const parameters = [];
+    parser.getNumericColumns().forEach(col => {
+        const parameter = parser.getParameter(col);
+        if (parameter && !parameters.includes(parameter)) {
+            parameters.push(parameter);
+        }
+    });
+
+    thresholdInputsDiv.innerHTML = parameters.length === 0
+        ? '<p>No recognized water quality parameters in this file.</p>'
+        : parameters.map(parameter => {
+            const { label, unit } = ParameterCatalog.get(parameter);
+            const limit = thresholds.getLimit(parameter) || {};
+            const value = bound => (bound === null || bound === undefined ? '' : bound);
+            return `
+                <div class="threshold-row" data-parameter="${parameter}">
+                    <span>${label}${unit ? ` (${unit})` : ''}</span>
+                    <label>Min <input type="number" step="any" data-bound="min" value="${value(limit.min)}"></label>
+                    <label>Max <input type="number" step="any" data-bound="max" value="${value(limit.max)}"></label>
+                </div>
+            `;
+        }).join('');
+}
+
+function handleThresholdPreset() {
+    if (thresholdPresetSelect.value) {
+        thresholds.applyPreset(thresholdPresetSelect.value);
+    }
+    initializeThresholds();
+    onThresholdsChanged();
+}
+
+function handleThresholdInput(event) {
+    const row = event.target.closest('.threshold-row');
+    if (!row) return;
+
+    const read = bound => {
+        const text = row.querySelector(`[data-bound="${bound}"]`).value;
+        return text === '' ? null : parseFloat(text);
+    };
+    thresholds.setLimit(row.dataset.parameter, { min: read('min'), max: read('max') });
+    thresholdPresetSelect.value = '';
+    onThresholdsChanged();
+}
+
+function onThresholdsChanged() {
+    if (!parsedData) return;
+    displayExceedances();
+    refreshWaterQualityIndex();
+    refreshChart();
+}
+
+function displayExceedances() {
+    const timeColumn = parser.getTimeColumn();
+    const timestamps = timeColumn ? parser.table.getColumn(timeColumn) : null;
+
+    const rows = parser.getNumericColumns().map(col => {
+        const limit = thresholds.getLimitForColumn(col, parser);
+        if (!limit) return '';
+
+        const result = ThresholdEngine.evaluate(parser.table.getColumn(col), limit, timestamps);
+        const run = result.longestRun;
+        let longest = '–';
+        if (run) {
+            longest = `${run.readings} reading${run.readings === 1 ? '' : 's'}`;
+            if (run.duration > 0) {
+                longest += ` (${formatDuration(run.duration)})`;
+            }
+        }
+
+        return `
+            <tr class="${result.count > 0 ? 'has-exceedance' : ''}">
+                <th scope="row">${escapeHtml(parser.getColumnLabel(col))}</th>
+                <td>${limit.label}</td>
+                <td>${result.count}</td>
+                <td>${result.percent.toFixed(1)}%</td>
+                <td>${longest}</td>
+            </tr>
+        `;
+    }).join('');
+
+    exceedanceSummaryDiv.innerHTML = rows === '' ? '' : `
+        <h4>Exceedances</h4>
+        <table class="summary-table">
+            <thead>
+                <tr>
+                    <th>Column</th>
+                    <th>Limit</th>
+                    <th>Count</th>
+                    <th>Percent</th>
+                    <th>Longest Run</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// ============ Sampling Completeness ============
+
+// Plan set in the controls, or null to infer each site's from its sample times
+function samplingPlan() {
+    const bucket = samplingIntervalSelect.value;
+    samplingCountInput.disabled = !bucket;
+    if (!bucket) return null;
+    return { type: 'bucket', bucket, count: Math.max(1, Math.round(Number(samplingCountInput.value)) || 1) };
+}
+
+function displayCompleteness() {
+    const result = Completeness.analyze(parser, { plan: samplingPlan() });
+    if (!result || result.expected === 0) {
+        completenessInfo.style.display = 'none';
+        coverageVisualizer.clear();
+        return;
+    }
+    completenessInfo.style.display = 'block';
+
+    const several = result.sites.length > 1;
+    const plans = [...new Set(result.sites.map(site => Completeness.describePlan(site.plan)))];
+    const gap = result.gaps[0];
+    completenessStatsDiv.innerHTML = `
+        <div class="stat-item">
+            <strong>Expected Sampling</strong>
+            <span>${plans.length === 1 ? escapeHtml(plans[0]) : 'Varies by site'}</span>
+            <small>${samplingIntervalSelect.value ? 'as set' : 'inferred from the sample times'}</small>
+        </div>
+        <div class="stat-item">
+            <strong>Completeness</strong>
+            <span>${formatPercent(result.percent)}</span>
+            <small>${result.present} of ${result.expected} samples</small>
+        </div>
+        <div class="stat-item">
+            <strong>Missing Samples</strong>
+            <span>${result.missing}</span>
+        </div>
+        <div class="stat-item">
+            <strong>Duplicate Timestamps</strong>
+            <span>${result.duplicates}</span>
+        </div>
+        <div class="stat-item">
+            <strong>Longest Gap</strong>
+            <span>${gap ? formatDuration(gap.duration) : '–'}</span>
+            ${gap ? `<small>${formatDate(new Date(gap.from), true)} to ${formatDate(new Date(gap.to), true)}</small>` : ''}
+        </div>
+    `;
+
+    coverageVisualizer.coverageChart(result.coverage, 'Sampling Coverage');
+
+    const siteTable = !several ? '' : `
+        <h4>By Site</h4>
+        <table class="summary-table">
+            <thead>
+                <tr>
+                    <th>${escapeHtml(result.siteColumn)}</th>
+                    <th>Expected Sampling</th>
+                    <th>Samples</th>
+                    <th>Missing</th>
+                    <th>Duplicates</th>
+                    <th>Completeness</th>
+                </tr>
+            </thead>
+            <tbody>${result.sites.map(site => `
+                <tr>
+                    <th scope="row">${escapeHtml(site.site)}</th>
+                    <td>${escapeHtml(Completeness.describePlan(site.plan))}</td>
+                    <td>${site.present} of ${site.expected}</td>
+                    <td>${site.missing}</td>
+                    <td>${site.duplicates}</td>
+                    <td>${formatPercent(site.percent)}</td>
+                </tr>
+            `).join('')}</tbody>
+        </table>
+    `;
+
+    // Months down, so many parameters don't make the table too wide to read
+    const monthTable = `
+        <h4>By Month</h4>
+        <table class="summary-table">
+            <thead>
+                <tr>
+                    <th>Month</th>
+                    <th>Samples</th>
+                    ${result.parameters.map(({ column }) => `<th>${escapeHtml(parser.getColumnLabel(column))}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${result.months.map(month => `
+                    <tr>
+                        <th scope="row">${StationMap.periodLabel(month.start, 'month')}</th>
+                        <td>${formatPercent(month.percent)}</td>
+                        ${month.parameters.map(percent => `<td>${formatPercent(percent)}</td>`).join('')}
+                    </tr>
+                `).join('')}
+                <tr>
+                    <th scope="row">All</th>
+                    <td>${formatPercent(result.percent)}</td>
+                    ${result.parameters.map(({ percent }) => `<td>${formatPercent(percent)}</td>`).join('')}
+                </tr>
+            </tbody>
+        </table>
+    `;
+
+    const gapTable = result.gaps.length === 0 ? '' : `
+        <h4>Longest Gaps</h4>
+        <table class="summary-table">
+            <thead>
+                <tr>
+                    ${several ? `<th>${escapeHtml(result.siteColumn)}</th>` : ''}
+                    <th>From</th>
+                    <th>To</th>
+                    <th>Length</th>
+                    <th>Missing Samples</th>
+                </tr>
+            </thead>
+            <tbody>${result.gaps.map(entry => `
+                <tr>
+                    ${several ? `<th scope="row">${escapeHtml(entry.site)}</th>` : ''}
+                    <td>${formatDate(new Date(entry.from), true)}</td>
+                    <td>${formatDate(new Date(entry.to), true)}</td>
+                    <td>${formatDuration(entry.duration)}</td>
+                    <td>${entry.missing}</td>
+                </tr>
+            `).join('')}</tbody>
+        </table>
+    `;
+
+    const site = entry => (several ? `${escapeHtml(entry.site)}: ` : '');
+    const listed = (items, total, title, describe) => (items.length === 0 ? '' : `
+        <details>
+            <summary>${title} (${total}${items.length >= Completeness.MAX_LISTED ? `, first ${items.length} listed` : ''})</summary>
+            <ul>${items.map(item => `<li>${site(item)}${describe(item)}</li>`).join('')}</ul>
+        </details>
+    `);
+    const missingList = listed(result.missingSamples, result.missing, 'Missing samples', entry => (entry.period
+        ? `${entry.count} missing, ${entry.period === 'hour' ? formatDate(new Date(entry.time), true) : StationMap.periodLabel(entry.time, entry.period)}`
+        : formatDate(new Date(entry.time), true)));
+    const duplicateList = listed(result.duplicateSamples, result.duplicates, 'Duplicate timestamps', entry =>
+        `${formatDate(new Date(entry.time), true)} (rows ${entry.rows.map(row => row + 1).join(', ')})`);
+
+    completenessSummaryDiv.innerHTML = siteTable + monthTable + gapTable + missingList + duplicateList;
+}
+
+function formatPercent(value) {
+    return value === null ? '–' : `${value.toFixed(1)}%`;
+}
+
+// ============ Theme and Keyboard Access ============
+
+function handleThemeChange() {
+    chartTheme.set(themeSelect.value, paletteSelect.value);
+    applyPageTheme();
+    if (parsedData) {
+        refreshChart();
+        displayCompleteness();
+    }
+}
+
+// The page follows the chart theme (the palette only changes charts)
+function applyPageTheme() {
+    document.documentElement.dataset.theme = chartTheme.themeId;
+}
+
+// Labels don't respond to keys, so open the file picker like a button would
+function handleUploadKeydown(event) {
+    if (event.key !== 'Enter' && event.key !== ' ') return;
+    event.preventDefault();
+    csvFileInput.click();
+}
+
+function visibleQuickViewButtons() {
+    return Array.from(quickViewButtons.querySelectorAll('.quick-view-btn'))
+        .filter(button => button.style.display !== 'none');
+}
+
+// Mark the shown quick view as pressed; it (or the first button) is the toolbar's one tab stop
+function markQuickView() {
+    const buttons = visibleQuickViewButtons();
+    const current = buttons.find(button => button.dataset.view === currentQuickView) || buttons[0];
+    quickViewButtons.querySelectorAll('.quick-view-btn').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.view === currentQuickView));
+        button.tabIndex = button === current ? 0 : -1;
+    });
+}
+
+function handleQuickViewKeydown(event) {
+    const buttons = visibleQuickViewButtons();
+    const index = buttons.indexOf(event.target);
+    if (index === -1) return;
+
+    let next;
+    switch (event.key) {
+        case 'ArrowRight':
+        case 'ArrowDown':
+            next = buttons[(index + 1) % buttons.length];
+            break;
+        case 'ArrowLeft':
+        case 'ArrowUp':
+            next = buttons[(index - 1 + buttons.length) % buttons.length];
+            break;
+        case 'Home':
+            next = buttons[0];
+            break;
+        case 'End':
+            next = buttons[buttons.length - 1];
+            break;
+        default:
+            return;
+    }
+
+    event.preventDefault();
+    buttons.forEach(button => {
+        button.tabIndex = button === next ? 0 : -1;
+    });
+    next.focus();
+}
+
+// ============ Utility Functions ============
 
 function clearAllData() {
-    parser.data = [];
-    parser.headers = [];
+    importer.cancel();
+    parser.clear();
+    datasets.clear();
+    derivedColumns.clear();
+    qualityControl.clear();
+    dataFilter.clear();
+    pendingView = null;
+    showSharedViewNote();
+    clearUrlHash();
+    reportCharts = [];
+    displayReportCharts();
     parsedData = null;
     csvFileInput.value = '';
 
+    datasetsSection.style.display = 'none';
+    datasetList.innerHTML = '';
+    hideDataSections();
+
+    showSuccess('All data cleared');
+}
+
+function hideDataSections() {
     controlsSection.style.display = 'none';
+    filtersSection.style.display = 'none';
+    derivedSection.style.display = 'none';
+    dashboardSection.style.display = 'none';
+    exportSection.style.display = 'none';
     infoSection.style.display = 'none';
+    thresholdsSection.style.display = 'none';
+    qaqcSection.style.display = 'none';
+    wqiSection.style.display = 'none';
+    mapSection.style.display = 'none';
+    trendSection.style.display = 'none';
+    issuesSection.style.display = 'none';
     quickViewsSection.style.display = 'none';
 
     visualizer.clear();
+    dashboard.panels.forEach(panel => {
+        panel.chart.clear();
+        panel.axes = null;
+    });
     dataStatsDiv.innerHTML = '';
-
-    showSuccess('All data cleared');
+    columnSummaryDiv.innerHTML = '';
+    exceedanceSummaryDiv.innerHTML = '';
+    completenessInfo.style.display = 'none';
+    coverageVisualizer.clear();
+    currentQuickView = null;
+    markQuickView();
+    chartAxes = null;
+    mapStations = [];
+    filterChips.innerHTML = '';
+    issuesTableBody.innerHTML = '';
+    qaqcTableBody.innerHTML = '';
+    wqiSummaryDiv.innerHTML = '';
 }
 
 function showError(message) {
-    const errorDiv = document.createElement('div');
-    errorDiv.className = 'error';
-    errorDiv.textContent = message;
+    notify(message, 'error', 5000);
+}
+
+function showSuccess(message) {
+    notify(message, 'success', 3000);
+}
+
+// Messages go into a live region so screen readers announce them; errors interrupt
+function notify(message, type, duration) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = type;
+    messageDiv.textContent = message;
+    if (type === 'error') messageDiv.setAttribute('role', 'alert');
 
-    const container = document.querySelector('main');
-    container.insertBefore(errorDiv, container.firstChild);
+    notifications.insertBefore(messageDiv, notifications.firstChild);
 
-    setTimeout(() => errorDiv.remove(), 5000);
+    setTimeout(() => messageDiv.remove(), duration);
 }
 
-function showSuccess(message) {
-    const successDiv = document.createElement('div');
-    successDiv.className = 'success';
-    successDiv.textContent = message;
+function formatNumber(value) {
+    if (value === null || value === undefined || Number.isNaN(value)) return '–';
+    if (Number.isInteger(value)) return String(value);
+
+    const magnitude = Math.abs(value);
+    const decimals = magnitude >= 100 ? 1 : magnitude >= 1 ? 2 : 3;
+    return value.toFixed(decimals);
+}
 
-    const container = document.querySelector('main');
-    container.insertBefore(successDiv, container.firstChild);
+function formatDuration(milliseconds) {
+    const hours = milliseconds / 3600000;
+    if (hours < 1) return `${Math.round(milliseconds / 60000)} min`;
+    if (hours < 48) return `${formatNumber(hours)} h`;
+    return `${formatNumber(hours / 24)} days`;
+}
 
-    setTimeout(() => successDiv.remove(), 3000);
-}
\ No newline at end of file
+function formatDate(date, withTime) {
+    if (!date) return '–';
+    return withTime ? date.toLocaleString() : date.toLocaleDateString();
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
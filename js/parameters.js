@@ -0,0 +1,131 @@
+/**
+ * Water Quality Parameter Catalog
+ * Known parameters, the units they are reported in and how to recognize their columns
+ */
+
+class ParameterCatalog {
+    /**
+     * Suggest the parameter a column measures from its header. Headers are
+     * matched word by word, so "do" matches "DO (mg/L)" but not "Dosage".
+     * @param {string} columnName - Column header
+     * @returns {string|null} Parameter id (e.g. 'ph'), or null when unknown
+     */
+    static identify(columnName) {
+        const words = ParameterCatalog.tokenize(columnName);
+        const match = Object.entries(ParameterCatalog.DEFINITIONS)
+            .find(([, definition]) => definition.patterns.some(pattern =>
+                ParameterCatalog.containsPhrase(words, pattern.split(' '))));
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Suggest the unit a column is reported in from its header
+     * @param {string} columnName - Column header
+     * @param {string} parameterId - Parameter the column measures
+     * @returns {string} Unit (the parameter's standard unit when the header doesn't say)
+     */
+    static suggestUnit(columnName, parameterId) {
+        const definition = ParameterCatalog.get(parameterId);
+        if (!definition) return '';
+
+        const hint = (ParameterCatalog.UNIT_HINTS[parameterId] || [])
+            .find(({ pattern }) => pattern.test(String(columnName)));
+        return hint ? hint.unit : definition.unit;
+    }
+
+    /**
+     * Get a parameter definition
+     * @param {string} parameterId - Parameter id
+     * @returns {Object|null} { label, unit, units, patterns }
+     */
+    static get(parameterId) {
+        return ParameterCatalog.DEFINITIONS[parameterId] || null;
+    }
+
+    /**
+     * Split a header into lowercase words, breaking camelCase ("DissolvedOxygen")
+     * but not runs of capitals ("pH", "ODO")
+     * @param {string} columnName - Column header
+     * @returns {Array} Words
+     */
+    static tokenize(columnName) {
+        return String(columnName)
+            .replace(/([a-z])([A-Z][a-z])/g, '$1 $2')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean);
+    }
+
+    /**
+     * Whether a phrase appears as consecutive words
+     * @param {Array} words - Header words
+     * @param {Array} phrase - Pattern words
+     * @returns {boolean} True when found
+     */
+    static containsPhrase(words, phrase) {
+        for (let start = 0; start + phrase.length <= words.length; start++) {
+            if (phrase.every((word, i) => words[start + i] === word)) return true;
+        }
+        return false;
+    }
+}
+
+// Checked in order; patterns are whole words or phrases. unit is the standard
+// unit that criteria and indices use, units lists every unit a column may be in.
+ParameterCatalog.DEFINITIONS = {
+    dissolvedOxygen: {
+        label: 'Dissolved Oxygen',
+        unit: 'mg/L',
+        units: ['mg/L', '%sat'],
+        patterns: ['dissolved oxygen', 'oxygen', 'do', 'odo', 'ldo', 'o2']
+    },
+    temperature: {
+        label: 'Temperature',
+        unit: '°C',
+        units: ['°C', '°F'],
+        patterns: ['temperature', 'temp', 'wtemp', 'water temp']
+    },
+    turbidity: {
+        label: 'Turbidity',
+        unit: 'NTU',
+        units: ['NTU', 'FNU'],
+        patterns: ['turbidity', 'turb']
+    },
+    conductivity: {
+        label: 'Conductivity',
+        unit: 'µS/cm',
+        units: ['µS/cm', 'mS/cm'],
+        patterns: ['specific conductance', 'conductivity', 'cond', 'spcond', 'sp cond', 'spc', 'ec']
+    },
+    salinity: { label: 'Salinity', unit: 'ppt', units: ['ppt'], patterns: ['salinity', 'sal'] },
+    tds: {
+        label: 'Total Dissolved Solids',
+        unit: 'mg/L',
+        units: ['mg/L'],
+        patterns: ['tds', 'total dissolved solids', 'dissolved solids']
+    },
+    nitrate: { label: 'Nitrate', unit: 'mg/L', units: ['mg/L'], patterns: ['nitrate', 'no3'] },
+    ammonia: { label: 'Ammonia', unit: 'mg/L', units: ['mg/L'], patterns: ['ammonia', 'nh3', 'nh4'] },
+    ph: { label: 'pH', unit: '', units: [''], patterns: ['ph'] }
+};
+
+// Header fragments that name a unit. Single letters are case-sensitive and
+// must stand alone ("Temp_F", "Temp (F)"), so words like "Fecal" don't count.
+ParameterCatalog.UNIT_HINTS = {
+    dissolvedOxygen: [
+        { unit: '%sat', pattern: /%|\bsat\b|saturation/i },
+        { unit: 'mg/L', pattern: /mg\s*\/\s*l/i }
+    ],
+    temperature: [
+        { unit: '°F', pattern: /°\s*F|\bdeg\s*F\b|[Ff]ahrenheit|(^|[^A-Za-z])F\b/ },
+        { unit: '°C', pattern: /°\s*C|\bdeg\s*C\b|[Cc]elsius|(^|[^A-Za-z])C\b/ }
+    ],
+    conductivity: [
+        { unit: 'mS/cm', pattern: /\bmS\b/ },
+        { unit: 'µS/cm', pattern: /[µu]S\b/i }
+    ],
+    turbidity: [
+        { unit: 'FNU', pattern: /\bFNU\b/i },
+        { unit: 'NTU', pattern: /\bNTU\b/i }
+    ]
+};
@@ -0,0 +1,407 @@
+/**
+ * Quality Control for Sensor Data
+ * Flags suspect readings (implausible values, outliers, spikes, stuck sensors
+ * and gaps) and tracks the reviewer's accept/reject decision for each flag.
+ * Rejected readings are excluded from the parser's statistics and charts.
+ */
+
+class QualityControl {
+    /**
+     * @param {Object} [settings] - Overrides for QualityControl.DEFAULT_SETTINGS
+     */
+    constructor(settings = {}) {
+        this.settings = { ...QualityControl.DEFAULT_SETTINGS, ...settings };
+        this.flags = [];
+    }
+
+    /**
+     * Run every test on the numeric columns of the parsed data. Review
+     * decisions carry over to flags that are raised again (e.g. after a
+     * settings change); call clear() first when the data itself changed.
+     * @param {CSVParser} parser - Parser with loaded data
+     * @returns {Array} Flags ({ id, row, column, test, value, message, status })
+     */
+    run(parser) {
+        const reviewed = new Map(this.flags
+            .filter(flag => flag.status !== 'pending')
+            .map(flag => [QualityControl.flagKey(flag), flag.status]));
+
+        this.flags = [];
+        if (!parser.table) return this.flags;
+
+        const timeColumn = parser.getTimeColumn();
+        const times = timeColumn ? parser.table.getRawColumn(timeColumn) : null;
+        const order = QualityControl.timeOrder(parser.getRowCount(), times);
+        const { zScore, iqrFactor, spikeFactor, flatlineReadings } = this.settings;
+
+        parser.getNumericColumns().forEach(column => {
+            const values = parser.table.getRawColumn(column);
+            const parameter = parser.getParameter(column);
+            const range = parameter
+                ? UnitConverter.convertLimit(QualityControl.RANGES[parameter], parameter, parser.getUnit(column))
+                : null;
+
+            if (range) this.addFlags(column, values, 'range', QualityControl.outOfRange(values, range));
+            this.addFlags(column, values, 'zScore', QualityControl.zScoreOutliers(values, zScore));
+            this.addFlags(column, values, 'iqr', QualityControl.iqrOutliers(values, iqrFactor));
+            this.addFlags(column, values, 'spike', QualityControl.spikes(values, order, times, spikeFactor));
+            this.addFlags(column, values, 'flatline', QualityControl.flatlines(values, order, flatlineReadings));
+        });
+
+        if (times) {
+            this.addFlags(timeColumn, times, 'gap', QualityControl.gaps(times, order));
+        }
+
+        this.flags.forEach(flag => {
+            flag.status = reviewed.get(QualityControl.flagKey(flag)) || 'pending';
+        });
+        return this.flags;
+    }
+
+    /**
+     * Record the findings of one test
+     * @param {string} column - Column name
+     * @param {Float64Array|Array} values - Column values
+     * @param {string} test - Key of QualityControl.TESTS
+     * @param {Array} findings - [{ row, message }]
+     */
+    addFlags(column, values, test, findings) {
+        findings.forEach(({ row, message }) => {
+            this.flags.push({
+                id: this.flags.length,
+                row,
+                column,
+                test,
+                value: values[row],
+                message,
+                status: 'pending'
+            });
+        });
+    }
+
+    /**
+     * Set the review decision for a flag
+     * @param {number} id - Flag id
+     * @param {string} status - 'pending', 'accepted' (value is kept) or 'rejected' (value is excluded)
+     */
+    setStatus(id, status) {
+        if (!QualityControl.STATUSES.includes(status)) {
+            throw new Error(`Unknown review status: ${status}`);
+        }
+        const flag = this.flags[id];
+        // Gaps mark missing readings, so there is no value to reject
+        if (flag && (status !== 'rejected' || QualityControl.TESTS[flag.test].rejectable)) {
+            flag.status = status;
+        }
+    }
+
+    /**
+     * Get flags matching a filter
+     * @param {Object} [filter] - { column, test, status }; omitted fields match everything
+     * @returns {Array} Flags in detection order
+     */
+    getFlags(filter = {}) {
+        return this.flags.filter(flag =>
+            (!filter.column || flag.column === filter.column) &&
+            (!filter.test || flag.test === filter.test) &&
+            (!filter.status || flag.status === filter.status)
+        );
+    }
+
+    /**
+     * Rows of a column with at least one rejected flag
+     * @param {string} column - Column name
+     * @returns {Set} Row indices
+     */
+    getRejectedRows(column) {
+        return new Set(this.getFlags({ column, status: 'rejected' }).map(flag => flag.row));
+    }
+
+    /**
+     * Exclude rejected readings from the parser's statistics and charts
+     * @param {CSVParser} parser - Parser the flags were computed on
+     */
+    apply(parser) {
+        parser.getNumericColumns().forEach(column => {
+            parser.setExcluded(column, this.getRejectedRows(column));
+        });
+    }
+
+    /**
+     * Review decisions made so far, for saving a session
+     * @returns {Array} { column, row, test, status } for every reviewed flag
+     */
+    getReviews() {
+        return this.flags
+            .filter(flag => flag.status !== 'pending')
+            .map(({ column, row, test, status }) => ({ column, row, test, status }));
+    }
+
+    /**
+     * Reapply saved review decisions to the current flags
+     * @param {Array} reviews - { column, row, test, status } from getReviews()
+     */
+    setReviews(reviews) {
+        const statuses = new Map(reviews.map(review => [QualityControl.flagKey(review), review.status]));
+        this.flags.forEach(flag => {
+            const status = statuses.get(QualityControl.flagKey(flag));
+            if (status) this.setStatus(flag.id, status);
+        });
+    }
+
+    /**
+     * Number of flags per test
+     * @returns {Object} Test key → count
+     */
+    countByTest() {
+        const counts = {};
+        this.flags.forEach(flag => {
+            counts[flag.test] = (counts[flag.test] || 0) + 1;
+        });
+        return counts;
+    }
+
+    /**
+     * Remove every flag
+     */
+    clear() {
+        this.flags = [];
+    }
+
+    /**
+     * Identity of a flag across runs
+     * @param {Object} flag - Flag
+     * @returns {string} Key
+     */
+    static flagKey(flag) {
+        return `${flag.column}\u0000${flag.row}\u0000${flag.test}`;
+    }
+
+    /**
+     * Row indices sorted by time (rows without a time last), or in file order
+     * @param {number} rowCount - Number of rows
+     * @param {Float64Array|null} times - Epoch milliseconds per row
+     * @returns {Array} Row indices
+     */
+    static timeOrder(rowCount, times) {
+        const order = Array.from({ length: rowCount }, (_, i) => i);
+        if (!times) return order;
+
+        const key = row => (Number.isNaN(times[row]) ? Infinity : times[row]);
+        return order.sort((a, b) => key(a) - key(b) || a - b);
+    }
+
+    /**
+     * Values outside the physically plausible range of the parameter
+     * @param {Float64Array|Array} values - Column values
+     * @param {Object} range - { min, max }
+     * @returns {Array} Findings ({ row, message })
+     */
+    static outOfRange(values, range) {
+        const findings = [];
+        for (let row = 0; row < values.length; row++) {
+            const value = values[row];
+            if (!Number.isFinite(value)) continue;
+            if (value < range.min || value > range.max) {
+                findings.push({ row, message: `Outside the plausible range ${range.min} to ${range.max}` });
+            }
+        }
+        return findings;
+    }
+
+    /**
+     * Values more than `threshold` standard deviations from the mean
+     * @param {Float64Array|Array} values - Column values
+     * @param {number} threshold - Z-score limit
+     * @returns {Array} Findings ({ row, message })
+     */
+    static zScoreOutliers(values, threshold) {
+        const numbers = Statistics.clean(values);
+        const mean = Statistics.mean(numbers);
+        const stdev = Statistics.stdev(numbers, mean);
+        const findings = [];
+        if (!stdev) return findings;
+
+        for (let row = 0; row < values.length; row++) {
+            if (!Number.isFinite(values[row])) continue;
+            const z = (values[row] - mean) / stdev;
+            if (Math.abs(z) > threshold) {
+                findings.push({ row, message: `Z-score ${z.toFixed(1)} (limit ±${threshold})` });
+            }
+        }
+        return findings;
+    }
+
+    /**
+     * Values beyond the Tukey fences (Q1 - factor × IQR, Q3 + factor × IQR)
+     * @param {Float64Array|Array} values - Column values
+     * @param {number} factor - IQR multiplier
+     * @returns {Array} Findings ({ row, message })
+     */
+    static iqrOutliers(values, factor) {
+        const sorted = Statistics.sorted(Statistics.clean(values));
+        const findings = [];
+        if (sorted.length < 4) return findings;
+
+        const q1 = Statistics.quantile(sorted, 0.25);
+        const q3 = Statistics.quantile(sorted, 0.75);
+        const low = q1 - factor * (q3 - q1);
+        const high = q3 + factor * (q3 - q1);
+        if (low === high) return findings;
+
+        for (let row = 0; row < values.length; row++) {
+            const value = values[row];
+            if (!Number.isFinite(value)) continue;
+            if (value < low || value > high) {
+                findings.push({ row, message: `Outside the IQR fences ${QualityControl.round(low)} to ${QualityControl.round(high)}` });
+            }
+        }
+        return findings;
+    }
+
+    /**
+     * Readings that change faster than `factor` times the typical rate of
+     * change since the previous reading. The jump back after a one-reading
+     * spike is not flagged again.
+     * @param {Float64Array|Array} values - Column values
+     * @param {Array} order - Row indices in time order
+     * @param {Float64Array|null} times - Epoch milliseconds per row (rates are per hour when given)
+     * @param {number} factor - Multiple of the median rate of change
+     * @returns {Array} Findings ({ row, message })
+     */
+    static spikes(values, order, times, factor) {
+        const steps = [];
+        let previous = null;
+        order.forEach(row => {
+            if (!Number.isFinite(values[row])) return;
+            if (previous !== null) {
+                const hours = times ? (times[row] - times[previous]) / 3600000 : NaN;
+                const change = values[row] - values[previous];
+                const rate = hours > 0 ? Math.abs(change) / hours : Math.abs(change);
+                steps.push({ row, previous, change, rate, perHour: hours > 0 });
+            }
+            previous = row;
+        });
+
+        const typical = Statistics.median(Statistics.sorted(steps.map(step => step.rate)));
+        const findings = [];
+        if (!typical) return findings;
+
+        const limit = typical * factor;
+        steps.forEach((step, index) => {
+            if (step.rate <= limit) return;
+
+            // Coming back at least halfway after a flagged reading ends that spike
+            const before = steps[index - 1];
+            const afterSpike = findings.length > 0 && before && findings[findings.length - 1].row === before.row;
+            if (afterSpike && Math.abs(values[step.row] - values[before.previous]) < Math.abs(before.change) / 2) {
+                return;
+            }
+
+            const unit = step.perHour ? ' per hour' : '';
+            findings.push({
+                row: step.row,
+                message: `Changed by ${QualityControl.round(step.change)} since the previous reading ` +
+                    `(${QualityControl.round(step.rate)}${unit}, limit ${QualityControl.round(limit)}${unit})`
+            });
+        });
+        return findings;
+    }
+
+    /**
+     * Runs of at least `minReadings` identical consecutive readings (stuck sensor)
+     * @param {Float64Array|Array} values - Column values
+     * @param {Array} order - Row indices in time order
+     * @param {number} minReadings - Shortest run that is flagged
+     * @returns {Array} Findings ({ row, message }) for every reading in each run
+     */
+    static flatlines(values, order, minReadings) {
+        const findings = [];
+        let run = [];
+
+        const closeRun = () => {
+            if (run.length >= minReadings) {
+                run.forEach(row => findings.push({
+                    row,
+                    message: `Same value ${values[row]} for ${run.length} consecutive readings`
+                }));
+            }
+            run = [];
+        };
+
+        order.forEach(row => {
+            if (!Number.isFinite(values[row])) return;
+            if (run.length > 0 && values[run[0]] !== values[row]) closeRun();
+            run.push(row);
+        });
+        closeRun();
+
+        return findings.sort((a, b) => a.row - b.row);
+    }
+
+    /**
+     * Readings that follow a gap longer than TimeSeries.GAP_FACTOR times the usual spacing
+     * @param {Float64Array} times - Epoch milliseconds per row
+     * @param {Array} order - Row indices in time order
+     * @returns {Array} Findings ({ row, message }) at the first reading after each gap
+     */
+    static gaps(times, order) {
+        const sorted = order.filter(row => !Number.isNaN(times[row]));
+        const interval = TimeSeries.medianInterval(sorted.map(row => times[row]));
+        const findings = [];
+        if (!interval) return findings;
+
+        for (let i = 1; i < sorted.length; i++) {
+            const gap = times[sorted[i]] - times[sorted[i - 1]];
+            if (gap > interval * TimeSeries.GAP_FACTOR) {
+                findings.push({
+                    row: sorted[i],
+                    message: `No readings for ${QualityControl.round(gap / 3600000)} h ` +
+                        `(usual spacing ${QualityControl.round(interval / 3600000)} h)`
+                });
+            }
+        }
+        return findings;
+    }
+
+    /**
+     * Round for messages to three significant digits
+     * @param {number} value - Number
+     * @returns {number} Rounded number
+     */
+    static round(value) {
+        return Number(value.toPrecision(3));
+    }
+}
+
+QualityControl.TESTS = {
+    range: { label: 'Out of range', rejectable: true },
+    zScore: { label: 'Z-score outlier', rejectable: true },
+    iqr: { label: 'IQR outlier', rejectable: true },
+    spike: { label: 'Spike', rejectable: true },
+    flatline: { label: 'Flatline', rejectable: true },
+    gap: { label: 'Time gap', rejectable: false }
+};
+
+QualityControl.STATUSES = ['pending', 'accepted', 'rejected'];
+
+QualityControl.DEFAULT_SETTINGS = {
+    zScore: 3,
+    iqrFactor: 1.5,
+    spikeFactor: 6,
+    flatlineReadings: 6
+};
+
+// Physically plausible values in each parameter's standard unit; anything outside is
+// almost certainly a sensor or entry error
+QualityControl.RANGES = {
+    ph: { min: 0, max: 14 },
+    temperature: { min: -5, max: 50 },
+    dissolvedOxygen: { min: 0, max: 25 },
+    turbidity: { min: 0, max: 4000 },
+    conductivity: { min: 0, max: 100000 },
+    salinity: { min: 0, max: 70 },
+    tds: { min: 0, max: 100000 },
+    nitrate: { min: 0, max: 500 },
+    ammonia: { min: 0, max: 500 }
+};
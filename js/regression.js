@@ -0,0 +1,353 @@
+/**
+ * Regression and Trend Lines
+ * Least-squares and LOWESS fits of y against x, with goodness-of-fit figures
+ * for annotating scatter plots. Rows missing either value are skipped.
+ */
+
+class Regression {
+    /**
+     * Fit a trend line
+     * @param {Array|Float64Array} x - Predictor values
+     * @param {Array|Float64Array} y - Response values
+     * @param {string} method - 'linear', 'poly2', 'poly3' or 'lowess'
+     * @returns {Object|null} Fit (see Regression.linear), or null with too few points
+     */
+    static fit(x, y, method) {
+        switch (method) {
+            case 'linear':
+                return Regression.linear(x, y);
+            case 'poly2':
+                return Regression.polynomial(x, y, 2);
+            case 'poly3':
+                return Regression.polynomial(x, y, 3);
+            case 'lowess':
+                return Regression.lowess(x, y);
+            default:
+                throw new Error(`Unknown trend line: ${method}`);
+        }
+    }
+
+    /**
+     * Ordinary least-squares straight line
+     * @param {Array|Float64Array} x - Predictor values
+     * @param {Array|Float64Array} y - Response values
+     * @returns {Object|null} { method, n, coefficients (constant first), equation, r2,
+     *     pValue, predict(x), curve: { x, y }, residuals: { x, y } }
+     */
+    static linear(x, y) {
+        return Regression.polynomial(x, y, 1);
+    }
+
+    /**
+     * Least-squares polynomial. The p-value is the overall F test of the model.
+     * @param {Array|Float64Array} x - Predictor values
+     * @param {Array|Float64Array} y - Response values
+     * @param {number} degree - Polynomial degree (1 for a straight line)
+     * @returns {Object|null} Fit, or null with too few distinct x values
+     */
+    static polynomial(x, y, degree) {
+        const pairs = Statistics.pairs(x, y);
+        const n = pairs.x.length;
+        if (n < degree + 2 || new Set(pairs.x).size <= degree) return null;
+
+        // Fit on standardized x to keep the normal equations well conditioned
+        const center = Statistics.mean(pairs.x);
+        const scale = Statistics.stdev(pairs.x, center);
+        const u = pairs.x.map(value => (value - center) / scale);
+
+        const size = degree + 1;
+        const matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+        const vector = new Array(size).fill(0);
+        for (let i = 0; i < n; i++) {
+            const powers = [1];
+            for (let k = 1; k <= 2 * degree; k++) powers.push(powers[k - 1] * u[i]);
+            for (let row = 0; row < size; row++) {
+                vector[row] += powers[row] * pairs.y[i];
+                for (let col = 0; col < size; col++) matrix[row][col] += powers[row + col];
+            }
+        }
+
+        const scaled = Regression.solve(matrix, vector);
+        if (!scaled) return null;
+        const coefficients = Regression.unscale(scaled, center, scale);
+        const predict = value => coefficients.reduceRight((sum, coefficient) => sum * value + coefficient, 0);
+
+        const fitted = pairs.x.map(predict);
+        const fit = Regression.summarize(pairs, fitted, degree === 1 ? 'linear' : `poly${degree}`);
+        const df = n - degree - 1;
+        const ssr = fit.sst - fit.sse;
+        let pValue = null;
+        if (df > 0 && fit.sst > 0) {
+            pValue = fit.sse === 0 ? 0 : Statistics.fTestPValue((ssr / degree) / (fit.sse / df), degree, df);
+        }
+
+        const [min, max] = Regression.extent(pairs.x);
+        const curveX = Array.from({ length: Regression.CURVE_POINTS }, (_, i) =>
+            min + (max - min) * i / (Regression.CURVE_POINTS - 1));
+
+        return {
+            ...fit,
+            coefficients,
+            equation: Regression.formatEquation(coefficients),
+            pValue,
+            predict,
+            curve: { x: curveX, y: curveX.map(predict) }
+        };
+    }
+
+    /**
+     * Locally weighted scatterplot smoothing (Cleveland 1979): tricube-weighted
+     * local lines with bisquare robustness iterations. Large inputs are
+     * smoothed at a subset of x values and interpolated in between.
+     * @param {Array|Float64Array} x - Predictor values
+     * @param {Array|Float64Array} y - Response values
+     * @param {number} [span] - Fraction of points in each local fit
+     * @returns {Object|null} Fit without coefficients or p-value
+     */
+    static lowess(x, y, span = Regression.LOWESS_SPAN) {
+        const pairs = Statistics.pairs(x, y);
+        const n = pairs.x.length;
+        if (n < 3) return null;
+
+        const order = pairs.x.map((value, index) => index).sort((a, b) => pairs.x[a] - pairs.x[b]);
+        const xs = order.map(index => pairs.x[index]);
+        const ys = order.map(index => pairs.y[index]);
+        const k = Math.max(2, Math.min(n, Math.ceil(span * n)));
+
+        // Evaluate at no more than LOWESS_POINTS positions
+        const step = Math.max(1, Math.floor(n / Regression.LOWESS_POINTS));
+        const at = [];
+        for (let i = 0; i < n; i += step) at.push(i);
+        if (at[at.length - 1] !== n - 1) at.push(n - 1);
+
+        let robustness = new Array(n).fill(1);
+        let curveY;
+        let fitted;
+
+        for (let iteration = 0; ; iteration++) {
+            curveY = at.map(index => Regression.localFit(xs, ys, robustness, index, k));
+            fitted = Regression.interpolate(at.map(index => xs[index]), curveY, xs);
+            if (iteration === Regression.LOWESS_ITERATIONS) break;
+
+            // Down-weight points far from the current curve
+            const residuals = ys.map((value, i) => value - fitted[i]);
+            const spread = Statistics.median(Statistics.sorted(residuals.map(Math.abs)));
+            robustness = residuals.map(residual => {
+                if (spread === 0) return 1;
+                const ratio = residual / (6 * spread);
+                return Math.abs(ratio) < 1 ? Math.pow(1 - ratio * ratio, 2) : 0;
+            });
+        }
+
+        return {
+            ...Regression.summarize({ x: xs, y: ys }, fitted, 'lowess'),
+            coefficients: null,
+            equation: null,
+            pValue: null,
+            curve: { x: at.map(index => xs[index]), y: curveY }
+        };
+    }
+
+    /**
+     * Weighted local line through the k nearest neighbours of one point
+     * @param {Array} xs - Sorted x values
+     * @param {Array} ys - y values in the same order
+     * @param {Array} robustness - Robustness weight of each point
+     * @param {number} index - Point to evaluate at
+     * @param {number} k - Neighbourhood size
+     * @returns {number} Smoothed y value
+     */
+    static localFit(xs, ys, robustness, index, k) {
+        const x0 = xs[index];
+
+        // Binary search for the start of the k-point window closest to x0
+        let lo = Math.max(0, index - k + 1);
+        let end = Math.min(index, xs.length - k);
+        while (lo < end) {
+            const mid = (lo + end) >> 1;
+            if (x0 - xs[mid] > xs[mid + k] - x0) lo = mid + 1;
+            else end = mid;
+        }
+        const hi = lo + k - 1;
+
+        const bandwidth = Math.max(x0 - xs[lo], xs[hi] - x0);
+        let sw = 0;
+        let swx = 0;
+        let swy = 0;
+        let swxx = 0;
+        let swxy = 0;
+        for (let i = lo; i <= hi; i++) {
+            const distance = bandwidth > 0 ? Math.abs(xs[i] - x0) / bandwidth : 0;
+            const tricube = distance < 1 ? 1 - distance * distance * distance : 0;
+            const w = tricube * tricube * tricube * robustness[i];
+            sw += w;
+            swx += w * xs[i];
+            swy += w * ys[i];
+            swxx += w * xs[i] * xs[i];
+            swxy += w * xs[i] * ys[i];
+        }
+        if (sw === 0) return ys[index];
+
+        const meanX = swx / sw;
+        const meanY = swy / sw;
+        const sxx = swxx / sw - meanX * meanX;
+        if (sxx <= 1e-12 * Math.max(1, meanX * meanX)) return meanY;
+        const slope = (swxy / sw - meanX * meanY) / sxx;
+        return meanY + slope * (x0 - meanX);
+    }
+
+    /**
+     * Linear interpolation of a curve at new x positions
+     * @param {Array} knotsX - Sorted x values of the curve
+     * @param {Array} knotsY - Curve values
+     * @param {Array} xs - Sorted positions to evaluate
+     * @returns {Array} Interpolated values
+     */
+    static interpolate(knotsX, knotsY, xs) {
+        let segment = 0;
+        return xs.map(value => {
+            while (segment < knotsX.length - 2 && value > knotsX[segment + 1]) segment++;
+            const x0 = knotsX[segment];
+            const x1 = knotsX[Math.min(segment + 1, knotsX.length - 1)];
+            const y0 = knotsY[segment];
+            const y1 = knotsY[Math.min(segment + 1, knotsY.length - 1)];
+            return x1 === x0 ? y0 : y0 + (y1 - y0) * (value - x0) / (x1 - x0);
+        });
+    }
+
+    /**
+     * Goodness of fit shared by every method
+     * @param {Object} pairs - { x, y } observed values
+     * @param {Array} fitted - Fitted y for each pair
+     * @param {string} method - Method name
+     * @returns {Object} { method, n, r2, sse, sst, residuals: { x, y } }
+     */
+    static summarize(pairs, fitted, method) {
+        const meanY = Statistics.mean(pairs.y);
+        let sse = 0;
+        let sst = 0;
+        const residuals = { x: pairs.x.slice(), y: [] };
+
+        pairs.y.forEach((value, i) => {
+            const residual = value - fitted[i];
+            residuals.y.push(residual);
+            sse += residual * residual;
+            sst += (value - meanY) * (value - meanY);
+        });
+
+        return {
+            method,
+            n: pairs.y.length,
+            r2: sst > 0 ? 1 - sse / sst : null,
+            sse,
+            sst,
+            residuals
+        };
+    }
+
+    /**
+     * Solve a small linear system by Gaussian elimination with partial pivoting
+     * @param {Array} matrix - Square coefficient matrix (not modified)
+     * @param {Array} vector - Right-hand side
+     * @returns {Array|null} Solution, or null when singular
+     */
+    static solve(matrix, vector) {
+        const size = vector.length;
+        const a = matrix.map((row, i) => row.concat(vector[i]));
+
+        for (let col = 0; col < size; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < size; row++) {
+                if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+            }
+            if (Math.abs(a[pivot][col]) < 1e-12) return null;
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+
+            for (let row = col + 1; row < size; row++) {
+                const factor = a[row][col] / a[col][col];
+                for (let k = col; k <= size; k++) a[row][k] -= factor * a[col][k];
+            }
+        }
+
+        const solution = new Array(size).fill(0);
+        for (let row = size - 1; row >= 0; row--) {
+            let sum = a[row][size];
+            for (let k = row + 1; k < size; k++) sum -= a[row][k] * solution[k];
+            solution[row] = sum / a[row][row];
+        }
+        return solution;
+    }
+
+    /**
+     * Convert coefficients fitted on u = (x - center) / scale back to x
+     * @param {Array} coefficients - Coefficients in u, constant first
+     * @param {number} center - Mean of x
+     * @param {number} scale - Standard deviation of x
+     * @returns {Array} Coefficients in x, constant first
+     */
+    static unscale(coefficients, center, scale) {
+        const result = new Array(coefficients.length).fill(0);
+        coefficients.forEach((coefficient, k) => {
+            // Expand coefficient * ((x - center) / scale)^k with the binomial theorem
+            let binomial = 1;
+            for (let j = 0; j <= k; j++) {
+                if (j > 0) binomial = binomial * (k - j + 1) / j;
+                result[j] += coefficient * binomial * Math.pow(-center, k - j) / Math.pow(scale, k);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Smallest and largest value
+     * @param {Array} values - Finite numbers
+     * @returns {Array} [min, max]
+     */
+    static extent(values) {
+        return values.reduce(([min, max], value) => [Math.min(min, value), Math.max(max, value)], [Infinity, -Infinity]);
+    }
+
+    /**
+     * Equation text such as "y = 0.52x² − 1.3x + 4.1"
+     * @param {Array} coefficients - Polynomial coefficients, constant first
+     * @returns {string} Equation
+     */
+    static formatEquation(coefficients) {
+        const powers = ['', 'x', 'x²', 'x³'];
+        const terms = [];
+        for (let k = coefficients.length - 1; k >= 0; k--) {
+            const value = Regression.formatCoefficient(Math.abs(coefficients[k]));
+            const sign = coefficients[k] < 0 ? '−' : '+';
+            const term = `${value}${powers[k]}`;
+            terms.push(terms.length === 0 ? (sign === '−' ? `−${term}` : term) : `${sign} ${term}`);
+        }
+        return `y = ${terms.join(' ')}`;
+    }
+
+    /**
+     * Four significant digits, switching to exponent notation for tiny or huge values
+     * @param {number} value - Coefficient
+     * @returns {string} Formatted coefficient
+     */
+    static formatCoefficient(value) {
+        if (value !== 0 && (value < 1e-3 || value >= 1e6)) {
+            return value.toExponential(3);
+        }
+        return String(Number(value.toPrecision(4)));
+    }
+}
+
+Regression.METHODS = {
+    linear: 'Linear',
+    poly2: 'Polynomial (2nd order)',
+    poly3: 'Polynomial (3rd order)',
+    lowess: 'LOWESS'
+};
+
+// Points used to draw fitted curves
+Regression.CURVE_POINTS = 100;
+Regression.LOWESS_POINTS = 200;
+
+// Same defaults as R's lowess(): two-thirds of the data per fit, robustness iterations
+Regression.LOWESS_SPAN = 2 / 3;
+Regression.LOWESS_ITERATIONS = 3;
@@ -0,0 +1,370 @@
+/**
+ * Schema Inference for Water Quality Data
+ * Detects column types and converts raw CSV text into typed values
+ */
+
+class SchemaInference {
+    /**
+     * @param {Object} options - Inference options
+     * @param {Array} [options.missingTokens] - Values treated as missing (case-insensitive)
+     * @param {string} [options.decimalSeparator='.'] - Decimal separator used by numbers
+     */
+    constructor(options = {}) {
+        this.missingTokens = new Set(
+            (options.missingTokens || SchemaInference.MISSING_TOKENS).map(token => token.toLowerCase())
+        );
+        this.decimalSeparator = options.decimalSeparator || '.';
+    }
+
+    /**
+     * Check whether a raw value means "no data"
+     * @param {*} value - Raw value
+     * @returns {boolean} True for blanks and missing-value tokens
+     */
+    isMissing(value) {
+        if (value === null || value === undefined) return true;
+        return this.missingTokens.has(String(value).trim().toLowerCase());
+    }
+
+    /**
+     * Infer the type of every column
+     * @param {Array} headers - Column names
+     * @param {Array} rows - Rows of raw string values keyed by header
+     * @returns {Object} Schema with a column entry per header
+     */
+    infer(headers, rows) {
+        const columns = headers.map(name => this.inferColumn(name, rows.map(row => row[name])));
+        return {
+            columns,
+            timeColumn: columns.find(column => column.type === 'datetime' || column.type === 'date')?.name || null
+        };
+    }
+
+    /**
+     * Infer the type of a single column from its raw values
+     * @param {string} name - Column name
+     * @param {Array} values - Raw string values
+     * @returns {Object} Column schema { name, type, missing, dateOrder }
+     */
+    inferColumn(name, values) {
+        const present = values.filter(value => !this.isMissing(value));
+        const column = {
+            name,
+            type: 'string',
+            missing: values.length - present.length,
+            dateOrder: null
+        };
+
+        if (present.length === 0) return column;
+
+        // A handful of stray values should not demote a column to text; they are
+        // reported as unparseable instead
+        const threshold = Math.max(1, Math.ceil(present.length * SchemaInference.TYPE_AGREEMENT));
+        const count = test => present.reduce((total, value) => total + (test(value) ? 1 : 0), 0);
+
+        if (count(value => SchemaInference.BOOLEAN_VALUES.has(value.toLowerCase())) === present.length &&
+            present.some(value => !/^[01]$/.test(value))) {
+            column.type = 'boolean';
+            return column;
+        }
+
+        // Lab results qualified against a detection limit ("<0.5", "0.5 U") are numbers too
+        const numberOf = value => {
+            const number = this.parseNumber(value);
+            if (number !== null) return number;
+            const censored = this.parseCensored(value);
+            return censored ? censored.value : null;
+        };
+        const numbers = count(value => numberOf(value) !== null);
+        if (numbers >= threshold) {
+            column.type = present.every(value => {
+                const number = numberOf(value);
+                return number === null || Number.isInteger(number);
+            }) ? 'integer' : 'number';
+            return column;
+        }
+
+        column.dateOrder = this.detectDateOrder(present);
+
+        if (count(value => this.parseDateTime(value, column.dateOrder) !== null) >= threshold) {
+            column.type = 'datetime';
+        } else if (count(value => this.parseDate(value, column.dateOrder) !== null) >= threshold) {
+            column.type = 'date';
+        } else if (count(value => this.parseTime(value) !== null) >= threshold) {
+            column.type = 'time';
+            column.dateOrder = null;
+        } else {
+            column.dateOrder = null;
+        }
+
+        return column;
+    }
+
+    /**
+     * Convert a raw value according to its column type
+     * @param {string} value - Raw value
+     * @param {Object} column - Column schema
+     * @returns {*} Typed value, null when missing or unparseable
+     */
+    convert(value, column) {
+        if (this.isMissing(value)) return null;
+
+        switch (column.type) {
+            case 'integer':
+            case 'number':
+                return this.parseNumber(value);
+            case 'boolean':
+                return SchemaInference.TRUE_VALUES.has(value.toLowerCase());
+            case 'date':
+                return this.parseDate(value, column.dateOrder);
+            case 'datetime':
+                // Loggers often drop the time part at midnight
+                return this.parseDateTime(value, column.dateOrder) || this.parseDate(value, column.dateOrder);
+            case 'time': {
+                const seconds = this.parseTime(value);
+                return seconds === null ? null : SchemaInference.formatTime(seconds);
+            }
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Parse a number, honouring the file's decimal separator
+     * @param {string} value - Raw value
+     * @returns {number|null} Number or null
+     */
+    parseNumber(value) {
+        let text = String(value).trim();
+        if (this.decimalSeparator === ',') {
+            text = text.replace(',', '.');
+        }
+        if (!/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return null;
+        return parseFloat(text);
+    }
+
+    /**
+     * Parse a result qualified against a detection limit or as estimated
+     * @param {string} value - Raw value, e.g. "<0.5", "0.5 U", "ND" or "1.2 J"
+     * @returns {Object|null} { value, flag } (see Censoring.parse), or null for unqualified values
+     */
+    parseCensored(value) {
+        return Censoring.parse(value, text => this.parseNumber(text));
+    }
+
+    /**
+     * Work out whether slash/dot dates are day-first or month-first
+     * @param {Array} values - Raw date strings
+     * @returns {string} 'ymd', 'dmy' or 'mdy'
+     */
+    detectDateOrder(values) {
+        let dayFirst = false;
+        let monthFirst = false;
+        let dotted = false;
+
+        values.slice(0, 1000).forEach(value => {
+            const match = String(value).trim().match(/^(\d{1,2})([-/.])(\d{1,2})\2(\d{2}|\d{4})\b/);
+            if (!match) return;
+            if (Number(match[1]) > 12) dayFirst = true;
+            if (Number(match[3]) > 12) monthFirst = true;
+            if (match[2] === '.') dotted = true;
+        });
+
+        if (dayFirst && !monthFirst) return 'dmy';
+        if (monthFirst && !dayFirst) return 'mdy';
+        // Dotted dates (31.01.2026) are a European convention
+        return dotted ? 'dmy' : 'mdy';
+    }
+
+    /**
+     * Parse a calendar date as local midnight
+     * @param {string} value - Raw date
+     * @param {string} order - 'ymd', 'dmy' or 'mdy'
+     * @returns {Date|null} Date or null
+     */
+    parseDate(value, order = 'mdy') {
+        const parts = this.matchDate(String(value).trim(), order);
+        if (!parts || parts.rest !== '') return null;
+        return this.buildDate(parts, 0, null);
+    }
+
+    /**
+     * Parse a date with a time of day, optionally with a UTC offset
+     * @param {string} value - Raw datetime
+     * @param {string} order - 'ymd', 'dmy' or 'mdy'
+     * @returns {Date|null} Date or null
+     */
+    parseDateTime(value, order = 'mdy') {
+        const parts = this.matchDate(String(value).trim(), order);
+        if (!parts) return null;
+
+        const match = parts.rest.match(/^(?:T|\s+)(.+?)\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+        if (!match) return null;
+
+        const seconds = this.parseTime(match[1]);
+        if (seconds === null) return null;
+
+        let offsetMinutes = null;
+        if (match[2]) {
+            if (match[2].toUpperCase() === 'Z') {
+                offsetMinutes = 0;
+            } else {
+                const sign = match[2][0] === '-' ? -1 : 1;
+                const digits = match[2].slice(1).replace(':', '');
+                offsetMinutes = sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2)));
+            }
+        }
+
+        return this.buildDate(parts, seconds, offsetMinutes);
+    }
+
+    /**
+     * Parse a time of day
+     * @param {string} value - Raw time such as 08:00, 8:00:30 or 2:15 PM
+     * @returns {number|null} Seconds since midnight or null
+     */
+    parseTime(value) {
+        const match = String(value).trim()
+            .match(/^(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,6}))?)?\s*([AaPp][Mm])?$/);
+        if (!match) return null;
+
+        let hours = Number(match[1]);
+        const minutes = Number(match[2]);
+        const seconds = Number(match[3] || 0) + (match[4] ? Number(`0.${match[4]}`) : 0);
+
+        if (match[5]) {
+            if (hours < 1 || hours > 12) return null;
+            const pm = match[5].toLowerCase() === 'pm';
+            hours = (hours % 12) + (pm ? 12 : 0);
+        }
+
+        if (hours > 24 || minutes > 59 || seconds >= 60) return null;
+        return hours * 3600 + minutes * 60 + seconds;
+    }
+
+    /**
+     * Split the leading date off a string
+     * @param {string} text - Trimmed raw value
+     * @param {string} order - 'ymd', 'dmy' or 'mdy'
+     * @returns {Object|null} { year, month, day, rest }
+     */
+    matchDate(text, order) {
+        let match = text.match(/^(\d{4})([-/.])(\d{1,2})\2(\d{1,2})/);
+        if (match) {
+            return { year: Number(match[1]), month: Number(match[3]), day: Number(match[4]), rest: text.slice(match[0].length) };
+        }
+
+        match = text.match(/^(\d{1,2})([-/.])(\d{1,2})\2(\d{4}|\d{2})(?!\d)/);
+        if (!match) return null;
+
+        let year = Number(match[4]);
+        if (match[4].length === 2) {
+            year += year < 70 ? 2000 : 1900;
+        }
+        const first = Number(match[1]);
+        const second = Number(match[3]);
+
+        return {
+            year,
+            month: order === 'dmy' ? second : first,
+            day: order === 'dmy' ? first : second,
+            rest: text.slice(match[0].length)
+        };
+    }
+
+    /**
+     * Build a Date and reject impossible calendar values (e.g. 2026-02-30)
+     * @param {Object} parts - { year, month, day }
+     * @param {number} seconds - Seconds since midnight
+     * @param {number|null} offsetMinutes - UTC offset, or null for local time
+     * @returns {Date|null} Date or null
+     */
+    buildDate(parts, seconds, offsetMinutes) {
+        const { year, month, day } = parts;
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+        const check = new Date(year, month - 1, day);
+        if (check.getMonth() !== month - 1 || check.getDate() !== day) return null;
+
+        const milliseconds = Math.round(seconds * 1000);
+
+        if (offsetMinutes === null) {
+            return new Date(year, month - 1, day, 0, 0, 0, milliseconds);
+        }
+        return new Date(Date.UTC(year, month - 1, day) + milliseconds - offsetMinutes * 60000);
+    }
+
+    /**
+     * Plan how separate Date and Time columns combine into one timestamp column
+     * @param {Object} schema - Inferred schema
+     * @param {Array} headers - Column names
+     * @returns {Object|null} { dateColumn, timeColumn, headers, schema } describing the
+     *     merged layout, or null when there is nothing to merge
+     */
+    planDateTimeMerge(schema, headers) {
+        const dateColumn = schema.columns.find(column => column.type === 'date');
+        const timeColumn = schema.columns.find(column => column.type === 'time');
+        if (!dateColumn || !timeColumn) return null;
+
+        let name = 'Timestamp';
+        for (let suffix = 2; headers.includes(name); suffix++) {
+            name = `Timestamp_${suffix}`;
+        }
+
+        const merged = {
+            name,
+            type: 'datetime',
+            missing: 0,
+            dateOrder: dateColumn.dateOrder,
+            sources: [dateColumn.name, timeColumn.name]
+        };
+
+        const position = headers.indexOf(dateColumn.name);
+        const mergedHeaders = headers.filter(header => header !== dateColumn.name && header !== timeColumn.name);
+        mergedHeaders.splice(Math.min(position, mergedHeaders.length), 0, name);
+
+        return {
+            dateColumn: dateColumn.name,
+            timeColumn: timeColumn.name,
+            name,
+            headers: mergedHeaders,
+            schema: {
+                columns: mergedHeaders.map(header =>
+                    header === name ? merged : schema.columns.find(column => column.name === header)
+                ),
+                timeColumn: name
+            }
+        };
+    }
+
+    /**
+     * Combine a converted date and time of day into one local timestamp
+     * @param {Date|null} date - Calendar date
+     * @param {string|null} time - Time of day (HH:MM[:SS])
+     * @returns {Date|null} Timestamp, or null without a date
+     */
+    combineDateAndTime(date, time) {
+        if (!(date instanceof Date)) return null;
+        const seconds = time === null ? 0 : this.parseTime(time);
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate(),
+            0, 0, 0, Math.round((seconds || 0) * 1000));
+    }
+
+    /**
+     * Format seconds since midnight as HH:MM or HH:MM:SS
+     * @param {number} seconds - Seconds since midnight
+     * @returns {string} Formatted time
+     */
+    static formatTime(seconds) {
+        const pad = value => String(Math.floor(value)).padStart(2, '0');
+        const hours = pad(seconds / 3600);
+        const minutes = pad((seconds % 3600) / 60);
+        const rest = seconds % 60;
+        return rest ? `${hours}:${minutes}:${pad(rest)}` : `${hours}:${minutes}`;
+    }
+}
+
+SchemaInference.MISSING_TOKENS = ['', 'NA', 'N/A', '#N/A', 'NaN', 'ND', 'null', 'none', '-', '--', '-999', '-9999', '<LOD'];
+SchemaInference.TRUE_VALUES = new Set(['true', 'yes', 'y', 't', '1']);
+SchemaInference.BOOLEAN_VALUES = new Set(['true', 'false', 'yes', 'no', 'y', 'n', 't', 'f', '0', '1']);
+SchemaInference.TYPE_AGREEMENT = 0.8;
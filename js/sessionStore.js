@@ -0,0 +1,154 @@
+/**
+ * Session Store
+ * Saves named sessions (imported datasets, mappings, criteria, review
+ * decisions and the view) in IndexedDB so they can be reopened offline
+ */
+
+class SessionStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {IDBFactory} [options.indexedDB] - Database factory (defaults to window.indexedDB)
+     */
+    constructor(options = {}) {
+        this.factory = options.indexedDB !== undefined ? options.indexedDB : SessionStore.defaultFactory();
+        this.database = null;
+    }
+
+    /**
+     * indexedDB when available (it is missing or throws in some privacy modes)
+     * @returns {IDBFactory|null} Factory or null
+     */
+    static defaultFactory() {
+        try {
+            return typeof indexedDB !== 'undefined' ? indexedDB : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Whether sessions can be saved in this browser
+     * @returns {boolean} True when IndexedDB is available
+     */
+    isAvailable() {
+        return Boolean(this.factory);
+    }
+
+    /**
+     * List saved sessions without loading their data
+     * @returns {Promise<Array>} Summaries ({ name, savedAt, datasets, rows }), newest first
+     */
+    list() {
+        return this.transaction([SessionStore.SUMMARIES], 'readonly', ([summaries]) =>
+            SessionStore.request(summaries.getAll())
+        ).then(list => list.sort((a, b) => b.savedAt - a.savedAt));
+    }
+
+    /**
+     * Save a session, replacing any saved under the same name
+     * @param {string} name - Session name
+     * @param {Object} session - { datasets, derivedColumns, view, thresholds, qualityControl }; datasets
+     *     are { name, fileName, active, source, mapping } with source as exported by the parser
+     * @returns {Promise<Object>} Summary of the saved session
+     */
+    save(name, session) {
+        const summary = {
+            name,
+            savedAt: Date.now(),
+            datasets: session.datasets.length,
+            rows: session.datasets.reduce((total, dataset) => total + dataset.source.diagnostics.importedRows, 0)
+        };
+
+        return this.transaction([SessionStore.SUMMARIES, SessionStore.DATA], 'readwrite', ([summaries, data]) => {
+            summaries.put(summary);
+            data.put({ ...session, name });
+        }).then(() => summary);
+    }
+
+    /**
+     * Load a saved session
+     * @param {string} name - Session name
+     * @returns {Promise<Object>} Session as passed to save()
+     */
+    load(name) {
+        return this.transaction([SessionStore.DATA], 'readonly', ([data]) =>
+            SessionStore.request(data.get(name))
+        ).then(session => {
+            if (!session) throw new Error(`No saved session named "${name}"`);
+            return session;
+        });
+    }
+
+    /**
+     * Delete a saved session
+     * @param {string} name - Session name
+     * @returns {Promise} Resolves once deleted
+     */
+    remove(name) {
+        return this.transaction([SessionStore.SUMMARIES, SessionStore.DATA], 'readwrite', ([summaries, data]) => {
+            summaries.delete(name);
+            data.delete(name);
+        });
+    }
+
+    /**
+     * Open the database, creating its stores on first use
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    open() {
+        if (!this.factory) {
+            return Promise.reject(new Error('Saved sessions are not available in this browser'));
+        }
+        if (!this.database) {
+            const request = this.factory.open(SessionStore.DATABASE, SessionStore.VERSION);
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                [SessionStore.SUMMARIES, SessionStore.DATA].forEach(store => {
+                    if (!database.objectStoreNames.contains(store)) {
+                        database.createObjectStore(store, { keyPath: 'name' });
+                    }
+                });
+            };
+            this.database = SessionStore.request(request).catch(error => {
+                // Let the next call try again
+                this.database = null;
+                throw error;
+            });
+        }
+        return this.database;
+    }
+
+    /**
+     * Run work in a transaction
+     * @param {Array} storeNames - Object stores to use
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Called with the stores; may return a promise of a result
+     * @returns {Promise} Result of work, once the transaction has completed
+     */
+    transaction(storeNames, mode, work) {
+        return this.open().then(database => new Promise((resolve, reject) => {
+            const transaction = database.transaction(storeNames, mode);
+            const result = Promise.resolve(work(storeNames.map(name => transaction.objectStore(name))));
+            transaction.oncomplete = () => result.then(resolve, reject);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Session storage was interrupted'));
+        }));
+    }
+
+    /**
+     * Wrap an IndexedDB request in a promise
+     * @param {IDBRequest} request - Request
+     * @returns {Promise} Resolves with the request's result
+     */
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+SessionStore.DATABASE = 'wqv';
+SessionStore.VERSION = 1;
+SessionStore.SUMMARIES = 'sessionSummaries';
+SessionStore.DATA = 'sessions';
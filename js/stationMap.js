@@ -0,0 +1,246 @@
+/**
+ * Station Map
+ * Finds the coordinate and station columns of a dataset and summarizes a
+ * parameter per sampling station, over all dates or one period at a time
+ */
+
+class StationMap {
+    /**
+     * Find the latitude and longitude columns
+     * @param {CSVParser} parser - Parser with loaded data
+     * @returns {Object|null} { latitude, longitude } column names, or null when either is missing
+     */
+    static findCoordinates(parser) {
+        const numeric = parser.getNumericColumns();
+        const find = words => numeric.find(column =>
+            ParameterCatalog.tokenize(column).some(word => words.includes(word)));
+
+        const latitude = find(StationMap.LATITUDE_WORDS);
+        const longitude = find(StationMap.LONGITUDE_WORDS);
+        return latitude && longitude ? { latitude, longitude } : null;
+    }
+
+    /**
+     * Find the column naming the station of each sample
+     * @param {CSVParser} parser - Parser with loaded data
+     * @returns {string|null} Column name
+     */
+    static findStationColumn(parser) {
+        return parser.getAllColumns().find(column => {
+            const schema = parser.getColumnSchema(column);
+            return schema && schema.type === 'string' &&
+                ParameterCatalog.tokenize(column).some(word => StationMap.STATION_WORDS.includes(word));
+        }) || null;
+    }
+
+    /**
+     * Slider step that keeps the number of periods manageable
+     * @param {number} first - Earliest time (epoch ms)
+     * @param {number} last - Latest time (epoch ms)
+     * @returns {string} 'day', 'week' or 'month'
+     */
+    static periodInterval(first, last) {
+        const days = (last - first) / 86400000;
+        if (days <= 90) return 'day';
+        if (days <= 3 * 365) return 'week';
+        return 'month';
+    }
+
+    /**
+     * Slider label for a period
+     * @param {number} start - Period start (epoch ms)
+     * @param {string} interval - 'day', 'week' or 'month'
+     * @returns {string} Label
+     */
+    static periodLabel(start, interval) {
+        const date = new Date(start);
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        if (interval === 'month') return `${date.getFullYear()}-${month}`;
+
+        const day = `${date.getFullYear()}-${month}-${String(date.getDate()).padStart(2, '0')}`;
+        return interval === 'week' ? `Week of ${day}` : day;
+    }
+
+    /**
+     * Summarize a parameter per station
+     * @param {CSVParser} parser - Parser with loaded data
+     * @param {Object} options - Summary options
+     * @param {string} options.column - Numeric column to summarize
+     * @param {string} options.statistic - Key of StationMap.STATISTICS
+     * @param {Object} [options.limits] - { min, max } criteria for the exceedance status
+     * @param {Uint8Array} [options.visible] - 1 for each row to include (defaults to the rows
+     *     passing the active filters)
+     * @param {boolean} [options.periods] - Also summarize each day, week or month
+     * @returns {Object} { stations, unmapped, interval, periods } where stations are
+     *     { id, latitude, longitude, value, count, exceedances, status, rows }, unmapped
+     *     names stations without coordinates and periods are { start, label, stations }
+     */
+    static summarize(parser, options) {
+        const coordinates = StationMap.findCoordinates(parser);
+        if (!coordinates) {
+            throw new Error('The map needs latitude and longitude columns');
+        }
+
+        const table = parser.table;
+        const stationColumn = StationMap.findStationColumn(parser);
+        const timeColumn = parser.getTimeColumn();
+        const latitudes = table.getRawColumn(coordinates.latitude);
+        const longitudes = table.getRawColumn(coordinates.longitude);
+        const names = stationColumn ? table.getRawColumn(stationColumn) : null;
+        const times = timeColumn ? table.getRawColumn(timeColumn) : null;
+        const values = table.getRawColumn(options.column);
+        const excluded = table.getExcluded(options.column);
+        const isVisible = options.visible
+            ? index => options.visible[index] === 1
+            : index => table.isRowVisible(index);
+
+        // Stations in order of first appearance, with the readings of each
+        const stations = new Map();
+        for (let i = 0; i < table.rowCount; i++) {
+            if (!isVisible(i)) continue;
+
+            const hasPosition = Number.isFinite(latitudes[i]) && Number.isFinite(longitudes[i]);
+            // Without a station column, each distinct position is a station
+            let id;
+            if (names) {
+                id = CSVParser.groupLabel(names[i]);
+            } else if (hasPosition) {
+                id = `${latitudes[i].toFixed(5)}, ${longitudes[i].toFixed(5)}`;
+            } else {
+                continue;
+            }
+
+            if (!stations.has(id)) {
+                stations.set(id, { id, latitude: null, longitude: null, bounds: null, rows: [], readings: [] });
+            }
+            const station = stations.get(id);
+            station.rows.push(i);
+            if (hasPosition) {
+                if (station.latitude === null) {
+                    station.latitude = latitudes[i];
+                    station.longitude = longitudes[i];
+                    station.bounds = { latitude: [latitudes[i], latitudes[i]], longitude: [longitudes[i], longitudes[i]] };
+                }
+                const { bounds } = station;
+                bounds.latitude = [Math.min(bounds.latitude[0], latitudes[i]), Math.max(bounds.latitude[1], latitudes[i])];
+                bounds.longitude = [Math.min(bounds.longitude[0], longitudes[i]), Math.max(bounds.longitude[1], longitudes[i])];
+            }
+            if (Number.isFinite(values[i]) && !excluded.has(i)) {
+                station.readings.push({ time: times ? times[i] : i, value: values[i] });
+            }
+        }
+
+        const mapped = [...stations.values()].filter(station => station.latitude !== null);
+        const describe = readings => StationMap.describe(readings, options.statistic, options.limits);
+        const result = {
+            stations: mapped.map(({ readings, ...station }) => ({ ...station, ...describe(readings) })),
+            unmapped: [...stations.values()].filter(station => station.latitude === null).map(station => station.id),
+            interval: null,
+            periods: []
+        };
+
+        const dated = mapped.flatMap(station => station.readings).map(reading => reading.time).filter(Number.isFinite);
+        if (!options.periods || !times || dated.length === 0) return result;
+
+        const first = dated.reduce((min, time) => Math.min(min, time), Infinity);
+        const last = dated.reduce((max, time) => Math.max(max, time), -Infinity);
+        const interval = StationMap.periodInterval(first, last);
+        result.interval = interval;
+
+        for (let start = TimeSeries.bucketStart(first, interval); start <= last; start = TimeSeries.nextBucket(start, interval)) {
+            const end = TimeSeries.nextBucket(start, interval);
+            result.periods.push({
+                start,
+                label: StationMap.periodLabel(start, interval),
+                stations: mapped.map(({ readings, ...station }) => ({
+                    ...station,
+                    ...describe(readings.filter(reading => reading.time >= start && reading.time < end))
+                }))
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Summarize one station's readings
+     * @param {Array} readings - { time, value } in row order
+     * @param {string} statistic - Key of StationMap.STATISTICS
+     * @param {Object} [limits] - { min, max } criteria
+     * @returns {Object} { value, count, exceedances, status } with value null when there are
+     *     no readings; for 'exceedance' the value is the percentage of readings exceeding
+     */
+    static describe(readings, statistic, limits) {
+        const count = readings.length;
+        const exceedances = limits
+            ? readings.filter(reading => ThresholdEngine.isExceedance(reading.value, limits)).length
+            : 0;
+
+        let status = 'unassessed';
+        if (count > 0 && limits) status = exceedances > 0 ? 'exceeds' : 'meets';
+
+        let value = null;
+        if (count > 0) {
+            switch (statistic) {
+                case 'latest':
+                    value = readings.reduce((latest, reading) => (reading.time >= latest.time ? reading : latest)).value;
+                    break;
+                case 'mean':
+                    value = readings.reduce((sum, reading) => sum + reading.value, 0) / count;
+                    break;
+                case 'exceedance':
+                    value = limits ? (exceedances / count) * 100 : null;
+                    break;
+                default:
+                    throw new Error(`Unknown map statistic: ${statistic}`);
+            }
+        }
+        return { value, count, exceedances, status };
+    }
+
+    /**
+     * Filter conditions that keep only one station's rows
+     * @param {CSVParser} parser - Parser with loaded data
+     * @param {Object} station - Station from summarize()
+     * @returns {Array} Conditions for DataFilter.add()
+     */
+    static stationFilters(parser, station) {
+        const stationColumn = StationMap.findStationColumn(parser);
+        if (stationColumn) {
+            return [{ type: 'category', column: stationColumn, values: [station.id] }];
+        }
+
+        const coordinates = StationMap.findCoordinates(parser);
+        return ['latitude', 'longitude'].map(axis => ({
+            type: 'range',
+            column: coordinates[axis],
+            min: station.bounds[axis][0],
+            max: station.bounds[axis][1]
+        }));
+    }
+
+    /**
+     * Whether a filter condition picks stations, so the map itself should ignore it
+     * @param {CSVParser} parser - Parser with loaded data
+     * @param {Object} condition - Filter condition
+     * @returns {boolean} True for conditions on the station or coordinate columns
+     */
+    static isStationFilter(parser, condition) {
+        const coordinates = StationMap.findCoordinates(parser) || {};
+        return [StationMap.findStationColumn(parser), coordinates.latitude, coordinates.longitude]
+            .some(column => column && condition.column === column);
+    }
+}
+
+StationMap.LATITUDE_WORDS = ['lat', 'latitude'];
+StationMap.LONGITUDE_WORDS = ['lon', 'long', 'lng', 'longitude'];
+StationMap.STATION_WORDS = ['site', 'station', 'location'];
+StationMap.STATISTICS = {
+    latest: 'Latest value',
+    mean: 'Mean',
+    exceedance: 'Exceedance status'
+};
+StationMap.STATUSES = {
+    meets: { label: 'Meets criteria', color: '#28a745' },
+    exceeds: { label: 'Exceeds criteria', color: '#dc3545' },
+    unassessed: { label: 'No criteria or readings', color: '#999999' }
+};
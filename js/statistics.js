@@ -0,0 +1,450 @@
+/**
+ * Statistics for Water Quality Data
+ * Descriptive statistics, correlation and significance tests on numeric
+ * arrays (plain or typed). Missing values (null, undefined, NaN) are skipped
+ * and counted.
+ */
+
+class Statistics {
+    /**
+     * Collect the finite numbers from an array
+     * @param {Array|Float64Array} values - Values that may contain missing entries
+     * @returns {Array} Finite numbers in original order
+     */
+    static clean(values) {
+        const result = [];
+        for (let i = 0; i < values.length; i++) {
+            const value = values[i];
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                result.push(value);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Sort numbers ascending without mutating the input
+     * @param {Array} values - Numbers
+     * @returns {Float64Array} Sorted copy
+     */
+    static sorted(values) {
+        // Float64Array sorts numerically and much faster than Array#sort with a comparator
+        return Float64Array.from(values).sort();
+    }
+
+    /**
+     * Quantile using linear interpolation between order statistics
+     * (R type 7, the same as Excel PERCENTILE.INC and NumPy's default)
+     * @param {Array|Float64Array} sorted - Numbers sorted ascending
+     * @param {number} p - Probability between 0 and 1
+     * @returns {number|null} Quantile value
+     */
+    static quantile(sorted, p) {
+        const n = sorted.length;
+        if (n === 0) return null;
+        if (n === 1) return sorted[0];
+
+        const position = (n - 1) * p;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        const weight = position - lower;
+
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * weight;
+    }
+
+    /**
+     * Median (average of the two middle values for even counts)
+     * @param {Array|Float64Array} sorted - Numbers sorted ascending
+     * @returns {number|null} Median
+     */
+    static median(sorted) {
+        return Statistics.quantile(sorted, 0.5);
+    }
+
+    /**
+     * Arithmetic mean
+     * @param {Array} values - Finite numbers
+     * @returns {number|null} Mean
+     */
+    static mean(values) {
+        if (values.length === 0) return null;
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) sum += values[i];
+        return sum / values.length;
+    }
+
+    /**
+     * Sample variance (n - 1 denominator)
+     * @param {Array} values - Finite numbers
+     * @param {number} [mean] - Precomputed mean
+     * @returns {number|null} Variance, null for fewer than two values
+     */
+    static variance(values, mean = Statistics.mean(values)) {
+        const n = values.length;
+        if (n < 2) return null;
+
+        let squares = 0;
+        for (let i = 0; i < n; i++) {
+            const diff = values[i] - mean;
+            squares += diff * diff;
+        }
+        return squares / (n - 1);
+    }
+
+    /**
+     * Sample standard deviation
+     * @param {Array} values - Finite numbers
+     * @param {number} [mean] - Precomputed mean
+     * @returns {number|null} Standard deviation
+     */
+    static stdev(values, mean = Statistics.mean(values)) {
+        const variance = Statistics.variance(values, mean);
+        return variance === null ? null : Math.sqrt(variance);
+    }
+
+    /**
+     * Adjusted Fisher-Pearson skewness (G1, as reported by Excel SKEW)
+     * @param {Array} values - Finite numbers
+     * @param {number} [mean] - Precomputed mean
+     * @returns {number|null} Skewness, null for fewer than three values or zero spread
+     */
+    static skewness(values, mean = Statistics.mean(values)) {
+        const n = values.length;
+        if (n < 3) return null;
+
+        let m2 = 0;
+        let m3 = 0;
+        for (let i = 0; i < n; i++) {
+            const diff = values[i] - mean;
+            m2 += diff * diff;
+            m3 += diff * diff * diff;
+        }
+        m2 /= n;
+        m3 /= n;
+        if (m2 === 0) return null;
+
+        const g1 = m3 / Math.pow(m2, 1.5);
+        return g1 * Math.sqrt(n * (n - 1)) / (n - 2);
+    }
+
+    /**
+     * Ranks with ties given their average rank (1-based)
+     * @param {Array} values - Finite numbers
+     * @returns {Array} Rank of each value, in input order
+     */
+    static ranks(values) {
+        const order = values.map((value, index) => index).sort((a, b) => values[a] - values[b]);
+        const ranks = new Array(values.length);
+
+        for (let start = 0; start < order.length;) {
+            let end = start;
+            while (end + 1 < order.length && values[order[end + 1]] === values[order[start]]) end++;
+            const rank = (start + end) / 2 + 1;
+            for (let i = start; i <= end; i++) ranks[order[i]] = rank;
+            start = end + 1;
+        }
+        return ranks;
+    }
+
+    /**
+     * Pair up two columns, keeping rows where both values are present
+     * @param {Array|Float64Array} x - First column
+     * @param {Array|Float64Array} y - Second column
+     * @returns {Object} { x, y } arrays of finite numbers
+     */
+    static pairs(x, y) {
+        const result = { x: [], y: [] };
+        const length = Math.min(x.length, y.length);
+        for (let i = 0; i < length; i++) {
+            if (typeof x[i] === 'number' && Number.isFinite(x[i]) &&
+                typeof y[i] === 'number' && Number.isFinite(y[i])) {
+                result.x.push(x[i]);
+                result.y.push(y[i]);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Correlation coefficient of two columns over rows where both are present
+     * @param {Array|Float64Array} x - First column
+     * @param {Array|Float64Array} y - Second column
+     * @param {string} [method='pearson'] - 'pearson' or 'spearman' (rank correlation)
+     * @returns {Object} { r, n, pValue }; r is null for fewer than three pairs or zero spread
+     */
+    static correlation(x, y, method = 'pearson') {
+        let pairs = Statistics.pairs(x, y);
+        if (method === 'spearman') {
+            pairs = { x: Statistics.ranks(pairs.x), y: Statistics.ranks(pairs.y) };
+        } else if (method !== 'pearson') {
+            throw new Error(`Unknown correlation method: ${method}`);
+        }
+
+        const n = pairs.x.length;
+        if (n < 3) return { r: null, n, pValue: null };
+
+        const meanX = Statistics.mean(pairs.x);
+        const meanY = Statistics.mean(pairs.y);
+        let sxy = 0;
+        let sxx = 0;
+        let syy = 0;
+        for (let i = 0; i < n; i++) {
+            const dx = pairs.x[i] - meanX;
+            const dy = pairs.y[i] - meanY;
+            sxy += dx * dy;
+            sxx += dx * dx;
+            syy += dy * dy;
+        }
+        if (sxx === 0 || syy === 0) return { r: null, n, pValue: null };
+
+        const r = Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy)));
+        // t test on r; for Spearman this is the usual large-sample approximation
+        const t = Math.abs(r) === 1 ? Infinity : r * Math.sqrt((n - 2) / (1 - r * r));
+        return { r, n, pValue: Statistics.tTestPValue(t, n - 2) };
+    }
+
+    /**
+     * Correlation of every pair of columns
+     * @param {Object} columns - Column name → values
+     * @param {string} [method='pearson'] - 'pearson' or 'spearman'
+     * @returns {Object} { names, r, n, pValue } where r, n and pValue are square matrices
+     */
+    static correlationMatrix(columns, method = 'pearson') {
+        const names = Object.keys(columns);
+        const size = names.length;
+        const matrix = () => Array.from({ length: size }, () => new Array(size).fill(null));
+        const result = { names, r: matrix(), n: matrix(), pValue: matrix() };
+
+        for (let i = 0; i < size; i++) {
+            for (let j = i; j < size; j++) {
+                const pair = Statistics.correlation(columns[names[i]], columns[names[j]], method);
+                ['r', 'n', 'pValue'].forEach(key => {
+                    result[key][i][j] = pair[key];
+                    result[key][j][i] = pair[key];
+                });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Two-sided p-value of a Student t statistic
+     * @param {number} t - Test statistic
+     * @param {number} df - Degrees of freedom
+     * @returns {number|null} Probability of |T| >= |t|
+     */
+    static tTestPValue(t, df) {
+        if (!(df > 0) || Number.isNaN(t)) return null;
+        if (!Number.isFinite(t)) return 0;
+        return Statistics.incompleteBeta(df / (df + t * t), df / 2, 0.5);
+    }
+
+    /**
+     * Upper-tail p-value of an F statistic
+     * @param {number} f - Test statistic
+     * @param {number} df1 - Numerator degrees of freedom
+     * @param {number} df2 - Denominator degrees of freedom
+     * @returns {number|null} Probability of F >= f
+     */
+    static fTestPValue(f, df1, df2) {
+        if (!(df1 > 0) || !(df2 > 0) || Number.isNaN(f)) return null;
+        if (!Number.isFinite(f)) return 0;
+        if (f <= 0) return 1;
+        return Statistics.incompleteBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
+    }
+
+    /**
+     * Standard normal cumulative distribution function
+     * @param {number} z - Standard score
+     * @returns {number} P(Z <= z)
+     */
+    static normalCdf(z) {
+        // Abramowitz & Stegun 7.1.26 applied to erf, accurate to about 1e-7
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+            t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+
+    /**
+     * Inverse of the standard normal cumulative distribution function
+     * @param {number} p - Probability between 0 and 1 (exclusive)
+     * @returns {number} z such that P(Z <= z) = p
+     */
+    static normalQuantile(p) {
+        if (p <= 0) return -Infinity;
+        if (p >= 1) return Infinity;
+
+        // Acklam's rational approximation, accurate to about 1e-9
+        const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+        const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+        const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+        const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+        const tail = q => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+
+        if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+        if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+
+    /**
+     * Natural log of the gamma function (Lanczos approximation)
+     * @param {number} x - Positive number
+     * @returns {number} ln Γ(x)
+     */
+    static logGamma(x) {
+        const coefficients = [
+            76.18009172947146, -86.50532032941677, 24.01409824083091,
+            -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+        ];
+        let y = x;
+        const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+        let series = 1.000000000190015;
+        coefficients.forEach(coefficient => {
+            series += coefficient / ++y;
+        });
+        return -tmp + Math.log(2.5066282746310005 * series / x);
+    }
+
+    /**
+     * Regularized incomplete beta function I_x(a, b)
+     * @param {number} x - Point between 0 and 1
+     * @param {number} a - First shape parameter
+     * @param {number} b - Second shape parameter
+     * @returns {number} I_x(a, b)
+     */
+    static incompleteBeta(x, a, b) {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+
+        const front = Math.exp(Statistics.logGamma(a + b) - Statistics.logGamma(a) - Statistics.logGamma(b) +
+            a * Math.log(x) + b * Math.log(1 - x));
+
+        // The continued fraction converges quickly only below the mean; use symmetry above it
+        if (x > (a + 1) / (a + b + 2)) {
+            return 1 - front * Statistics.betaFraction(1 - x, b, a) / b;
+        }
+        return front * Statistics.betaFraction(x, a, b) / a;
+    }
+
+    /**
+     * Continued fraction for the incomplete beta function (modified Lentz method)
+     * @param {number} x - Point between 0 and 1
+     * @param {number} a - First shape parameter
+     * @param {number} b - Second shape parameter
+     * @returns {number} Continued fraction value
+     */
+    static betaFraction(x, a, b) {
+        const tiny = 1e-300;
+        let c = 1;
+        let d = 1 - (a + b) * x / (a + 1);
+        if (Math.abs(d) < tiny) d = tiny;
+        d = 1 / d;
+        let result = d;
+
+        for (let m = 1; m <= 300; m++) {
+            const m2 = 2 * m;
+            let term = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+            d = 1 + term * d;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = 1 + term / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            result *= d * c;
+
+            term = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+            d = 1 + term * d;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = 1 + term / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            result *= delta;
+            if (Math.abs(delta - 1) < 1e-12) break;
+        }
+        return result;
+    }
+
+    /**
+     * Full descriptive summary of a column
+     * @param {Array|Float64Array} values - Column values, possibly with missing entries
+     * @param {Array|Float64Array} [timestamps] - Epoch ms or Dates aligned with values,
+     *     used to report when the first and last valid readings were taken
+     * @returns {Object|null} Summary, or null when there are no numeric values
+     */
+    static describe(values, timestamps = null) {
+        const numbers = Statistics.clean(values);
+        const missing = values.length - numbers.length;
+
+        if (numbers.length === 0) {
+            return null;
+        }
+
+        const sorted = Statistics.sorted(numbers);
+        const mean = Statistics.mean(numbers);
+        const stdev = Statistics.stdev(numbers, mean);
+        const q1 = Statistics.quantile(sorted, 0.25);
+        const q3 = Statistics.quantile(sorted, 0.75);
+
+        const summary = {
+            count: numbers.length,
+            missing,
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            mean,
+            median: Statistics.median(sorted),
+            q1,
+            q3,
+            iqr: q3 - q1,
+            p5: Statistics.quantile(sorted, 0.05),
+            p95: Statistics.quantile(sorted, 0.95),
+            p99: Statistics.quantile(sorted, 0.99),
+            stdev,
+            cv: stdev !== null && mean !== 0 ? stdev / Math.abs(mean) : null,
+            skewness: Statistics.skewness(numbers, mean),
+            first: null,
+            last: null
+        };
+
+        if (timestamps) {
+            const range = Statistics.timeRange(values, timestamps);
+            summary.first = range.first;
+            summary.last = range.last;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Earliest and latest timestamps at which a value is present
+     * @param {Array|Float64Array} values - Column values
+     * @param {Array|Float64Array} timestamps - Epoch ms or Dates aligned with values
+     * @returns {Object} { first, last } as Dates, or null when unknown
+     */
+    static timeRange(values, timestamps) {
+        let first = Infinity;
+        let last = -Infinity;
+
+        for (let i = 0; i < values.length; i++) {
+            const value = values[i];
+            if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+
+            const time = timestamps[i] instanceof Date ? timestamps[i].getTime() : timestamps[i];
+            if (typeof time !== 'number' || Number.isNaN(time)) continue;
+
+            if (time < first) first = time;
+            if (time > last) last = time;
+        }
+
+        return {
+            first: Number.isFinite(first) ? new Date(first) : null,
+            last: Number.isFinite(last) ? new Date(last) : null
+        };
+    }
+}
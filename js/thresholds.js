@@ -0,0 +1,279 @@
+/**
+ * Threshold Engine for Water Quality Criteria
+ * Holds per-parameter limits and evaluates exceedances
+ */
+
+class ThresholdEngine {
+    /**
+     * @param {Object} options - Engine options
+     * @param {Storage} [options.storage] - Where edited limits are persisted (defaults to localStorage)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined ? options.storage : ThresholdEngine.defaultStorage();
+        this.limits = {};
+        this.preset = null;
+        this.restore();
+    }
+
+    /**
+     * localStorage when available (it throws in some privacy modes)
+     * @returns {Storage|null} Storage or null
+     */
+    static defaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Replace all limits with those of a preset
+     * @param {string} presetId - Key of ThresholdEngine.PRESETS
+     */
+    applyPreset(presetId) {
+        const preset = ThresholdEngine.PRESETS[presetId];
+        if (!preset) {
+            throw new Error(`Unknown criteria preset: ${presetId}`);
+        }
+
+        this.limits = {};
+        Object.entries(preset.limits).forEach(([parameter, limit]) => {
+            this.limits[parameter] = { ...limit };
+        });
+        this.preset = presetId;
+        this.save();
+    }
+
+    /**
+     * Set or clear the limit for a parameter
+     * @param {string} parameter - Parameter id
+     * @param {Object|null} limit - { min, max }; either bound may be null
+     */
+    setLimit(parameter, limit) {
+        const min = limit && Number.isFinite(limit.min) ? limit.min : null;
+        const max = limit && Number.isFinite(limit.max) ? limit.max : null;
+
+        if (min === null && max === null) {
+            delete this.limits[parameter];
+        } else {
+            this.limits[parameter] = { min, max };
+        }
+        this.preset = null;
+        this.save();
+    }
+
+    /**
+     * Replace all limits, e.g. with those of a saved session
+     * @param {Object} limits - Parameter id → { min, max }
+     * @param {string|null} [preset] - Preset the limits came from, if unedited
+     */
+    setLimits(limits, preset = null) {
+        this.limits = {};
+        Object.entries(limits).forEach(([parameter, limit]) => {
+            this.limits[parameter] = { ...limit };
+        });
+        this.preset = ThresholdEngine.PRESETS[preset] ? preset : null;
+        this.save();
+    }
+
+    /**
+     * Get the limit for a parameter
+     * @param {string} parameter - Parameter id
+     * @returns {Object|null} { min, max }
+     */
+    getLimit(parameter) {
+        return this.limits[parameter] || null;
+    }
+
+    /**
+     * Get the limit that applies to a column, based on the parameter it measures,
+     * in the unit of the column
+     * @param {string} columnName - Column header
+     * @param {CSVParser} [parser] - Parser holding the column's mapping; without
+     *     it the parameter is guessed from the header
+     * @returns {Object|null} { min, max, parameter, label }
+     */
+    getLimitForColumn(columnName, parser = null) {
+        const parameter = parser ? parser.getParameter(columnName) : ParameterCatalog.identify(columnName);
+        const unit = parser ? parser.getUnit(columnName) : undefined;
+        const limit = parameter ? UnitConverter.convertLimit(this.getLimit(parameter), parameter, unit) : null;
+        if (!limit) return null;
+
+        return {
+            ...limit,
+            parameter,
+            label: ThresholdEngine.describeLimit(limit)
+        };
+    }
+
+    /**
+     * Remove every limit
+     */
+    clear() {
+        this.limits = {};
+        this.preset = null;
+        this.save();
+    }
+
+    /**
+     * Check whether a value violates a limit
+     * @param {number} value - Measured value
+     * @param {Object} limit - { min, max }
+     * @returns {boolean} True when outside the allowed range
+     */
+    static isExceedance(value, limit) {
+        if (!limit || typeof value !== 'number' || !Number.isFinite(value)) return false;
+        return (limit.min !== null && limit.min !== undefined && value < limit.min) ||
+            (limit.max !== null && limit.max !== undefined && value > limit.max);
+    }
+
+    /**
+     * Summarize exceedances of a column
+     * @param {Array|Float64Array} values - Measured values (missing entries are skipped)
+     * @param {Object} limit - { min, max }
+     * @param {Array|Float64Array} [timestamps] - Epoch ms or Dates aligned with values
+     * @returns {Object} { count, total, percent, longestRun }, where longestRun is
+     *     { readings, duration (ms), start, end } for the longest consecutive exceedance
+     */
+    static evaluate(values, limit, timestamps = null) {
+        const timeAt = index => {
+            if (!timestamps) return null;
+            const time = timestamps[index];
+            if (time instanceof Date) return time.getTime();
+            return typeof time === 'number' && !Number.isNaN(time) ? time : null;
+        };
+
+        let count = 0;
+        let total = 0;
+        let run = null;
+        let longestRun = null;
+
+        const closeRun = () => {
+            // Longest in time; without timestamps every duration is 0 and the most readings win
+            if (run && (!longestRun || run.duration > longestRun.duration ||
+                (run.duration === longestRun.duration && run.readings > longestRun.readings))) {
+                longestRun = run;
+            }
+            run = null;
+        };
+
+        for (let i = 0; i < values.length; i++) {
+            const value = values[i];
+            if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+            total++;
+
+            if (ThresholdEngine.isExceedance(value, limit)) {
+                count++;
+                const time = timeAt(i);
+                if (!run) {
+                    run = { readings: 0, duration: 0, start: time, end: time, startIndex: i, endIndex: i };
+                }
+                run.readings++;
+                run.end = time;
+                run.endIndex = i;
+                run.duration = run.start !== null && time !== null ? time - run.start : 0;
+            } else {
+                closeRun();
+            }
+        }
+        closeRun();
+
+        if (longestRun) {
+            longestRun.start = longestRun.start !== null ? new Date(longestRun.start) : null;
+            longestRun.end = longestRun.end !== null ? new Date(longestRun.end) : null;
+        }
+
+        return {
+            count,
+            total,
+            percent: total > 0 ? (count / total) * 100 : 0,
+            longestRun
+        };
+    }
+
+    /**
+     * Human readable form of a limit, e.g. "6.5–8.5" or "≥ 5"
+     * @param {Object} limit - { min, max }
+     * @returns {string} Description
+     */
+    static describeLimit(limit) {
+        const hasMin = limit.min !== null && limit.min !== undefined;
+        const hasMax = limit.max !== null && limit.max !== undefined;
+        if (hasMin && hasMax) return `${limit.min}–${limit.max}`;
+        if (hasMin) return `≥ ${limit.min}`;
+        if (hasMax) return `≤ ${limit.max}`;
+        return '';
+    }
+
+    /**
+     * Persist limits
+     */
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(ThresholdEngine.STORAGE_KEY, JSON.stringify({
+                preset: this.preset,
+                limits: this.limits
+            }));
+        } catch (error) {
+            // Storage full or blocked: limits still apply for this session
+        }
+    }
+
+    /**
+     * Load persisted limits, defaulting to the aquatic-life preset
+     */
+    restore() {
+        let saved = null;
+        if (this.storage) {
+            try {
+                saved = JSON.parse(this.storage.getItem(ThresholdEngine.STORAGE_KEY));
+            } catch (error) {
+                saved = null;
+            }
+        }
+
+        if (saved && saved.limits) {
+            this.limits = saved.limits;
+            this.preset = saved.preset || null;
+        } else {
+            this.applyPreset(ThresholdEngine.DEFAULT_PRESET);
+        }
+    }
+}
+
+ThresholdEngine.STORAGE_KEY = 'wqv.thresholds';
+ThresholdEngine.DEFAULT_PRESET = 'aquaticLife';
+
+// Screening values only: check the exact criteria that apply to your water body and permit
+ThresholdEngine.PRESETS = {
+    epaDrinking: {
+        label: 'EPA drinking water',
+        limits: {
+            ph: { min: 6.5, max: 8.5 },
+            turbidity: { min: null, max: 1 },
+            tds: { min: null, max: 500 },
+            nitrate: { min: null, max: 10 }
+        }
+    },
+    who: {
+        label: 'WHO drinking water',
+        limits: {
+            ph: { min: 6.5, max: 8.5 },
+            turbidity: { min: null, max: 5 },
+            tds: { min: null, max: 600 },
+            nitrate: { min: null, max: 11 },
+            ammonia: { min: null, max: 1.5 }
+        }
+    },
+    aquaticLife: {
+        label: 'Aquatic life (freshwater)',
+        limits: {
+            ph: { min: 6.5, max: 9 },
+            dissolvedOxygen: { min: 5, max: null },
+            temperature: { min: null, max: 28 },
+            turbidity: { min: null, max: 5 }
+        }
+    }
+};
@@ -0,0 +1,336 @@
+/**
+ * Time Series Utilities
+ * Resampling, rolling aggregates and gap detection for continuous monitoring data.
+ * Times are epoch milliseconds or Dates; calendar buckets use local time.
+ */
+
+class TimeSeries {
+    /**
+     * Convert a time to epoch milliseconds
+     * @param {Date|number|null} time - Time value
+     * @returns {number} Milliseconds, NaN when missing
+     */
+    static toMillis(time) {
+        if (time instanceof Date) return time.getTime();
+        return typeof time === 'number' ? time : NaN;
+    }
+
+    /**
+     * Convert epoch milliseconds to Dates for plotting (null for missing)
+     * @param {Array|Float64Array} times - Epoch milliseconds
+     * @returns {Array} Dates
+     */
+    static toDates(times) {
+        return Array.from(times, time => (Number.isNaN(time) || time === null ? null : new Date(time)));
+    }
+
+    /**
+     * Start of the calendar bucket containing a time
+     * @param {number} time - Epoch milliseconds
+     * @param {string} interval - 'hour', 'day', 'week' or 'month'
+     * @returns {number} Bucket start in epoch milliseconds
+     */
+    static bucketStart(time, interval) {
+        const date = new Date(time);
+        switch (interval) {
+            case 'hour':
+                // Counted back from the time itself: setMinutes() would put the hour that
+                // repeats when clocks go back into the first one
+                return time - ((date.getMinutes() * 60 + date.getSeconds()) * 1000 + date.getMilliseconds());
+            case 'day':
+                date.setHours(0, 0, 0, 0);
+                break;
+            case 'week': {
+                // ISO weeks start on Monday
+                const offset = (date.getDay() + 6) % 7;
+                date.setDate(date.getDate() - offset);
+                date.setHours(0, 0, 0, 0);
+                break;
+            }
+            case 'month':
+                date.setDate(1);
+                date.setHours(0, 0, 0, 0);
+                break;
+            default:
+                throw new Error(`Unknown resampling interval: ${interval}`);
+        }
+        return date.getTime();
+    }
+
+    /**
+     * Start of the bucket after the one starting at `start`
+     * @param {number} start - Bucket start in epoch milliseconds
+     * @param {string} interval - 'hour', 'day', 'week' or 'month'
+     * @returns {number} Next bucket start
+     */
+    static nextBucket(start, interval) {
+        const date = new Date(start);
+        switch (interval) {
+            case 'hour':
+                // setHours() would skip the hour that repeats when clocks go back
+                return start + TimeSeries.HOUR_MS;
+            case 'day':
+                date.setDate(date.getDate() + 1);
+                break;
+            case 'week':
+                date.setDate(date.getDate() + 7);
+                break;
+            case 'month':
+                date.setMonth(date.getMonth() + 1);
+                break;
+            default:
+                throw new Error(`Unknown resampling interval: ${interval}`);
+        }
+        return date.getTime();
+    }
+
+    /**
+     * Aggregate values into calendar buckets. Buckets without data are kept
+     * (as NaN) so charts show the gap instead of connecting across it.
+     * @param {Array|Float64Array} times - Sample times
+     * @param {Array|Float64Array} values - Sample values
+     * @param {string} interval - 'hour', 'day', 'week' or 'month'
+     * @param {string} [aggregation='mean'] - 'mean', 'min', 'max', 'median', 'sum' or 'count'
+     * @returns {Object} { times, values, counts } with one entry per bucket
+     */
+    static resample(times, values, interval, aggregation = 'mean') {
+        const aggregate = TimeSeries.AGGREGATIONS[aggregation];
+        if (!aggregate) {
+            throw new Error(`Unknown aggregation: ${aggregation}`);
+        }
+
+        const buckets = new Map();
+        let first = Infinity;
+        let last = -Infinity;
+
+        for (let i = 0; i < times.length; i++) {
+            const time = TimeSeries.toMillis(times[i]);
+            const value = values[i];
+            if (Number.isNaN(time)) continue;
+
+            const start = TimeSeries.bucketStart(time, interval);
+            if (start < first) first = start;
+            if (start > last) last = start;
+
+            if (!buckets.has(start)) buckets.set(start, []);
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                buckets.get(start).push(value);
+            }
+        }
+
+        const result = { times: [], values: [], counts: [] };
+        if (!Number.isFinite(first)) return result;
+
+        for (let start = first; start <= last; start = TimeSeries.nextBucket(start, interval)) {
+            const bucket = buckets.get(start) || [];
+            result.times.push(start);
+            result.values.push(bucket.length > 0 ? aggregate(bucket) : NaN);
+            result.counts.push(bucket.length);
+        }
+
+        return result;
+    }
+
+    /**
+     * Trailing time-window average: each point averages the readings taken
+     * within `windowMs` up to and including it
+     * @param {Array|Float64Array} times - Sample times
+     * @param {Array|Float64Array} values - Sample values
+     * @param {number} windowMs - Window length in milliseconds
+     * @param {string} [aggregation='mean'] - Aggregation applied to each window
+     * @returns {Object} { times, values } sorted by time
+     */
+    static rolling(times, values, windowMs, aggregation = 'mean') {
+        const aggregate = TimeSeries.AGGREGATIONS[aggregation];
+        const points = TimeSeries.sortedPoints(times, values);
+        const result = { times: [], values: [] };
+
+        let start = 0;
+        let sum = 0;
+        let count = 0;
+
+        for (let end = 0; end < points.length; end++) {
+            const [time, value] = points[end];
+            if (Number.isFinite(value)) {
+                sum += value;
+                count++;
+            }
+
+            while (points[start][0] <= time - windowMs) {
+                const dropped = points[start][1];
+                if (Number.isFinite(dropped)) {
+                    sum -= dropped;
+                    count--;
+                }
+                start++;
+            }
+
+            let windowValue = NaN;
+            if (count > 0) {
+                if (aggregation === 'mean') {
+                    windowValue = sum / count;
+                } else {
+                    windowValue = aggregate(points.slice(start, end + 1)
+                        .map(point => point[1])
+                        .filter(Number.isFinite));
+                }
+            }
+
+            result.times.push(time);
+            result.values.push(windowValue);
+        }
+
+        return result;
+    }
+
+    /**
+     * Insert breaks where consecutive readings are further apart than the
+     * threshold, so line charts don't draw across missing periods
+     * @param {Array|Float64Array} times - Sample times
+     * @param {Array|Float64Array} values - Sample values
+     * @param {number} [maxGapMs] - Largest spacing still drawn as a line
+     *     (defaults to GAP_FACTOR times the typical spacing)
+     * @returns {Object} { times, values } sorted by time, with null entries at gaps
+     */
+    static insertGaps(times, values, maxGapMs = null) {
+        const points = TimeSeries.sortedPoints(times, values);
+        const threshold = maxGapMs || TimeSeries.medianInterval(points.map(point => point[0])) * TimeSeries.GAP_FACTOR;
+        const result = { times: [], values: [] };
+
+        points.forEach(([time, value], index) => {
+            if (index > 0 && threshold > 0 && time - points[index - 1][0] > threshold) {
+                result.times.push(points[index - 1][0] + (time - points[index - 1][0]) / 2);
+                result.values.push(null);
+            }
+            result.times.push(time);
+            result.values.push(Number.isFinite(value) ? value : null);
+        });
+
+        return result;
+    }
+
+    /**
+     * Typical spacing between readings
+     * @param {Array|Float64Array} times - Sample times
+     * @returns {number} Median difference between consecutive sorted times (0 when unknown)
+     */
+    static medianInterval(times) {
+        const sorted = Float64Array.from(times, TimeSeries.toMillis)
+            .filter(time => !Number.isNaN(time))
+            .sort();
+        const diffs = [];
+        for (let i = 1; i < sorted.length; i++) {
+            const diff = sorted[i] - sorted[i - 1];
+            if (diff > 0) diffs.push(diff);
+        }
+        if (diffs.length === 0) return 0;
+        return Statistics.median(Statistics.sorted(diffs));
+    }
+
+    /**
+     * Position of a time within a recurring cycle
+     * @param {number} time - Epoch milliseconds
+     * @param {string} cycle - 'hour' (hour of day, 0–23) or 'month' (month of year, 0–11)
+     * @returns {number} Position, NaN for a missing time
+     */
+    static cyclePosition(time, cycle) {
+        if (Number.isNaN(time)) return NaN;
+        const date = new Date(time);
+        switch (cycle) {
+            case 'hour':
+                return date.getHours();
+            case 'month':
+                return date.getMonth();
+            default:
+                throw new Error(`Unknown cycle: ${cycle}`);
+        }
+    }
+
+    /**
+     * Typical value at each position of a recurring cycle, such as the diel
+     * (hour-of-day) pattern of dissolved oxygen, pooled across all days
+     * @param {Array|Float64Array} times - Sample times
+     * @param {Array|Float64Array} values - Sample values
+     * @param {string} cycle - Key of TimeSeries.CYCLES
+     * @returns {Object} { positions, mean, median, lower, upper, counts } with lower and upper
+     *     the 25th and 75th percentiles; NaN at positions without readings
+     */
+    static cycleProfile(times, values, cycle) {
+        const { positions } = TimeSeries.CYCLES[cycle];
+        const buckets = Array.from({ length: positions.length }, () => []);
+        for (let i = 0; i < times.length; i++) {
+            const position = TimeSeries.cyclePosition(TimeSeries.toMillis(times[i]), cycle);
+            const value = values[i];
+            if (!Number.isNaN(position) && typeof value === 'number' && Number.isFinite(value)) {
+                buckets[position].push(value);
+            }
+        }
+
+        const sorted = buckets.map(bucket => Statistics.sorted(bucket));
+        const quantile = p => sorted.map(bucket => (bucket.length > 0 ? Statistics.quantile(bucket, p) : NaN));
+        return {
+            positions: positions.map((_, index) => index),
+            mean: buckets.map(bucket => (bucket.length > 0 ? Statistics.mean(bucket) : NaN)),
+            median: quantile(0.5),
+            lower: quantile(0.25),
+            upper: quantile(0.75),
+            counts: buckets.map(bucket => bucket.length)
+        };
+    }
+
+    /**
+     * Pair times with values, dropping missing times and sorting by time
+     * @param {Array|Float64Array} times - Sample times
+     * @param {Array|Float64Array} values - Sample values
+     * @returns {Array} [time, value] pairs; missing values are NaN
+     */
+    static sortedPoints(times, values) {
+        const points = [];
+        for (let i = 0; i < times.length; i++) {
+            const time = TimeSeries.toMillis(times[i]);
+            if (Number.isNaN(time)) continue;
+            const value = values[i];
+            points.push([time, typeof value === 'number' ? value : NaN]);
+        }
+        return points.sort((a, b) => a[0] - b[0]);
+    }
+}
+
+TimeSeries.AGGREGATIONS = {
+    mean: values => Statistics.mean(values),
+    min: values => values.reduce((a, b) => (b < a ? b : a)),
+    max: values => values.reduce((a, b) => (b > a ? b : a)),
+    median: values => Statistics.median(Statistics.sorted(values)),
+    sum: values => values.reduce((a, b) => a + b, 0),
+    count: values => values.length
+};
+
+TimeSeries.INTERVALS = {
+    hour: 'Hourly',
+    day: 'Daily',
+    week: 'Weekly',
+    month: 'Monthly'
+};
+
+// Recurring cycles and the name of each position in them
+TimeSeries.CYCLES = {
+    hour: {
+        label: 'Hour of day',
+        positions: Array.from({ length: 24 }, (_, hour) => `${String(hour).padStart(2, '0')}:00`)
+    },
+    month: {
+        label: 'Month',
+        positions: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+    }
+};
+
+TimeSeries.ROLLING_WINDOWS = {
+    '24h': { label: '24-hour', ms: 24 * 3600 * 1000 },
+    '7d': { label: '7-day', ms: 7 * 24 * 3600 * 1000 },
+    '30d': { label: '30-day', ms: 30 * 24 * 3600 * 1000 }
+};
+
+TimeSeries.HOUR_MS = 3600 * 1000;
+
+// Spacing beyond this multiple of the usual interval counts as a data gap
+TimeSeries.GAP_FACTOR = 3;
@@ -0,0 +1,335 @@
+/**
+ * Trend Analysis
+ * Non-parametric trend tests used in water quality reporting: Mann-Kendall
+ * and Seasonal Kendall tests, Sen's slope with confidence limits, and a
+ * STL-style split of a series into trend, seasonal and residual parts.
+ * Times are epoch milliseconds; slopes are per millisecond unless stated.
+ */
+
+class TrendAnalysis {
+    /**
+     * Mann-Kendall test for a monotonic trend, with the variance corrected for tied values
+     * @param {Array|Float64Array} times - Sample times
+     * @param {Array|Float64Array} values - Sample values (missing entries are skipped)
+     * @returns {Object|null} { n, s, variance, z, pValue, tau }, or null with fewer
+     *     than TrendAnalysis.MIN_POINTS readings
+     */
+    static mannKendall(times, values) {
+        const points = TrendAnalysis.points(times, values);
+        const n = points.length;
+        if (n < TrendAnalysis.MIN_POINTS) return null;
+
+        let s = 0;
+        for (let i = 0; i < n - 1; i++) {
+            for (let j = i + 1; j < n; j++) {
+                s += Math.sign(points[j][1] - points[i][1]);
+            }
+        }
+
+        const variance = TrendAnalysis.variance(points.map(point => point[1]));
+        const z = TrendAnalysis.zScore(s, variance);
+        return {
+            n,
+            s,
+            variance,
+            z,
+            pValue: 2 * (1 - Statistics.normalCdf(Math.abs(z))),
+            tau: s / (n * (n - 1) / 2)
+        };
+    }
+
+    /**
+     * Seasonal Kendall test (Hirsch et al. 1982): Mann-Kendall within each month
+     * of the year, summed, so a seasonal cycle isn't mistaken for a trend
+     * @param {Array|Float64Array} times - Sample times
+     * @param {Array|Float64Array} values - Sample values
+     * @returns {Object|null} { n, s, variance, z, pValue, tau, seasons } where seasons
+     *     counts the months that could be tested; null when none could
+     */
+    static seasonalKendall(times, values) {
+        const tests = TrendAnalysis.bySeason(times, values)
+            .map(season => TrendAnalysis.mannKendall(season.times, season.values))
+            .filter(Boolean);
+        if (tests.length === 0) return null;
+
+        const s = tests.reduce((sum, test) => sum + test.s, 0);
+        const variance = tests.reduce((sum, test) => sum + test.variance, 0);
+        const pairs = tests.reduce((sum, test) => sum + test.n * (test.n - 1) / 2, 0);
+        const z = TrendAnalysis.zScore(s, variance);
+        return {
+            n: tests.reduce((sum, test) => sum + test.n, 0),
+            s,
+            variance,
+            z,
+            pValue: 2 * (1 - Statistics.normalCdf(Math.abs(z))),
+            tau: s / pairs,
+            seasons: tests.length
+        };
+    }
+
+    /**
+     * Sen's slope: the median of the slopes between every pair of readings,
+     * with the confidence interval of Gilbert (1987)
+     * @param {Array|Float64Array} times - Sample times
+     * @param {Array|Float64Array} values - Sample values
+     * @param {Object} [options] - Estimate options
+     * @param {number} [options.confidence=0.95] - Confidence level of the interval
+     * @param {boolean} [options.seasonal=false] - Only pair readings from the same month
+     *     of the year (the seasonal Sen's slope that goes with the Seasonal Kendall test)
+     * @returns {Object|null} { slope, lower, upper, intercept, n } where the line is
+     *     intercept + slope × time; null without enough readings
+     */
+    static senSlope(times, values, options = {}) {
+        const { confidence = 0.95, seasonal = false } = options;
+        const groups = seasonal
+            ? TrendAnalysis.bySeason(times, values)
+            : [{ times, values }];
+
+        let count = 0;
+        let variance = 0;
+        const sets = groups.map(group => TrendAnalysis.points(group.times, group.values))
+            .filter(points => points.length >= TrendAnalysis.MIN_POINTS);
+        sets.forEach(points => {
+            count += points.length * (points.length - 1) / 2;
+            variance += TrendAnalysis.variance(points.map(point => point[1]));
+        });
+        if (sets.length === 0) return null;
+
+        const slopes = new Float64Array(count);
+        let index = 0;
+        sets.forEach(points => {
+            for (let i = 0; i < points.length - 1; i++) {
+                for (let j = i + 1; j < points.length; j++) {
+                    const dt = points[j][0] - points[i][0];
+                    // Readings at the same time say nothing about the slope
+                    if (dt > 0) slopes[index++] = (points[j][1] - points[i][1]) / dt;
+                }
+            }
+        });
+        const sorted = slopes.subarray(0, index).sort();
+        if (sorted.length === 0) return null;
+
+        const slope = Statistics.median(sorted);
+        const c = Statistics.normalQuantile(1 - (1 - confidence) / 2) * Math.sqrt(variance);
+        const rank = position => sorted[Math.min(Math.max(Math.round(position), 0), sorted.length - 1)];
+
+        const all = sets.flat();
+        const offsets = Statistics.sorted(all.map(([time, value]) => value - slope * time));
+        return {
+            slope,
+            lower: rank((sorted.length - c) / 2 - 1),
+            upper: rank((sorted.length + c) / 2),
+            intercept: Statistics.median(offsets),
+            n: all.length
+        };
+    }
+
+    /**
+     * Split a series into trend, seasonal and residual parts, in the manner of STL
+     * (Cleveland et al. 1990): alternately average each position of the cycle over
+     * the detrended series and LOWESS-smooth the deseasonalized series
+     * @param {Array|Float64Array} times - Sample times
+     * @param {Array|Float64Array} values - Sample values
+     * @param {string} interval - Key of TrendAnalysis.DECOMPOSITIONS
+     * @returns {Object} { times, observed, trend, seasonal, residual, period } on a regular
+     *     grid of the interval, with NaN where there were no readings
+     */
+    static decompose(times, values, interval) {
+        const decomposition = TrendAnalysis.DECOMPOSITIONS[interval];
+        if (!decomposition) {
+            throw new Error(`Unknown decomposition interval: ${interval}`);
+        }
+
+        const { period } = decomposition;
+        const series = TimeSeries.resample(times, values, interval, 'mean');
+        const observed = series.values;
+        const n = observed.length;
+        if (n < 2 * period) {
+            throw new Error(`Decomposition needs at least two full cycles of ${decomposition.cycle} data`);
+        }
+        // Sparse samples on a fine grid would leave the cycle averages to a handful of readings
+        if (Statistics.clean(observed).length < n / 2) {
+            throw new Error(`Most ${interval}s have no readings; choose a longer decomposition interval`);
+        }
+
+        // Resampled buckets are contiguous, so the position in the cycle is the index modulo the period
+        const index = observed.map((_, i) => i);
+        const span = Math.min(1, (1.5 * period + 1) / n);
+        let trend = new Array(n).fill(0);
+        let seasonal = new Array(n).fill(0);
+
+        for (let pass = 0; pass < TrendAnalysis.DECOMPOSITION_PASSES; pass++) {
+            const cycle = Array.from({ length: period }, () => []);
+            observed.forEach((value, i) => {
+                if (Number.isFinite(value)) cycle[i % period].push(value - trend[i]);
+            });
+            const means = cycle.map(bucket => (bucket.length > 0 ? Statistics.mean(bucket) : 0));
+            // The cycle averages to zero; its overall level belongs to the trend
+            const level = Statistics.mean(means);
+            seasonal = index.map(i => means[i % period] - level);
+
+            const fit = Regression.lowess(index, observed.map((value, i) => value - seasonal[i]), span);
+            trend = Regression.interpolate(fit.curve.x, fit.curve.y, index);
+        }
+
+        return {
+            times: series.times,
+            observed,
+            trend,
+            seasonal,
+            residual: observed.map((value, i) => (Number.isFinite(value) ? value - trend[i] - seasonal[i] : NaN)),
+            period
+        };
+    }
+
+    /**
+     * Mann-Kendall test and Sen's slope of a column, aggregating long records
+     * to medians per day, week or month first
+     * @param {Array|Float64Array} times - Sample times
+     * @param {Array|Float64Array} values - Sample values
+     * @param {number} [confidence=0.95] - Confidence level of the slope interval
+     * @returns {Object} { interval, test, sen } with test and sen null without enough data
+     */
+    static summarize(times, values, confidence = 0.95) {
+        const interval = TrendAnalysis.autoInterval(times);
+        const series = interval
+            ? TimeSeries.resample(times, values, interval, 'median')
+            : { times, values };
+        return {
+            interval,
+            test: TrendAnalysis.mannKendall(series.times, series.values),
+            sen: TrendAnalysis.senSlope(series.times, series.values, { confidence })
+        };
+    }
+
+    /**
+     * End points of the Sen's slope line and of its confidence limit lines, which
+     * pivot on the middle of the slope line
+     * @param {Object} sen - senSlope result
+     * @param {number} first - Earliest time
+     * @param {number} last - Latest time
+     * @returns {Object} { line, lower, upper } as { x, y } with two points each
+     */
+    static trendLines(sen, first, last) {
+        const middle = (first + last) / 2;
+        const pivot = sen.intercept + sen.slope * middle;
+        const line = slope => ({
+            x: [first, last],
+            y: [pivot + slope * (first - middle), pivot + slope * (last - middle)]
+        });
+        return { line: line(sen.slope), lower: line(sen.lower), upper: line(sen.upper) };
+    }
+
+    /**
+     * Bucket size that brings a series down to at most `maxPoints` points, since
+     * the pairwise tests grow with the square of the number of readings
+     * @param {Array|Float64Array} times - Sample times
+     * @param {number} [maxPoints=TrendAnalysis.MAX_POINTS] - Largest series to test as is
+     * @returns {string|null} null to use the readings, otherwise 'day', 'week' or 'month'
+     */
+    static autoInterval(times, maxPoints = TrendAnalysis.MAX_POINTS) {
+        const valid = Statistics.clean(Array.from(times, TimeSeries.toMillis));
+        if (valid.length <= maxPoints) return null;
+
+        const span = valid.reduce((max, time) => Math.max(max, time), -Infinity) -
+            valid.reduce((min, time) => Math.min(min, time), Infinity);
+        return ['day', 'week', 'month'].find(interval =>
+            span / TrendAnalysis.INTERVAL_MS[interval] <= maxPoints) || 'month';
+    }
+
+    /**
+     * Readings as [time, value] pairs sorted by time, without missing entries
+     * @param {Array|Float64Array} times - Sample times
+     * @param {Array|Float64Array} values - Sample values
+     * @returns {Array} Pairs
+     */
+    static points(times, values) {
+        const points = TimeSeries.sortedPoints(times, values).filter(point => Number.isFinite(point[1]));
+        if (points.length > TrendAnalysis.MAX_TEST_POINTS) {
+            throw new Error(`Trend tests take at most ${TrendAnalysis.MAX_TEST_POINTS} readings; use daily, weekly or monthly medians`);
+        }
+        return points;
+    }
+
+    /**
+     * Readings split by month of the year
+     * @param {Array|Float64Array} times - Sample times
+     * @param {Array|Float64Array} values - Sample values
+     * @returns {Array} [{ times, values }] for each month with readings
+     */
+    static bySeason(times, values) {
+        const seasons = Array.from({ length: 12 }, () => ({ times: [], values: [] }));
+        for (let i = 0; i < times.length; i++) {
+            const month = TimeSeries.cyclePosition(TimeSeries.toMillis(times[i]), 'month');
+            if (Number.isNaN(month)) continue;
+            seasons[month].times.push(times[i]);
+            seasons[month].values.push(values[i]);
+        }
+        return seasons.filter(season => season.times.length > 0);
+    }
+
+    /**
+     * Variance of the Mann-Kendall S statistic, less the share of tied groups
+     * @param {Array} values - Values
+     * @returns {number} Var(S)
+     */
+    static variance(values) {
+        const n = values.length;
+        const ties = new Map();
+        values.forEach(value => ties.set(value, (ties.get(value) || 0) + 1));
+
+        let tied = 0;
+        ties.forEach(t => {
+            tied += t * (t - 1) * (2 * t + 5);
+        });
+        return (n * (n - 1) * (2 * n + 5) - tied) / 18;
+    }
+
+    /**
+     * Normal score of S with the continuity correction
+     * @param {number} s - S statistic
+     * @param {number} variance - Var(S)
+     * @returns {number} Z
+     */
+    static zScore(s, variance) {
+        if (variance <= 0 || s === 0) return 0;
+        return (s > 0 ? s - 1 : s + 1) / Math.sqrt(variance);
+    }
+
+    /**
+     * Describe the outcome of a test
+     * @param {Object|null} test - Mann-Kendall or Seasonal Kendall result
+     * @param {number} [alpha=0.05] - Significance level
+     * @returns {string} 'increasing', 'decreasing', 'no trend' or 'not enough data'
+     */
+    static direction(test, alpha = 0.05) {
+        if (!test) return 'not enough data';
+        if (test.pValue >= alpha || test.s === 0) return 'no trend';
+        return test.s > 0 ? 'increasing' : 'decreasing';
+    }
+}
+
+// Fewest readings a test or slope is computed from
+TrendAnalysis.MIN_POINTS = 4;
+// Largest series tested reading by reading; longer ones are aggregated first
+TrendAnalysis.MAX_POINTS = 500;
+// Pairwise slopes of more readings than this would take too long and too much memory
+TrendAnalysis.MAX_TEST_POINTS = 5000;
+TrendAnalysis.DECOMPOSITION_PASSES = 2;
+TrendAnalysis.YEAR_MS = 365.25 * 24 * 3600 * 1000;
+TrendAnalysis.INTERVAL_MS = {
+    day: 24 * 3600 * 1000,
+    week: 7 * 24 * 3600 * 1000,
+    month: TrendAnalysis.YEAR_MS / 12
+};
+// Grid each decomposition is computed on, and the cycle it separates out
+TrendAnalysis.DECOMPOSITIONS = {
+    month: { label: 'Monthly, yearly cycle', period: 12, cycle: 'monthly' },
+    week: { label: 'Weekly, yearly cycle', period: 52, cycle: 'weekly' },
+    hour: { label: 'Hourly, daily cycle', period: 24, cycle: 'hourly' }
+};
+TrendAnalysis.CONFIDENCE_LEVELS = {
+    0.9: '90%',
+    0.95: '95%',
+    0.99: '99%'
+};
@@ -0,0 +1,149 @@
+/**
+ * Unit Conversion
+ * Converts readings between the units a parameter can be reported in
+ */
+
+class UnitConverter {
+    /**
+     * Whether readings can be converted between two units
+     * @param {string} parameterId - Parameter id
+     * @param {string} from - Source unit
+     * @param {string} to - Target unit
+     * @returns {boolean} True when supported
+     */
+    static canConvert(parameterId, from, to) {
+        return from === to || Boolean(UnitConverter.CONVERSIONS[UnitConverter.key(parameterId, from, to)]);
+    }
+
+    /**
+     * Whether a conversion needs the water temperature and salinity of each reading
+     * @param {string} parameterId - Parameter id
+     * @param {string} from - Source unit
+     * @param {string} to - Target unit
+     * @returns {boolean} True for DO saturation ↔ concentration
+     */
+    static needsContext(parameterId, from, to) {
+        const conversion = UnitConverter.CONVERSIONS[UnitConverter.key(parameterId, from, to)];
+        return Boolean(conversion && conversion.needsContext);
+    }
+
+    /**
+     * Whether a conversion only changes the unit's name, not the readings
+     * @param {string} parameterId - Parameter id
+     * @param {string} from - Source unit
+     * @param {string} to - Target unit
+     * @returns {boolean} True for NTU ↔ FNU
+     */
+    static isRelabel(parameterId, from, to) {
+        const conversion = UnitConverter.CONVERSIONS[UnitConverter.key(parameterId, from, to)];
+        return Boolean(conversion && conversion.relabel);
+    }
+
+    /**
+     * Convert one reading
+     * @param {number} value - Reading
+     * @param {string} parameterId - Parameter id
+     * @param {string} from - Source unit
+     * @param {string} to - Target unit
+     * @param {Object} [context] - { temperature (°C), salinity (ppt) } of the reading
+     * @returns {number} Converted reading (NaN when the context it needs is missing)
+     */
+    static convert(value, parameterId, from, to, context = {}) {
+        if (from === to) return value;
+
+        const conversion = UnitConverter.CONVERSIONS[UnitConverter.key(parameterId, from, to)];
+        if (!conversion) {
+            throw new Error(`Cannot convert ${parameterId} from ${from || 'no unit'} to ${to || 'no unit'}`);
+        }
+        return conversion.convert(value, context);
+    }
+
+    /**
+     * Convert a column of readings
+     * @param {Float64Array|Array} values - Readings (NaN for missing)
+     * @param {string} parameterId - Parameter id
+     * @param {string} from - Source unit
+     * @param {string} to - Target unit
+     * @param {Object} [context] - { temperature, salinity } arrays aligned with values
+     * @returns {Float64Array} Converted readings
+     */
+    static convertColumn(values, parameterId, from, to, context = {}) {
+        const converted = new Float64Array(values.length);
+        const { temperature, salinity } = context;
+        for (let i = 0; i < values.length; i++) {
+            converted[i] = UnitConverter.convert(values[i], parameterId, from, to, {
+                temperature: temperature ? temperature[i] : NaN,
+                salinity: salinity ? salinity[i] : NaN
+            });
+        }
+        return converted;
+    }
+
+    /**
+     * Express a limit, defined in the parameter's standard unit, in another unit
+     * @param {Object|null} limit - { min, max, ... }
+     * @param {string} parameterId - Parameter id
+     * @param {string} unit - Unit of the column being compared
+     * @returns {Object|null} Converted limit, or null when it can't be converted
+     *     without per-reading context (DO criteria against % saturation)
+     */
+    static convertLimit(limit, parameterId, unit) {
+        const definition = ParameterCatalog.get(parameterId);
+        if (!limit || !definition || unit === undefined || unit === definition.unit) return limit;
+        if (!UnitConverter.canConvert(parameterId, definition.unit, unit) ||
+            UnitConverter.needsContext(parameterId, definition.unit, unit)) {
+            return null;
+        }
+
+        const bound = value => (value === null || value === undefined
+            ? value
+            : UnitConverter.convert(value, parameterId, definition.unit, unit));
+        return { ...limit, min: bound(limit.min), max: bound(limit.max) };
+    }
+
+    /**
+     * Oxygen solubility in water at one atmosphere (Benson & Krause, as in Standard Methods 4500-O)
+     * @param {number} temperature - Water temperature in °C
+     * @param {number} [salinity=0] - Salinity in ppt (0 when unknown)
+     * @returns {number} Saturation concentration in mg/L (NaN without a temperature)
+     */
+    static oxygenSolubility(temperature, salinity = 0) {
+        const t = temperature + 273.15;
+        const s = Number.isFinite(salinity) ? salinity : 0;
+        const lnC = -139.34411 + 1.575701e5 / t - 6.642308e7 / (t * t) + 1.2438e10 / (t * t * t) -
+            8.621949e11 / (t * t * t * t) - s * (0.017674 - 10.754 / t + 2140.7 / (t * t));
+        return Math.exp(lnC);
+    }
+
+    /**
+     * Lookup key of a conversion
+     * @param {string} parameterId - Parameter id
+     * @param {string} from - Source unit
+     * @param {string} to - Target unit
+     * @returns {string} Key of UnitConverter.CONVERSIONS
+     */
+    static key(parameterId, from, to) {
+        return `${parameterId}:${from}>${to}`;
+    }
+}
+
+// NTU and FNU come from different instruments (white light vs infrared) and
+// aren't strictly interchangeable; converting only changes the label.
+UnitConverter.CONVERSIONS = {
+    'temperature:°F>°C': { convert: value => (value - 32) * 5 / 9 },
+    'temperature:°C>°F': { convert: value => value * 9 / 5 + 32 },
+    'conductivity:µS/cm>mS/cm': { convert: value => value / 1000 },
+    'conductivity:mS/cm>µS/cm': { convert: value => value * 1000 },
+    'turbidity:FNU>NTU': { relabel: true, convert: value => value },
+    'turbidity:NTU>FNU': { relabel: true, convert: value => value },
+    'dissolvedOxygen:%sat>mg/L': {
+        needsContext: true,
+        convert: (value, { temperature, salinity }) =>
+            (value / 100) * UnitConverter.oxygenSolubility(temperature, salinity)
+    },
+    'dissolvedOxygen:mg/L>%sat': {
+        needsContext: true,
+        convert: (value, { temperature, salinity }) =>
+            (value / UnitConverter.oxygenSolubility(temperature, salinity)) * 100
+    }
+};
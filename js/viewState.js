@@ -0,0 +1,108 @@
+/**
+ * View State
+ * Encodes the chart selections and filters in the URL hash, so a link opened
+ * with the same file shows the same view
+ */
+
+class ViewState {
+    /**
+     * Encode a view as a URL hash
+     * @param {Object} state - View ({ chartType, xAxis, yAxis, groupBy, quickView, ..., series, filters,
+     *     files }); see ViewState.PARAMS for the single-valued fields
+     * @returns {string} Hash without the leading '#'
+     */
+    static encode(state) {
+        const params = new URLSearchParams();
+        Object.entries(ViewState.PARAMS).forEach(([field, param]) => {
+            const value = state[field];
+            if (value !== null && value !== undefined && value !== '') params.set(param, value);
+        });
+
+        (state.series || []).forEach(column => params.append('series', column));
+        (state.files || []).forEach(file => params.append('file', file));
+
+        // Chart selections name row numbers, which only mean something in this session
+        const filters = (state.filters || [])
+            .filter(condition => condition.type !== 'selection')
+            .map(({ id, ...condition }) => condition);
+        if (filters.length > 0) params.set('filters', JSON.stringify(filters));
+
+        return params.toString();
+    }
+
+    /**
+     * Decode a view from a URL hash
+     * @param {string} hash - Hash, with or without the leading '#'
+     * @returns {Object|null} View, or null when the hash holds none
+     */
+    static decode(hash) {
+        const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+        const state = {};
+        Object.entries(ViewState.PARAMS).forEach(([field, param]) => {
+            if (params.has(param)) state[field] = params.get(param);
+        });
+        state.series = params.getAll('series');
+        state.files = params.getAll('file');
+        state.filters = ViewState.decodeFilters(params.get('filters'));
+
+        const hasView = Object.keys(ViewState.PARAMS).some(field => field in state) || state.filters.length > 0;
+        return hasView ? state : null;
+    }
+
+    /**
+     * Parse the filters of a hash, dropping any that are malformed (the link may have been edited or truncated)
+     * @param {string|null} text - JSON array of conditions
+     * @returns {Array} Conditions for DataFilter.add()
+     */
+    static decodeFilters(text) {
+        if (!text) return [];
+
+        let filters;
+        try {
+            filters = JSON.parse(text);
+        } catch (error) {
+            return [];
+        }
+        if (!Array.isArray(filters)) return [];
+
+        const bound = value => value === null || Number.isFinite(value);
+        return filters.filter(condition => {
+            if (!condition || typeof condition !== 'object') return false;
+            switch (condition.type) {
+                case 'range':
+                    return typeof condition.column === 'string' && bound(condition.min) && bound(condition.max);
+                case 'category':
+                    return typeof condition.column === 'string' && Array.isArray(condition.values);
+                case 'complete':
+                    return condition.column === null || typeof condition.column === 'string';
+                default:
+                    return false;
+            }
+        });
+    }
+}
+
+// View field → hash parameter
+ViewState.PARAMS = {
+    chartType: 'chart',
+    xAxis: 'x',
+    yAxis: 'y',
+    groupBy: 'group',
+    quickView: 'view',
+    trend: 'trend',
+    resample: 'resample',
+    aggregation: 'agg',
+    rolling: 'rolling',
+    correlation: 'corr',
+    wqiMethod: 'wqi',
+    wqiPeriod: 'period',
+    mapParameter: 'mapvar',
+    mapStatistic: 'mapstat',
+    trendParameter: 'trendvar',
+    trendTest: 'trendtest',
+    trendInterval: 'trendby',
+    trendConfidence: 'trendci',
+    trendChart: 'trendchart',
+    substitution: 'nd',
+    censoredStats: 'ndstats'
+};
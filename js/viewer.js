@@ -0,0 +1,319 @@
+/**
+ * Water Quality Viewer
+ * Embeddable chart of a data file for other pages: mounts its own controls
+ * and chart into any element (the full app in main.js is wired to fixed
+ * element ids instead). Data goes through CSVParser and charts through
+ * Visualizer, so the parsed data and statistics stay available to the page.
+ */
+
+class WaterQualityViewer {
+    /**
+     * Create a viewer in an element and start loading its data
+     * @param {string|HTMLElement} element - Element, or a CSS selector for it
+     * @param {Object} [options] - Viewer options (see the constructor)
+     * @returns {WaterQualityViewer} Viewer; await viewer.ready for the first load (null if it failed
+     *     and an 'error' handler was told)
+     */
+    static mount(element, options = {}) {
+        return new WaterQualityViewer(element, options);
+    }
+
+    /**
+     * @param {string|HTMLElement} element - Element, or a CSS selector for it
+     * @param {Object} [options] - Viewer options
+     * @param {string|Blob} [options.data] - CSV text, or a file in any supported format, to load now
+     * @param {string} [options.fileName] - Name of the data, which decides its format (default 'data.csv')
+     * @param {Object} [options.chart] - Initial chart ({ chartType, xAxis, yAxis, groupBy });
+     *     columns default to the time column and the first numeric column
+     * @param {boolean} [options.controls=true] - Show the chart type and column pickers
+     * @param {Object} [options.plotly] - Plotly.js library to draw with (defaults to the global Plotly)
+     * @param {string} [options.theme='light'] - Chart theme, a key of ChartTheme.THEMES
+     * @param {string} [options.palette='standard'] - Chart colors, a key of ChartTheme.PALETTES
+     * @param {string} [options.workerUrl] - Location of importWorker.js for parsing large files off
+     *     the main thread (they are parsed on it when the worker can't load)
+     * @param {Function} [options.chooseSheet] - Picks the sheet of a multi-sheet workbook (sheet names →
+     *     name); the first sheet otherwise
+     * @param {Object} [options.on] - Event name → handler, attached before loading starts
+     */
+    constructor(element, options = {}) {
+        const root = typeof element === 'string' ? document.querySelector(element) : element;
+        if (!root) {
+            throw new Error('No element to mount the viewer in');
+        }
+
+        this.root = root;
+        this.options = options;
+        this.parser = new CSVParser();
+        this.importer = new FileImporter(options.workerUrl ? { workerUrl: options.workerUrl } : {});
+        this.handlers = {};
+        this.settings = { chartType: 'scatter', xAxis: '', yAxis: '', groupBy: '', ...options.chart };
+        this.axes = { x: null, y: null };
+        Object.entries(options.on || {}).forEach(([event, handler]) => this.on(event, handler));
+
+        this.createElements();
+        // Embedded viewers follow their options, not the theme remembered by the app
+        this.theme = new ChartTheme({ theme: options.theme, palette: options.palette, storage: null });
+        this.visualizer = new Visualizer(this.chartElement, { plotly: options.plotly, theme: this.theme });
+        this.visualizer.onSelect = selection => this.emit('select', { ...selection, xAxis: this.axes.x, yAxis: this.axes.y });
+
+        // Handlers attached after mount() still hear about the first load. A failed first load
+        // leaves ready null once an 'error' handler has heard of it, and rejects only without one.
+        this.ready = options.data === undefined
+            ? Promise.resolve(null)
+            : Promise.resolve().then(() => this.load(options.data, options.fileName)).catch(error => {
+                if ((this.handlers.error || []).length > 0) return null;
+                throw error;
+            });
+    }
+
+    /**
+     * Listen for an event
+     * @param {string} event - 'load' ({ headers, rowCount, numericColumns, timeColumn, diagnostics }),
+     *     'chartchange' (chart settings), 'select' ({ range, rows, xAxis, yAxis }) or 'error' (Error)
+     * @param {Function} handler - Called with the event's detail
+     * @returns {WaterQualityViewer} This viewer, for chaining
+     */
+    on(event, handler) {
+        if (!WaterQualityViewer.EVENTS.includes(event)) {
+            throw new Error(`Unknown viewer event "${event}"`);
+        }
+        (this.handlers[event] = this.handlers[event] || []).push(handler);
+        return this;
+    }
+
+    /**
+     * Stop listening for an event
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler passed to on()
+     * @returns {WaterQualityViewer} This viewer, for chaining
+     */
+    off(event, handler) {
+        this.handlers[event] = (this.handlers[event] || []).filter(existing => existing !== handler);
+        return this;
+    }
+
+    /**
+     * Call an event's handlers
+     * @param {string} event - Event name
+     * @param {*} detail - Passed to each handler
+     */
+    emit(event, detail) {
+        (this.handlers[event] || []).forEach(handler => handler(detail));
+    }
+
+    /**
+     * Load data, replacing what is shown
+     * @param {string|Blob} source - CSV text, or a file in any supported format
+     * @param {string} [fileName] - Name of the data, which decides its format (a File's own name by default)
+     * @returns {Promise<Object>} Load summary, as passed to 'load' handlers
+     */
+    async load(source, fileName) {
+        try {
+            if (typeof source === 'string') {
+                this.parser.parse(source);
+            } else {
+                const file = source instanceof File ? source : new File([source], fileName || 'data.csv');
+                await this.importer.import(file, this.parser, () => {}, { chooseSheet: this.options.chooseSheet });
+            }
+        } catch (error) {
+            this.emit('error', error);
+            throw error;
+        }
+
+        this.chooseDefaultColumns();
+        this.populateControls();
+        this.draw();
+
+        const summary = {
+            headers: this.parser.getAllColumns(),
+            rowCount: this.parser.getRowCount(),
+            numericColumns: this.parser.getNumericColumns(),
+            timeColumn: this.parser.getTimeColumn(),
+            diagnostics: this.parser.diagnostics
+        };
+        this.emit('load', summary);
+        return summary;
+    }
+
+    /**
+     * Change the chart
+     * @param {Object} settings - Any of { chartType, xAxis, yAxis, groupBy }
+     */
+    setChart(settings) {
+        this.settings = { ...this.settings, ...settings };
+        this.populateControls();
+        this.draw();
+        this.emit('chartchange', this.getChart());
+    }
+
+    /**
+     * Change the chart theme and redraw
+     * @param {string} theme - Key of ChartTheme.THEMES
+     * @param {string} [palette] - Key of ChartTheme.PALETTES (unchanged when omitted)
+     * @throws {Error} When either is unknown
+     */
+    setTheme(theme, palette) {
+        this.theme.set(theme, palette);
+        this.draw();
+    }
+
+    /**
+     * Current chart settings
+     * @returns {Object} { chartType, xAxis, yAxis, groupBy }
+     */
+    getChart() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Summary statistics of a column (see CSVParser.getColumnStats)
+     * @param {string} column - Numeric column name
+     * @returns {Object|null} Statistics, or null before data is loaded
+     */
+    getStats(column) {
+        return this.parser.getColumnStats(column);
+    }
+
+    /**
+     * Remove the viewer from the page and drop its handlers
+     */
+    destroy() {
+        this.importer.cancel();
+        this.visualizer.clear();
+        this.element.remove();
+        this.handlers = {};
+    }
+
+    /**
+     * Build the controls and chart container
+     */
+    createElements() {
+        this.element = document.createElement('div');
+        this.element.className = 'wq-viewer';
+
+        this.controlsElement = document.createElement('div');
+        this.controlsElement.className = 'wq-viewer-controls';
+        this.controlsElement.hidden = this.options.controls === false;
+        this.selects = {};
+        WaterQualityViewer.CONTROLS.forEach(([setting, label]) => {
+            const wrapper = document.createElement('label');
+            wrapper.textContent = `${label} `;
+            const select = document.createElement('select');
+            select.dataset.setting = setting;
+            wrapper.appendChild(select);
+            this.controlsElement.appendChild(wrapper);
+            this.selects[setting] = select;
+        });
+        this.controlsElement.addEventListener('change', event => {
+            const setting = event.target.dataset.setting;
+            if (setting) this.setChart({ [setting]: event.target.value });
+        });
+
+        this.chartElement = document.createElement('div');
+        this.chartElement.className = 'wq-viewer-chart';
+
+        this.element.append(this.controlsElement, this.chartElement);
+        this.root.appendChild(this.element);
+    }
+
+    /**
+     * Fill the pickers with the loaded columns and show the current settings
+     */
+    populateControls() {
+        const columns = this.parser.getAllColumns();
+        const choices = {
+            chartType: Object.entries(WaterQualityViewer.CHART_TYPES),
+            xAxis: columns.map(column => [column, this.parser.getColumnLabel(column)]),
+            yAxis: this.parser.getNumericColumns().map(column => [column, this.parser.getColumnLabel(column)]),
+            groupBy: [['', 'None']].concat(this.parser.getGroupableColumns().map(column => [column, column]))
+        };
+
+        Object.entries(this.selects).forEach(([setting, select]) => {
+            select.replaceChildren(...choices[setting].map(([value, label]) => new Option(label, value)));
+            select.value = this.settings[setting];
+        });
+    }
+
+    /**
+     * Point the chart at the time column and first numeric column unless the
+     * settings name columns the data has
+     */
+    chooseDefaultColumns() {
+        const columns = this.parser.getAllColumns();
+        const numeric = this.parser.getNumericColumns();
+        const { xAxis, yAxis, groupBy } = this.settings;
+
+        this.settings.yAxis = numeric.includes(yAxis) ? yAxis : numeric[0] || '';
+        if (!columns.includes(xAxis)) {
+            this.settings.xAxis = this.parser.getTimeColumn() || numeric.find(column => column !== this.settings.yAxis) || columns[0] || '';
+        }
+        if (!this.parser.getGroupableColumns().includes(groupBy)) this.settings.groupBy = '';
+    }
+
+    /**
+     * Draw the chart for the current settings
+     */
+    draw() {
+        const { chartType, xAxis, yAxis, groupBy } = this.settings;
+        if (!this.parser.table || !yAxis) return;
+
+        const parser = this.parser;
+        const xData = parser.getColumnValues(xAxis);
+        const yData = parser.getColumnValues(yAxis);
+        const xLabel = parser.getColumnLabel(xAxis);
+        const yLabel = parser.getColumnLabel(yAxis);
+        const groups = groupBy ? parser.getGroupLabels(groupBy) : null;
+        const by = groupBy ? ` by ${groupBy}` : '';
+        this.axes = { x: xAxis, y: yAxis };
+
+        switch (chartType) {
+            case 'line':
+                this.visualizer.lineChart(xData, yData, xLabel, yLabel, `${yAxis} vs ${xAxis}${by}`, { groups });
+                break;
+            case 'bar':
+                this.visualizer.barChart(xData, yData, xLabel, yLabel, `${yAxis} vs ${xAxis}${by}`, { groups });
+                break;
+            case 'box': {
+                const indices = groupBy ? parser.getGroupIndices(groupBy) : new Map([[yAxis, yData.map((_, row) => row)]]);
+                const boxes = [...indices.values()].map(rows => rows.map(row => yData[row]));
+                this.visualizer.boxPlot(boxes, [...indices.keys()], yLabel, `${yAxis} Distribution${by}`);
+                this.axes = { x: null, y: yAxis };
+                break;
+            }
+            case 'histogram':
+                this.visualizer.histogram(yData, yLabel, `${yAxis} Distribution${by}`, { groups });
+                this.axes = { x: yAxis, y: null };
+                break;
+            case 'timeseries': {
+                const timeColumn = parser.getTimeColumn();
+                if (!timeColumn) {
+                    this.emit('error', new Error('Time series needs a date/time column'));
+                    return;
+                }
+                this.visualizer.lineChart(parser.getColumnValues(timeColumn), yData, timeColumn, yLabel,
+                    `${yAxis} over time${by}`, { groups, timeSeries: true });
+                this.axes = { x: timeColumn, y: yAxis };
+                break;
+            }
+            default:
+                this.visualizer.scatterPlot(xData, yData, xLabel, yLabel, `${yAxis} vs ${xAxis}${by}`, { groups });
+        }
+    }
+}
+
+WaterQualityViewer.EVENTS = ['load', 'chartchange', 'select', 'error'];
+WaterQualityViewer.CHART_TYPES = {
+    scatter: 'Scatter Plot',
+    line: 'Line Chart',
+    bar: 'Bar Chart',
+    box: 'Box Plot',
+    histogram: 'Histogram',
+    timeseries: 'Time Series'
+};
+// [setting, label] of each picker, in display order
+WaterQualityViewer.CONTROLS = [
+    ['chartType', 'Chart'],
+    ['xAxis', 'X'],
+    ['yAxis', 'Y'],
+    ['groupBy', 'Group by']
+];
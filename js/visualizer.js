@@ -1,13 +1,30 @@
 /**
  * Visualizer for Water Quality Data
- * Creates interactive charts using Plotly.js
+ * Creates interactive charts using Plotly.js, either the global Plotly of a
+ * script tag or an instance passed in (e.g. imported as a module)
  */
 
 class Visualizer {
-    constructor(containerId = 'chart') {
-        this.container = document.getElementById(containerId);
+    /**
+     * @param {string|HTMLElement} [container='chart'] - Element, or its id, to draw charts in
+     * @param {Object} [options] - Visualizer options
+     * @param {Object} [options.plotly] - Plotly.js library to draw with (defaults to the global Plotly)
+     * @param {ChartTheme} [options.theme] - Colors and fonts to draw with (defaults to the remembered theme)
+     */
+    constructor(container = 'chart', options = {}) {
+        this.container = typeof container === 'string' ? document.getElementById(container) : container;
+        this.plotly = options.plotly || null;
+        this.theme = options.theme || new ChartTheme();
+        // Summary and data table read out in place of the chart, created on first render
+        this.alternative = null;
         this.currentChart = null;
         this.data = [];
+        // Called with { range, rows } when points are box- or lasso-selected
+        this.onSelect = null;
+        // Called with the x range ([from, to], or null for autorange) when the user zooms or pans
+        this.onZoom = null;
+        // Called with the customdata of a clicked point (a station id on maps)
+        this.onPointClick = null;
     }
 
     /**
@@ -17,37 +34,52 @@ class Visualizer {
      * @param {string} xLabel - X-axis label
      * @param {string} yLabel - Y-axis label
      * @param {string} title - Chart title
+     * @param {Object} [options] - Chart options
+     * @param {Object} [options.limits] - { min, max } criteria for the y values
+     * @param {Array} [options.groups] - Group label per point; draws one trace per group
+     * @param {Object} [options.flags] - QA flags ({ x, y, text }) circled on the chart
+     * @param {Object} [options.censored] - Results below or above a limit ({ x, y, flags, text })
+     *     marked with hollow triangles
+     * @param {Object} [options.trend] - Regression fit ({ method, curve, residuals, equation, r2,
+     *     pValue, n }) drawn as a trend line with a residual plot underneath
      */
-    scatterPlot(xData, yData, xLabel, yLabel, title) {
-        const trace = {
-            x: xData,
-            y: yData,
-            mode: 'markers',
-            type: 'scatter',
-            marker: {
-                size: 8,
-                color: '#0066cc',
-                opacity: 0.7,
-                line: {
-                    color: '#0052a3',
-                    width: 1
-                }
-            },
-            name: 'Data Points'
-        };
+    scatterPlot(xData, yData, xLabel, yLabel, title, options = {}) {
+        const colors = this.theme.colors;
+        const series = this.splitSeries(options.groups, { x: xData, y: yData, row: Visualizer.indices(xData) }, 'Data Points');
+        const traces = series.map((group, index) => {
+            const color = options.groups ? this.theme.seriesColor(index) : colors.primary;
+            return {
+                x: group.x,
+                y: group.y,
+                customdata: group.row,
+                mode: 'markers',
+                type: 'scatter',
+                marker: {
+                    size: 8,
+                    color: this.exceedanceColors(group.y, options.limits, color),
+                    opacity: 0.7,
+                    line: {
+                        color: options.groups ? color : colors.outline,
+                        width: 1
+                    }
+                },
+                name: group.name
+            };
+        });
 
-        const layout = {
-            title: title,
+        const layout = this.theme.layout(title, {
             xaxis: { title: xLabel },
             yaxis: { title: yLabel },
             hovermode: 'closest',
-            plot_bgcolor: 'rgba(240, 240, 240, 0.5)',
-            paper_bgcolor: 'white',
-            font: { family: 'Segoe UI, sans-serif' }
-        };
+            ...this.limitDecorations(options.limits, 'y')
+        });
 
-        Plotly.newPlot(this.container, [trace], layout, { responsive: true });
-        this.container.classList.add('has-chart');
+        traces.push(...this.censoredTraces(options.censored), ...this.flagTraces(options.flags));
+        if (options.trend) {
+            this.addTrend(traces, layout, options.trend, xLabel);
+        }
+
+        this.render(traces, layout);
     }
 
     /**
@@ -57,38 +89,55 @@ class Visualizer {
      * @param {string} xLabel - X-axis label
      * @param {string} yLabel - Y-axis label
      * @param {string} title - Chart title
+     * @param {Object} [options] - Chart options
+     * @param {Object} [options.limits] - { min, max } criteria for the y values
+     * @param {boolean|Object} [options.timeSeries] - Treat x as datetimes and break the
+     *     line at gaps; pass { gapThreshold } (ms) to override the inferred gap size
+     * @param {Array} [options.overlays] - Extra lines ({ x, y, name }) such as rolling averages
+     * @param {Array} [options.groups] - Group label per point; draws one line per group
+     * @param {Object} [options.flags] - QA flags ({ x, y, text }) circled on the chart
+     * @param {Object} [options.censored] - Results below or above a limit ({ x, y, flags, text })
+     *     marked with hollow triangles
      */
-    lineChart(xData, yData, xLabel, yLabel, title) {
-        const trace = {
-            x: xData,
-            y: yData,
-            mode: 'lines+markers',
-            type: 'scatter',
-            line: {
-                color: '#0066cc',
-                width: 2
-            },
-            marker: {
-                size: 6,
-                color: '#0052a3'
-            },
-            fill: 'tozeroy',
-            fillcolor: 'rgba(0, 102, 204, 0.2)',
-            name: 'Values'
-        };
+    lineChart(xData, yData, xLabel, yLabel, title, options = {}) {
+        const colors = this.theme.colors;
+        const series = this.splitSeries(options.groups, { x: xData, y: yData, row: Visualizer.indices(xData) }, 'Values');
+        const traces = series.map((group, index) => {
+            const { x, y } = options.timeSeries
+                ? this.withGaps(group.x, group.y, options.timeSeries)
+                : group;
+            const color = options.groups ? this.theme.seriesColor(index) : colors.primary;
 
-        const layout = {
-            title: title,
-            xaxis: { title: xLabel },
+            return {
+                x,
+                y,
+                // Sorting and gap breaks reorder time series points, so only plain lines keep row numbers
+                customdata: options.timeSeries ? undefined : group.row,
+                mode: 'lines+markers',
+                type: 'scatter',
+                line: {
+                    color,
+                    width: 2
+                },
+                marker: {
+                    size: 6,
+                    color: this.exceedanceColors(y, options.limits, options.groups ? color : colors.outline)
+                },
+                fill: options.timeSeries || options.groups ? 'none' : 'tozeroy',
+                fillcolor: colors.areaFill,
+                connectgaps: false,
+                name: group.name
+            };
+        }).concat(this.overlayTraces(options.overlays), this.censoredTraces(options.censored), this.flagTraces(options.flags));
+
+        const layout = this.theme.layout(title, {
+            xaxis: { title: xLabel, type: options.timeSeries ? 'date' : '-' },
             yaxis: { title: yLabel },
             hovermode: 'x unified',
-            plot_bgcolor: 'rgba(240, 240, 240, 0.5)',
-            paper_bgcolor: 'white',
-            font: { family: 'Segoe UI, sans-serif' }
-        };
+            ...this.limitDecorations(options.limits, 'y')
+        });
 
-        Plotly.newPlot(this.container, [trace], layout, { responsive: true });
-        this.container.classList.add('has-chart');
+        this.render(traces, layout);
     }
 
     /**
@@ -98,34 +147,45 @@ class Visualizer {
      * @param {string} xLabel - X-axis label
      * @param {string} yLabel - Y-axis label
      * @param {string} title - Chart title
+     * @param {Object} [options] - Chart options
+     * @param {Object} [options.limits] - { min, max } criteria for the y values
+     * @param {Array} [options.groups] - Group label per bar; draws side-by-side bars per group
+     * @param {Object} [options.flags] - QA flags ({ x, y, text }) circled on the chart
+     * @param {Object} [options.censored] - Results below or above a limit ({ x, y, flags, text })
+     *     marked with hollow triangles
      */
-    barChart(xData, yData, xLabel, yLabel, title) {
-        const trace = {
-            x: xData,
-            y: yData,
-            type: 'bar',
-            marker: {
-                color: '#0066cc',
-                line: {
-                    color: '#0052a3',
-                    width: 1
-                }
-            },
-            name: 'Values'
-        };
+    barChart(xData, yData, xLabel, yLabel, title, options = {}) {
+        const colors = this.theme.colors;
+        const series = this.splitSeries(options.groups, { x: xData, y: yData, row: Visualizer.indices(xData) }, 'Values');
+        const traces = series.map((group, index) => {
+            const color = options.groups ? this.theme.seriesColor(index) : colors.primary;
+            return {
+                x: group.x,
+                y: group.y,
+                customdata: group.row,
+                type: 'bar',
+                marker: {
+                    color: this.exceedanceColors(group.y, options.limits, color),
+                    line: {
+                        color: options.groups ? color : colors.outline,
+                        width: 1
+                    }
+                },
+                name: group.name
+            };
+        });
 
-        const layout = {
-            title: title,
+        const layout = this.theme.layout(title, {
             xaxis: { title: xLabel },
             yaxis: { title: yLabel },
+            barmode: 'group',
             hovermode: 'x',
-            plot_bgcolor: 'rgba(240, 240, 240, 0.5)',
-            paper_bgcolor: 'white',
-            font: { family: 'Segoe UI, sans-serif' }
-        };
+            ...this.limitDecorations(options.limits, 'y')
+        });
 
-        Plotly.newPlot(this.container, [trace], layout, { responsive: true });
-        this.container.classList.add('has-chart');
+        traces.push(...this.censoredTraces(options.censored), ...this.flagTraces(options.flags));
+
+        this.render(traces, layout);
     }
 
     /**
@@ -134,25 +194,48 @@ class Visualizer {
      * @param {Array} names - Names for each box
      * @param {string} yLabel - Y-axis label
      * @param {string} title - Chart title
+     * @param {Object} [options] - Chart options
+     * @param {Object} [options.limits] - { min, max } criteria for the values
+     * @param {Object} [options.flags] - QA flags ({ x, y, text }) circled on the chart
+     * @param {Object} [options.censored] - Results below or above a limit ({ x, y, flags, text })
+     *     marked with hollow triangles
      */
-    boxPlot(data, names, yLabel, title) {
+    boxPlot(data, names, yLabel, title, options = {}) {
+        const colors = this.theme.colors;
         const traces = data.map((values, index) => ({
             y: values,
             name: names[index],
             type: 'box',
-            marker: { color: '#0066cc' }
+            marker: { color: colors.primary }
         }));
 
-        const layout = {
-            title: title,
+        // Box traces can't color individual points, so overlay the exceedances
+        if (options.limits) {
+            data.forEach((values, index) => {
+                const exceeding = Array.from(values)
+                    .filter(value => ThresholdEngine.isExceedance(value, options.limits));
+                if (exceeding.length === 0) return;
+
+                traces.push({
+                    x: exceeding.map(() => names[index]),
+                    y: exceeding,
+                    mode: 'markers',
+                    type: 'scatter',
+                    marker: { color: colors.exceedance, size: 7, symbol: 'x' },
+                    name: `${names[index]} exceedances`,
+                    showlegend: false
+                });
+            });
+        }
+
+        const layout = this.theme.layout(title, {
             yaxis: { title: yLabel },
-            plot_bgcolor: 'rgba(240, 240, 240, 0.5)',
-            paper_bgcolor: 'white',
-            font: { family: 'Segoe UI, sans-serif' }
-        };
+            ...this.limitDecorations(options.limits, 'y')
+        });
 
-        Plotly.newPlot(this.container, traces, layout, { responsive: true });
-        this.container.classList.add('has-chart');
+        traces.push(...this.censoredTraces(options.censored), ...this.flagTraces(options.flags));
+
+        this.render(traces, layout);
     }
 
     /**
@@ -162,35 +245,50 @@ class Visualizer {
      * @param {string} xLabel - X-axis label
      * @param {string} yLabel - Y-axis label
      * @param {string} title - Chart title
+     * @param {Object} [options] - Chart options
+     * @param {Object} [options.limits] - { label: { min, max } } criteria per dataset;
+     *     exceeding points are highlighted since the datasets may not share a scale
+     * @param {boolean|Object} [options.timeSeries] - Treat x as datetimes and break lines at gaps
+     * @param {Array} [options.overlays] - Extra lines ({ x, y, name })
+     * @param {Array} [options.groups] - Group label per point; draws one line per dataset and group
      */
-    multiLineChart(xData, yDatasets, xLabel, yLabel, title) {
-        const colors = ['#0066cc', '#ff7700', '#00aa00', '#cc0000', '#9900cc'];
-        const traces = Object.entries(yDatasets).map(([label, values], index) => ({
-            x: xData,
-            y: values,
-            mode: 'lines+markers',
-            name: label,
-            line: {
-                color: colors[index % colors.length],
-                width: 2
-            },
-            marker: {
-                size: 5
-            }
-        }));
+    multiLineChart(xData, yDatasets, xLabel, yLabel, title, options = {}) {
+        const limits = options.limits || {};
+        const traces = [];
 
-        const layout = {
-            title: title,
-            xaxis: { title: xLabel },
+        Object.entries(yDatasets).forEach(([label, values]) => {
+            this.splitSeries(options.groups, { x: xData, y: values }, label).forEach(group => {
+                const series = options.timeSeries
+                    ? this.withGaps(group.x, group.y, options.timeSeries)
+                    : group;
+                const color = this.theme.seriesColor(traces.length);
+
+                traces.push({
+                    x: series.x,
+                    y: series.y,
+                    mode: 'lines+markers',
+                    name: options.groups ? `${label} – ${group.name}` : label,
+                    connectgaps: false,
+                    line: {
+                        color,
+                        width: 2
+                    },
+                    marker: {
+                        size: 5,
+                        color: this.exceedanceColors(series.y, limits[label], color)
+                    }
+                });
+            });
+        });
+        traces.push(...this.overlayTraces(options.overlays));
+
+        const layout = this.theme.layout(title, {
+            xaxis: { title: xLabel, type: options.timeSeries ? 'date' : '-' },
             yaxis: { title: yLabel },
-            hovermode: 'x unified',
-            plot_bgcolor: 'rgba(240, 240, 240, 0.5)',
-            paper_bgcolor: 'white',
-            font: { family: 'Segoe UI, sans-serif' }
-        };
+            hovermode: 'x unified'
+        });
 
-        Plotly.newPlot(this.container, traces, layout, { responsive: true });
-        this.container.classList.add('has-chart');
+        this.render(traces, layout);
     }
 
     /**
@@ -198,28 +296,1241 @@ class Visualizer {
      * @param {Array} data - Data values
      * @param {string} label - Data label
      * @param {string} title - Chart title
+     * @param {Object} [options] - Chart options
+     * @param {Object} [options.limits] - { min, max } criteria for the values
+     * @param {Array} [options.groups] - Group label per value; overlays one histogram per group
      */
-    histogram(data, label, title) {
+    histogram(data, label, title, options = {}) {
+        const colors = this.theme.colors;
         const trace = {
             x: data,
             type: 'histogram',
             marker: {
-                color: '#0066cc'
+                color: colors.primary
             },
             name: label
         };
+        let traces = [trace];
+        let barmode = 'stack';
 
-        const layout = {
-            title: title,
+        if (options.groups) {
+            traces = this.splitSeries(options.groups, { x: data }, label).map((group, index) => ({
+                x: group.x,
+                type: 'histogram',
+                opacity: 0.6,
+                marker: { color: this.theme.seriesColor(index) },
+                name: group.name,
+                bingroup: 1
+            }));
+            barmode = 'overlay';
+        } else if (options.limits) {
+            // Split into stacked within/exceeding traces that share one set of bins
+            const values = Array.from(data);
+            trace.x = values.filter(value => !ThresholdEngine.isExceedance(value, options.limits));
+            trace.name = 'Within limits';
+            trace.bingroup = 1;
+            traces.push({
+                x: values.filter(value => ThresholdEngine.isExceedance(value, options.limits)),
+                type: 'histogram',
+                marker: { color: colors.exceedance },
+                name: 'Exceeds limits',
+                bingroup: 1
+            });
+        }
+
+        const layout = this.theme.layout(title, {
             xaxis: { title: label },
             yaxis: { title: 'Frequency' },
-            plot_bgcolor: 'rgba(240, 240, 240, 0.5)',
-            paper_bgcolor: 'white',
-            font: { family: 'Segoe UI, sans-serif' }
+            barmode,
+            ...this.limitDecorations(options.limits, 'x')
+        });
+
+        this.render(traces, layout);
+    }
+
+    /**
+     * Create box or violin plots of values split by category, optionally with
+     * side-by-side boxes per group within each category
+     * @param {Array} categories - Category of each value (null to leave a value out)
+     * @param {Array} values - Values
+     * @param {string} xLabel - X-axis label
+     * @param {string} yLabel - Y-axis label
+     * @param {string} title - Chart title
+     * @param {Object} [options] - Chart options
+     * @param {Object} [options.limits] - { min, max } criteria for the values
+     * @param {Array} [options.groups] - Group label per value; draws one colored box per group in each category
+     * @param {Array} [options.order] - Categories in display order (defaults to order of appearance)
+     * @param {boolean} [options.violin] - Draw violins (kernel density outlines) instead of boxes
+     */
+    categoryPlot(categories, values, xLabel, yLabel, title, options = {}) {
+        const colors = this.theme.colors;
+        const type = options.violin ? 'violin' : 'box';
+        const keep = Array.from(values, (value, index) =>
+            (categories[index] !== null && typeof value === 'number' && Number.isFinite(value)
+                ? (options.groups ? options.groups[index] : yLabel)
+                : null));
+        const series = this.splitSeries(keep, { x: categories, y: values }, yLabel);
+
+        const traces = series.map((group, index) => {
+            const color = options.groups ? this.theme.seriesColor(index) : colors.primary;
+            return {
+                x: group.x,
+                y: group.y,
+                type,
+                name: group.name,
+                marker: { color },
+                line: { color },
+                ...(options.violin ? { box: { visible: true }, meanline: { visible: true }, points: false } : {})
+            };
+        });
+
+        // Box and violin traces can't color individual points, so overlay the exceedances
+        // (grouped boxes sit beside the category position, so only ungrouped plots get them)
+        if (options.limits && !options.groups) {
+            const exceeding = series.flatMap(group => group.y
+                .map((value, index) => ({ x: group.x[index], y: value }))
+                .filter(point => ThresholdEngine.isExceedance(point.y, options.limits)));
+            if (exceeding.length > 0) {
+                traces.push({
+                    x: exceeding.map(point => point.x),
+                    y: exceeding.map(point => point.y),
+                    mode: 'markers',
+                    type: 'scatter',
+                    marker: { color: colors.exceedance, size: 7, symbol: 'x' },
+                    name: 'Exceedances'
+                });
+            }
+        }
+
+        const layout = this.theme.layout(title, {
+            xaxis: {
+                title: xLabel,
+                type: 'category',
+                ...(options.order ? { categoryorder: 'array', categoryarray: options.order } : {})
+            },
+            yaxis: { title: yLabel },
+            [`${type}mode`]: 'group',
+            showlegend: Boolean(options.groups),
+            ...this.limitDecorations(options.limits, 'y')
+        });
+
+        this.render(traces, layout);
+    }
+
+    /**
+     * Create a time series with each column on its own y-axis, for parameters
+     * on different scales (e.g. dissolved oxygen and temperature)
+     * @param {Array} xData - X-axis data
+     * @param {Array} series - [{ label, values, limits }], at most Visualizer.MAX_Y_AXES
+     * @param {string} xLabel - X-axis label
+     * @param {string} title - Chart title
+     * @param {Object} [options] - Chart options
+     * @param {boolean|Object} [options.timeSeries] - Treat x as datetimes and break lines at gaps
+     */
+    multiAxisChart(xData, series, xLabel, title, options = {}) {
+        const shown = series.slice(0, Visualizer.MAX_Y_AXES);
+        // Axes alternate left and right; the third and fourth sit outside the first two
+        const leftOffset = shown.length > 2 ? 0.08 : 0;
+        const rightOffset = shown.length > 3 ? 0.08 : 0;
+
+        const layout = this.theme.layout(title, {
+            xaxis: { title: xLabel, type: options.timeSeries ? 'date' : '-', domain: [leftOffset, 1 - rightOffset] },
+            hovermode: 'x unified',
+            legend: { orientation: 'h', y: -0.2 }
+        });
+
+        const traces = shown.map(({ label, values, limits }, index) => {
+            const color = this.theme.seriesColor(index);
+            const axis = index === 0 ? 'y' : `y${index + 1}`;
+            const side = index % 2 === 0 ? 'left' : 'right';
+            layout[index === 0 ? 'yaxis' : `yaxis${index + 1}`] = this.theme.axis({
+                title: { text: label, font: { color } },
+                tickfont: { color },
+                side,
+                ...(index > 0 ? { overlaying: 'y' } : {}),
+                ...(index > 1 ? { anchor: 'free', position: side === 'left' ? 0 : 1 } : {}),
+                showgrid: index === 0
+            });
+
+            const points = options.timeSeries ? this.withGaps(xData, values, options.timeSeries) : { x: xData, y: values };
+            return {
+                x: points.x,
+                y: points.y,
+                yaxis: axis,
+                mode: 'lines+markers',
+                type: 'scatter',
+                name: label,
+                connectgaps: false,
+                line: { color, width: 2 },
+                marker: { size: 5, color: this.exceedanceColors(points.y, limits, color) }
+            };
+        });
+
+        this.render(traces, layout);
+    }
+
+    /**
+     * Plot the typical value at each position of a cycle (hour of day, month of
+     * year) with a shaded band between the 25th and 75th percentiles
+     * @param {Array} profiles - [{ name, mean, lower, upper, counts }] from TimeSeries.cycleProfile
+     * @param {Array} positions - Name of each cycle position (x-axis ticks)
+     * @param {string} xLabel - X-axis label
+     * @param {string} yLabel - Y-axis label
+     * @param {string} title - Chart title
+     * @param {Object} [options] - Chart options
+     * @param {Object} [options.limits] - { min, max } criteria for the values
+     */
+    profileChart(profiles, positions, xLabel, yLabel, title, options = {}) {
+        const gap = value => (Number.isFinite(value) ? value : null);
+        const traces = [];
+
+        profiles.forEach((profile, index) => {
+            const color = this.theme.seriesColor(index);
+            const band = profiles.length === 1 ? 'Middle 50%' : `${profile.name} middle 50%`;
+            traces.push({
+                x: positions,
+                y: profile.lower.map(gap),
+                type: 'scatter',
+                mode: 'lines',
+                line: { width: 0, color },
+                hoverinfo: 'skip',
+                showlegend: false,
+                legendgroup: profile.name
+            }, {
+                x: positions,
+                y: profile.upper.map(gap),
+                type: 'scatter',
+                mode: 'lines',
+                line: { width: 0, color },
+                fill: 'tonexty',
+                fillcolor: Visualizer.withOpacity(color, 0.15),
+                name: band,
+                hoverinfo: 'skip',
+                legendgroup: profile.name
+            }, {
+                x: positions,
+                y: profile.mean.map(gap),
+                text: profile.counts.map(count => `${count} reading(s)`),
+                type: 'scatter',
+                mode: 'lines+markers',
+                line: { color, width: 2 },
+                marker: { size: 6, color: this.exceedanceColors(profile.mean, options.limits, color) },
+                name: profiles.length === 1 ? 'Mean' : `${profile.name} mean`,
+                legendgroup: profile.name
+            });
+        });
+
+        const layout = this.theme.layout(title, {
+            xaxis: { title: xLabel, type: 'category' },
+            yaxis: { title: yLabel },
+            hovermode: 'x unified',
+            ...this.limitDecorations(options.limits, 'y')
+        });
+
+        this.render(traces, layout);
+    }
+
+    /**
+     * Create a calendar heatmap: one cell per day, weeks across and weekdays down
+     * @param {Array} days - Start of each day (epoch ms)
+     * @param {Array} values - Daily value (NaN for days without readings)
+     * @param {string} label - Value label
+     * @param {string} title - Chart title
+     * @param {Object} [options] - Chart options
+     * @param {Object} [options.limits] - { min, max } criteria; exceeding days are marked
+     */
+    calendarHeatmap(days, values, label, title, options = {}) {
+        const colors = this.theme.colors;
+        const weekdays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+        const weeks = [...new Set(days.map(day => TimeSeries.bucketStart(day, 'week')))].sort((a, b) => a - b);
+        const column = new Map(weeks.map((week, index) => [week, index]));
+        const z = weekdays.map(() => weeks.map(() => null));
+        const text = weekdays.map(() => weeks.map(() => ''));
+        const exceeding = { x: [], y: [] };
+
+        days.forEach((day, index) => {
+            const date = new Date(day);
+            const row = (date.getDay() + 6) % 7;
+            const col = column.get(TimeSeries.bucketStart(day, 'week'));
+            const value = values[index];
+            if (!Number.isFinite(value)) return;
+
+            z[row][col] = value;
+            text[row][col] = date.toDateString();
+            if (ThresholdEngine.isExceedance(value, options.limits)) {
+                exceeding.x.push(new Date(weeks[col]));
+                exceeding.y.push(weekdays[row]);
+            }
+        });
+
+        const traces = [{
+            x: weeks.map(week => new Date(week)),
+            y: weekdays,
+            z,
+            text,
+            type: 'heatmap',
+            colorscale: 'Viridis',
+            hoverongaps: false,
+            hovertemplate: '%{text}<br>%{z:.4g}<extra></extra>',
+            xgap: 2,
+            ygap: 2,
+            colorbar: { title: label }
+        }];
+        if (exceeding.x.length > 0) {
+            traces.push({
+                ...exceeding,
+                type: 'scatter',
+                mode: 'markers',
+                marker: { symbol: 'x', size: 8, color: colors.exceedance },
+                name: 'Exceeds criteria',
+                hoverinfo: 'skip'
+            });
+        }
+
+        const layout = this.theme.layout(title, {
+            xaxis: { title: 'Week', type: 'date' },
+            yaxis: { autorange: 'reversed' },
+            legend: { orientation: 'h', y: -0.2 },
+            plot_bgcolor: colors.paper
+        });
+
+        this.render(traces, layout);
+    }
+
+    /**
+     * Create a sampling coverage calendar: the share of the expected samples
+     * found each day (weeks across, weekdays down) or each month (months
+     * across, years down)
+     * @param {Object} coverage - { interval: 'day'|'month', periods: [{ start, expected, present }] }
+     *     as from Completeness.analyze
+     * @param {string} title - Chart title
+     */
+    coverageChart(coverage, title) {
+        const colors = this.theme.colors;
+        const daily = coverage.interval === 'day';
+        const months = TimeSeries.CYCLES.month.positions;
+        const rows = daily
+            ? ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+            : [...new Set(coverage.periods.map(period => new Date(period.start).getFullYear()))].sort((a, b) => a - b).map(String);
+        const weeks = [...new Set(coverage.periods.map(period => TimeSeries.bucketStart(period.start, 'week')))].sort((a, b) => a - b);
+        const column = new Map(weeks.map((week, index) => [week, index]));
+        const columnCount = daily ? weeks.length : months.length;
+        const z = rows.map(() => Array.from({ length: columnCount }, () => null));
+        const text = rows.map(() => Array.from({ length: columnCount }, () => ''));
+
+        coverage.periods.forEach(({ start, expected, present }) => {
+            if (expected <= 0) return;
+            const date = new Date(start);
+            const row = daily ? (date.getDay() + 6) % 7 : rows.indexOf(String(date.getFullYear()));
+            const col = daily ? column.get(TimeSeries.bucketStart(start, 'week')) : date.getMonth();
+
+            z[row][col] = (present / expected) * 100;
+            text[row][col] = `${daily ? date.toDateString() : `${months[date.getMonth()]} ${date.getFullYear()}`}` +
+                `<br>${present} of ${expected} samples`;
+        });
+
+        const traces = [{
+            x: daily ? weeks.map(week => new Date(week)) : months,
+            y: rows,
+            z,
+            text,
+            type: 'heatmap',
+            colorscale: 'Viridis',
+            zmin: 0,
+            zmax: 100,
+            hoverongaps: false,
+            hovertemplate: '%{text}<br>%{z:.0f}% complete<extra></extra>',
+            xgap: 2,
+            ygap: 2,
+            colorbar: { title: '% complete' }
+        }];
+
+        const layout = this.theme.layout(title, {
+            xaxis: daily ? { title: 'Week', type: 'date' } : { type: 'category' },
+            yaxis: { autorange: 'reversed', type: 'category' },
+            plot_bgcolor: colors.paper
+        });
+
+        this.render(traces, layout);
+    }
+
+    /**
+     * Create a depth profile: values across, depth down (increasing downward)
+     * @param {Array} profiles - [{ name, values, depths, joined }], one per cast or group;
+     *     joined draws a line through the points from the surface down
+     * @param {string} valueLabel - Value axis label
+     * @param {string} depthLabel - Depth axis label
+     * @param {string} title - Chart title
+     * @param {Object} [options] - Chart options
+     * @param {Object} [options.limits] - { min, max } criteria for the values
+     */
+    depthProfile(profiles, valueLabel, depthLabel, title, options = {}) {
+        const colors = this.theme.colors;
+        const traces = profiles.map((profile, index) => {
+            const color = profiles.length > 1 ? this.theme.seriesColor(index) : colors.primary;
+            // Join each profile's points from the surface down
+            const points = profile.depths
+                .map((depth, i) => [depth, profile.values[i]])
+                .filter(([depth, value]) => Number.isFinite(depth) && Number.isFinite(value))
+                .sort((a, b) => a[0] - b[0]);
+            return {
+                x: points.map(point => point[1]),
+                y: points.map(point => point[0]),
+                type: 'scatter',
+                mode: profile.joined ? 'lines+markers' : 'markers',
+                name: profile.name,
+                line: { color, width: 2 },
+                marker: { size: 7, color: this.exceedanceColors(points.map(point => point[1]), options.limits, color) }
+            };
+        });
+
+        const layout = this.theme.layout(title, {
+            xaxis: { title: valueLabel, side: 'top' },
+            yaxis: { title: depthLabel, autorange: 'reversed' },
+            hovermode: 'closest',
+            showlegend: profiles.length > 1,
+            ...this.limitDecorations(options.limits, 'x')
+        });
+
+        this.render(traces, layout);
+    }
+
+    /**
+     * Create a scatter-plot matrix (SPLOM) of every pair of columns
+     * @param {Object} columns - { label: values } with values aligned by row
+     * @param {string} title - Chart title
+     * @param {Object} [options] - Chart options
+     * @param {Array} [options.groups] - Group label per row; colors points by group
+     */
+    scatterMatrix(columns, title, options = {}) {
+        const labels = Object.keys(columns);
+        const rowCount = labels.length > 0 ? columns[labels[0]].length : 0;
+        const rows = Array.from({ length: rowCount }, (_, index) => index);
+        const series = this.splitSeries(options.groups, { row: rows }, 'Rows');
+
+        const traces = series.map((group, index) => ({
+            type: 'splom',
+            dimensions: labels.map(label => ({ label, values: group.row.map(row => columns[label][row]) })),
+            customdata: group.row,
+            name: group.name,
+            diagonal: { visible: false },
+            showupperhalf: false,
+            marker: {
+                size: 4,
+                color: this.theme.seriesColor(index),
+                opacity: 0.6,
+                line: { width: 0 }
+            }
+        }));
+
+        const layout = this.theme.layout(title, {
+            dragmode: 'select',
+            hovermode: 'closest',
+            showlegend: Boolean(options.groups),
+            font: { size: 10 }
+        });
+
+        this.render(traces, layout);
+    }
+
+    /**
+     * Plot a time series with its Sen's slope and the lines of the slope's
+     * confidence limits
+     * @param {Array} xData - Sample times
+     * @param {Array} yData - Values
+     * @param {string} yLabel - Y-axis label
+     * @param {string} title - Chart title
+     * @param {Object} trend - { line, lower, upper } ({ x, y } each, from
+     *     TrendAnalysis.trendLines, or null when there is no slope) and lines
+     *     (text lines describing the test)
+     * @param {Object} [options] - Chart options
+     * @param {Object} [options.limits] - { min, max } criteria for the values
+     */
+    trendChart(xData, yData, yLabel, title, trend, options = {}) {
+        const colors = this.theme.colors;
+        const points = this.withGaps(xData, yData, true);
+        const traces = [{
+            x: points.x,
+            y: points.y,
+            mode: 'lines+markers',
+            type: 'scatter',
+            name: yLabel,
+            connectgaps: false,
+            line: { color: colors.primary, width: 1.5 },
+            marker: { size: 5, color: this.exceedanceColors(points.y, options.limits, colors.outline) }
+        }];
+
+        if (trend.line) {
+            const dates = line => ({ ...line, x: TimeSeries.toDates(line.x) });
+            traces.push(...this.overlayTraces([
+                { ...dates(trend.line), name: "Sen's slope", color: colors.strong },
+                { ...dates(trend.lower), name: 'Confidence limits', color: colors.muted, dash: 'dash' },
+                { ...dates(trend.upper), name: 'Upper limit', color: colors.muted, dash: 'dash' }
+            ]));
+            // One legend entry covers both limit lines
+            traces[traces.length - 1].showlegend = false;
+        }
+
+        const decorations = this.limitDecorations(options.limits, 'y');
+        const layout = this.theme.layout(title, {
+            xaxis: { title: 'Date', type: 'date' },
+            yaxis: { title: yLabel },
+            hovermode: 'closest',
+            ...decorations,
+            annotations: (decorations.annotations || []).concat(this.theme.note(trend.lines))
+        });
+
+        this.render(traces, layout);
+    }
+
+    /**
+     * Stack the observed series and its trend, seasonal and residual parts in
+     * panels sharing the time axis
+     * @param {Object} decomposition - TrendAnalysis.decompose result
+     * @param {string} label - Value label
+     * @param {string} title - Chart title
+     */
+    decompositionChart(decomposition, label, title) {
+        const dates = TimeSeries.toDates(decomposition.times);
+        const gap = value => (Number.isFinite(value) ? value : null);
+        const panels = [
+            ['observed', label],
+            ['trend', 'Trend'],
+            ['seasonal', 'Seasonal'],
+            ['residual', 'Residual']
+        ];
+        const height = 1 / panels.length;
+
+        const layout = this.theme.layout(title, {
+            showlegend: false,
+            hovermode: 'x unified'
+        });
+
+        const traces = panels.map(([key, name], index) => {
+            const suffix = index === 0 ? '' : String(index + 1);
+            // The first panel sits at the top
+            const top = 1 - index * height;
+            layout[`xaxis${suffix}`] = this.theme.axis({
+                type: 'date',
+                anchor: `y${suffix}`,
+                ...(index > 0 ? { matches: 'x' } : {}),
+                showticklabels: index === panels.length - 1,
+                title: index === panels.length - 1 ? 'Date' : ''
+            });
+            layout[`yaxis${suffix}`] = this.theme.axis({
+                title: name,
+                domain: [top - height + 0.03, top - 0.03],
+                zeroline: key === 'seasonal' || key === 'residual'
+            });
+
+            const residual = key === 'residual';
+            return {
+                x: dates,
+                y: decomposition[key].map(gap),
+                xaxis: `x${suffix}`,
+                yaxis: `y${suffix}`,
+                type: 'scatter',
+                mode: residual ? 'markers' : 'lines',
+                name,
+                connectgaps: false,
+                line: { color: this.theme.seriesColor(index), width: 2 },
+                marker: { size: 4 }
+            };
+        });
+
+        this.render(traces, layout);
+    }
+
+    /**
+     * Create a correlation heatmap
+     * @param {Object} correlation - Statistics.correlationMatrix result ({ names, r, n, pValue })
+     * @param {string} title - Chart title
+     */
+    correlationHeatmap(correlation, title) {
+        const { names, r, n, pValue } = correlation;
+        const text = r.map(row => row.map(value => (value === null ? '' : value.toFixed(2))));
+        const hover = r.map((row, i) => row.map((value, j) =>
+            `${names[i]} × ${names[j]}<br>r = ${value === null ? 'n/a' : value.toFixed(3)}` +
+            `<br>n = ${n[i][j]}<br>${Visualizer.formatPValue(pValue[i][j])}`
+        ));
+
+        const trace = {
+            z: r,
+            x: names,
+            y: names,
+            type: 'heatmap',
+            colorscale: 'RdBu',
+            reversescale: true,
+            zmin: -1,
+            zmax: 1,
+            text,
+            texttemplate: '%{text}',
+            hovertext: hover,
+            hoverinfo: 'text',
+            colorbar: { title: 'r' }
+        };
+
+        const layout = this.theme.layout(title, {
+            xaxis: { tickangle: -45, automargin: true },
+            yaxis: { autorange: 'reversed', automargin: true }
+        });
+
+        this.render([trace], layout);
+    }
+
+    /**
+     * Create an index chart with points colored by category over category bands
+     * @param {Array} xData - Sample times or numbers
+     * @param {Array} values - Index values
+     * @param {Array} labels - Category label of each value
+     * @param {Array} categories - [{ label, min, max, color }] in ascending order
+     * @param {string} xLabel - X-axis label
+     * @param {string} yLabel - Y-axis label
+     * @param {string} title - Chart title
+     */
+    indexChart(xData, values, labels, categories, xLabel, yLabel, title) {
+        // Indices run from 0 to 100, but the weighted index exceeds 100 for unsuitable water
+        const highest = values.reduce((max, value) => (value > max ? value : max), 0);
+        const yMax = Math.max(105, highest * 1.05);
+        const colors = this.theme.colors;
+
+        const traces = [{
+            x: xData,
+            y: values,
+            mode: 'lines',
+            type: 'scatter',
+            line: { color: colors.muted, width: 1 },
+            hoverinfo: 'skip',
+            showlegend: false
+        }];
+
+        categories.forEach(category => {
+            const points = this.splitSeries(labels, { x: xData, y: values }, category.label)
+                .find(series => series.name === category.label);
+            if (!points) return;
+
+            traces.push({
+                x: points.x,
+                y: points.y,
+                mode: 'markers',
+                type: 'scatter',
+                marker: { size: 9, color: category.color, line: { color: colors.strong, width: 1 } },
+                name: category.label
+            });
+        });
+
+        const shapes = categories.map(category => ({
+            type: 'rect',
+            xref: 'paper',
+            yref: 'y',
+            x0: 0,
+            x1: 1,
+            y0: category.min,
+            y1: Math.min(category.max, yMax),
+            fillcolor: category.color,
+            opacity: 0.12,
+            line: { width: 0 },
+            layer: 'below'
+        }));
+
+        const layout = this.theme.layout(title, {
+            xaxis: { title: xLabel },
+            yaxis: { title: yLabel, range: [0, yMax] },
+            hovermode: 'closest',
+            shapes,
+            plot_bgcolor: colors.paper
+        });
+
+        this.render(traces, layout);
+    }
+
+    /**
+     * Map sampling stations, colored by a value or by exceedance status. The map
+     * has no tile layer, so it draws offline; an optional GeoJSON outline (rivers,
+     * catchments) gives it context. A slider steps through periods when given.
+     * @param {Array} stations - [{ id, latitude, longitude, value, count, status }]
+     * @param {string} valueLabel - What the values are (e.g. "pH (mean)")
+     * @param {string} title - Chart title
+     * @param {Object} [options] - Map options
+     * @param {boolean} [options.byStatus] - Color by status (see StationMap.STATUSES) instead of value
+     * @param {Array} [options.periods] - [{ label, stations }] shown by the slider after "All dates"
+     * @param {Object} [options.baseLayer] - GeoJSON drawn as outlines under the stations
+     * @param {Array} [options.highlighted] - Ids of stations to draw larger (e.g. the filtered ones)
+     */
+    stationMap(stations, valueLabel, title, options = {}) {
+        const colors = this.theme.colors;
+        const all = [stations, ...(options.periods || []).map(period => period.stations)];
+        const values = all.flat().map(station => station.value).filter(value => value !== null);
+        const highlighted = new Set(options.highlighted || []);
+        const format = value => (value === null ? 'No readings' : Number(value.toPrecision(4)));
+
+        // The same traces for every period, so the slider's frames can replace them
+        const tracesFor = shown => {
+            const marker = (points, color) => ({
+                size: points.map(station => (highlighted.has(station.id) ? 18 : 12)),
+                color,
+                opacity: 0.85
+            });
+            const trace = (points, name, extra) => ({
+                type: 'scattermapbox',
+                mode: 'markers',
+                lat: points.map(station => station.latitude),
+                lon: points.map(station => station.longitude),
+                customdata: points.map(station => station.id),
+                text: points.map(station =>
+                    `${station.id}<br>${valueLabel}: ${format(station.value)}<br>${station.count} reading(s)` +
+                    `<br>${StationMap.STATUSES[station.status].label}`),
+                hoverinfo: 'text',
+                name,
+                ...extra
+            });
+
+            if (options.byStatus) {
+                return Object.entries(StationMap.STATUSES).map(([status, { label, color }]) => {
+                    const points = shown.filter(station => station.status === status);
+                    return trace(points, label, { marker: marker(points, color) });
+                });
+            }
+
+            const measured = shown.filter(station => station.value !== null);
+            const missing = shown.filter(station => station.value === null);
+            return [
+                trace(measured, valueLabel, {
+                    marker: {
+                        ...marker(measured, measured.map(station => station.value)),
+                        colorscale: 'Viridis',
+                        // One scale for every period, so colors compare across the slider
+                        cmin: values.length > 0 ? Math.min(...values) : undefined,
+                        cmax: values.length > 0 ? Math.max(...values) : undefined,
+                        showscale: true,
+                        colorbar: { title: valueLabel }
+                    },
+                    showlegend: false
+                }),
+                trace(missing, 'No readings', { marker: marker(missing, StationMap.STATUSES.unassessed.color) })
+            ];
+        };
+
+        const layout = this.theme.layout(title, {
+            mapbox: {
+                // 'white-bg' is the only blank preset, so other backgrounds need a style of their own
+                style: colors.paper === 'white' ? 'white-bg' : {
+                    version: 8,
+                    sources: {},
+                    layers: [{ id: 'background', type: 'background', paint: { 'background-color': colors.paper } }]
+                },
+                ...Visualizer.mapViewport(stations),
+                layers: options.baseLayer ? [{
+                    sourcetype: 'geojson',
+                    source: options.baseLayer,
+                    type: 'line',
+                    color: colors.mapOutline,
+                    line: { width: 1 },
+                    below: 'traces'
+                }] : []
+            },
+            margin: { l: 10, r: 10, t: 50, b: options.periods && options.periods.length > 0 ? 90 : 10 },
+            showlegend: Boolean(options.byStatus),
+            legend: { x: 0, y: 1, bgcolor: colors.legend }
+        });
+
+        let frames = null;
+        if (options.periods && options.periods.length > 0) {
+            const steps = [{ label: 'All dates', stations }, ...options.periods];
+            frames = steps.map((step, index) => ({ name: String(index), data: tracesFor(step.stations) }));
+            const animate = (frame, duration) => [frame, {
+                mode: 'immediate',
+                frame: { duration, redraw: true },
+                transition: { duration: 0 }
+            }];
+
+            layout.sliders = [{
+                active: 0,
+                currentvalue: { prefix: 'Showing: ' },
+                pad: { t: 10 },
+                steps: steps.map((step, index) => ({
+                    label: step.label,
+                    method: 'animate',
+                    args: animate([String(index)], 0)
+                }))
+            }];
+            layout.updatemenus = [{
+                type: 'buttons',
+                direction: 'left',
+                showactive: false,
+                x: 0,
+                y: 0,
+                xanchor: 'right',
+                yanchor: 'top',
+                pad: { t: 40, r: 10 },
+                buttons: [
+                    // Plays from the first period onward, skipping "All dates"
+                    { label: '▶', method: 'animate', args: animate(frames.slice(1).map(frame => frame.name), 600) },
+                    { label: '❚❚', method: 'animate', args: animate([null], 0) }
+                ]
+            }];
+        }
+
+        this.render(tracesFor(stations), layout, frames);
+    }
+
+    /**
+     * Map center and zoom that fit every station
+     * @param {Array} stations - [{ latitude, longitude }]
+     * @returns {Object} { center: { lat, lon }, zoom }
+     */
+    static mapViewport(stations) {
+        if (stations.length === 0) return { center: { lat: 0, lon: 0 }, zoom: 1 };
+
+        const latitudes = stations.map(station => station.latitude);
+        const longitudes = stations.map(station => station.longitude);
+        const [south, north] = [Math.min(...latitudes), Math.max(...latitudes)];
+        const [west, east] = [Math.min(...longitudes), Math.max(...longitudes)];
+        // Each zoom level halves the degrees shown across a 512 px tile
+        const span = Math.max(north - south, east - west, 0.005);
+        return {
+            center: { lat: (south + north) / 2, lon: (west + east) / 2 },
+            zoom: Math.min(Math.max(Math.log2(360 / span) - 1, 0), 15)
         };
+    }
+
+    /**
+     * Add a trend line, its statistics and a residual subplot to a scatter plot
+     * @param {Array} traces - Plot traces (modified)
+     * @param {Object} layout - Plot layout (modified)
+     * @param {Object} trend - Regression fit with curve and residuals
+     * @param {string} xLabel - X-axis label
+     */
+    addTrend(traces, layout, trend, xLabel) {
+        const colors = this.theme.colors;
+        traces.push({
+            x: trend.curve.x,
+            y: trend.curve.y,
+            mode: 'lines',
+            type: 'scatter',
+            line: { color: colors.strong, width: 2 },
+            name: Regression.METHODS[trend.method]
+        });
+        traces.push({
+            x: trend.residuals.x,
+            y: trend.residuals.y,
+            mode: 'markers',
+            type: 'scatter',
+            marker: { size: 5, color: colors.muted, opacity: 0.6 },
+            name: 'Residuals',
+            xaxis: 'x2',
+            yaxis: 'y2',
+            showlegend: false
+        });
 
-        Plotly.newPlot(this.container, [trace], layout, { responsive: true });
+        // Residuals share the x axis in a strip below the main plot
+        layout.xaxis = { ...layout.xaxis, title: '', anchor: 'y', showticklabels: false };
+        layout.yaxis = { ...layout.yaxis, domain: [0.32, 1] };
+        layout.xaxis2 = this.theme.axis({ title: xLabel, matches: 'x', anchor: 'y2' });
+        layout.yaxis2 = this.theme.axis({ title: 'Residual', domain: [0, 0.22], zeroline: true });
+
+        const lines = [];
+        if (trend.equation) lines.push(trend.equation);
+        lines.push(`R² = ${trend.r2 === null ? 'n/a' : trend.r2.toFixed(3)}`);
+        if (trend.pValue !== null) lines.push(Visualizer.formatPValue(trend.pValue));
+        lines.push(`n = ${trend.n}`);
+
+        layout.annotations = (layout.annotations || []).concat(this.theme.note(lines));
+    }
+
+    /**
+     * Format a p-value for display
+     * @param {number|null} pValue - p-value
+     * @returns {string} e.g. "p = 0.032" or "p < 0.001"
+     */
+    static formatPValue(pValue) {
+        if (pValue === null || pValue === undefined) return 'p = n/a';
+        return pValue < 0.001 ? 'p < 0.001' : `p = ${pValue.toFixed(3)}`;
+    }
+
+    /**
+     * The Plotly.js library charts are drawn with
+     * @returns {Object} Plotly passed to the constructor, else the global one
+     * @throws {Error} When neither is available
+     */
+    getPlotly() {
+        if (this.plotly) return this.plotly;
+        if (typeof Plotly === 'undefined') {
+            throw new Error('Plotly.js is not loaded; load it with a script tag or pass it as options.plotly');
+        }
+        return Plotly;
+    }
+
+    /**
+     * Draw traces into the chart container and report box/lasso selections to
+     * onSelect, zooms to onZoom and clicks to onPointClick
+     * @param {Array} traces - Plotly traces
+     * @param {Object} layout - Plotly layout
+     * @param {Array} [frames] - Animation frames ({ name, data })
+     */
+    render(traces, layout, frames = null) {
+        const plotly = this.getPlotly();
+        const drawn = plotly.newPlot(this.container, traces, layout, { responsive: true });
         this.container.classList.add('has-chart');
+        this.describeChart(traces, layout);
+
+        // newPlot drops earlier listeners, so attach to every new chart
+        Promise.resolve(drawn).then(() => {
+            if (frames) plotly.addFrames(this.container, frames);
+            if (typeof this.container.on !== 'function') return;
+            this.container.on('plotly_selected', event => {
+                if (event && this.onSelect) this.onSelect(Visualizer.describeSelection(event));
+            });
+            this.container.on('plotly_relayout', event => {
+                const range = Visualizer.xRange(event);
+                if (range !== undefined && this.onZoom) this.onZoom(range);
+            });
+            this.container.on('plotly_click', event => {
+                const point = event && event.points && event.points[0];
+                if (point && point.customdata !== undefined && this.onPointClick) this.onPointClick(point.customdata);
+            });
+        });
+    }
+
+    /**
+     * Put a text summary and a table of the plotted data after the chart for
+     * screen readers, and label the chart with its title and summary
+     * @param {Array} traces - Plot traces
+     * @param {Object} layout - Plot layout
+     */
+    describeChart(traces, layout) {
+        const { summary, table } = ChartDescription.describe(traces, layout);
+        if (!this.alternative) {
+            Visualizer.described += 1;
+            this.alternative = document.createElement('div');
+            this.alternative.className = 'chart-alternative';
+            this.alternative.id = `chart-alternative-${Visualizer.described}`;
+            this.container.insertAdjacentElement('afterend', this.alternative);
+        }
+
+        const cell = (tag, text) => {
+            const element = document.createElement(tag);
+            element.textContent = text;
+            if (tag === 'th') element.scope = 'col';
+            return element;
+        };
+        const paragraph = cell('p', summary);
+        paragraph.id = `${this.alternative.id}-summary`;
+
+        const element = document.createElement('table');
+        const caption = table.total > table.rows.length
+            ? `Chart data (first ${table.rows.length} of ${table.total} rows)`
+            : 'Chart data';
+        element.appendChild(cell('caption', caption));
+        const head = element.createTHead().insertRow();
+        table.headers.forEach(header => head.appendChild(cell('th', header)));
+        const body = element.createTBody();
+        table.rows.forEach(row => {
+            const tr = body.insertRow();
+            row.forEach(value => tr.appendChild(cell('td', value)));
+        });
+
+        this.alternative.replaceChildren(paragraph, element);
+        this.container.setAttribute('role', 'figure');
+        this.container.setAttribute('aria-label', ChartDescription.text(layout.title) || 'Chart');
+        this.container.setAttribute('aria-describedby', paragraph.id);
+    }
+
+    /**
+     * Zoom the x-axis
+     * @param {Array|null} range - [from, to], or null to fit the data
+     * @returns {Promise} Resolves once redrawn
+     */
+    setXRange(range) {
+        if (!this.hasChart()) return Promise.resolve();
+        return this.getPlotly().relayout(this.container, range ? { 'xaxis.range': range } : { 'xaxis.autorange': true });
+    }
+
+    /**
+     * Fit the chart to its container after the container was resized
+     */
+    resize() {
+        if (this.hasChart()) this.getPlotly().Plots.resize(this.container);
+    }
+
+    /**
+     * X range set by a zoom or pan
+     * @param {Object} event - plotly_relayout event data
+     * @returns {Array|null|undefined} [from, to], null when reset to fit the data,
+     *     or undefined when the x-axis didn't change
+     */
+    static xRange(event) {
+        if (!event) return undefined;
+        if (event['xaxis.range[0]'] !== undefined) return [event['xaxis.range[0]'], event['xaxis.range[1]']];
+        if (Array.isArray(event['xaxis.range'])) return event['xaxis.range'];
+        if (event['xaxis.autorange']) return null;
+        return undefined;
+    }
+
+    /**
+     * Summarize a Plotly selection
+     * @param {Object} event - plotly_selected event data
+     * @returns {Object} { range, rows } where range is { x: [a, b], y: [a, b] } for a box
+     *     selection (null for lasso) and rows holds the input indices of the selected
+     *     data points, for charts that record them
+     */
+    static describeSelection(event) {
+        const rows = new Set();
+        (event.points || []).forEach(point => {
+            if (Number.isInteger(point.customdata)) rows.add(point.customdata);
+        });
+        return { range: event.range || null, rows: [...rows] };
+    }
+
+    /**
+     * Index of every element, carried on traces as customdata to map points back to rows
+     * @param {Array} data - Input array
+     * @returns {Array} 0 … length − 1
+     */
+    static indices(data) {
+        return Array.from(data, (_, index) => index);
+    }
+
+    /**
+     * Translucent version of a palette color
+     * @param {string} color - Hex color ('#rrggbb')
+     * @param {number} opacity - Opacity between 0 and 1
+     * @returns {string} rgba() color
+     */
+    static withOpacity(color, opacity) {
+        const [r, g, b] = [1, 3, 5].map(start => parseInt(color.slice(start, start + 2), 16));
+        return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+    }
+
+    /**
+     * Split parallel arrays into one series per group
+     * @param {Array|null} groups - Group label per point (null to leave a point out), or null for a single series
+     * @param {Object} arrays - Arrays to split, e.g. { x, y }
+     * @param {string} name - Series name when not grouped
+     * @returns {Array} [{ name, x, y }] in order of first appearance
+     */
+    splitSeries(groups, arrays, name) {
+        if (!groups) {
+            return [{ name, ...arrays }];
+        }
+
+        const series = new Map();
+        groups.forEach((group, index) => {
+            if (group === null) return;
+            if (!series.has(group)) {
+                const entry = { name: group };
+                Object.keys(arrays).forEach(key => {
+                    entry[key] = [];
+                });
+                series.set(group, entry);
+            }
+            const entry = series.get(group);
+            Object.entries(arrays).forEach(([key, values]) => {
+                entry[key].push(values[index]);
+            });
+        });
+        return [...series.values()];
+    }
+
+    /**
+     * Sort a time series and insert breaks at data gaps
+     * @param {Array} xData - Dates or epoch milliseconds
+     * @param {Array} yData - Values
+     * @param {boolean|Object} timeSeries - true, or { gapThreshold } in ms
+     * @returns {Object} { x: Dates, y: values }
+     */
+    withGaps(xData, yData, timeSeries) {
+        const gapThreshold = typeof timeSeries === 'object' ? timeSeries.gapThreshold : null;
+        const series = TimeSeries.insertGaps(xData, yData, gapThreshold);
+        return { x: TimeSeries.toDates(series.times), y: series.values };
+    }
+
+    /**
+     * Plain line traces drawn over a chart (rolling averages, trend lines)
+     * @param {Array} overlays - [{ x, y, name, color, dash }]
+     * @returns {Array} Plotly traces
+     */
+    overlayTraces(overlays) {
+        const colors = this.theme.colors.overlays;
+        return (overlays || []).map((overlay, index) => ({
+            x: overlay.x,
+            y: overlay.y,
+            mode: 'lines',
+            type: 'scatter',
+            name: overlay.name,
+            connectgaps: false,
+            line: {
+                color: overlay.color || colors[index % colors.length],
+                width: 2.5,
+                dash: overlay.dash || 'solid'
+            }
+        }));
+    }
+
+    /**
+     * Circle markers for readings flagged by quality control
+     * @param {Object} [flags] - { x, y, text } of the flagged readings
+     * @returns {Array} Plotly traces (empty when there is nothing to mark)
+     */
+    flagTraces(flags) {
+        const colors = this.theme.colors;
+        if (!flags || flags.x.length === 0) return [];
+        return [{
+            x: flags.x,
+            y: flags.y,
+            text: flags.text,
+            mode: 'markers',
+            type: 'scatter',
+            marker: {
+                symbol: 'circle-open',
+                size: 14,
+                color: colors.flag,
+                line: { width: 2 }
+            },
+            hovertemplate: '%{text}<extra>QA flag</extra>',
+            name: 'QA flags'
+        }];
+    }
+
+    /**
+     * Hollow triangles over censored results: pointing down for values below a
+     * detection limit, up for values above a reporting range
+     * @param {Object} [censored] - { x, y, flags, text } of the censored results
+     * @returns {Array} Traces (empty without censored results)
+     */
+    censoredTraces(censored) {
+        const colors = this.theme.colors;
+        if (!censored || censored.x.length === 0) return [];
+        return [{
+            x: censored.x,
+            y: censored.y,
+            text: censored.text,
+            mode: 'markers',
+            type: 'scatter',
+            marker: {
+                symbol: censored.flags.map(flag => (flag === '>' ? 'triangle-up-open' : 'triangle-down-open')),
+                size: 12,
+                color: colors.censored,
+                line: { width: 2 }
+            },
+            hovertemplate: '%{text}<extra>Censored</extra>',
+            name: 'Censored values'
+        }];
+    }
+
+    /**
+     * Color each point by whether it breaks a limit
+     * @param {Array} values - Values to check
+     * @param {Object} limits - { min, max }, or nothing for a single color
+     * @param {string} color - Color for points within limits
+     * @returns {string|Array} Single color or one color per point
+     */
+    exceedanceColors(values, limits, color) {
+        const colors = this.theme.colors;
+        if (!limits) return color;
+        return Array.from(values, value =>
+            ThresholdEngine.isExceedance(value, limits) ? colors.exceedance : color
+        );
+    }
+
+    /**
+     * Reference lines at each limit plus a shaded band for the acceptable range
+     * @param {Object} limits - { min, max, label }
+     * @param {string} axis - Axis the limit values lie on ('x' or 'y')
+     * @returns {Object} Layout additions ({ shapes, annotations })
+     */
+    limitDecorations(limits, axis) {
+        const colors = this.theme.colors;
+        if (!limits) return {};
+
+        const across = axis === 'y' ? 'x' : 'y';
+        const shapes = [];
+        const annotations = [];
+        const hasMin = limits.min !== null && limits.min !== undefined;
+        const hasMax = limits.max !== null && limits.max !== undefined;
+
+        if (hasMin && hasMax) {
+            shapes.push({
+                type: 'rect',
+                [`${across}ref`]: 'paper',
+                [`${axis}ref`]: axis,
+                [`${across}0`]: 0,
+                [`${across}1`]: 1,
+                [`${axis}0`]: limits.min,
+                [`${axis}1`]: limits.max,
+                fillcolor: colors.withinLimits,
+                line: { width: 0 },
+                layer: 'below'
+            });
+        }
+
+        [['min', 'Min'], ['max', 'Max']].forEach(([key, label]) => {
+            if (limits[key] === null || limits[key] === undefined) return;
+
+            shapes.push({
+                type: 'line',
+                [`${across}ref`]: 'paper',
+                [`${axis}ref`]: axis,
+                [`${across}0`]: 0,
+                [`${across}1`]: 1,
+                [`${axis}0`]: limits[key],
+                [`${axis}1`]: limits[key],
+                line: { color: colors.exceedance, width: 1.5, dash: 'dash' }
+            });
+            annotations.push({
+                [`${across}ref`]: 'paper',
+                [`${axis}ref`]: axis,
+                [across]: 1,
+                [axis]: limits[key],
+                text: `${label} ${limits[key]}`,
+                showarrow: false,
+                xanchor: 'right',
+                yanchor: 'bottom',
+                font: { size: 11, color: colors.exceedance }
+            });
+        });
+
+        return { shapes, annotations };
+    }
+
+    /**
+     * Whether a chart is drawn
+     * @returns {boolean} True when there is a chart to export
+     */
+    hasChart() {
+        return this.container.classList.contains('has-chart');
+    }
+
+    /**
+     * Title of the current chart
+     * @returns {string} Title ('' when the chart has none)
+     */
+    getTitle() {
+        const title = this.container.layout && this.container.layout.title;
+        return (title && typeof title === 'object' ? title.text : title) || '';
+    }
+
+    /**
+     * Download the current chart as an image
+     * @param {Object} options - Image options
+     * @param {string} options.format - 'png' or 'svg'
+     * @param {number} options.width - Width in pixels
+     * @param {number} options.height - Height in pixels
+     * @param {number} [options.scale=1] - Resolution multiplier for PNG images
+     * @param {string} options.fileName - File name without extension
+     * @returns {Promise} Resolves once the download has started
+     */
+    downloadImage({ format, width, height, scale = 1, fileName }) {
+        return this.getPlotly().downloadImage(this.container, { format, width, height, scale, filename: fileName });
+    }
+
+    /**
+     * Render the current chart as an image
+     * @param {Object} options - Image options ({ format, width, height, scale })
+     * @returns {Promise<string>} Data URL of the image
+     */
+    toImage({ format = 'png', width, height, scale = 1 }) {
+        return this.getPlotly().toImage(this.container, { format, width, height, scale });
     }
 
     /**
@@ -228,6 +1539,13 @@ class Visualizer {
     clear() {
         this.container.innerHTML = '';
         this.container.classList.remove('has-chart');
+        ['role', 'aria-label', 'aria-describedby'].forEach(name => this.container.removeAttribute(name));
+        if (this.alternative) this.alternative.innerHTML = '';
         this.currentChart = null;
     }
-}
\ No newline at end of file
+}
+
+// Charts with one y-axis per column stop being readable beyond this
+Visualizer.MAX_Y_AXES = 4;
+// Charts described so far, numbering the ids of their text alternatives
+Visualizer.described = 0;
@@ -0,0 +1,475 @@
+/**
+ * Water Quality Index
+ * Combines the recognized parameter columns into a single score using the
+ * CCME WQI, the NSF WQI or a weighted arithmetic index, per sample or per day.
+ */
+
+class WaterQualityIndex {
+    /**
+     * @param {Object} options - Index options
+     * @param {ThresholdEngine} options.thresholds - Criteria used as objectives (CCME) and standards (weighted)
+     */
+    constructor(options = {}) {
+        this.thresholds = options.thresholds;
+    }
+
+    /**
+     * Compute the index for the loaded data
+     * @param {CSVParser} parser - Parser with loaded data
+     * @param {string} method - Key of WaterQualityIndex.METHODS
+     * @param {string} [period='sample'] - 'sample' (one score per row) or 'day'
+     * @returns {Object} { method, period, columns, results: [{ time, index, category, parts }],
+     *     overall: { index, category }, drivers: [{ parameter, label, impact, detail }] }
+     */
+    compute(parser, method, period = 'sample') {
+        const definition = WaterQualityIndex.METHODS[method];
+        if (!definition) {
+            throw new Error(`Unknown index method: ${method}`);
+        }
+
+        const columns = this.mapColumns(parser, method);
+        if (Object.keys(columns).length === 0) {
+            throw new Error(definition.needsLimits
+                ? 'No recognized parameter columns with criteria to score against'
+                : 'No recognized parameter columns for this index');
+        }
+
+        const timeColumn = parser.getTimeColumn();
+        if (period === 'day' && !timeColumn) {
+            throw new Error('Daily scores need a date/time column');
+        }
+
+        const samples = WaterQualityIndex.collectSamples(parser, columns, timeColumn, period);
+        const score = sample => this.scoreSample(method, sample.values, sample.temperature);
+        const results = samples
+            .map(sample => ({ time: sample.time, ...score(sample) }))
+            .filter(result => result.index !== null);
+
+        // CCME is defined over a set of samples, so the overall score pools every reading
+        const overallIndex = method === 'ccme'
+            ? score(WaterQualityIndex.poolSamples(samples)).index
+            : Statistics.mean(results.map(result => result.index));
+
+        return {
+            method,
+            period,
+            columns,
+            results,
+            overall: {
+                index: overallIndex,
+                category: WaterQualityIndex.classify(method, overallIndex)
+            },
+            drivers: WaterQualityIndex.rankDrivers(method, results)
+        };
+    }
+
+    /**
+     * Columns used by a method, keyed by parameter id
+     * @param {CSVParser} parser - Parser with loaded data
+     * @param {string} method - Index method
+     * @returns {Object} Parameter id → column name
+     */
+    mapColumns(parser, method) {
+        const columns = {};
+        const parameters = method === 'nsf'
+            ? Object.keys(WaterQualityIndex.NSF_CURVES)
+            : Object.keys(ParameterCatalog.DEFINITIONS).filter(parameter => this.thresholds.getLimit(parameter));
+
+        parameters.forEach(parameter => {
+            const column = parser.findParameterColumn(parameter);
+            if (column) columns[parameter] = column;
+        });
+        return columns;
+    }
+
+    /**
+     * Score one sample (a row, or all rows of a day)
+     * @param {string} method - Index method
+     * @param {Object} values - Parameter id → array of readings
+     * @param {number|null} temperature - Mean water temperature, for DO saturation
+     * @returns {Object} { index, category, parts } where parts maps each
+     *     parameter to { value, impact, detail }
+     */
+    scoreSample(method, values, temperature) {
+        const present = Object.entries(values).filter(([, readings]) => readings.length > 0);
+        if (present.length === 0) return { index: null, category: null, parts: {} };
+
+        const scored = method === 'ccme'
+            ? this.scoreCcme(present)
+            : method === 'nsf'
+                ? WaterQualityIndex.scoreNsf(present, temperature)
+                : this.scoreWeighted(present);
+
+        return {
+            ...scored,
+            category: WaterQualityIndex.classify(method, scored.index)
+        };
+    }
+
+    /**
+     * CCME WQI: combines scope (F1, share of parameters failing), frequency
+     * (F2, share of tests failing) and amplitude (F3, size of the excursions)
+     * @param {Array} present - [parameter, readings] pairs
+     * @returns {Object} { index, parts }
+     */
+    scoreCcme(present) {
+        let tests = 0;
+        let failedTests = 0;
+        let failedParameters = 0;
+        let excursionSum = 0;
+        const parts = {};
+
+        present.forEach(([parameter, readings]) => {
+            const limit = this.thresholds.getLimit(parameter);
+            let failed = 0;
+            let excursions = 0;
+            readings.forEach(value => {
+                const excursion = WaterQualityIndex.excursion(value, limit);
+                if (excursion > 0) {
+                    failed++;
+                    excursions += excursion;
+                }
+            });
+
+            tests += readings.length;
+            failedTests += failed;
+            excursionSum += excursions;
+            if (failed > 0) failedParameters++;
+
+            parts[parameter] = {
+                value: Statistics.mean(readings),
+                impact: (failed / readings.length) * 100,
+                detail: `${failed} of ${readings.length} readings outside ${ThresholdEngine.describeLimit(limit)}`
+            };
+        });
+
+        const f1 = (failedParameters / present.length) * 100;
+        const f2 = (failedTests / tests) * 100;
+        const nse = excursionSum / tests;
+        const f3 = nse / (0.01 * nse + 0.01);
+
+        return {
+            index: Math.max(0, 100 - Math.sqrt(f1 * f1 + f2 * f2 + f3 * f3) / 1.732),
+            parts
+        };
+    }
+
+    /**
+     * NSF WQI: sub-index (Q value) per parameter from the NSF rating curves,
+     * combined as a weighted mean. Weights are rescaled over the parameters present.
+     * @param {Array} present - [parameter, readings] pairs
+     * @param {number|null} temperature - Mean water temperature (°C) for DO saturation
+     * @returns {Object} { index, parts }
+     */
+    static scoreNsf(present, temperature) {
+        const weights = present.map(([parameter]) => WaterQualityIndex.NSF_CURVES[parameter].weight);
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        const parts = {};
+        let index = 0;
+
+        present.forEach(([parameter, readings], i) => {
+            let value = Statistics.mean(readings);
+            let unit = ParameterCatalog.get(parameter).unit;
+            if (parameter === 'dissolvedOxygen') {
+                value = WaterQualityIndex.oxygenSaturation(value, temperature);
+                unit = '% saturation';
+            }
+
+            const q = WaterQualityIndex.interpolate(WaterQualityIndex.NSF_CURVES[parameter].curve, value);
+            const share = weights[i] / totalWeight;
+            index += q * share;
+            parts[parameter] = {
+                value,
+                impact: (100 - q) * share,
+                detail: `Q = ${q.toFixed(0)} at ${value.toFixed(1)} ${unit}`.trim()
+            };
+        });
+
+        return { index, parts };
+    }
+
+    /**
+     * Weighted arithmetic WQI (Brown et al.): quality rating
+     * q = 100 × (V − ideal) / (standard − ideal), weighted by 1 / standard.
+     * Lower is better; above 100 the water fails its standards.
+     * @param {Array} present - [parameter, readings] pairs
+     * @returns {Object} { index, parts }
+     */
+    scoreWeighted(present) {
+        const ratings = present.map(([parameter, readings]) => {
+            const value = Statistics.mean(readings);
+            const limit = this.thresholds.getLimit(parameter);
+            const ideal = WaterQualityIndex.IDEAL_VALUES[parameter] || 0;
+            const hasMax = limit.max !== null && limit.max !== undefined;
+            const hasMin = limit.min !== null && limit.min !== undefined;
+            // Two-sided limits (pH) rate against the bound on the side of the reading
+            const standard = hasMax && (!hasMin || value >= ideal) ? limit.max : limit.min;
+            const rating = standard === ideal ? 0 : Math.max(0, 100 * (value - ideal) / (standard - ideal));
+            return { parameter, value, rating, weight: 1 / Math.abs(standard || 1) };
+        });
+
+        const totalWeight = ratings.reduce((sum, rating) => sum + rating.weight, 0);
+        const parts = {};
+        let index = 0;
+        ratings.forEach(({ parameter, value, rating, weight }) => {
+            const contribution = rating * weight / totalWeight;
+            index += contribution;
+            parts[parameter] = {
+                value,
+                impact: contribution,
+                detail: `Rating ${rating.toFixed(0)} at ${value.toFixed(2)}`
+            };
+        });
+
+        return { index, parts };
+    }
+
+    /**
+     * Group readings, in each parameter's standard unit, into samples: one per
+     * row, or one per calendar day
+     * @param {CSVParser} parser - Parser with loaded data
+     * @param {Object} columns - Parameter id → column name
+     * @param {string|null} timeColumn - Time column
+     * @param {string} period - 'sample' or 'day'
+     * @returns {Array} [{ time, values: { parameter: readings }, temperature }]
+     */
+    static collectSamples(parser, columns, timeColumn, period) {
+        const times = timeColumn ? parser.table.getColumn(timeColumn) : null;
+        const storage = {};
+        Object.entries(columns).forEach(([parameter, column]) => {
+            storage[parameter] = WaterQualityIndex.standardValues(parser, column);
+        });
+        const temperatureColumn = parser.findParameterColumn('temperature');
+        const temperatures = temperatureColumn ? WaterQualityIndex.standardValues(parser, temperatureColumn) : null;
+
+        const samples = new Map();
+        for (let row = 0; row < parser.getRowCount(); row++) {
+            // Without a time column, samples are numbered by row
+            let time = times ? times[row] : row + 1;
+            if (Number.isNaN(time)) continue;
+            if (period === 'day') {
+                time = TimeSeries.bucketStart(time, 'day');
+            }
+            const key = period === 'day' ? time : row;
+
+            if (!samples.has(key)) {
+                samples.set(key, { time, values: {}, temperatures: [] });
+                Object.keys(storage).forEach(parameter => {
+                    samples.get(key).values[parameter] = [];
+                });
+            }
+
+            const sample = samples.get(key);
+            Object.entries(storage).forEach(([parameter, values]) => {
+                if (Number.isFinite(values[row])) sample.values[parameter].push(values[row]);
+            });
+            if (temperatures && Number.isFinite(temperatures[row])) {
+                sample.temperatures.push(temperatures[row]);
+            }
+        }
+
+        return [...samples.values()]
+            .map(sample => ({
+                time: sample.time,
+                values: sample.values,
+                temperature: Statistics.mean(sample.temperatures)
+            }))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * A column's values in its parameter's standard unit, which criteria and
+     * rating curves are defined in
+     * @param {CSVParser} parser - Parser with loaded data
+     * @param {string} column - Column mapped to a parameter
+     * @returns {Float64Array} Values
+     */
+    static standardValues(parser, column) {
+        const values = parser.table.getColumn(column);
+        const parameter = parser.getParameter(column);
+        const unit = parser.getUnit(column);
+        const standard = ParameterCatalog.get(parameter).unit;
+        if (unit === standard || !UnitConverter.canConvert(parameter, unit, standard)) return values;
+
+        const context = {};
+        if (UnitConverter.needsContext(parameter, unit, standard)) {
+            ['temperature', 'salinity'].forEach(name => {
+                const source = parser.findParameterColumn(name);
+                if (source) context[name] = WaterQualityIndex.standardValues(parser, source);
+            });
+        }
+        return UnitConverter.convertColumn(values, parameter, unit, standard, context);
+    }
+
+    /**
+     * Merge samples into one set of readings
+     * @param {Array} samples - Samples from collectSamples
+     * @returns {Object} Pooled sample
+     */
+    static poolSamples(samples) {
+        const pooled = { time: null, values: {}, temperature: null };
+        samples.forEach(sample => {
+            Object.entries(sample.values).forEach(([parameter, readings]) => {
+                pooled.values[parameter] = (pooled.values[parameter] || []).concat(readings);
+            });
+        });
+        return pooled;
+    }
+
+    /**
+     * Average impact of each parameter across all results, worst first
+     * @param {string} method - Index method
+     * @param {Array} results - Scored samples
+     * @returns {Array} [{ parameter, label, impact, detail }]
+     */
+    static rankDrivers(method, results) {
+        const totals = {};
+        results.forEach(result => {
+            Object.entries(result.parts).forEach(([parameter, part]) => {
+                if (!totals[parameter]) totals[parameter] = { impact: 0, count: 0 };
+                totals[parameter].impact += part.impact;
+                totals[parameter].count++;
+            });
+        });
+
+        return Object.entries(totals)
+            .map(([parameter, { impact, count }]) => ({
+                parameter,
+                label: ParameterCatalog.get(parameter).label,
+                impact: impact / count,
+                detail: WaterQualityIndex.METHODS[method].impactLabel
+            }))
+            .sort((a, b) => b.impact - a.impact);
+    }
+
+    /**
+     * Relative excursion of a reading beyond its objective (0 when within it)
+     * @param {number} value - Reading
+     * @param {Object} limit - { min, max }
+     * @returns {number} Excursion
+     */
+    static excursion(value, limit) {
+        if (limit.max !== null && limit.max !== undefined && value > limit.max) {
+            return limit.max === 0 ? value : value / limit.max - 1;
+        }
+        if (limit.min !== null && limit.min !== undefined && value < limit.min) {
+            return value <= 0 ? limit.min : limit.min / value - 1;
+        }
+        return 0;
+    }
+
+    /**
+     * Dissolved oxygen as percent saturation in fresh water at sea level
+     * @param {number} concentration - DO in mg/L
+     * @param {number|null} temperature - Water temperature in °C (20 °C when unknown)
+     * @returns {number} Percent saturation
+     */
+    static oxygenSaturation(concentration, temperature) {
+        const t = Number.isFinite(temperature) ? temperature : 20;
+        return UnitConverter.convert(concentration, 'dissolvedOxygen', 'mg/L', '%sat', { temperature: t, salinity: 0 });
+    }
+
+    /**
+     * Piecewise-linear lookup, clamped to the end points
+     * @param {Array} curve - [x, y] points sorted by x
+     * @param {number} x - Input
+     * @returns {number} Interpolated y
+     */
+    static interpolate(curve, x) {
+        if (x <= curve[0][0]) return curve[0][1];
+        for (let i = 1; i < curve.length; i++) {
+            const [x1, y1] = curve[i];
+            if (x <= x1) {
+                const [x0, y0] = curve[i - 1];
+                return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+            }
+        }
+        return curve[curve.length - 1][1];
+    }
+
+    /**
+     * Category of an index value
+     * @param {string} method - Index method
+     * @param {number|null} index - Index value
+     * @returns {Object|null} { label, min, max, color }
+     */
+    static classify(method, index) {
+        if (index === null || index === undefined || Number.isNaN(index)) return null;
+        return WaterQualityIndex.METHODS[method].categories.find(category => index >= category.min && index < category.max) ||
+            null;
+    }
+}
+
+WaterQualityIndex.METHODS = {
+    ccme: {
+        label: 'CCME WQI',
+        needsLimits: true,
+        higherIsBetter: true,
+        impactLabel: '% of readings outside criteria',
+        categories: [
+            { label: 'Poor', min: 0, max: 45, color: '#d73027' },
+            { label: 'Marginal', min: 45, max: 65, color: '#fc8d59' },
+            { label: 'Fair', min: 65, max: 80, color: '#fee08b' },
+            { label: 'Good', min: 80, max: 95, color: '#91cf60' },
+            { label: 'Excellent', min: 95, max: Infinity, color: '#1a9850' }
+        ]
+    },
+    nsf: {
+        label: 'NSF WQI',
+        needsLimits: false,
+        higherIsBetter: true,
+        impactLabel: 'Index points lost',
+        categories: [
+            { label: 'Very Bad', min: 0, max: 25, color: '#d73027' },
+            { label: 'Bad', min: 25, max: 50, color: '#fc8d59' },
+            { label: 'Medium', min: 50, max: 70, color: '#fee08b' },
+            { label: 'Good', min: 70, max: 90, color: '#91cf60' },
+            { label: 'Excellent', min: 90, max: Infinity, color: '#1a9850' }
+        ]
+    },
+    weighted: {
+        label: 'Weighted arithmetic WQI',
+        needsLimits: true,
+        higherIsBetter: false,
+        impactLabel: 'Index points added',
+        categories: [
+            { label: 'Excellent', min: 0, max: 25, color: '#1a9850' },
+            { label: 'Good', min: 25, max: 50, color: '#91cf60' },
+            { label: 'Poor', min: 50, max: 75, color: '#fee08b' },
+            { label: 'Very Poor', min: 75, max: 100, color: '#fc8d59' },
+            { label: 'Unsuitable', min: 100, max: Infinity, color: '#d73027' }
+        ]
+    }
+};
+
+// Rating curves (value → Q) approximating the NSF WQI charts; weights from the NSF survey
+WaterQualityIndex.NSF_CURVES = {
+    dissolvedOxygen: {
+        weight: 0.17,
+        curve: [[0, 0], [10, 8], [20, 13], [30, 20], [40, 30], [50, 43], [60, 56], [70, 69], [80, 80],
+            [90, 90], [100, 97], [110, 93], [120, 85], [130, 78], [140, 70], [150, 50]]
+    },
+    ph: {
+        weight: 0.11,
+        curve: [[2, 2], [3, 4], [4, 8], [5, 24], [6, 55], [6.5, 75], [7, 88], [7.5, 92], [8, 84],
+            [8.5, 65], [9, 48], [10, 20], [11, 8], [12, 3]]
+    },
+    nitrate: {
+        weight: 0.10,
+        curve: [[0, 97], [1, 95], [2, 90], [5, 67], [10, 51], [20, 38], [30, 30], [50, 18], [100, 2]]
+    },
+    turbidity: {
+        weight: 0.08,
+        curve: [[0, 98], [5, 84], [10, 76], [20, 62], [40, 45], [60, 35], [80, 25], [100, 17], [101, 5]]
+    },
+    tds: {
+        weight: 0.07,
+        curve: [[0, 79], [50, 87], [100, 84], [150, 78], [200, 72], [300, 57], [400, 42], [500, 20]]
+    }
+};
+
+// Ideal values for the weighted arithmetic index (0 for pollutants)
+WaterQualityIndex.IDEAL_VALUES = {
+    ph: 7,
+    dissolvedOxygen: 14.6
+};
@@ -0,0 +1,47 @@
+/**
+ * Build
+ * Bundles the classes in js/ into ES modules for use outside index.html:
+ *   dist/core.mjs                  parsing, data and statistics, with no DOM (Node or browser)
+ *   dist/water-quality-viewer.mjs  the core plus charts, maps, dashboards and WaterQualityViewer
+ * The files are concatenated in the order index.html loads them, so they keep
+ * sharing one scope, and each class is exported by name.
+ */
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+// In dependency order
+const CORE = [
+    'csvTokenizer', 'censoring', 'schemaInference', 'dataTable', 'statistics', 'regression',
+    'csvParser', 'longFormat', 'formatReaders', 'importerRegistry', 'fileImporter',
+    'datasetManager', 'dataFilter', 'timeSeries', 'trendAnalysis', 'parameters', 'units',
+    'columnMapping', 'formula', 'derivedColumns', 'thresholds', 'qualityControl',
+    'waterQualityIndex', 'stationMap', 'completeness', 'exporter'
+];
+const VIEWER = CORE.concat(['chartTheme', 'chartDescription', 'visualizer', 'dashboard', 'viewer']);
+
+/**
+ * Concatenate source files into a module exporting their classes
+ * @param {Array} names - File names in js/, without extension
+ * @returns {string} Module source
+ */
+function bundle(names) {
+    const exported = [];
+    const sources = names.map(name => {
+        const source = readFileSync(join(root, 'js', `${name}.js`), 'utf8');
+        exported.push(...[...source.matchAll(/^class (\w+)/gm)].map(match => match[1]));
+        return `// ---- js/${name}.js ----\n${source.trimEnd()}\n`;
+    });
+
+    return '// Generated by scripts/build.mjs from js/ - do not edit\n\n'
+        + sources.join('\n')
+        + `\nexport {\n    ${exported.join(',\n    ')}\n};\n`;
+}
+
+mkdirSync(join(root, 'dist'), { recursive: true });
+writeFileSync(join(root, 'dist', 'core.mjs'), bundle(CORE));
+writeFileSync(join(root, 'dist', 'water-quality-viewer.mjs'), bundle(VIEWER));
+console.log('Built dist/core.mjs and dist/water-quality-viewer.mjs');
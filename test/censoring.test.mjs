@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Censoring, Statistics } from '../dist/core.mjs';
+
+const parseNumber = text => (Number.isFinite(Number(text)) ? Number(text) : null);
+
+test('parses qualified results', () => {
+    assert.deepEqual(Censoring.parse('<0.5', parseNumber), { value: 0.5, flag: '<' });
+    assert.deepEqual(Censoring.parse('0.5 U', parseNumber), { value: 0.5, flag: '<' });
+    assert.deepEqual(Censoring.parse('>2000', parseNumber), { value: 2000, flag: '>' });
+    assert.deepEqual(Censoring.parse('1.2 J', parseNumber), { value: 1.2, flag: 'J' });
+    assert.deepEqual(Censoring.parse('E 1.2', parseNumber), { value: 1.2, flag: 'E' });
+
+    const nonDetect = Censoring.parse('ND', parseNumber);
+    assert.equal(nonDetect.flag, '<');
+    assert.ok(Number.isNaN(nonDetect.value));
+
+    ['1.5', 'U2', 'abc', ''].forEach(text => assert.equal(Censoring.parse(text, parseNumber), null));
+});
+
+test('substitutes values below the detection limit', () => {
+    assert.equal(Censoring.substitute(0.5, '<', 'half'), 0.25);
+    assert.equal(Censoring.substitute(0.5, '<', 'limit'), 0.5);
+    assert.equal(Censoring.substitute(0.5, '<', 'zero'), 0);
+    assert.ok(Number.isNaN(Censoring.substitute(0.5, '<', 'exclude')));
+    assert.equal(Censoring.substitute(1.2, 'J', 'zero'), 1.2);
+});
+
+test('Kaplan-Meier matches the plain statistics without censoring', () => {
+    const values = [1, 2, 3, 4, 5, 6];
+    const estimate = Censoring.kaplanMeier(values, values.map(() => false));
+    const summary = Statistics.describe(values);
+
+    assert.equal(estimate.mean, summary.mean);
+    assert.ok(Math.abs(estimate.stdev - summary.stdev) < 1e-9);
+});
+
+test('Kaplan-Meier leaves quantiles below the detection limit unknown', () => {
+    const values = [1, 1, 1, 2, 3, 4, 5, 6];
+    const censored = [true, true, true, false, false, false, false, false];
+    const estimate = Censoring.kaplanMeier(values, censored);
+
+    assert.equal(estimate.p5, null);
+    assert.ok(estimate.median >= 2);
+    assert.equal(Censoring.kaplanMeier([1, 2], [true, true]), null);
+});
+
+test('ROS imputes censored values below the detections', () => {
+    const values = [0.5, 0.5, 0.8, 1.1, 1.6, 2.3, 3.4, 5.2];
+    const censored = values.map((value, i) => i < 2);
+    const estimate = Censoring.ros(values, censored);
+
+    assert.ok(estimate.mean > 0 && estimate.mean < Statistics.mean(values));
+    assert.equal(Censoring.ros([0.5, 1, 2], [true, false, false]), null);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CSVParser, Completeness } from '../dist/core.mjs';
+
+function parse(text) {
+    const parser = new CSVParser();
+    parser.parse(text);
+    return parser;
+}
+
+// Three samples a day at 08:00, 14:00 and 20:00
+function schedule(days, skip = []) {
+    const lines = ['Date,Time,pH,DO'];
+    for (let day = 1; day <= days; day++) {
+        ['08:00', '14:00', '20:00'].forEach((time, index) => {
+            const date = `2024-03-${String(day).padStart(2, '0')}`;
+            if (skip.includes(`${date} ${time}`)) return;
+            lines.push(`${date},${time},7.${index},${index === 2 && day === 1 ? '' : '8.5'}`);
+        });
+    }
+    return lines.join('\n');
+}
+
+test('infers fixed sampling times of day', () => {
+    const report = Completeness.analyze(parse(schedule(5)));
+
+    assert.deepEqual(report.sites[0].plan.slots, [480, 840, 1200]);
+    assert.equal(Completeness.describePlan(report.sites[0].plan), '3 per day at 08:00, 14:00, 20:00');
+    assert.equal(report.expected, 15);
+    assert.equal(report.missing, 0);
+    assert.equal(report.percent, 100);
+});
+
+test('reports missing samples, parameter completeness and gaps', () => {
+    const report = Completeness.analyze(parse(schedule(10, ['2024-03-04 14:00', '2024-03-06 20:00', '2024-03-07 08:00', '2024-03-07 14:00'])));
+
+    assert.equal(report.expected, 30);
+    assert.equal(report.missing, 4);
+    assert.deepEqual(report.missingSamples.map(entry => new Date(entry.time).getHours()), [14, 20, 8, 14]);
+    // The first evening has no DO reading
+    assert.equal(report.parameters.find(entry => entry.column === 'pH').present, 26);
+    assert.equal(report.parameters.find(entry => entry.column === 'DO').present, 25);
+    assert.equal(report.months.length, 1);
+
+    assert.equal(report.gaps.length, 1);
+    assert.equal(report.gaps[0].duration, 30 * 3600000);
+    assert.equal(report.gaps[0].missing, 3);
+});
+
+test('counts duplicate timestamps', () => {
+    const text = `${schedule(3)}\n2024-03-02,14:00,7.3,8.4\n2024-03-02,14:00,7.3,8.4`;
+    const report = Completeness.analyze(parse(text));
+
+    assert.equal(report.duplicates, 1);
+    assert.equal(report.duplicateSamples[0].rows.length, 3);
+    assert.equal(report.missing, 0);
+});
+
+test('checks each site against a given plan', () => {
+    const lines = ['Date,Site,Temp'];
+    for (let day = 1; day <= 28; day++) {
+        const date = `2024-02-${String(day).padStart(2, '0')}`;
+        lines.push(`${date},Upstream,5`);
+        if (day % 7 === 1) lines.push(`${date},Downstream,6`);
+    }
+    const parser = parse(lines.join('\n'));
+
+    const inferred = Completeness.analyze(parser);
+    assert.equal(inferred.siteColumn, 'Site');
+    assert.deepEqual(inferred.sites.map(site => Completeness.describePlan(site.plan)), ['Daily', 'Weekly']);
+    assert.equal(inferred.percent, 100);
+
+    const daily = Completeness.analyze(parser, { plan: { type: 'bucket', bucket: 'day', count: 1 } });
+    const downstream = daily.sites.find(site => site.site === 'Downstream');
+    assert.equal(downstream.expected, 22);
+    assert.equal(downstream.missing, 18);
+});
+
+test('returns null without a time column', () => {
+    assert.equal(Completeness.analyze(parse('Site,Temp\nA,5\nB,6\n')), null);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CSVParser } from '../dist/core.mjs';
+
+function parse(text, options) {
+    const parser = new CSVParser();
+    parser.parse(text, options);
+    return parser;
+}
+
+test('detects the delimiter and column types', () => {
+    const parser = parse('Date,Site,Temp,pH\n2024-01-01,A,5.2,7.1\n2024-01-02,B,6.1,7.3\n');
+
+    assert.equal(parser.delimiter, ',');
+    assert.deepEqual(parser.getAllColumns(), ['Date', 'Site', 'Temp', 'pH']);
+    assert.deepEqual(parser.getNumericColumns(), ['Temp', 'pH']);
+    assert.equal(parser.getTimeColumn(), 'Date');
+    assert.equal(parser.getRowCount(), 2);
+    assert.deepEqual(parser.getColumnValues('Temp'), [5.2, 6.1]);
+});
+
+test('reads semicolon-separated files with decimal commas', () => {
+    const parser = parse('Date;Temp\n2024-01-01;5,2\n2024-01-02;6,1\n');
+
+    assert.equal(parser.delimiter, ';');
+    assert.equal(parser.decimalSeparator, ',');
+    assert.deepEqual(parser.getColumnValues('Temp'), [5.2, 6.1]);
+});
+
+test('merges separate date and time columns into a timestamp', () => {
+    const parser = parse('Date\tTime\tTemp\n2024-01-01\t10:00\t5\n2024-01-01\t11:30\t6\n');
+
+    assert.equal(parser.getTimeColumn(), 'Timestamp');
+    const [first, second] = parser.getColumnValues('Timestamp');
+    assert.equal(second - first, 90 * 60 * 1000);
+});
+
+test('keeps missing values and reports invalid numbers', () => {
+    const rows = ['Temp,DO', '1,2', '2,', '3,x'].concat(Array.from({ length: 7 }, (_, i) => `${i + 4},${i + 5}`));
+    const parser = parse(rows.join('\n'));
+    const column = parser.getColumnSchema('DO');
+
+    assert.deepEqual(parser.getColumnValues('DO').slice(0, 4), [2, null, null, 5]);
+    assert.equal(column.missing, 1);
+    assert.equal(column.invalid, 1);
+    assert.equal(parser.diagnostics.counts[CSVParser.ISSUES.INVALID_NUMBER], 1);
+    assert.equal(parser.diagnostics.issues[0].row, 4);
+});
+
+test('reads qualified results as censored values', () => {
+    const parser = parse('Site,As\nA,<0.5\nA,1.2\nB,ND\nB,2 J\nA,3\nB,4\n');
+
+    assert.deepEqual(parser.getQualifiers('As'), { rows: [0, 2, 3], flags: ['<', '<', 'J'] });
+    // Below the limit is plotted at half the limit by default; ND has no limit to halve
+    assert.deepEqual(parser.getColumnValues('As'), [0.25, 1.2, null, 2, 3, 4]);
+
+    parser.setSubstitution('limit');
+    assert.equal(parser.getColumnValues('As')[0], 0.5);
+    assert.equal(parser.getColumnStats('As').censored, 2);
+});
+
+test('summarizes numeric columns', () => {
+    const stats = parse('Temp\n1\n2\n3\n4\n5\n').getColumnStats('Temp');
+
+    assert.equal(stats.count, 5);
+    assert.equal(stats.mean, 3);
+    assert.equal(stats.median, 3);
+    assert.equal(stats.min, 1);
+    assert.equal(stats.max, 5);
+});
+
+test('rejects files without data', () => {
+    assert.throws(() => parse(''), /empty/);
+    assert.throws(() => parse('a,b\n'), /No valid data rows/);
+});
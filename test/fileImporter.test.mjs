@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CSVParser, FileImporter, ImporterRegistry } from '../dist/core.mjs';
+
+// A named Blob stands in for File, which Node 18 doesn't have
+function file(parts, name) {
+    return Object.assign(new Blob(parts), { name });
+}
+
+function csv(rows, value) {
+    const lines = ['Date,Temp'];
+    for (let day = 1; day <= rows; day++) {
+        lines.push(`2024-01-${String(day % 28 + 1).padStart(2, '0')},${value}`);
+    }
+    return file([lines.join('\n')], 'data.csv');
+}
+
+// Node has no Worker, so these run on the main-thread fallback
+test('imports a delimited file', async () => {
+    const parser = new CSVParser();
+    const result = await new FileImporter().import(csv(3, 5), parser);
+
+    assert.equal(result.rowCount, 3);
+    assert.deepEqual(parser.getColumnValues('Temp'), [5, 5, 5]);
+});
+
+test('a newer import supersedes a running one', async () => {
+    const parser = new CSVParser();
+    const importer = new FileImporter({ chunkSize: 64 });
+
+    const first = importer.import(csv(200, 1), parser);
+    // Let the first import start reading before the second replaces it
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const second = importer.import(csv(5, 2), parser);
+
+    await assert.rejects(first, { name: 'AbortError' });
+    await second;
+    // Give the superseded import time to have read the rest of its file
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(parser.getRowCount(), 5);
+    assert.deepEqual(parser.getColumnValues('Temp'), [2, 2, 2, 2, 2]);
+});
+
+test('cancel() rejects the running import and keeps the current data', async () => {
+    const parser = new CSVParser();
+    const importer = new FileImporter({ chunkSize: 64 });
+    await importer.import(csv(5, 2), parser);
+
+    const running = importer.import(csv(200, 1), parser);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    importer.cancel();
+
+    await assert.rejects(running, { name: 'AbortError' });
+    assert.equal(parser.getRowCount(), 5);
+});
+
+test('pivots long-format files without streaming them first', async () => {
+    const registry = ImporterRegistry.createDefault();
+    const delimited = registry.get('delimited');
+    let reads = 0;
+    registry.register({ ...delimited, read: text => { reads++; return delimited.read(text); } });
+
+    const long = file([[
+        'Site,Date,Parameter,Value,Unit',
+        'A,2024-01-01,Temp,5.2,deg C',
+        'A,2024-01-01,pH,7.1,',
+        'A,2024-01-02,Temp,6.1,deg C',
+        'A,2024-01-02,pH,7.3,'
+    ].join('\n')], 'long.csv');
+    const parser = new CSVParser();
+    let loads = 0;
+    const load = parser.load.bind(parser);
+    parser.load = result => { loads++; return load(result); };
+    await new FileImporter({ registry }).import(long, parser);
+
+    // Neither streamed first nor loaded un-pivoted
+    assert.equal(reads, 1);
+    assert.equal(loads, 1);
+    assert.deepEqual(parser.getAllColumns(), ['Site', 'Date', 'Temp (deg C)', 'pH']);
+    assert.deepEqual(parser.getColumnValues('pH'), [7.1, 7.3]);
+});
+
+test('cancel() rejects a table import while the file is still being read', async () => {
+    const registry = new ImporterRegistry();
+    registry.register({ id: 'slow', label: 'Slow', extensions: ['.slow'], read: () => new Promise(() => {}) });
+    const importer = new FileImporter({ registry });
+
+    const running = importer.import(file(['data'], 'data.slow'), new CSVParser());
+    await new Promise(resolve => setTimeout(resolve, 0));
+    importer.cancel();
+
+    await assert.rejects(running, { name: 'AbortError' });
+});
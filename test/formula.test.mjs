@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DerivedColumns, Formula } from '../dist/core.mjs';
+
+// Evaluate a formula over columns given as arrays
+function run(expression, columns = {}) {
+    const rowCount = Object.values(columns).reduce((max, values) => Math.max(max, values.length), 1);
+    const resolve = name => {
+        if (!columns[name]) throw new Error(`No column "${name}"`);
+        return Float64Array.from(columns[name]);
+    };
+    return Array.from(new Formula(expression).evaluate(resolve, rowCount));
+}
+
+test('follows operator precedence', () => {
+    assert.deepEqual(run('1 + 2 * 3'), [7]);
+    assert.deepEqual(run('(1 + 2) * 3'), [9]);
+    assert.deepEqual(run('2 ^ 3 ^ 2'), [512]);
+    assert.deepEqual(run('10 - 4 - 3'), [3]);
+    assert.deepEqual(run('1 + 1 > 1 and 2 < 3'), [1]);
+    assert.deepEqual(run('0 and 1 or 1'), [1]);
+    assert.deepEqual(run('1 > 2 ? 10 : 1 < 2 ? 20 : 30'), [20]);
+});
+
+test('negates after raising to a power', () => {
+    assert.deepEqual(run('-2^2'), [-4]);
+    assert.deepEqual(run('(-2)^2'), [4]);
+    assert.deepEqual(run('2^-1'), [0.5]);
+});
+
+test('keeps missing values missing unless the result is already decided', () => {
+    const columns = { a: [NaN, NaN, NaN, 1], b: [0, 1, 5, 5] };
+
+    assert.deepEqual(run('[a] and [b]', columns), [0, NaN, NaN, 1]);
+    assert.deepEqual(run('[a] or [b]', columns), [NaN, 1, 1, 1]);
+    assert.deepEqual(run('not [a]', columns), [NaN, NaN, NaN, 0]);
+    assert.deepEqual(run('if([a] > 0, 1, 2)', columns), [NaN, NaN, NaN, 1]);
+    assert.deepEqual(run('[a] > 0 ? 1 : 2', columns), [NaN, NaN, NaN, 1]);
+    assert.deepEqual(run('coalesce([a], [b])', columns), [0, 1, 5, 1]);
+    // Results that aren't finite are missing too
+    assert.deepEqual(run('1 / [b]', columns), [NaN, 1, 0.2, 0.2]);
+});
+
+test('checks the number of arguments to functions', () => {
+    assert.throws(() => new Formula('sqrt()'), /sqrt\(\) takes 1 argument$/);
+    assert.throws(() => new Formula('pow(2)'), /pow\(\) takes 2 arguments/);
+    assert.throws(() => new Formula('round(1, 2, 3)'), /round\(\) takes 1 to 2 arguments/);
+    assert.throws(() => new Formula('max()'), /max\(\) takes at least 1 argument/);
+    assert.throws(() => new Formula('nope(1)'), /Unknown function "nope"/);
+    assert.deepEqual(run('max(1, 5, 3) + log(100) + LOG(8, 2)'), [10]);
+});
+
+test('reports syntax errors with their position', () => {
+    assert.throws(() => new Formula(''), /The formula is empty/);
+    assert.throws(() => new Formula('1 +'), /The formula ends too early/);
+    assert.throws(() => new Formula('(1 + 2'), /Expected "\)" but found end of formula/);
+    assert.throws(() => new Formula('1 $ 2'), /Unexpected "\$" at position 3/);
+});
+
+test('reads column names in brackets or as bare words', () => {
+    const formula = new Formula('[DO (mg/L)] / Temp + [ pH ] * pi');
+
+    assert.deepEqual(formula.columns(), ['DO (mg/L)', 'Temp', 'pH']);
+    assert.deepEqual(run('[DO (mg/L)] / Temp', { 'DO (mg/L)': [8, 9], Temp: [2, 3] }), [4, 3]);
+});
+
+test('reads column names with "]" written as "]]"', () => {
+    const formula = new Formula('[DO [mg/L]]] * 2 + [Temp [°C]]]');
+
+    assert.deepEqual(formula.columns(), ['DO [mg/L]', 'Temp [°C]']);
+    assert.deepEqual(run('[DO [mg/L]]] * 2', { 'DO [mg/L]': [4, 5] }), [8, 10]);
+    assert.throws(() => new Formula('[DO [mg/L]] * 2'), /Missing "]"/);
+});
+
+test('quotes column names so they read back', () => {
+    assert.equal(Formula.quote('Temp [°C]'), '[Temp [°C]]]');
+    assert.deepEqual(new Formula(Formula.quote('a]]b')).columns(), ['a]]b']);
+
+    const { expression } = DerivedColumns.fromLibrary('oxygenSolubility', parameter =>
+        (parameter === 'temperature' ? 'Temp [°C]' : undefined));
+    assert.equal(expression, 'o2_solubility([Temp [°C]]], 0)');
+    assert.deepEqual(new Formula(expression, DerivedColumns.FUNCTIONS).columns(), ['Temp [°C]']);
+});
+
+test('treats Object.prototype names as columns or unknown functions', () => {
+    assert.deepEqual(new Formula('[a] + constructor').columns(), ['a', 'constructor']);
+    assert.deepEqual(run('toString * 2', { toString: [3] }), [6]);
+    assert.throws(() => new Formula('constructor(1)'), /Unknown function "constructor"/);
+    assert.throws(() => new Formula('__proto__(2)'), /Unknown function "__proto__"/);
+    assert.throws(() => new Formula('hasOwnProperty(2)'), /Unknown function "hasownproperty"/);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Statistics, Regression, TrendAnalysis } from '../dist/core.mjs';
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+test('describe skips missing values', () => {
+    const summary = Statistics.describe([2, 4, null, 4, 4, NaN, 5, 5, 7, 9]);
+
+    assert.equal(summary.count, 8);
+    assert.equal(summary.missing, 2);
+    assert.equal(summary.mean, 5);
+    assert.equal(summary.median, 4.5);
+    close(summary.stdev, Math.sqrt(32 / 7));
+    assert.equal(Statistics.describe([null, NaN]), null);
+});
+
+test('quantile interpolates between sorted values', () => {
+    const sorted = Statistics.sorted([10, 40, 20, 30]);
+
+    assert.equal(Statistics.quantile(sorted, 0), 10);
+    assert.equal(Statistics.quantile(sorted, 0.5), 25);
+    assert.equal(Statistics.quantile(sorted, 1), 40);
+});
+
+test('correlation by Pearson and Spearman', () => {
+    const x = [1, 2, 3, 4, 5];
+
+    close(Statistics.correlation(x, [2, 4, 6, 8, 10]).r, 1);
+    close(Statistics.correlation(x, [5, 4, 3, 2, 1]).r, -1);
+    // Monotonic but not linear
+    close(Statistics.correlation(x, [1, 8, 27, 64, 125], 'spearman').r, 1);
+});
+
+test('normal distribution functions are inverses', () => {
+    close(Statistics.normalCdf(0), 0.5);
+    close(Statistics.normalCdf(1.959964), 0.975, 1e-5);
+    close(Statistics.normalQuantile(0.975), 1.959964, 1e-5);
+    [0.01, 0.2, 0.5, 0.9].forEach(p => close(Statistics.normalCdf(Statistics.normalQuantile(p)), p, 1e-6));
+});
+
+test('linear regression fits a line', () => {
+    const fit = Regression.linear([0, 1, 2, 3], [1, 3, 5, 7]);
+
+    close(fit.predict(10), 21);
+    close(fit.r2, 1);
+});
+
+test('Mann-Kendall and Sen slope find a rising trend', () => {
+    const day = 24 * 60 * 60 * 1000;
+    const times = Array.from({ length: 20 }, (_, i) => Date.UTC(2024, 0, 1) + i * day);
+    const values = times.map((time, i) => i * 0.5 + (i % 2 ? 0.1 : -0.1));
+
+    const test = TrendAnalysis.mannKendall(times, values);
+    assert.ok(test.s > 0);
+    assert.ok(test.pValue < 0.001);
+    assert.equal(TrendAnalysis.direction(test), 'increasing');
+
+    const sen = TrendAnalysis.senSlope(times, values);
+    close(sen.slope * day, 0.5, 0.05);
+    assert.ok(sen.lower <= sen.slope && sen.slope <= sen.upper);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ThresholdEngine } from '../dist/core.mjs';
+
+const hour = 3600000;
+
+test('counts exceedances of a limit', () => {
+    const result = ThresholdEngine.evaluate([5, 12, 11, NaN, 8, 13], { min: null, max: 10 });
+
+    assert.equal(result.count, 3);
+    assert.equal(result.total, 5);
+    assert.equal(result.longestRun.readings, 2);
+});
+
+test('the longest run is the longest in time, not the one with most readings', () => {
+    // Four readings ten minutes apart, then three readings a day apart
+    const times = [0, 10, 20, 30, 60, 1440, 2880, 4320, 4380].map(minutes => minutes * 60000);
+    const values = [12, 12, 12, 12, 5, 12, 12, 12, 5];
+    const result = ThresholdEngine.evaluate(values, { min: null, max: 10 }, times);
+
+    assert.equal(result.longestRun.readings, 3);
+    assert.equal(result.longestRun.duration, 48 * hour);
+    assert.equal(result.longestRun.start.getTime(), 24 * hour);
+});
+
+test('without timestamps the run with most readings is the longest', () => {
+    const result = ThresholdEngine.evaluate([12, 5, 12, 12, 5, 12], { min: null, max: 10 });
+
+    assert.equal(result.longestRun.readings, 2);
+    assert.equal(result.longestRun.duration, 0);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TimeSeries } from '../dist/core.mjs';
+
+// Calendar buckets follow local time; pin a zone with daylight saving
+process.env.TZ = 'America/New_York';
+
+const hour = 3600000;
+
+test('resamples by day into calendar buckets with gaps kept', () => {
+    const times = ['2024-03-01T10:00', '2024-03-01T16:00', '2024-03-03T09:00'].map(text => new Date(text).getTime());
+    const result = TimeSeries.resample(times, [2, 4, 6], 'day');
+
+    assert.equal(result.times.length, 3);
+    assert.deepEqual(result.counts, [2, 0, 1]);
+    assert.deepEqual(result.values.map(value => (Number.isNaN(value) ? null : value)), [3, null, 6]);
+});
+
+test('keeps the repeated hour when clocks go back', () => {
+    // 00:30 EDT, 01:30 EDT, 01:30 EST, 02:30 EST, 03:30 EST on 3 November 2024
+    const start = Date.parse('2024-11-03T04:30:00Z');
+    const times = [0, 1, 2, 3, 4].map(offset => start + offset * hour);
+    const result = TimeSeries.resample(times, [0, 1, 2, 3, 4], 'hour');
+
+    assert.deepEqual(result.times.map(time => new Date(time).toISOString().slice(11, 13)), ['04', '05', '06', '07', '08']);
+    assert.deepEqual(result.values, [0, 1, 2, 3, 4]);
+});
+
+test('has no extra hour when clocks go forward', () => {
+    // 01:30 EST, then 03:30 EDT an hour later on 10 March 2024
+    const start = Date.parse('2024-03-10T06:30:00Z');
+    const result = TimeSeries.resample([start, start + hour], [1, 2], 'hour');
+
+    assert.deepEqual(result.counts, [1, 1]);
+});